@@ -12,6 +12,25 @@ interface DrawInstance {
   x: number;
   /** 可绘制区域上边距（相对于画布）。 */
   y: number;
+  /** 父组件给出的尺寸限制。`contentWidth` 总是等于 `constraints.maxWidth`，`contentHeight` 在 `constraints.maxHeight` 有限时等于它。
+   * 没有 constraints 的绘制上下文（旧代码手动构造的）表示宽度最多为 `contentWidth`、高度不限。请使用 `getConstraints` 读取。 */
+  constraints?: BoxConstraints;
+  /** 上方最近的 `Theme` 组件的主题，`toCanvasColor` 用它解析颜色标记。没有时为 `defaultTheme`。 */
+  theme?: ThemeData;
+}
+
+/** 文字的描边，绘制在填充的下方。 */
+interface TextStroke {
+  lineWidth?: number = 1;
+  color?: Color = 'black';
+}
+
+/** 文字的阴影，类似 CSS 的 `text-shadow`。`blur` 为模糊半径（px）。 */
+interface TextShadow {
+  color?: Color = 'rgba(0, 0, 0, 0.5)';
+  offsetX?: number = 0;
+  offsetY?: number = 0;
+  blur?: number = 0;
 }
 
 /** 字体配置选项。 */
@@ -19,22 +38,124 @@ interface Font {
   color?: Color;
   size?: number;
   weight?: string;
+  /** 字体族，或按顺序尝试的字体族列表，例如 `['Brand Sans', 'PingFang SC', 'sans-serif']`。字符串中也可以包含以逗号分隔的列表。
+   * 除通用字体族（`serif`、`sans-serif`、`monospace` 等）外的名称会自动加上引号。默认为 `'sans-serif'`。 */
+  fontFamily?: string | string[];
+  fontStyle?: 'normal' | 'italic' | 'oblique';
+  /** 每个字符后额外增加的间距（px），类似 CSS 的 `letter-spacing`。会计入测量的宽度。 */
+  letterSpacing?: number;
+  /** 每个空格额外增加的间距（px），类似 CSS 的 `word-spacing`。会计入测量的宽度。 */
+  wordSpacing?: number;
+  /** 文字装饰线。 */
+  decoration?: 'none' | 'underline' | 'lineThrough' | 'overline';
+  /** 装饰线颜色，默认与文字颜色相同。 */
+  decorationColor?: Color;
+  /** 装饰线粗细（px），默认为字号的 1/15，且至少为 1。 */
+  decorationThickness?: number;
+  /** 文字描边。 */
+  stroke?: TextStroke;
+  /** 文字阴影。同时设置了 `stroke` 时，只有描边投射阴影。 */
+  shadow?: TextShadow;
 }
 
 /** 根据 canvas 的宽度和高度获取一个全新的可绘制区域。 */
 declare function getDrawInstance(canvasWidth: number, canvasHeight: number): DrawInstance;
 
-/** 用一种特定的字体测量一段文字的尺寸数据。 */
+/** 父组件允许子组件使用的最小和最大尺寸，类似于 Flutter 的 box constraints。
+ * 在 `measure` 时，每个组件从 `di.constraints` 获得父组件的约束，再向子组件传递约束，并在自身约束的范围内决定尺寸。
+ * 因此组件的尺寸只取决于父组件的约束和子组件，而与组件的构造顺序无关。 */
+export class BoxConstraints {
+  minWidth: number;
+  /** `Infinity` 表示宽度不限，例如不限制宽度的 `Row` 的子组件。 */
+  maxWidth: number;
+  minHeight: number;
+  /** `Infinity` 表示高度不限，例如 `Column` 的子组件。 */
+  maxHeight: number;
+
+  /** 最小值为负数或大于最大值时抛出错误。 */
+  constructor(options?: { minWidth?: number = 0; maxWidth?: number = Infinity; minHeight?: number = 0; maxHeight?: number = Infinity; });
+  static new(options?: { minWidth?: number = 0; maxWidth?: number = Infinity; minHeight?: number = 0; maxHeight?: number = Infinity; }): BoxConstraints;
+
+  /** 只允许给定尺寸的约束。 */
+  static tight(width: number, height: number): BoxConstraints;
+  /** 允许不超过给定尺寸的任意尺寸的约束。 */
+  static loose(width: number, height: number): BoxConstraints;
+
+  readonly hasBoundedWidth: boolean;
+  readonly hasBoundedHeight: boolean;
+  /** 是否只允许一种尺寸。 */
+  readonly isTight: boolean;
+
+  /** 约束允许的、最接近 `width`（省略时为 `0`）的宽度。 */
+  constrainWidth(width?: number): number;
+  /** 约束允许的、最接近 `height`（省略时为 `0`）的高度。 */
+  constrainHeight(height?: number): number;
+  /** 按边距缩小约束，与 Padding 对子组件的处理相同。不会小于 0。 */
+  deflate(insets: { left?: number; right?: number; top?: number; bottom?: number; }): BoxConstraints;
+  /** 保留最大值，去掉最小值。 */
+  loosen(): BoxConstraints;
+  /** 在约束允许的范围内只允许给定的宽度和（或）高度。省略的一项保持不变。 */
+  tighten(size: { width?: number; height?: number; }): BoxConstraints;
+  /** 将当前约束限制在给定约束的范围内。 */
+  enforce(constraints: BoxConstraints): BoxConstraints;
+  /** 两个约束所允许的尺寸是否完全相同。 */
+  equals(other: BoxConstraints): boolean;
+}
+
+/** 绘制上下文的约束，参见 `DrawInstance.constraints`。 */
+declare function getConstraints(di: DrawInstance): BoxConstraints;
+
+/** 复制绘制上下文并替换约束，同时更新 `contentWidth` 和 `contentHeight`。可用于测量和绘制自定义组件的子组件。 */
+declare function withConstraints(di: DrawInstance, constraints: BoxConstraints): DrawInstance;
+
+/** 布局过程的计数器。赋值为 `0` 即可重置。 */
+declare const layoutStats: {
+  /** 被布局（即实际运行了 `measure` 方法）的组件数量。复用了上次布局结果的组件不计入。 */
+  layouts: number;
+};
+
+/** 用一种特定的字体测量一段文字的尺寸数据。如果之前已经用相同的字体测量过相同的文字，结果直接取自 `ctx` 的文字测量缓存。
+ * 返回的对象与缓存共享，不能修改。 */
 declare function measureTextWithFont(ctx: CanvasRenderingContext2D, text: string, font: Font): TextMetrics;
 
+/** `measureText` 结果的最近最少使用（LRU）缓存，以 CSS font 字符串和文字为键。
+ * 每个上下文有自己的缓存（见 `getTextMeasureCache`），在多次 `measure`、`draw` 之间保留，因此一棵组件树中每个不同的字符串只会测量一次。 */
+export class TextMeasureCache {
+  /** 最多缓存的结果数量。超出时优先丢弃最久未使用的结果。`0` 表示不缓存。 */
+  capacity: number;
+  /** 实际调用 `measureText` 的次数。 */
+  calls: number;
+  /** 由缓存直接返回结果、从而省去的 `measureText` 调用次数。 */
+  savedCalls: number;
+  /** 已缓存的结果数量。 */
+  readonly size: number;
+
+  constructor(options?: { capacity?: number = 2000 });
+
+  static new(options?: { capacity?: number = 2000 }): TextMeasureCache;
+
+  /** 以字体 `fontString` 测量 `text`，或者返回缓存的结果。测量后会恢复 `ctx.font`。 */
+  measure(ctx: CanvasRenderingContext2D, fontString: string, text: string): TextMetrics;
+  /** 清空所有缓存的结果并重置计数。网页字体加载完成后应调用此方法。 */
+  clear(): void;
+}
+
+/** 获取一个上下文的文字测量缓存，首次使用时自动创建。 */
+declare function getTextMeasureCache(ctx: CanvasRenderingContext2D): TextMeasureCache;
+
+/** 与子树共享的任意对象，例如语言区域、图片加载器或默认样式。 */
 interface Provider {
 }
 
-interface ProviderConstructor {
-  new(...arg: any[]): Provider;
+/** 提供者的类。提供者按类查找，而不是按类名。 */
+interface ProviderConstructor<T extends Provider = Provider> {
+  new(...arg: any[]): T;
 }
 
-declare function provide(component: CanvasComponent, providerConstructor: ProviderConstructor, ...args: any[]): any;
+/** 用 `args` 构造一个提供者并附加到 `component` 上，使该组件及其所有后代都能通过 `lookup` 获取它。
+ * 离后代更近的同类提供者会遮蔽这个提供者。替换提供者会将整个子树标记为需要重新布局。
+ * 返回该组件，便于直接写在组件树中。对不是组件的值不做任何事。 */
+declare function provide<C extends CanvasComponent>(component: C, providerConstructor: ProviderConstructor, ...args: any[]): C;
 
 /** 任何组件的基类。 */
 class CanvasComponent {
@@ -44,22 +165,69 @@ class CanvasComponent {
   height?: number;
   /** 自定义的名称，用于调试。 */
   id?: string;
+  /** 从组件顶部到其第一行文字基线的距离，用于 `alignment` 为 `'baseline'` 的 `Row`。
+   * 不含文字的组件保持 `undefined`，表示以其底边作为基线。 */
+  baseline?: number;
 
-  /** 父组件注入的依赖。 */
-  providers: Record<string, ProviderConstructor>;
+  /** 通过 `provide` 附加到该组件上的提供者，以类为键。 */
+  providers: Map<ProviderConstructor, Provider>;
+  /** 等同于 `provide(this, providerConstructor, ...args)`。 */
+  provide(providerConstructor: ProviderConstructor, ...args: any[]): this;
+  /** 查找附加在该组件上，或者最近的带有该类提供者的祖先组件上的提供者。
+   * 可以在 `init`（父组件在调用子组件的 `init` 之前设置 `parent`）、`measure` 和 `draw` 中使用。
+   * 找不到时抛出异常，异常信息包含提供者的类名和该组件的路径。 */
+  lookup<T extends Provider>(providerConstructor: ProviderConstructor<T>): T;
+  /** 同 `lookup`，但找不到时返回 `undefined`。 */
+  tryLookup<T extends Provider>(providerConstructor: ProviderConstructor<T>): T | undefined;
 
   /** 额外的初始化程序，会在父组件 init 后调用。
    * 因为求值顺序，子组件会在父组件之前构造，所以该函数可以处理一些在父组件构造成功以后才能正确初始化的状态。
    * 最外层组件的 init 需要在构造后手动调用。*/
   init(): void;
 
-  /** 测量组件的宽度和高度。 */
+  /** 父组件，在父组件初始化或布局该组件时设置。根组件为 `undefined`。 */
+  parent?: CanvasComponent;
+  /** 组件相对于父组件的位置，由父组件在布局时保存。 */
+  offset: { x: number; y: number; };
+
+  /** 测量组件的宽度和高度，结果必须满足 `di.constraints`，并通过设置子组件的 `offset` 来确定它们的位置。
+   * 可以在子类中重写，但应使用子组件的 `layout` 方法对其布局，以便复用它们的结果。 */
   measure(di: DrawInstance, ctx: CanvasRenderingContext2D): void;
-  /** 在 canvas 上绘制组件。 */
+  /** 运行 `measure`。如果组件没有被标记为需要布局，且约束和上下文与上一次相同，则保留已保存的尺寸和子组件位置。
+   * 无论哪种情况，`layoutStats.layouts` 只统计实际测量了的组件。 */
+  layout(di: DrawInstance, ctx: CanvasRenderingContext2D): void;
+  /** 将该组件及其所有祖先标记为需要布局，下一次 `layout` 会重新测量它们，而未改变的子树会被复用。
+   * 通常无需调用该方法：直接赋值的字段（如 `text.content = 'new'`）会在下一次布局根组件时被发现，并按传给 `set` 处理；在 `children` 数组中添加或删除子组件也是如此。
+   * 原地修改对象（如 `padding.top = 4`）之后应调用该方法。`CanvasImage` 加载完成时会自动调用。 */
+  markNeedsLayout(): void;
+  /** 为组件赋值若干属性，将其标记为需要布局，并返回组件自身。原本取自主题的选项被赋值后不再跟随主题。 */
+  set(props: Partial<this>): this;
+  /** 必要时先进行布局（参见 `layout`），然后在 `di.x`、`di.y` 处绘制组件及其子组件。绘制只读取已保存的尺寸和位置，不会再次测量。 */
   draw(di: DrawInstance, ctx: CanvasRenderingContext2D): void;
 
   /** 为该组件赋予 id 并返回组件自身。 */
   ofId(id: string): CanvasComponent;
+
+  /** 组件上一次被绘制的位置，使用画布坐标。第一次 `draw` 之前为 `undefined`。 */
+  box?: { x: number; y: number; width: number; height: number; };
+  /** 通过 `onTap`、`onPointerDown` 和 `onPointerMove` 注册的指针事件处理函数。 */
+  handlers: Partial<Record<PointerEventType, PointerEventHandler>>;
+
+  /** 设置组件被点击时调用的处理函数，并返回组件自身。 */
+  onTap(handler: PointerEventHandler): this;
+  /** 设置指针在组件上按下时调用的处理函数，并返回组件自身。 */
+  onPointerDown(handler: PointerEventHandler): this;
+  /** 设置指针在组件上移动时调用的处理函数，并返回组件自身。 */
+  onPointerMove(handler: PointerEventHandler): this;
+
+  /** 并行加载组件树中所有尚未加载的 `CanvasImage`，完成后返回加载成功和加载失败的图片。不会 reject。
+   * 应在 `init` 之后、`measure` 之前调用。 */
+  prepare(options?: PrepareOptions): Promise<{ loaded: CanvasImage[]; failed: CanvasImage[]; }>;
+
+  /** 根据上一次 `draw` 记录的位置，找到某一点（画布坐标）上最顶层的组件。
+   * 返回从该组件到被命中组件的路径，没有命中时返回空数组。
+   * 子组件先于父组件检查，后绘制的先检查。绝对定位的子组件在父组件的范围之外也能被找到，而 `CircleShaped` 和 `RectangleShaped` 会排除剪切形状以外的点，`Transform` 会把点映射到其子组件中。 */
+  hitTest(x: number, y: number): CanvasComponent[];
 }
 
 /** 有单个子组件的组件。 */
@@ -128,35 +296,153 @@ export class CircleShaped extends SingleChildComponent {
 
 /** 将组件的边缘剪切成圆角矩形。 */
 export class RectangleShaped extends SingleChildComponent {
+  /** 圆角半径。默认为主题的 `radii.default`。 */
   radius: number;
 
-  constructor(options: { radius: number = 0; }, child?: CanvasComponent);
-  static new(options: { radius: number = 0; }, child?: CanvasComponent): RectangleShaped;
+  constructor(options: { radius?: number; }, child?: CanvasComponent);
+  static new(options: { radius?: number; }, child?: CanvasComponent): RectangleShaped;
+}
+
+/** 将组件裁剪到它的盒子内，隐藏绘制到盒子外的内容。命中测试也同样被裁剪。 */
+export class ClipRect extends SingleChildComponent {
+  constructor(child?: CanvasComponent);
+  static new(child?: CanvasComponent): ClipRect;
+}
+
+/** 围绕一个原点对子组件进行旋转、缩放、斜切和/或平移后再绘制，变换按从后到前的顺序应用，与 CSS `transform` 属性的 `translate() rotate() skew() scale()` 相同。
+ * 默认情况下，组件的尺寸为变换后子组件外接矩形的尺寸，因此旋转的飘带会把相邻组件挤开。设置 `fitBounds: false` 时布局忽略变换，与 CSS 一致：组件的尺寸与子组件相同。
+ * 点击检测会跟随变换，只在子组件变换后的形状内命中子组件。 */
+export class Transform extends SingleChildComponent {
+  /** 旋转角度，单位为度，顺时针。 */
+  rotate: number;
+  scaleX: number;
+  scaleY: number;
+  /** 斜切角度，单位为度。 */
+  skewX: number;
+  skewY: number;
+  /** 平移距离，单位为像素。它移动绘制出的子组件，但不会改变组件的尺寸。 */
+  translateX: number;
+  translateY: number;
+  /** 旋转、斜切和缩放所围绕的点，用子组件尺寸的比例表示。`{ x: 0.5, y: 0.5 }` 为中心。 */
+  origin: { x?: number; y?: number; };
+  /** 组件是否取变换后子组件外接矩形的尺寸。 */
+  fitBounds: boolean;
+  /** 变换后子组件的外接矩形，相对于该组件的左上角。它也是点击检测所用的 `box`。在 `measure` 时设置。 */
+  bounds?: { x: number; y: number; width: number; height: number; };
+
+  /** `scale` 同时设置 `scaleX` 和 `scaleY`。 */
+  constructor(options: { rotate?: number = 0; scale?: number = 1; scaleX?: number = scale; scaleY?: number = scale; skewX?: number = 0; skewY?: number = 0; translateX?: number = 0; translateY?: number = 0; origin?: { x?: number; y?: number; } = { x: 0.5, y: 0.5 }; fitBounds?: boolean = true; }, child?: CanvasComponent);
+  static new(options: { rotate?: number = 0; scale?: number = 1; scaleX?: number = scale; scaleY?: number = scale; skewX?: number = 0; skewY?: number = 0; translateX?: number = 0; translateY?: number = 0; origin?: { x?: number; y?: number; } = { x: 0.5, y: 0.5 }; fitBounds?: boolean = true; }, child?: CanvasComponent): Transform;
+}
+
+/** 以降低的不透明度绘制子组件，通过乘以 `ctx.globalAlpha` 实现。每个图形单独变淡，因此子组件内重叠的图形会互相透出。 */
+export class Opacity extends SingleChildComponent {
+  /** 从 `0`（不可见）到 `1`（不透明）。 */
+  opacity: number;
+
+  /** `opacity` 不在 0..1 范围内时抛出错误。 */
+  constructor(options: { opacity: number = 1; }, child?: CanvasComponent);
+  static new(options: { opacity: number = 1; }, child?: CanvasComponent): Opacity;
+}
+
+/** 以某种混合模式绘制子组件，即设置 `ctx.globalCompositeOperation`。导出 SVG 时，混合模式写为 `mix-blend-mode`，而 Porter-Duff 合成操作（`'source-in'`、`'xor'` 等）不会被导出。 */
+export class BlendMode extends SingleChildComponent {
+  mode: 'source-over' | 'source-in' | 'source-out' | 'source-atop' | 'destination-over' | 'destination-in' | 'destination-out' | 'destination-atop' | 'lighter' | 'copy' | 'xor' | 'multiply' | 'screen' | 'overlay' | 'darken' | 'lighten' | 'color-dodge' | 'color-burn' | 'hard-light' | 'soft-light' | 'difference' | 'exclusion' | 'hue' | 'saturation' | 'color' | 'luminosity';
+
+  /** 模式未知时抛出错误。 */
+  constructor(options: { mode: BlendMode['mode'] = 'multiply'; }, child?: CanvasComponent);
+  static new(options: { mode: BlendMode['mode'] = 'multiply'; }, child?: CanvasComponent): BlendMode;
 }
 
 /** 画布组件，可设置一块区域的背景色。还有一些辅助功能。 */
 export class Canvas extends SingleChildComponent {
-  /** 可绘制区域背景色。 */
+  /** 可绘制区域背景色。默认为主题的 `background` 颜色。 */
   backgroundColor: Color;
-  /** 显示以 10 为单位的网格。 */
+  /** 在组件的盒子内显示以 10 为单位的网格。 */
   grid: boolean;
 
-  constructor(options: { backgroundColor: Color = 'transparent'; grid: boolean = false; }, child?: CanvasComponent);
-  static new(options: { backgroundColor: Color = 'transparent'; grid: boolean = false; }, child?: CanvasComponent): Canvas;
+  constructor(options: { backgroundColor?: Color; grid: boolean = false; }, child?: CanvasComponent);
+  static new(options: { backgroundColor?: Color; grid: boolean = false; }, child?: CanvasComponent): Canvas;
+}
+
+/** 排版预设的文字样式。省略的选项先取 `body` 预设，再取文字的内置默认值。 */
+interface ThemeTextStyle {
+  color?: Color;
+  size?: number;
+  weight?: string;
+  /** 行高（px）。默认等于字号。 */
+  lineHeight?: number;
+  fontFamily?: Font['fontFamily'];
+  fontStyle?: Font['fontStyle'];
+  letterSpacing?: number;
 }
 
-/** 栈组件，在相同位置叠加多个子组件。先声明的组件在后声明的组件下方。 */
+/** `Theme` 解析后的取值，提供给其子树，可通过 `Theme.of` 获取。 */
+export class ThemeData implements Provider {
+  /** 按名称排列的文字样式预设，由 `Text` 的 `variant` 选项选用。 */
+  typography: Record<string, ThemeTextStyle>;
+  /** 命名颜色。绘制时，与名称相同的 `Color` 字符串会被替换为对应颜色，例如 `Rect.new({ color: 'primary' })`。
+   * 渐变的色标、盒子阴影以及 `ColorTween` 的两端也同样解析。
+   * 标记只解析一次，因此标记不能指向另一个标记。 */
+  colors: Record<string, Color>;
+  /** 命名间距。`default` 是 `Column` 和 `Row` 的 `gap`。 */
+  spacing: Record<string, number>;
+  /** 命名圆角半径。`default` 是 `Rect` 和 `Outlined` 的 `borderRadius`，以及 `RectangleShaped` 的 `radius`。 */
+  radii: Record<string, number>;
+
+  constructor(options?: { typography?: ThemeData['typography']; colors?: ThemeData['colors']; spacing?: ThemeData['spacing']; radii?: ThemeData['radii']; });
+
+  /** 在此主题之上叠加给定取值，得到新的主题。预设逐个合并，因此 `{ typography: { title: { color: 'red' } } }` 会保留标题的字号。 */
+  merge(options?: { typography?: ThemeData['typography']; colors?: ThemeData['colors']; spacing?: ThemeData['spacing']; radii?: ThemeData['radii']; }): ThemeData;
+  /** 预设的完整文字样式。未知的 variant 会抛出错误。 */
+  getTextStyle(variant?: string = 'body'): Required<ThemeTextStyle>;
+}
+
+/** 不在任何 `Theme` 组件内时使用的主题，保持内置的默认值：
+ * - `typography`：`body`（10px 常规黑色 sans-serif）、`title`（20px 粗体）和 `caption`（8px `'#666666'`）；
+ * - `colors`：`primary`、`secondary`、`foreground`（`'black'`）、`background`（`'transparent'`）和 `border`（`'black'`）；
+ * - `spacing`：`default`（0）、`small`（4）、`medium`（8）和 `large`（16）；
+ * - `radii`：`default`（0）、`small`（2）、`medium`（4）和 `large`（8）。 */
+declare const defaultTheme: ThemeData;
+
+/** 设置子树在省略选项时使用的排版预设、颜色标记、间距和圆角半径。
+ * 作用于 `Text`、`Rect`、`Outlined`、`Canvas`、`RectangleShaped`、`Column` 和 `Row`。嵌套的主题只覆盖它给出的取值，其余沿用外层主题。
+ * 组件在布局时读取主题。通过 `set` 修改主题会使整个子树重新布局。 */
+export class Theme extends SingleChildComponent {
+  typography?: ThemeData['typography'];
+  colors?: ThemeData['colors'];
+  spacing?: ThemeData['spacing'];
+  radii?: ThemeData['radii'];
+  /** 外层主题与此主题取值合并的结果。 */
+  data: ThemeData;
+
+  constructor(options: { typography?: ThemeData['typography']; colors?: ThemeData['colors']; spacing?: ThemeData['spacing']; radii?: ThemeData['radii']; }, child?: CanvasComponent);
+  static new(options: { typography?: ThemeData['typography']; colors?: ThemeData['colors']; spacing?: ThemeData['spacing']; radii?: ThemeData['radii']; }, child?: CanvasComponent): Theme;
+
+  /** 组件上方最近的 `Theme` 的主题，没有时为 `defaultTheme`。 */
+  static of(component?: CanvasComponent): ThemeData;
+}
+
+/** 容器是把子组件绘制到盒子外（`'visible'`），还是将其裁剪到盒子内（`'hidden'`），类似于 CSS 的 `overflow` 属性。命中测试同样遵循裁剪。 */
+type Overflow = 'visible' | 'hidden';
+
+/** 栈组件，在相同位置叠加多个子组件。先声明的组件在后声明的组件下方。
+ * 子组件获得宽松的约束，未指定 `width` 或 `height` 时，栈的尺寸取最大的子组件的尺寸。 */
 export class Stack extends MultiChildComponent {
+  /** 选项中指定的固定宽度。 */
   widthOverride?: number;
+  /** 选项中指定的固定高度。 */
   heightOverride?: number;
+  overflow: Overflow;
 
-  constructor(options: { width?: number; height?: number; }, ...children: CanvasComponent[]);
-  static new(options: { width?: number; height?: number; }, ...children: CanvasComponent[]): CanvasComponent;
+  constructor(options: { width?: number; height?: number; overflow?: Overflow = 'visible'; }, ...children: CanvasComponent[]);
+  static new(options: { width?: number; height?: number; overflow?: Overflow = 'visible'; }, ...children: CanvasComponent[]): CanvasComponent;
 }
 
 /** 定位组件，可以给子组件指定相对于当前可绘制区域或整个画布的 x, y 偏移量。 */
 export class Positional extends SingleChildComponent {
-  /** 偏移量模式。`'relative'` 使得偏移量相对于当前可绘制区域的左上角，`'absolute'` 使得偏移量相对于整个画布的左上角。 */
+  /** 偏移量模式。`'relative'` 使得偏移量相对于当前可绘制区域的左上角，偏移量计入组件的尺寸。
+   * `'absolute'` 使得偏移量相对于整个画布的左上角，组件不占用空间。 */
   mode: 'relative' | 'absolute';
   x: number;
   y: number;
@@ -179,24 +465,106 @@ export class Positional extends SingleChildComponent {
   ): Positional;
 }
 
-/** 列组件，将子组件按纵向排列（一行一个）。可以指定子组件的横向对齐方式。 */
+/** `Row` 或 `Column` 主轴方向上剩余空间的分配方式。`'start'`、`'end'` 和 `'center'` 将子组件靠在一起移动，
+ * 而 `'spaceBetween'`、`'spaceAround'` 和 `'spaceEvenly'` 将剩余空间放在子组件之间、每个子组件两侧，或者平均放在子组件之间和两端，类似于 CSS 的 `justify-content` 属性。 */
+type MainAxisAlignment = 'start' | 'end' | 'center' | 'spaceBetween' | 'spaceAround' | 'spaceEvenly';
+
+/** 列组件，将子组件按纵向排列（一行一个）。可以指定子组件的横向对齐方式。
+ * 子组件的高度不受限制。高度固定时（指定 `height`，或者高度约束是固定的，例如在 `Expanded` 或 `SizedBox` 中），剩余高度由 `Flexible` 子组件按照 `flex` 分配，`mainAxisAlignment` 决定剩余空间的分配方式。 */
 export class Column extends MultiChildComponent {
-  /** 子组件的横向对齐方式。 */
-  alignment: 'left' | 'center' | 'right';
+  /** 子组件的横向对齐方式。不为 `'left'` 时 Column 占满可绘制区域的宽度，`'stretch'` 还会使每个子组件都与之等宽。 */
+  alignment: 'left' | 'center' | 'right' | 'stretch';
+  /** 纵向剩余空间的分配方式。仅在高度固定时生效。 */
+  mainAxisAlignment: MainAxisAlignment;
+  /** 相邻子组件之间的间距。默认为主题的 `spacing.default`。 */
+  gap: number;
+  /** 选项中指定的固定宽度。 */
+  widthOverride?: number;
+  /** 选项中指定的固定高度。 */
+  heightOverride?: number;
+  overflow: Overflow;
 
-  constructor(options: { alignment: Column['alignment'] = 'left'; width?: number; }, ...children: CanvasComponent[]);
-  static new(options: { alignment: Column['alignment'] = 'left'; width?: number; }, ...children: CanvasComponent[]): Column;
+  constructor(options: { alignment: Column['alignment'] = 'left'; mainAxisAlignment: MainAxisAlignment = 'start'; gap?: number; width?: number; height?: number; overflow?: Overflow = 'visible'; }, ...children: CanvasComponent[]);
+  static new(options: { alignment: Column['alignment'] = 'left'; mainAxisAlignment: MainAxisAlignment = 'start'; gap?: number; width?: number; height?: number; overflow?: Overflow = 'visible'; }, ...children: CanvasComponent[]): Column;
 }
 
-/** 行组件，将子组件按横向排列。可以指定子组件的纵向对齐方式。类似于 CSS display: flex 模式。 */
+/** 行组件，将子组件按横向排列。可以指定子组件的纵向对齐方式。类似于 CSS display: flex 模式。
+ * 子组件保持自然宽度。剩余宽度由 `Flexible` 子组件按照 `flex` 分配，`mainAxisAlignment` 决定剩余空间的分配方式。 */
 export class Row extends MultiChildComponent {
-  /** 子组件的纵向对齐方式。 */
-  alignment: 'top' | 'center';
-  /** 是否收缩到子组件自然宽度。为 `false` 时自动填满可绘制区域宽度。 */
+  /** 子组件的纵向对齐方式。`'stretch'` 使每个子组件与行等高。`'baseline'` 使子组件第一行文字的基线对齐。 */
+  alignment: 'top' | 'center' | 'bottom' | 'stretch' | 'baseline';
+  /** 横向剩余空间的分配方式。 */
+  mainAxisAlignment: MainAxisAlignment;
+  /** 是否收缩到子组件自然宽度。为 `false` 时自动填满可绘制区域宽度，宽度不限时除外。 */
   shrink: boolean;
+  /** 相邻子组件之间的间距。默认为主题的 `spacing.default`。 */
+  gap: number;
+  /** 是否将放不下的子组件移到新的一行。此模式下 `Flexible` 子组件保持自然宽度。 */
+  wrap: boolean;
+  /** `wrap` 为 `true` 时行与行之间的间距，默认等于 `gap`。 */
+  runGap: number;
+  overflow: Overflow;
+
+  constructor(options: { alignment: Row['alignment'] = 'top'; mainAxisAlignment: MainAxisAlignment = 'start'; shrink: boolean = false; gap?: number; wrap: boolean = false; runGap?: number; overflow?: Overflow = 'visible'; }, ...children: CanvasComponent[]);
+  static new(options: { alignment: Row['alignment'] = 'top'; mainAxisAlignment: MainAxisAlignment = 'start'; shrink: boolean = false; gap?: number; wrap: boolean = false; runGap?: number; overflow?: Overflow = 'visible'; }, ...children: CanvasComponent[]): Row;
+}
+
+/** 显示更大的子组件的一部分的视口，按 `scrollOffset` 滚动。子组件的高度（水平方向时为宽度）不受限制，视口在约束允许的范围内取子组件的尺寸。
+ * 子组件被裁剪到视口内。不处理手势：调用 `scrollTo` 或 `scrollBy`（例如在指针事件处理函数中）后重新绘制即可。 */
+export class ScrollView extends SingleChildComponent {
+  direction: 'vertical' | 'horizontal';
+  /** 子组件滚动的距离。布局时会被限制在 `0..maxScrollExtent` 内。 */
+  scrollOffset: number;
+  /** 子组件最多能滚动的距离。在布局时设置。 */
+  maxScrollExtent: number;
+
+  constructor(options: { direction?: ScrollView['direction'] = 'vertical'; scrollOffset?: number = 0; }, child?: CanvasComponent);
+  static new(options: { direction?: ScrollView['direction'] = 'vertical'; scrollOffset?: number = 0; }, child?: CanvasComponent): ScrollView;
+  /** 设置 `scrollOffset` 并标记视口需要重新布局。 */
+  scrollTo(scrollOffset: number): this;
+  scrollBy(delta: number): this;
+}
+
+/** 只构建和布局视口内（以及两侧 `cacheExtent` 范围内）列表项的滚动列表，因此可以显示成千上万个列表项。
+ * 它需要有界的高度（水平方向时为宽度）。列表宽度（高度）有界时，列表项占满整个宽度（高度）；给出 `itemExtent` 时，以它作为列表项的高度（宽度）。
+ * 没有 `itemExtent` 时，会记住每个已构建列表项的尺寸；尚未构建的列表项（包括视口之前被跳过的列表项）按已记住尺寸的平均值估计。
+ * 因此随着测量的列表项增多，视口内的列表项可能略有移动。`itemBuilder`、`itemExtent` 或宽度变化时会丢弃记住的尺寸。
+ * 列表项滚回视口时会重新构建。之前的 `prepare` 不会加载其中的图片；布局后再次调用 `prepare` 来加载已构建列表项的图片。 */
+export class ListView extends ScrollView {
+  /** 上次布局时构建的列表项。 */
+  children: CanvasComponent[];
+  itemCount: number;
+  itemBuilder: (index: number) => CanvasComponent;
+  itemExtent?: number;
+  /** 相邻列表项之间的间距。 */
+  gap: number;
+  /** 视口前后仍然构建列表项的额外距离。 */
+  cacheExtent: number;
+
+  constructor(options: { itemCount: number = 0; itemBuilder: (index: number) => CanvasComponent; itemExtent?: number; direction?: ScrollView['direction'] = 'vertical'; scrollOffset?: number = 0; gap?: number = 0; cacheExtent?: number = 0; });
+  /** 由给定列表项组成的列表。 */
+  static new(options: { itemExtent?: number; direction?: ScrollView['direction'] = 'vertical'; scrollOffset?: number = 0; gap?: number = 0; cacheExtent?: number = 0; }, ...children: CanvasComponent[]): ListView;
+  /** 由 `itemBuilder` 按需构建 `itemCount` 个列表项的列表。 */
+  static builder(options: { itemCount: number; itemBuilder: (index: number) => CanvasComponent; itemExtent?: number; direction?: ScrollView['direction'] = 'vertical'; scrollOffset?: number = 0; gap?: number = 0; cacheExtent?: number = 0; }): ListView;
+}
 
-  constructor(options: { alignment: Row['alignment'] = 'top'; shrink: boolean = false; }, ...children: CanvasComponent[]);
-  static new(options: { alignment: Row['alignment'] = 'top'; shrink: boolean = false; }, ...children: CanvasComponent[]): Row;
+/** 弹性组件。在 `Row`（或指定了固定高度的 `Column`）中，与其他 `Flexible` 子组件按照 `flex` 的比例分配其他子组件剩下的空间。
+ * 分到的空间作为子组件的最大尺寸，`'tight'` 时也作为最小尺寸。
+ * 没有子组件时是一段空白。 */
+export class Flexible extends SingleChildComponent {
+  /** 分配剩余空间的份数。 */
+  flex: number;
+  /** `'tight'` 总是占满分到的空间。`'loose'` 最多占满分到的空间，子组件的自然尺寸更小时保持自然尺寸。 */
+  fit: 'loose' | 'tight';
+
+  constructor(options: { flex: number = 1; fit: Flexible['fit'] = 'loose'; }, child?: CanvasComponent);
+  static new(options: { flex: number = 1; fit: Flexible['fit'] = 'loose'; }, child?: CanvasComponent): Flexible;
+}
+
+/** `fit` 为 `'tight'` 的 `Flexible`，总是占满分到的剩余空间。 */
+export class Expanded extends Flexible {
+  constructor(options: { flex: number = 1; }, child?: CanvasComponent);
+  static new(options: { flex: number = 1; }, child?: CanvasComponent): Expanded;
 }
 
 /** Padding 组件，在子组件周围添加填充边距。左右填充会使可绘制区域向中间横向收缩，上下填充会使纵向排列的组件之间出现间距。 */
@@ -217,20 +585,90 @@ export class Padding extends SingleChildComponent {
   static all(distance?: number, child?: CanvasComponent): Padding;
 }
 
-/** 文字组件，绘制单行或多行文字。支持超出可绘制区域显示省略号。可以自定义文字颜色、字号、粗细等 CSS font 属性支持的文字属性。可以限制多行文字的最大行数。可以调整行高。 */
+/** 给子组件指定固定的宽度和（或）高度，在父组件约束允许的范围内尽量满足。没有子组件时是指定尺寸的空白，可用作间距。 */
+export class SizedBox extends SingleChildComponent {
+  widthOverride?: number;
+  heightOverride?: number;
+
+  constructor(options: { width?: number; height?: number; }, child?: CanvasComponent);
+  static new(options: { width?: number; height?: number; }, child?: CanvasComponent): SizedBox;
+}
+
+/** 给子组件添加额外的约束，例如卡片的最小高度或段落的最大宽度。与父组件的约束冲突时以父组件为准。 */
+export class ConstrainedBox extends SingleChildComponent {
+  constraints: BoxConstraints;
+
+  constructor(options: { minWidth?: number = 0; maxWidth?: number = Infinity; minHeight?: number = 0; maxHeight?: number = Infinity; }, child?: CanvasComponent);
+  static new(options: { minWidth?: number = 0; maxWidth?: number = Infinity; minHeight?: number = 0; maxHeight?: number = Infinity; }, child?: CanvasComponent): ConstrainedBox;
+}
+
+/** 按宽高比设置子组件的尺寸。取约束允许的最大宽度（宽度不限时取最大高度），宽度和高度都不限时抛出错误。 */
+export class AspectRatio extends SingleChildComponent {
+  /** 宽度除以高度。 */
+  aspectRatio: number;
+
+  constructor(options: { aspectRatio: number = 1; }, child?: CanvasComponent);
+  static new(options: { aspectRatio: number = 1; }, child?: CanvasComponent): AspectRatio;
+}
+
+/** 将子组件的宽度和（或）高度设为最大尺寸的一定比例，例如 `widthFactor: 0.5` 表示可绘制区域宽度的一半。在不限尺寸的方向上忽略比例。
+ * 父组件强制组件大于子组件时，按 `alignment` 和 `verticalAlignment` 放置子组件。 */
+export class FractionallySizedBox extends SingleChildComponent {
+  widthFactor?: number;
+  heightFactor?: number;
+  alignment: 'left' | 'center' | 'right';
+  verticalAlignment: 'top' | 'center' | 'bottom';
+
+  constructor(options: { widthFactor?: number; heightFactor?: number; alignment?: FractionallySizedBox['alignment'] = 'center'; verticalAlignment?: FractionallySizedBox['verticalAlignment'] = 'center'; }, child?: CanvasComponent);
+  static new(options: { widthFactor?: number; heightFactor?: number; alignment?: FractionallySizedBox['alignment'] = 'center'; verticalAlignment?: FractionallySizedBox['verticalAlignment'] = 'center'; }, child?: CanvasComponent): FractionallySizedBox;
+}
+
+/** 在可绘制区域中放置子组件。组件占满有限的宽度和高度；在不限尺寸的方向上或指定了比例时，取子组件尺寸乘以比例。子组件获得宽松的约束。 */
+export class Align extends SingleChildComponent {
+  alignment: 'left' | 'center' | 'right';
+  verticalAlignment: 'top' | 'center' | 'bottom';
+  widthFactor?: number;
+  heightFactor?: number;
+
+  constructor(options: { alignment?: Align['alignment'] = 'center'; verticalAlignment?: Align['verticalAlignment'] = 'center'; widthFactor?: number; heightFactor?: number; }, child?: CanvasComponent);
+  static new(options: { alignment?: Align['alignment'] = 'center'; verticalAlignment?: Align['verticalAlignment'] = 'center'; widthFactor?: number; heightFactor?: number; }, child?: CanvasComponent): Align;
+}
+
+/** 在两个方向上都居中子组件的 `Align`。 */
+export class Center extends Align {
+  constructor(options: { widthFactor?: number; heightFactor?: number; }, child?: CanvasComponent);
+  static new(options: { widthFactor?: number; heightFactor?: number; }, child?: CanvasComponent): Center;
+}
+
+/** 文字组件，绘制单行或多行文字。支持超出可绘制区域显示省略号。可以自定义文字颜色、字号、粗细等 CSS font 属性支持的文字属性。可以限制多行文字的最大行数。可以调整行高。
+ * 多行文字按单词边界换行（见 `wordBreak`），`'\n'` 会另起一行。 */
 export class Text extends CanvasComponent {
   /** 文本内容。 */
   content: string;
   /** 实际绘制的文本内容，当内容超出可绘制区域时，根据 `overflow` 属性，实际绘制的文本内容可能会被截断。 */
   actualContent: string;
+  /** 主题中排版预设的名称，为省略的字体选项提供取值，例如 `'title'`、`'body'` 或 `'caption'`。 */
+  variant: string;
   /** 文字颜色。 */
   color: Color;
   /** 字号。 */
   size: number;
   /** 粗细。 */
   weight: string;
-  /** 行高（固定 px）。 */
+  /** 行高（固定 px）。默认为预设的行高；指定了 `size` 时默认等于字号。 */
   lineHeight: number;
+  fontFamily: Font['fontFamily'];
+  fontStyle: Font['fontStyle'];
+  /** 每行文字的水平对齐方式。取值不为 `'left'` 时，文字占满可绘制区域的宽度。
+   * `'justify'` 表示两端对齐：除最后一行和以 `'\n'` 结尾的行外，每行都拉伸到整个宽度，拉宽的是空格（中日韩文字或没有空格的文字则拉宽字符间距）。 */
+  textAlign: 'left' | 'center' | 'right' | 'justify';
+  letterSpacing: number;
+  wordSpacing: number;
+  decoration: Font['decoration'];
+  decorationColor?: Color;
+  decorationThickness?: number;
+  stroke?: TextStroke;
+  shadow?: TextShadow;
 
   /** 换行模式。`'wrap'` 代表自动换行，`'nowrap'` 代表不换行。 */
   textWrap: 'wrap' | 'nowrap';
@@ -238,91 +676,296 @@ export class Text extends CanvasComponent {
   maxLines?: number;
   /** 溢出模式，当内容超出可绘制区域时的表现。`'visible'` 表示仍然绘制，文字（最后一行）最终会超出区域。`'ellipsis'` 表示截断文字并在最后显示省略号。 */
   overflow: 'visible' | 'ellipsis';
+  /** 开启自动换行时，允许换行的位置。不会在字素簇（例如 emoji 序列）内部换行。
+   * `'normal'` 表示拉丁文字在空格和连字符处换行，中日韩文字在字符之间换行，但不会在 `，。」` 等闭合标点前、`「（` 等开启标点后换行（避头尾）。
+   * `'break-all'` 表示也可以在单词的任意两个字母之间换行。`'keep-all'` 表示中日韩字符之间不换行，只在空格和标点处换行。
+   * 宽度超过一行的单词会在溢出处断开。 */
+  wordBreak: 'normal' | 'break-all' | 'keep-all';
+  /** 连字符断词。`'manual'` 表示在软连字符（`\u00AD`）处换行并显示 `-`。`'none'` 表示忽略软连字符。
+   * `'auto'` 表示还可以在至少 6 个字母的单词中换行（两侧至少各保留 3 个字母），单词因溢出被断开时也会加上 `-`。不使用词典。 */
+  hyphens: 'none' | 'manual' | 'auto';
 
   constructor(
     content: string = '',
     options: {
-      color: Color = 'black';
-      size: number = 10;
-      weight: string = 'normal';
+      variant?: string = 'body';
+      color?: Color;
+      size?: number;
+      weight?: string;
       lineHeight?: number;
+      fontFamily?: Font['fontFamily'];
+      fontStyle?: Font['fontStyle'];
+      textAlign?: Text['textAlign'] = 'left';
+      letterSpacing?: number;
+      wordSpacing?: number = 0;
+      decoration?: Font['decoration'] = 'none';
+      decorationColor?: Color;
+      decorationThickness?: number;
+      stroke?: TextStroke;
+      shadow?: TextShadow;
       textWrap: Text['textWrap'] = 'nowrap';
       maxLines?: number;
       overflow: Text['overflow'] = 'ellipsis';
+      wordBreak: Text['wordBreak'] = 'normal';
+      hyphens: Text['hyphens'] = 'manual';
     },
   );
 
   static new(
     content: string = '',
     options: {
-      color: Color = 'black';
-      size: number = 10;
-      weight: string = 'normal';
+      variant?: string = 'body';
+      color?: Color;
+      size?: number;
+      weight?: string;
       lineHeight?: number;
+      fontFamily?: Font['fontFamily'];
+      fontStyle?: Font['fontStyle'];
+      textAlign?: Text['textAlign'] = 'left';
+      letterSpacing?: number;
+      wordSpacing?: number = 0;
+      decoration?: Font['decoration'] = 'none';
+      decorationColor?: Color;
+      decorationThickness?: number;
+      stroke?: TextStroke;
+      shadow?: TextShadow;
       textWrap: Text['textWrap'] = 'nowrap';
       maxLines?: number;
       overflow: Text['overflow'] = 'ellipsis';
+      wordBreak: Text['wordBreak'] = 'normal';
+      hyphens: Text['hyphens'] = 'manual';
     },
   ): Text;
 }
 
-/** 图片组件，绘制图片。需要提供已经加载好的 Image 对象。可以调整图片尺寸的适应模式。 */
+/** `RichText` 中一段带样式的文字。未设置的样式属性继承自父级 span 或 `RichText` 本身。子 span 排在 `text` 之后。 */
+export class TextSpan {
+  text: string;
+  children: RichTextSpan[];
+
+  color?: Color;
+  size?: number;
+  weight?: string;
+  fontFamily?: Font['fontFamily'];
+  fontStyle?: Font['fontStyle'];
+  letterSpacing?: number;
+  wordSpacing?: number;
+  /** 绘制在这段文字下方的背景色。 */
+  backgroundColor?: Color;
+  /** 文字装饰线。 */
+  decoration?: Font['decoration'];
+  /** 装饰线颜色，默认与文字颜色相同。 */
+  decorationColor?: Color;
+  decorationThickness?: number;
+  stroke?: TextStroke;
+  shadow?: TextShadow;
+
+  constructor(
+    text: string = '',
+    options?: Font & { backgroundColor?: Color },
+    ...children: RichTextSpan[]
+  );
+
+  static new(
+    text: string = '',
+    options?: Font & { backgroundColor?: Color },
+    ...children: RichTextSpan[]
+  ): TextSpan;
+}
+
+/** 在 `RichText` 的文字中插入一个行内组件，例如图标、徽标。组件以当前行剩余的宽度进行测量。 */
+export class WidgetSpan {
+  child: CanvasComponent;
+  /** 在行内的垂直位置。`'baseline'` 表示组件底部（或组件自身的基线）对齐文字基线。`'middle'` 表示以小写字母的中线居中。`'top'`、`'bottom'` 表示对齐行框的顶部、底部。 */
+  alignment: 'baseline' | 'middle' | 'top' | 'bottom';
+
+  constructor(options: { alignment?: WidgetSpan['alignment'] }, child: CanvasComponent);
+
+  static new(options: { alignment?: WidgetSpan['alignment'] }, child: CanvasComponent): WidgetSpan;
+}
+
+/** `RichText` 的内容片段。纯字符串使用父级的样式。 */
+export type RichTextSpan = string | TextSpan | WidgetSpan;
+
+/** 富文本组件，绘制混合了不同样式文字和行内组件的段落。文字可以跨 span 自动换行，同一行共用一条基线。
+ * `maxLines`、`overflow` 的行为与 `Text` 相同。文字中的 `'\n'` 会另起一行。 */
+export class RichText extends CanvasComponent {
+  spans: RichTextSpan[];
+  /** 所有 `WidgetSpan` 中的组件，按顺序排列。 */
+  children: CanvasComponent[];
+
+  /** span 的默认文字颜色。 */
+  color: Color;
+  /** span 的默认字号。 */
+  size: number;
+  /** span 的默认粗细。 */
+  weight: string;
+  /** span 的默认字体族。 */
+  fontFamily: Font['fontFamily'];
+  /** span 的默认字体样式。 */
+  fontStyle: Font['fontStyle'];
+  /** 行高（固定 px）。行高至少为该值，遇到更大的文字时会自动增高。 */
+  lineHeight?: number;
+  textWrap: 'wrap' | 'nowrap';
+  maxLines?: number;
+  overflow: 'visible' | 'ellipsis';
+  /** 与 `Text.wordBreak` 相同。换行位置可以跨越 span 的边界，`WidgetSpan` 的前后都可以换行。 */
+  wordBreak: 'normal' | 'break-all' | 'keep-all';
+  /** 与 `Text.hyphens` 相同。 */
+  hyphens: 'none' | 'manual' | 'auto';
+
+  constructor(
+    options: {
+      color?: Color = 'black';
+      size?: number = 10;
+      weight?: string = 'normal';
+      fontFamily?: Font['fontFamily'] = 'sans-serif';
+      fontStyle?: Font['fontStyle'] = 'normal';
+      lineHeight?: number;
+      textWrap?: RichText['textWrap'] = 'wrap';
+      maxLines?: number;
+      overflow?: RichText['overflow'] = 'ellipsis';
+      wordBreak?: RichText['wordBreak'] = 'normal';
+      hyphens?: RichText['hyphens'] = 'manual';
+    },
+    ...spans: RichTextSpan[]
+  );
+
+  static new(
+    options: {
+      color?: Color = 'black';
+      size?: number = 10;
+      weight?: string = 'normal';
+      fontFamily?: Font['fontFamily'] = 'sans-serif';
+      fontStyle?: Font['fontStyle'] = 'normal';
+      lineHeight?: number;
+      textWrap?: RichText['textWrap'] = 'wrap';
+      maxLines?: number;
+      overflow?: RichText['overflow'] = 'ellipsis';
+      wordBreak?: RichText['wordBreak'] = 'normal';
+      hyphens?: RichText['hyphens'] = 'manual';
+    },
+    ...spans: RichTextSpan[]
+  ): RichText;
+}
+
+/** 加载图片的函数，由 `loadImage` 和 `prepare` 使用。在浏览器以外的环境中需要通过 `setImageLoader` 提供，
+ * 例如 node-canvas 的 `(src) => loadImage(src)`，或者小程序中基于 `canvas.createImage()` 实现的函数。 */
+type ImageLoader = (src: string) => Promise<CanvasImageSource>;
+
+/** 替换默认的图片加载函数（使用 `new Image()`），同时清空图片缓存。 */
+declare function setImageLoader(loader: ImageLoader): void;
+
+/** 清空图片缓存，之后的 `loadImage` 会重新加载。 */
+declare function clearImageCache(): void;
+
+/** 从 URL 加载图片，或者调用加载函数获取图片。相同 `src` 的加载共用同一个缓存的 Promise，加载失败的会从缓存中移除。
+ * 加载失败或超过 `timeout` 毫秒时 reject。`timeout` 为 `0` 或 `Infinity` 表示一直等待。 */
+declare function loadImage(
+  src: string | (() => Promise<CanvasImageSource> | CanvasImageSource),
+  options?: { loader?: ImageLoader; timeout?: number = 10000 },
+): Promise<CanvasImageSource>;
+
+/** `prepare` 的选项，会传给 `loadImage`。 */
+interface PrepareOptions {
+  loader?: ImageLoader;
+  timeout?: number = 10000;
+}
+
+/** 图片组件，绘制图片。图片可以是已经加载好的 Image 对象、URL，或者加载图片的函数。
+ * URL 和函数由 `load` 加载，或者由 `prepare` 与组件树中的其他图片一起加载。加载完成前绘制 `placeholder`，加载失败时绘制 `fallback`。
+ * 可以调整图片尺寸的适应模式。 */
 export class CanvasImage extends CanvasComponent {
-  img?: HTMLImageElement;
+  /** 传给构造函数的图片、URL 或加载函数。 */
+  src?: CanvasImageSource | string | (() => Promise<CanvasImageSource> | CanvasImageSource);
+  /** 加载好的图片，未加载时为 `null`。 */
+  img?: CanvasImageSource | null;
+  /** 加载状态。直接传入的图片为 `'loaded'`，未传入图片为 `'failed'`。 */
+  status: 'pending' | 'loaded' | 'failed';
+  /** 加载失败的原因。 */
+  error?: Error;
+  /** 加载期间绘制的组件。设置了 `width` 和 `height` 时，加载期间图片保持该尺寸，否则使用占位组件的尺寸。 */
+  placeholder?: CanvasComponent;
+  /** 加载失败时绘制的组件，尺寸规则与 `placeholder` 相同。默认为 `placeholder`。 */
+  fallback?: CanvasComponent;
   /** 尺寸模式。`'fixed'` 表示按图片原本大小或指定大小显示。`'widthFix'` 表示填满可绘制区域宽度，并按比例设置高度。
-   * `'fixed'` 模式下若只指定高度和宽度中的一个，那么另一个会按比例缩放。 */
-  mode: 'fixed' | 'widthFix';
+   * `'fixed'` 模式下若只指定高度和宽度中的一个，那么另一个会按比例缩放。`'heightFix'` 表示使用 `height`（或可绘制区域的高度），并按比例设置宽度。
+   *
+   * 其他模式类似 CSS 的 `object-fit`，图片绘制在宽为 `width`（或可绘制区域宽度）、高为 `height`（或按宽度等比例计算的高度）的框中：
+   * `'fill'` 表示拉伸填满整个框，`'contain'` 表示等比缩放到恰好放入框内，`'cover'` 表示等比缩放到覆盖整个框并裁掉多余部分，
+   * `'none'` 表示保持原始尺寸并裁剪，`'scaleDown'` 与 `'contain'` 相同但不会放大图片。 */
+  mode: 'fixed' | 'widthFix' | 'heightFix' | 'fill' | 'contain' | 'cover' | 'none' | 'scaleDown';
   widthOverride?: number;
   heightOverride?: number;
+  /** 图片未填满框时在框中的水平位置，以及图片被裁剪时保留哪一部分。 */
+  alignment: 'left' | 'center' | 'right';
+  /** 图片在框中的垂直位置，与 `alignment` 类似。 */
+  verticalAlignment: 'top' | 'center' | 'bottom';
+  /** 九宫格拉伸的边距（图片像素）。四角保持原尺寸，四边沿一个方向拉伸，中间部分拉伸填满整个框，因此边框、气泡等图片可以任意调整尺寸而不会使四角变形。
+   * 框小于四角时，四角按比例缩小。框的尺寸仍由 `mode` 决定，但图片不会被裁剪。 */
+  slice?: number | { left?: number; right?: number; top?: number; bottom?: number; };
 
   constructor(
-    img?: HTMLImageElement,
+    src?: CanvasImage['src'],
     options: {
-      mode: CanvasImage['mode'] = 'original';
+      mode: CanvasImage['mode'] = 'fixed';
       width?: number;
       height?: number;
+      alignment?: CanvasImage['alignment'] = 'center';
+      verticalAlignment?: CanvasImage['verticalAlignment'] = 'center';
+      slice?: CanvasImage['slice'];
+      placeholder?: CanvasComponent;
+      fallback?: CanvasComponent;
     },
   );
   static new(
-    img?: HTMLImageElement,
+    src?: CanvasImage['src'],
     options: {
-      mode: CanvasImage['mode'] = 'original';
+      mode: CanvasImage['mode'] = 'fixed';
       width?: number;
       height?: number;
+      alignment?: CanvasImage['alignment'] = 'center';
+      verticalAlignment?: CanvasImage['verticalAlignment'] = 'center';
+      slice?: CanvasImage['slice'];
+      placeholder?: CanvasComponent;
+      fallback?: CanvasComponent;
     },
   ): CanvasImage;
+
+  /** 如果图片尚未加载则加载图片。不会 reject：加载失败时将 `status` 设为 `'failed'` 并设置 `error`。加载后需要重新测量和绘制。 */
+  load(options?: PrepareOptions): Promise<CanvasImage>;
 }
 
 /** 矩形组件，绘制实心或空心，圆角或直角的矩形。 */
 export class Rect extends CanvasComponent {
-  /** 矩形的宽度。 */
-  width?: number;
-  /** 矩形的高度。 */
-  height: number;
-  /** 矩形的填充或轮廓色。 */
+  /** 选项中指定的矩形宽度。约束不允许时，测量得到的 `width` 可能与之不同。 */
+  widthOverride: number;
+  /** 选项中指定的矩形高度。 */
+  heightOverride: number;
+  /** 矩形的填充或轮廓色。默认为主题的 `foreground` 颜色。 */
   color: Color;
   /** 是否绘制空心矩形。 */
   stroked: boolean;
   /** 空心矩形的轮廓线宽度。 */
   lineWidth: number;
-  /** 圆角半径。 */
+  /** 圆角半径。默认为主题的 `radii.default`。 */
   borderRadius: number;
 
   constructor(options: {
-    width?: number;
+    width: number = 10;
     height: number = 10;
-    color: Color = 'black';
+    color?: Color;
     stroked: boolean = false;
     lineWidth: number = 1;
-    borderRadius: number = 0;
+    borderRadius?: number;
   });
   static new(options: {
-    width?: number;
+    width: number = 10;
     height: number = 10;
-    color: Color = 'black';
+    color?: Color;
     stroked: boolean = false;
     lineWidth: number = 1;
-    borderRadius: number = 0;
+    borderRadius?: number;
   }): Rect;
 }
 
@@ -330,36 +973,901 @@ export class Rect extends CanvasComponent {
 export class Outlined extends SingleChildComponent {
   /** 轮廓粗细。 */
   lineWidth: number;
-  /** 轮廓颜色。 */
+  /** 轮廓颜色。默认为主题的 `border` 颜色。 */
   color: Color;
-  /** 圆角半径。 */
+  /** 圆角半径。默认为主题的 `radii.default`。 */
   borderRadius: number;
 
-  constructor(options: { lineWidth: number = 1; color: Color = 'black'; borderRadius: number = 0; }, child?: CanvasComponent);
-  static new(options: { lineWidth: number = 1; color: Color = 'black'; borderRadius: number = 0; }, child?: CanvasComponent): Outlined;
+  constructor(options: { lineWidth: number = 1; color?: Color; borderRadius?: number; }, child?: CanvasComponent);
+  static new(options: { lineWidth: number = 1; color?: Color; borderRadius?: number; }, child?: CanvasComponent): Outlined;
+}
+
+/** `DecoratedBox` 边框的一条边。 */
+interface BorderSide {
+  width?: number = 1;
+  color?: Color = 'black';
+  /** `'dashed'` 绘制长度为线宽 3 倍的虚线，`'dotted'` 绘制直径等于线宽的圆点。 */
+  style?: 'solid' | 'dashed' | 'dotted' = 'solid';
+}
+
+/** `DecoratedBox` 的边框：四边相同，或者逐边设置。逐边设置时省略的边没有边框。 */
+type Border = BorderSide | { top?: BorderSide; right?: BorderSide; bottom?: BorderSide; left?: BorderSide; };
+
+/** `DecoratedBox` 的圆角半径：四角相同，或者逐角设置。半径超出盒子大小时按同一比例缩小，与 CSS 相同。 */
+type BorderRadius = number | { topLeft?: number; topRight?: number; bottomRight?: number; bottomLeft?: number; };
+
+/** `DecoratedBox` 的阴影，类似 CSS 的 `box-shadow`。`blur` 为模糊半径（px），`spread` 在模糊前扩大（为负数时缩小）阴影。
+ * 内阴影（`inset`）绘制在边框以内，而不是盒子周围。 */
+interface BoxShadow {
+  color?: Color = 'rgba(0, 0, 0, 0.5)';
+  offsetX?: number = 0;
+  offsetY?: number = 0;
+  blur?: number = 0;
+  spread?: number = 0;
+  inset?: boolean = false;
+}
+
+interface DecoratedBoxOptions {
+  /** 任意 `Color`（包括渐变），在圆角范围内填充盒子。渐变的范围是不含外边距的盒子。 */
+  backgroundColor?: Color;
+  /** 绘制在背景色之上、按圆角裁剪的图片。`CanvasImage` 的大小为不含外边距的盒子，其他图片来源会包装为 `'cover'` 模式的 `CanvasImage`。 */
+  backgroundImage?: CanvasImage | CanvasImageSource | string | (() => Promise<CanvasImageSource> | CanvasImageSource);
+  border?: Border;
+  borderRadius?: BorderRadius = 0;
+  /** 一个阴影或阴影列表。与 CSS 相同，第一个阴影在最上层。 */
+  boxShadow?: BoxShadow | BoxShadow[];
+  /** 边框与子组件之间的距离。 */
+  padding?: number | { left?: number; right?: number; top?: number; bottom?: number; } = 0;
+  /** 边框外的距离，其中不绘制任何内容。 */
+  margin?: number | { left?: number; right?: number; top?: number; bottom?: number; } = 0;
+  /** `'hidden'` 将子组件裁剪到边框以内，包括圆角。 */
+  overflow?: Overflow = 'visible';
+}
+
+/** 装饰盒子组件，类似用 CSS 设置样式的 `<div>`。从下到上依次绘制：外阴影、背景色、背景图、内阴影、边框，最后是子组件。
+ * 边框宽度和内边距加在子组件的尺寸上，外边距再加在它们外面。没有子组件时，除非约束是固定的，盒子只有边框和内边距那么大。 */
+export class DecoratedBox extends SingleChildComponent {
+  backgroundColor?: Color;
+  backgroundImage?: CanvasImage;
+  border?: Border;
+  borderRadius: BorderRadius;
+  boxShadow?: BoxShadow | BoxShadow[];
+  padding: number | { left?: number; right?: number; top?: number; bottom?: number; };
+  margin: number | { left?: number; right?: number; top?: number; bottom?: number; };
+  overflow: Overflow;
+
+  /** 背景图和子组件。 */
+  get children(): CanvasComponent[];
+
+  constructor(options: DecoratedBoxOptions, child?: CanvasComponent);
+  static new(options: DecoratedBoxOptions, child?: CanvasComponent): DecoratedBox;
+}
+
+/** 指定了宽度和（或）高度的 `DecoratedBox`，类似 `SizedBox`。尺寸包括边框和内边距，但不包括外边距。 */
+export class Container extends DecoratedBox {
+  widthOverride?: number;
+  heightOverride?: number;
+
+  constructor(options: DecoratedBoxOptions & { width?: number; height?: number; }, child?: CanvasComponent);
+  static new(options: DecoratedBoxOptions & { width?: number; height?: number; }, child?: CanvasComponent): Container;
+}
+
+/** 形状组件的线条样式。颜色可以是任意 `Color`，包括渐变，渐变铺满形状的盒子。 */
+interface ShapeStroke {
+  color?: Color = 'black';
+  lineWidth?: number = 1;
+  /** 虚线样式，同 `setLineDash`。为空时是实线。 */
+  dash?: number[] = [];
+  dashOffset?: number = 0;
+  cap?: CanvasLineCap = 'butt';
+  join?: CanvasLineJoin = 'miter';
+}
+
+/** 形状组件的公共部分。先填充再描边；为 `null`（或者在没有默认值时不传）则跳过对应的一步。 */
+declare abstract class Shape extends CanvasComponent {
+  fill?: Color | null;
+  stroke?: ShapeStroke | null;
+}
+
+/** 把 SVG 路径数据（`d` 属性）解析为绝对坐标的 `M`、`L`、`C` 和 `Z` 命令。支持所有 SVG 命令，二次曲线和圆弧会转为三次曲线。
+ * 数据格式错误时抛出异常。 */
+declare function parsePathData(d: string): (
+  | { type: 'M' | 'L'; x: number; y: number; }
+  | { type: 'C'; x1: number; y1: number; x2: number; y2: number; x: number; y: number; }
+  | { type: 'Z'; }
+)[];
+
+/** 用 SVG 路径数据绘制的形状，例如图标。
+ * 不传 `viewBox` 时，按路径的边界（包括曲线）加上线宽的一半来测量，并把形状的左上角移到组件的左上角。
+ * 传了 `viewBox` 时，组件和视图框一样大，类似 `<svg>` 元素，视图框外的部分不会被移进来。
+ * `width` 和（或）`height` 把形状缩放到该尺寸，只给出其中一个时保持宽高比。 */
+export class Path extends Shape {
+  d: string;
+  viewBox?: { x?: number = 0; y?: number = 0; width: number; height: number; };
+  widthOverride?: number;
+  heightOverride?: number;
+  fillRule: CanvasFillRule;
+
+  constructor(options: {
+    d: string;
+    viewBox?: { x?: number = 0; y?: number = 0; width: number; height: number; };
+    width?: number;
+    height?: number;
+    fill?: Color | null = 'black';
+    stroke?: ShapeStroke | null = null;
+    fillRule?: CanvasFillRule = 'nonzero';
+  });
+  static new(options: {
+    d: string;
+    viewBox?: { x?: number = 0; y?: number = 0; width: number; height: number; };
+    width?: number;
+    height?: number;
+    fill?: Color | null = 'black';
+    stroke?: ShapeStroke | null = null;
+    fillRule?: CanvasFillRule = 'nonzero';
+  }): Path;
+}
+
+/** 从（`x1`, `y1`）到（`x2`, `y2`）的直线。和 `Path` 一样按边界测量，所以只有线的长度和方向有影响。 */
+export class Line extends Shape {
+  x1: number;
+  y1: number;
+  x2: number;
+  y2: number;
+
+  constructor(options: { x1?: number = 0; y1?: number = 0; x2?: number = 0; y2?: number = 0; stroke?: ShapeStroke | null = {}; });
+  static new(options: { x1?: number = 0; y1?: number = 0; x2?: number = 0; y2?: number = 0; stroke?: ShapeStroke | null = {}; }): Line;
+}
+
+/** 经过 `[x, y]` 各点的折线，测量方式同 `Path`。 */
+export class Polyline extends Shape {
+  points: [number, number][];
+
+  constructor(options: { points: [number, number][]; fill?: Color | null; stroke?: ShapeStroke | null = {}; });
+  static new(options: { points: [number, number][]; fill?: Color | null; stroke?: ShapeStroke | null = {}; }): Polyline;
+}
+
+/** 经过 `[x, y]` 各点的闭合多边形，测量方式同 `Path`。 */
+export class Polygon extends Shape {
+  points: [number, number][];
+
+  constructor(options: { points: [number, number][]; fill?: Color | null = 'black'; stroke?: ShapeStroke | null = null; });
+  static new(options: { points: [number, number][]; fill?: Color | null = 'black'; stroke?: ShapeStroke | null = null; }): Polygon;
 }
 
-/** 允许设置为组件的颜色的类型。 */
+/** 填满一个盒子的椭圆，盒子的尺寸同 `Rect`。描边保持在盒子内部。 */
+export class Ellipse extends Shape {
+  widthOverride: number;
+  heightOverride: number;
+
+  constructor(options: { width?: number = 10; height?: number = 10; fill?: Color | null = 'black'; stroke?: ShapeStroke | null = null; });
+  static new(options: { width?: number = 10; height?: number = 10; fill?: Color | null = 'black'; stroke?: ShapeStroke | null = null; }): Ellipse;
+}
+
+/** `Arrow` 的箭头。`'triangle'` 和 `'circle'` 用描边颜色填充，并缩短线段以免透出来；`'open'` 是描边的折角，`'bar'` 是描边的横线。 */
+type ArrowHead = 'none' | 'triangle' | 'open' | 'circle' | 'bar';
+
+/** 从（`x1`, `y1`）到（`x2`, `y2`）、两端可带箭头的线，测量方式同 `Path`，包括箭头。`headSize` 同时是箭头的长度和宽度。描边的虚线样式只作用于线段。 */
+export class Arrow extends Shape {
+  x1: number;
+  y1: number;
+  x2: number;
+  y2: number;
+  startHead: ArrowHead;
+  endHead: ArrowHead;
+  headSize: number;
+
+  constructor(options: {
+    x1?: number = 0;
+    y1?: number = 0;
+    x2?: number = 0;
+    y2?: number = 0;
+    startHead?: ArrowHead = 'none';
+    endHead?: ArrowHead = 'triangle';
+    headSize?: number = 10;
+    stroke?: ShapeStroke | null = {};
+  });
+  static new(options: {
+    x1?: number = 0;
+    y1?: number = 0;
+    x2?: number = 0;
+    y2?: number = 0;
+    startHead?: ArrowHead = 'none';
+    endHead?: ArrowHead = 'triangle';
+    headSize?: number = 10;
+    stroke?: ShapeStroke | null = {};
+  }): Arrow;
+}
+
+/** 分隔线，类似 Flutter 的 `Divider`。占满约束允许的整个宽度（竖直时为高度），给出 `length` 时用 `length`；两者都没有时长度为 0。
+ * `space` 是组件的厚度，线居中于其中。`indent` 和 `endIndent` 在线的开头和结尾留出空隙。 */
+export class Divider extends Shape {
+  direction: 'horizontal' | 'vertical';
+  length?: number;
+  space?: number;
+  indent: number;
+  endIndent: number;
+
+  constructor(options: {
+    direction?: 'horizontal' | 'vertical' = 'horizontal';
+    length?: number;
+    /** 默认为线宽。 */
+    space?: number;
+    indent?: number = 0;
+    endIndent?: number = 0;
+    stroke?: ShapeStroke | null = { color: '#e0e0e0' };
+  });
+  static new(options: {
+    direction?: 'horizontal' | 'vertical' = 'horizontal';
+    length?: number;
+    space?: number;
+    indent?: number = 0;
+    endIndent?: number = 0;
+    stroke?: ShapeStroke | null = { color: '#e0e0e0' };
+  }): Divider;
+}
+
+/** `encodeQRCode` 将文本转换为比特的方式。`'auto'` 在只有数字时选择 `'numeric'`，只有数字、大写字母和 ` $%*+-./:` 时选择 `'alphanumeric'`，其余情况选择 `'byte'`（UTF-8）。
+ * `'kanji'` 要求文本全部由 Shift JIS 双字节字符组成，并且需要支持 `'shift_jis'` 的 `TextDecoder`。 */
+type QRCodeMode = 'auto' | 'numeric' | 'alphanumeric' | 'byte' | 'kanji';
+
+/** 二维码的纠错等级。`'L'`、`'M'`、`'Q'` 和 `'H'` 分别可以恢复约 7%、15%、25% 和 30% 的码字。 */
+type QRCodeEcLevel = 'L' | 'M' | 'Q' | 'H';
+
+/** 将文本编码为二维码符号。不指定 `version`（1 到 40）时，使用能容纳文本的最小版本；不指定 `mask`（0 到 7）时，使用惩罚分最低的掩模。
+ * 文本无法以该模式编码或容纳不下时抛出异常。`modules[y][x]` 为 `true` 表示深色模块。 */
+declare function encodeQRCode(text: string, options?: { mode?: QRCodeMode = 'auto'; ecLevel?: QRCodeEcLevel = 'M'; version?: number; mask?: number; }): {
+  version: number;
+  ecLevel: QRCodeEcLevel;
+  mode: Exclude<QRCodeMode, 'auto'>;
+  mask: number;
+  /** 每边的模块数，不含静区。 */
+  size: number;
+  modules: boolean[][];
+};
+
+/** 编码 `text` 的二维码，以矢量模块绘制，任意尺寸都清晰。符号是边长为 `size`（含静区）的正方形，约束不允许时会缩小。
+ * 方形模块会对齐到整像素，因此二维码保持清晰。子组件是居中显示的 logo：其布局尺寸不超过 `ecLevel` 在留有余量时能恢复的范围，被它遮住的模块不绘制。 */
+export class QRCode extends SingleChildComponent {
+  text: string;
+  mode: QRCodeMode;
+  ecLevel: QRCodeEcLevel;
+  version?: number;
+  mask?: number;
+  /** 符号的边长（px），包含静区。默认每个模块 4px。 */
+  size?: number;
+  /** 符号四周浅色边距的宽度，以模块为单位。 */
+  quietZone: number;
+  /** 深色模块的颜色。 */
+  color: Color;
+  /** 浅色模块和静区的颜色。为 `null` 时保持透明。 */
+  backgroundColor: Color | null;
+  /** 模块的圆角半径，以模块尺寸的比例表示，从 0（方形）到 0.5（圆点）。 */
+  moduleRadius: number;
+  /** 编码得到的符号，文本或编码选项改变时重新计算。 */
+  readonly code: ReturnType<typeof encodeQRCode>;
+
+  constructor(options: { text: string = ''; mode?: QRCodeMode = 'auto'; ecLevel?: QRCodeEcLevel = 'M'; version?: number; mask?: number; size?: number; quietZone?: number = 4; color?: Color = 'black'; backgroundColor?: Color | null = 'white'; moduleRadius?: number = 0; }, logo?: CanvasComponent);
+  static new(options: { text: string = ''; mode?: QRCodeMode = 'auto'; ecLevel?: QRCodeEcLevel = 'M'; version?: number; mask?: number; size?: number; quietZone?: number = 4; color?: Color = 'black'; backgroundColor?: Color | null = 'white'; moduleRadius?: number = 0; }, logo?: CanvasComponent): QRCode;
+}
+
+/** `Barcode` 的码制。`'code128'` 可以编码任意 ASCII 文本，会在 A、B、C 三个字符集之间切换以缩短条码。
+ * `'ean13'`、`'ean8'` 和 `'upca'` 分别编码 12、7 和 11 位数字及其后的校验位：省略校验位时自动补上，给出时会进行校验。 */
+type BarcodeFormat = 'code128' | 'ean13' | 'ean8' | 'upca';
+
+/** 将数据编码为一维条码。对码制无法编码的数据抛出注明码制的错误，例如 Code 128 中的非 ASCII 字符、位数不对或校验位错误。
+ * `modules[i]` 为 `true` 表示条模块。保护条模块（`guards[i]`）会延伸到文字行中。`text` 列出可读文字的各组，每组以距条码起点 `x` 个模块处为中心。 */
+declare function encodeBarcode(data: string, options?: { format?: BarcodeFormat = 'code128'; }): {
+  format: BarcodeFormat;
+  modules: boolean[];
+  guards: boolean[];
+  text: { text: string; x: number; }[];
+};
+
+/** 一维条码。每个模块宽 `moduleWidth` px；省略时取约束允许的宽度内能容纳的最大整数像素（宽度不限时每个模块 2px）。多余的宽度使条码居中。
+ * 条的边缘对齐到整像素。开启 `showText` 时，可读文字印在条的下方，EAN 和 UPC 的保护条会延伸到文字中。 */
+export class Barcode extends CanvasComponent {
+  data: string;
+  format: BarcodeFormat;
+  /** 模块宽度（px）。 */
+  moduleWidth?: number;
+  /** 条的高度（px），不含文字。 */
+  barHeight: number;
+  /** 两端浅色边距的宽度，以模块为单位。EAN-13 和 UPC-A 的首位数字印在其中。 */
+  quietZone: number;
+  showText: boolean;
+  textSize: number;
+  fontFamily: Font['fontFamily'];
+  color: Color;
+  /** 为 `null` 时背景透明。 */
+  backgroundColor: Color | null;
+  /** 编码得到的符号，`data` 或 `format` 改变时重新计算。 */
+  readonly code: ReturnType<typeof encodeBarcode>;
+
+  constructor(options: { data: string = ''; format?: BarcodeFormat = 'code128'; moduleWidth?: number; barHeight?: number = 50; quietZone?: number = 10; showText?: boolean = true; textSize?: number = 12; fontFamily?: Font['fontFamily'] = 'monospace'; color?: Color = 'black'; backgroundColor?: Color | null = 'white'; });
+  static new(options: { data: string = ''; format?: BarcodeFormat = 'code128'; moduleWidth?: number; barHeight?: number = 50; quietZone?: number = 10; showText?: boolean = true; textSize?: number = 12; fontFamily?: Font['fontFamily'] = 'monospace'; color?: Color = 'black'; backgroundColor?: Color | null = 'white'; }): Barcode;
+}
+
+/** `Table` 列的宽度：px 数值，`'auto'` 表示该列中最宽单元格的自然宽度，或者类似 `'1fr'` 的份数，表示分得其他列剩下的宽度中的一份（类似于 CSS grid）。 */
+type TableColumnWidth = number | 'auto' | `${number}fr`;
+
+/** `Table` 边框和网格线的线条样式，与描边的 `Rect` 相同。 */
+interface TableStroke {
+  lineWidth?: number = 1;
+  color?: Color = 'black';
+}
+
+/** 单元格内边距：每一边相同的距离，或者每一边分别指定的距离。 */
+type CellPadding = number | { left?: number; right?: number; top?: number; bottom?: number; };
+
+/** 表格组件。将包含 `TableCell` 的 `TableRow` 排列成网格，适用于价目表、收据和规格表。
+ * 每一行的高度是该行最高的单元格的高度，文字会先按照单元格的宽度换行再测量。跨越多行的单元格如果比这些行更高，会增加其中最后一行的高度。
+ * 边框和网格线绘制在单元格的边上，不占用空间。 */
+export class Table extends MultiChildComponent {
+  children: TableRow[];
+  /** 每一列的宽度。单元格多于该数组的行会添加宽度为 `'auto'` 的列，因此列数为最宽的行的列数。 */
+  columns: TableColumnWidth[];
+  /** 单元格的默认内边距。 */
+  cellPadding: CellPadding;
+  /** 单元格内容的默认横向对齐方式。 */
+  alignment: 'left' | 'center' | 'right';
+  /** 单元格内容的默认纵向对齐方式。 */
+  verticalAlignment: 'top' | 'center' | 'bottom';
+  /** 外边框。为 `null` 时不绘制。 */
+  border: TableStroke | null;
+  /** 单元格之间的线。为 `null` 时不绘制。 */
+  gridlines: TableStroke | null;
+
+  constructor(
+    options: {
+      columns?: TableColumnWidth[] = [];
+      cellPadding?: CellPadding = 0;
+      alignment?: Table['alignment'] = 'left';
+      verticalAlignment?: Table['verticalAlignment'] = 'top';
+      border?: TableStroke | null;
+      gridlines?: TableStroke | null;
+    },
+    ...rows: TableRow[]
+  );
+  static new(
+    options: {
+      columns?: TableColumnWidth[] = [];
+      cellPadding?: CellPadding = 0;
+      alignment?: Table['alignment'] = 'left';
+      verticalAlignment?: Table['verticalAlignment'] = 'top';
+      border?: TableStroke | null;
+      gridlines?: TableStroke | null;
+    },
+    ...rows: TableRow[]
+  ): Table;
+}
+
+/** `Table` 的一行。不是 `TableCell` 的子组件会被包裹在使用默认选项的 `TableCell` 中。 */
+export class TableRow extends MultiChildComponent {
+  children: TableCell[];
+  /** 行的背景。 */
+  backgroundColor?: Color;
+
+  constructor(options: { backgroundColor?: Color; }, ...cells: CanvasComponent[]);
+  static new(options: { backgroundColor?: Color; }, ...cells: CanvasComponent[]): TableRow;
+}
+
+/** `Table` 的单元格。留空的选项使用表格的默认值。 */
+export class TableCell extends SingleChildComponent {
+  /** 单元格跨越的列数。 */
+  colSpan: number;
+  /** 单元格跨越的行数。 */
+  rowSpan: number;
+  alignment?: Table['alignment'];
+  verticalAlignment?: Table['verticalAlignment'];
+  padding?: CellPadding;
+  backgroundColor?: Color;
+  /** 单元格所在的表格。 */
+  table?: Table;
+
+  constructor(options: { colSpan?: number = 1; rowSpan?: number = 1; alignment?: Table['alignment']; verticalAlignment?: Table['verticalAlignment']; padding?: CellPadding; backgroundColor?: Color; }, child?: CanvasComponent);
+  static new(options: { colSpan?: number = 1; rowSpan?: number = 1; alignment?: Table['alignment']; verticalAlignment?: Table['verticalAlignment']; padding?: CellPadding; backgroundColor?: Color; }, child?: CanvasComponent): TableCell;
+}
+
+/** 允许设置为组件的颜色的类型。也可以使用 CSS 的 `linear-gradient(...)`、`radial-gradient(...)` 或 `conic-gradient(...)` 字符串，见 `parseGradient`。 */
 export type Color = CanvasRenderingContext2D['fillStyle'] | CustomCanvasColor;
 
-/** 一些便于使用的，可以转化为普通 canvas 颜色的颜色类。 */
+/** 一些便于使用的，可以转化为普通 canvas 颜色的颜色类。
+ * 内置组件调用 `toCanvasColor` 时，`di` 中是被绘制组件的盒子（`x`、`y`、`contentWidth`、`contentHeight`），因此渐变和图案覆盖的是该组件，而不是它的父组件。 */
 interface CustomCanvasColor {
   toCanvasColor<T extends CanvasRenderingContext2D['fillStyle']>(di: DrawInstance, ctx: CanvasRenderingContext2D): T;
 }
 
-/** 使子元素占满整个可绘制区域的宽度。 */
+/** 通过固定的宽度约束，使子元素占满整个可绘制区域的宽度。宽度不限时没有效果。 */
 declare const Expand: (child: CanvasComponent) => SingleChildCustomComponent;
 
+/** 渐变的颜色断点。`offset` 沿渐变从 0 到 1。 */
+interface ColorStop {
+  offset: number;
+  color: string;
+}
+
 /** 快速创建线性渐变，使用类似于 CSS `linear-gradient` 函数的语法，并可转换为 `CanvasGradient`。需要在赋值给 `fillStyle` 或 `strokeStyle` 前调用 `toCanvasColor` 转换。 */
 export class LinearGradient implements CustomCanvasColor {
-  /** 线性渐变的方向。 */
-  direction: 'up' | 'down' | 'left' | 'right';
-  colorStops: { offset: number; color: string; }[];
+  /** 线性渐变的方向：某一边，某一角（类似 CSS 的 `to top right`，此时经过中心的渐变线取决于盒子的形状），
+   * 或者与 CSS 相同的角度，数值表示度数，字符串如 `'135deg'`、`'0.25turn'`、`'1rad'` 或 `'100grad'`。`0` 指向上方，角度按顺时针方向增加。 */
+  direction: 'up' | 'down' | 'left' | 'right' | 'upLeft' | 'upRight' | 'downLeft' | 'downRight' | number | string;
+  colorStops: ColorStop[];
 
-  constructor(direction: LinearGradient['direction'] = 'up', ...colorStops: LinearGradient['colorStops']);
+  constructor(direction: LinearGradient['direction'] = 'up', ...colorStops: ColorStop[]);
 
   toCanvasColor(di: DrawInstance, ctx: CanvasRenderingContext2D): CanvasGradient;
 }
 
-/** 将一个 `Color` （不仅仅是 `CustomCanvasColor`）对象转换为 Canvas 可接受的颜色值。 */
-declare function toCanvasColor(di: DrawInstance, ctx: CanvasRenderingContext2D, color: Color): CanvasRenderingContext2D['fillStyle'];
\ No newline at end of file
+/** 径向渐变，类似 CSS 的 `radial-gradient` 函数。由于 canvas 没有椭圆渐变，渐变总是圆形的。 */
+export class RadialGradient implements CustomCanvasColor {
+  /** 圆心，以盒子宽度和高度的比例表示。 */
+  center: { x: number; y: number; };
+  /** 半径（px），或者从圆心到盒子最近或最远的边或角的距离。 */
+  radius: number | 'closestSide' | 'closestCorner' | 'farthestSide' | 'farthestCorner';
+  colorStops: ColorStop[];
+
+  constructor(options: { center?: { x: number; y: number; } = { x: 0.5, y: 0.5 }; radius?: RadialGradient['radius'] = 'farthestCorner'; }, ...colorStops: ColorStop[]);
+
+  toCanvasColor(di: DrawInstance, ctx: CanvasRenderingContext2D): CanvasGradient;
+}
+
+/** 锥形渐变，类似 CSS 的 `conic-gradient` 函数：颜色围绕中心按顺时针方向变化。在不支持 `createConicGradient` 的 canvas 上绘制时抛出错误。 */
+export class ConicGradient implements CustomCanvasColor {
+  /** 渐变开始的角度，数值表示度数，也可以是 `'90deg'` 这样的字符串。`0` 指向上方。 */
+  from: number | string;
+  /** 中心，以盒子宽度和高度的比例表示。 */
+  center: { x: number; y: number; };
+  colorStops: ColorStop[];
+
+  constructor(options: { from?: number | string = 0; center?: { x: number; y: number; } = { x: 0.5, y: 0.5 }; }, ...colorStops: ColorStop[]);
+
+  toCanvasColor(di: DrawInstance, ctx: CanvasRenderingContext2D): CanvasGradient;
+}
+
+/** 将 CSS 的 `linear-gradient(...)`、`radial-gradient(...)` 或 `conic-gradient(...)` 字符串解析为 `LinearGradient`、`RadialGradient` 或 `ConicGradient`。
+ * 断点位置使用百分比（锥形渐变也可以使用角度）。与 CSS 相同，缺少的位置会均匀分布。只有径向渐变的半径支持 px 长度，并且不支持 `red, 30%, blue` 这样的颜色过渡提示。
+ * 无法解析时抛出错误。`toCanvasColor` 会自行解析这样的字符串，因此可以直接作为 `Color` 使用。 */
+declare function parseGradient(text: string): LinearGradient | RadialGradient | ConicGradient;
+
+/** 创建指定大小的离屏 canvas，用于渲染 `PatternFill` 的组件。 */
+type CanvasFactory = (width: number, height: number) => { getContext(type: '2d'): CanvasRenderingContext2D; };
+
+/** 替换默认的 canvas 工厂函数，默认使用 `OffscreenCanvas` 或 `document.createElement('canvas')`。
+ * 在小程序中，传入基于 `wx.createOffscreenCanvas({ type: '2d', width, height })` 的函数。 */
+declare function setCanvasFactory(factory: CanvasFactory): void;
+
+/** 使用重复的图片，或者渲染到离屏 canvas 上的组件进行填充。图块从被绘制盒子的左上角开始。
+ * 组件只布局一次，之后只在发生变化时重新绘制。组件中的图片不会被组件树的 `prepare` 加载，需要对该组件本身调用 `prepare`。
+ * 无法通过 `toJSON` 保存。 */
+export class PatternFill implements CustomCanvasColor {
+  source: CanvasImageSource | CanvasComponent;
+  repetition: 'repeat' | 'repeat-x' | 'repeat-y' | 'no-repeat';
+  /** 图块的缩放比例。 */
+  scale: number;
+  offsetX: number;
+  offsetY: number;
+  /** 组件图块的宽度。默认为组件的宽度。 */
+  width?: number;
+  /** 组件图块的高度。默认为组件的高度。 */
+  height?: number;
+
+  constructor(
+    source: CanvasImageSource | CanvasComponent,
+    options?: { repetition?: PatternFill['repetition'] = 'repeat'; scale?: number = 1; offsetX?: number = 0; offsetY?: number = 0; width?: number; height?: number; },
+  );
+
+  toCanvasColor(di: DrawInstance, ctx: CanvasRenderingContext2D): CanvasPattern;
+}
+
+/** 将一个 `Color` （不仅仅是 `CustomCanvasColor`）对象转换为 Canvas 可接受的颜色值。`di.theme` 的颜色标记（参见 `ThemeData['colors']`）会先被替换为对应颜色。 */
+declare function toCanvasColor(di: DrawInstance, ctx: CanvasRenderingContext2D, color: Color): CanvasRenderingContext2D['fillStyle'];
+/** 为 `RecordingContext` 测量一段文字的宽度。`font` 是上下文当前的 CSS 字体字符串，例如 `'bold 12px sans-serif'`。
+ * 返回宽度，或者一个部分的 `TextMetrics` 对象。 */
+type TextMetricsFunction = (text: string, font: string) => number | Partial<TextMetrics> & { width: number };
+
+/** 确定性的文字尺寸：每个宽字符（中日韩文字、全角字符、emoji）占 `size` px，其他字符占 `0.6 * size` px。`RecordingContext` 默认使用它。
+ * 它与任何真实字体都不一致，因此用它排版的文字与在 canvas 上的换行不同。 */
+declare function monospaceTextMetrics(text: string, font: string): number;
+
+/** 将 CSS 字体字符串（`ctx.font` 的格式）拆分成各个部分。无法识别的字符串视为 `10px sans-serif`。 */
+declare function parseCanvasFont(font: string): { style: string; weight: string; size: number; family: string; };
+
+/** `RecordingContext` 记录的一次调用。 */
+interface RecordedCall {
+  /** `CanvasRenderingContext2D` 的方法名。 */
+  method: string;
+  /** 组件传入的原始参数。坐标位于当前变换的空间中，需经 `transform` 映射才得到画布坐标。 */
+  args: any[];
+  /** 当前的变换矩阵 `[a, b, c, d, e, f]`，仅在不是单位矩阵时存在。 */
+  transform?: [number, number, number, number, number, number];
+  /** 绘制类调用（`fill`、`stroke`、`fillRect`、`strokeRect`、`fillText`、`strokeText`、`drawImage`、`clearRect`）生效的样式。
+   * 包含与该调用相关的属性，以及与默认值不同的合成和阴影属性。 */
+  style?: Record<string, any>;
+}
+
+/** 由 `RecordingContext` 创建的渐变。保留了颜色断点，可以被序列化，也可以在真实的上下文中重新创建。 */
+export class RecordingGradient {
+  type: 'linear' | 'radial' | 'conic';
+  args: number[];
+  colorStops: { offset: number; color: string; }[];
+
+  addColorStop(offset: number, color: string): void;
+  /** 在真实的上下文中创建相同的渐变。 */
+  toCanvasGradient(ctx: CanvasRenderingContext2D): CanvasGradient;
+}
+
+/** 由 `RecordingContext` 创建的图案。 */
+export class RecordingPattern {
+  type: 'pattern';
+  args: [CanvasImageSource, string | null];
+
+  setTransform(transform?: DOMMatrix2DInit): void;
+  /** 在真实的上下文中创建相同的图案。 */
+  toCanvasPattern(ctx: CanvasRenderingContext2D): CanvasPattern | null;
+}
+
+/** 不进行任何绘制、而是记录每一次调用的 2D 上下文，使组件可以在没有浏览器的环境中测量和绘制（例如 Node 或快照测试）。
+ * 实现了组件用到的 `CanvasRenderingContext2D` 子集：状态（`save`、`restore`、变换、样式）、路径（`moveTo`、`arc`、`roundRect` 等）、`clip`、绘制（`fill`、`fillText`、`drawImage` 等）、渐变、图案和 `measureText`。
+ * 文字使用传入的 `textMetrics` 函数测量，因此文字换行和省略号在任何机器上都得到相同的结果。
+ * 默认的 `monospaceTextMetrics` 用于快照测试；需要与 canvas 上的排版一致时，请传入基于真实上下文的函数。
+ * 记录可以在之后回放到真实的上下文上。 */
+export class RecordingContext {
+  /** 虚拟画布的宽度。 */
+  width: number;
+  /** 虚拟画布的高度。 */
+  height: number;
+  /** 按顺序记录的调用。 */
+  log: RecordedCall[];
+  /** `measureText` 被调用的次数。 */
+  measureTextCount: number;
+
+  constructor(options?: { width?: number = 300; height?: number = 150; textMetrics?: TextMetricsFunction = monospaceTextMetrics; });
+  static new(options?: { width?: number = 300; height?: number = 150; textMetrics?: TextMetricsFunction = monospaceTextMetrics; }): RecordingContext;
+
+  /** 包含虚拟画布宽度和高度的对象，类似于 `ctx.canvas`。 */
+  readonly canvas: { width: number; height: number; };
+
+  measureText(text: string): TextMetrics;
+  createLinearGradient(x0: number, y0: number, x1: number, y1: number): RecordingGradient;
+  createRadialGradient(x0: number, y0: number, r0: number, x1: number, y1: number, r1: number): RecordingGradient;
+  createConicGradient(startAngle: number, x: number, y: number): RecordingGradient;
+  createPattern(image: CanvasImageSource, repetition: string | null): RecordingPattern;
+
+  /** 清空记录并重置状态。 */
+  clear(): void;
+  /** 在另一个上下文（通常是真实的 `CanvasRenderingContext2D`）上执行记录的调用。记录的渐变和图案会在该上下文上重新创建。 */
+  replay(ctx: CanvasRenderingContext2D): void;
+  /** 记录的可序列化形式。渐变和图案转换为普通对象，图片转换为 `{ image, width, height }`。适用于快照测试。 */
+  toJSON(): RecordedCall[];
+}
+
+/** 将 `RecordingContext` 记录的调用转换为 SVG 文档。
+ * 矩形和圆角矩形转换为 `<rect>`（带 `rx`），整圆转换为 `<circle>`，其他路径转换为 `<path>`，
+ * 文字转换为 `<text>`，剪切转换为 `<clipPath>`，线性渐变和径向渐变转换为 `<linearGradient>` 和 `<radialGradient>`，图片转换为 `<image>`。
+ * SVG 无法表示锥形渐变，因此锥形渐变使用其第一个颜色断点的颜色绘制。阴影转换为 CSS `drop-shadow` 滤镜。 */
+declare function recordingToSVG(recording: RecordingContext): string;
+
+/** 绘制组件树并以 SVG 文档的形式返回，在任何分辨率下都保持清晰（例如用于印刷）。
+ * `width` 和 `height` 默认为组件测量得到的尺寸。如果高度仍然未知，会先用给定的宽度测量组件。
+ * 文字使用必须传入的 `textMetrics` 测量：传入基于真实上下文的函数，例如 `(text, font) => { ctx.font = font; return ctx.measureText(text); }`，可以与 canvas 的换行结果一致；
+ * 传入 `monospaceTextMetrics` 则在任何机器上都得到相同的输出。
+ * 遇到 SVG 无法表示的锥形渐变时抛出错误。 */
+declare function toSVG(component: CanvasComponent, options: { width?: number; height?: number; textMetrics: TextMetricsFunction; }): string;
+
+/** JSON 场景格式中的一个节点。`type` 是已注册的组件类型名。其他属性为组件的选项（与构造函数中的名称相同），以及：
+ * - `id`：通过 `ofId` 赋值；
+ * - `child`：单子组件的子节点；
+ * - `children`：多子组件的子节点；
+ * - `content`：`Text` 的文字。与其他文本选项一样，也接受数字；
+ * - `spans`：`RichText` 的 span。span 可以是字符串，`TextSpan` 对象（例如 `{ "text": "特价", "color": "red", "spans": [...] }`），
+ *   或 `WidgetSpan` 对象（例如 `{ "widget": { "type": "Rect" }, "alignment": "middle" }`）；
+ * - `src`：`CanvasImage` 的图片，通过 `fromJSON` 的 `images` 选项解析，找不到时作为 URL 保留，由 `prepare` 加载；
+ * - `placeholder`、`fallback`：`CanvasImage` 的占位组件和加载失败时显示的组件；
+ * - `backgroundImage`：`DecoratedBox` 和 `Container` 的背景图节点。
+ *
+ * 颜色可以是 CSS 颜色字符串（包括 CSS 渐变字符串），也可以是渐变对象，例如 `{ "type": "LinearGradient", "direction": "right", "colorStops": [{ "offset": 0, "color": "#fff" }] }`、
+ * `{ "type": "RadialGradient", "center": { "x": 0.5, "y": 0.5 }, "radius": "closestSide", "colorStops": [...] }` 或 `{ "type": "ConicGradient", "from": 90, "colorStops": [...] }`。`PatternFill` 无法保存。
+ *
+ * 内置类型：`Canvas`、`Theme`、`Stack`、`Positional`、`Column`、`Row`、`ScrollView`、`Flexible`、`Expanded`、`Padding`、`SizedBox`、`ConstrainedBox`、`AspectRatio`、`FractionallySizedBox`、`Align`、`Center`、`Text`、`RichText`、`CanvasImage`、`Rect`、`Outlined`、`DecoratedBox`、`Container`、`Path`、`Line`、`Polyline`、`Polygon`、`Ellipse`、`Arrow`、`Divider`、`QRCode`、`Barcode`、`Table`、`TableRow`、`TableCell`、`CircleShaped`、`RectangleShaped`、`ClipRect`、`Transform`、`Opacity`、`BlendMode`、`Expand`。
+ * `ListView` 的列表项来自函数，因此无法保存。 */
+interface SceneNode {
+  type: string;
+  id?: string;
+  child?: SceneNode;
+  children?: SceneNode[];
+  [option: string]: any;
+}
+
+/** JSON 场景不合法，或者组件树无法序列化时抛出。 */
+export class SceneError extends Error {
+  /** 出错的节点或属性的 JSON 路径，例如 `$.child.children[2].size`。 */
+  path: string;
+}
+
+/** 描述组件在 JSON 场景格式中的一个选项。序列化时会省略等于 `defaultValue` 的值。 */
+interface SceneField {
+  type: 'number' | 'string' | 'boolean' | 'color' | 'oneOf' | 'numbers';
+  values?: string[];
+  defaultValue?: any;
+}
+
+/** `SceneField` 的工厂函数。`nullable` 的颜色字段也接受 `null`，例如表示“不填充”。 */
+declare const sceneField: {
+  number(defaultValue?: number): SceneField;
+  string(defaultValue?: string): SceneField;
+  boolean(defaultValue?: boolean): SceneField;
+  color(defaultValue?: Color, nullable?: boolean = false): SceneField;
+  oneOf(values: string[], defaultValue?: string): SceneField;
+  numbers(defaultValue?: number[]): SceneField;
+};
+
+/** 传给组件类型 `fromJSON` 的辅助对象。每个方法都会校验输入，并抛出带有 JSON 路径的 `SceneError`。 */
+interface SceneReader {
+  node: SceneNode;
+  path: string;
+  /** 为节点或其某个属性创建 `SceneError`。 */
+  error(key: string | null, message: string): SceneError;
+  /** 读取单个属性。 */
+  value(key: string, field: SceneField): any;
+  /** 将给定的属性读取为选项对象。既不在此列出、也不在 `extraKeys` 中，且不是 `type`、`id`、`child`、`children` 之一的属性会被拒绝。 */
+  fields(fields: Record<string, SceneField>, extraKeys?: string[]): Record<string, any>;
+  /** 构建子节点。 */
+  child(key?: string = 'child'): CanvasComponent | undefined;
+  /** 构建所有子节点。 */
+  children(key?: string = 'children'): CanvasComponent[];
+  /** 解析图片来源。 */
+  image(key?: string = 'src'): CanvasImageSource;
+}
+
+/** 传给组件类型 `toJSON` 的辅助对象。 */
+interface SceneWriter {
+  component: CanvasComponent;
+  path: string;
+  error(key: string | null, message: string): SceneError;
+  /** 写出 `values`（默认为组件本身）中给定的属性，省略 `undefined` 和默认值。 */
+  fields(fields: Record<string, SceneField>, values?: object): Record<string, any>;
+  /** `{ child: node }`，没有子组件时为 `{}`。 */
+  child(child?: CanvasComponent, key?: string = 'child'): Record<string, SceneNode>;
+  /** `{ children: nodes }`。 */
+  children(children?: CanvasComponent[], key?: string = 'children'): Record<string, SceneNode[]>;
+  /** `{ src: source }`。 */
+  image(img: CanvasImageSource, key?: string = 'src'): Record<string, string>;
+}
+
+/** 为 JSON 场景格式注册组件类型。注册已存在的类型会替换原有类型。
+ * 序列化时，组件属于 `match` 返回 `true` 的类型；默认检查组件的构造函数是否为 `component`。 */
+declare function registerComponent(type: string, definition: {
+  component?: Function;
+  match?: (component: CanvasComponent) => boolean;
+  fromJSON(node: SceneNode, scene: SceneReader): CanvasComponent;
+  toJSON(component: CanvasComponent, scene: SceneWriter): Omit<SceneNode, 'type'>;
+}): void;
+
+/** 从 JSON 场景（对象或 JSON 字符串）构建组件树。`images` 将 `CanvasImage` 节点的 `src` 映射为已加载的图片，其中找不到的 `src` 作为 URL 保留。输入不合法时抛出 `SceneError`。 */
+declare function fromJSON(json: SceneNode | string, options?: { images?: Record<string, CanvasImageSource> | ((src: string) => CanvasImageSource | undefined); }): CanvasComponent;
+
+/** 将组件树序列化为 JSON 场景。`imageSource` 给出图片的 `src`，默认为 `img.src`。遇到没有注册类型的组件（例如 `CustomComponent`）时抛出 `SceneError`。 */
+declare function toJSON(component: CanvasComponent, options?: { imageSource?: (img: CanvasImageSource) => string | undefined; }): SceneNode;
+
+/** 将模板与数据对象绑定，返回可交给 `fromJSON` 的普通 JSON 场景。模板是带占位符的 `SceneNode`（或 JSON 字符串）：
+ * - 任意字符串中的 `{{path}}` 会替换为 `data` 中 `path` 处的值，例如 `"{{product.name}}"` 或 `"Tag: {{product.tags[0]}}"`。缺失的值替换为空字符串。
+ *   仅由一个占位符组成的字符串保持值的类型，因此 `"size": "{{style.size}}"` 得到数字；而绑定到文本选项的数字（例如 `"content": "{{product.price}}"`）会转换为文本。值缺失的属性会被删去，使用其默认值；
+ * - `visible`：`visible` 为假值的节点或文本片段会被移除；
+ * - `{ "type": "If", "test": "{{product.sale}}", "child": {...}, "else": {...} }` 在 `test` 为真值时替换为 `child`，否则替换为 `else`，该分支省略时则被移除；
+ * - `{ "type": "Repeat", "items": "{{product.tags}}", "as": "tag", "index": "i", "child": {...} }` 对每一项生成一份 `child`（或 `children` 中每个节点）的副本，项与其下标可通过 `{{tag}}` 和 `{{i}}` 引用。
+ *   `as` 和 `index` 默认为 `item` 和 `index`。`Repeat` 只能出现在数组中，例如 `Column` 和 `Row` 的 `children`。
+ *
+ * `items` 不是数组，或模板绑定后什么都不剩时抛出 `SceneError`。 */
+declare function bindTemplate(template: SceneNode | string, data: any): SceneNode;
+
+/** 等同于 `fromJSON(bindTemplate(template, data), options)`。 */
+declare function fromTemplate(template: SceneNode | string, data: any, options?: { images?: Record<string, CanvasImageSource> | ((src: string) => CanvasImageSource | undefined); }): CanvasComponent;
+
+interface BatchRenderOptions extends PrepareOptions {
+  /** 依次绘制每条记录的上下文，默认为 `RecordingContext`。 */
+  context?: CanvasRenderingContext2D | RecordingContext;
+  /** 输出的宽度，默认为画布的宽度。 */
+  width?: number;
+  /** 输出的高度。默认将画布调整为每条记录的高度。 */
+  height?: number;
+  /** 传给 `fromJSON`。 */
+  images?: Record<string, CanvasImageSource> | ((src: string) => CanvasImageSource | undefined);
+  /** 每条记录绘制完成后、上下文仍保留其内容时调用，例如用于导出画布。返回值保存为 `output`。 */
+  onRender?: (render: { index: number; record: any; component: CanvasComponent; context: CanvasRenderingContext2D | RecordingContext; width: number; height: number; }) => any;
+}
+
+interface BatchRenderResult {
+  index: number;
+  record: any;
+  width?: number;
+  height?: number;
+  /** 加载失败的图片，参见 `prepare`。 */
+  failedImages?: CanvasImage[];
+  output?: any;
+  /** 绑定、加载、绘制或 `onRender` 中抛出的错误。 */
+  error?: Error;
+}
+
+/** 将模板与每条记录绑定（参见 `bindTemplate`），然后加载、布局并绘制，每条绘制完成后调用 `onRender`。所有记录依次绘制在同一个上下文上，
+ * 因此整批记录复用文本测量结果和已加载的图片。出错的记录会在结果中带有 `error`，不会中断整批。 */
+declare function renderBatch(template: SceneNode | string, records: Iterable<any>, options?: BatchRenderOptions): Promise<BatchRenderResult[]>;
+
+type PointerEventType = 'tap' | 'pointerDown' | 'pointerMove';
+
+/** 传给指针事件处理函数的事件。 */
+interface CanvasPointerEvent {
+  type: PointerEventType;
+  /** 画布坐标中的位置。 */
+  x: number;
+  y: number;
+  /** 指针下的组件，从根组件到目标组件。 */
+  path: CanvasComponent[];
+  /** 指针下最顶层的组件。 */
+  target?: CanvasComponent;
+  /** 正在执行处理函数的组件。 */
+  currentTarget?: CanvasComponent;
+  /** 引起该事件的 DOM 或小程序事件（如果有）。 */
+  nativeEvent?: any;
+  stopped: boolean;
+  /** 不再调用其余祖先组件的处理函数。 */
+  stopPropagation(): void;
+}
+
+/** 指针事件处理函数。`this` 为注册该处理函数的组件。 */
+type PointerEventHandler = (this: CanvasComponent, event: CanvasPointerEvent) => void;
+
+/** 将指针输入分发给已绘制组件树中各组件的处理函数。事件先交给被命中的组件，再向上冒泡到其祖先组件。
+ * 点击是指针按下后抬起，且期间指针移动的距离始终不超过 `tapSlop`。
+ * 在浏览器中调用 `attach(canvas)`。在小程序中，从 canvas 的触摸事件处理函数中调用 `touchStart`、`touchMove`、`touchEnd` 和 `touchCancel`。 */
+export class PointerDispatcher {
+  root: CanvasComponent;
+  /** 点击时指针允许移动的最大距离（px）。 */
+  tapSlop: number;
+
+  constructor(root: CanvasComponent, options?: { tapSlop?: number = 10; });
+  static new(root: CanvasComponent, options?: { tapSlop?: number = 10; }): PointerDispatcher;
+
+  /** 在某一点（画布坐标）分发事件并返回该事件。 */
+  dispatch(type: PointerEventType, x: number, y: number, nativeEvent?: any): CanvasPointerEvent;
+  pointerDown(x: number, y: number, nativeEvent?: any): CanvasPointerEvent;
+  pointerMove(x: number, y: number, nativeEvent?: any): CanvasPointerEvent;
+  /** 如果指针是在附近按下的，则分发点击事件。 */
+  pointerUp(x: number, y: number, nativeEvent?: any): CanvasPointerEvent | undefined;
+  pointerCancel(): void;
+
+  /** 处理小程序 canvas 的触摸事件（使用触点的 `x` 和 `y`）。 */
+  touchStart(e: any): CanvasPointerEvent;
+  touchMove(e: any): CanvasPointerEvent;
+  touchEnd(e: any): CanvasPointerEvent | undefined;
+  touchCancel(): void;
+
+  /** 监听 canvas 元素的指针事件，并将位置转换为画布坐标，即使 canvas 被 CSS 缩放也能正确转换。返回移除监听的函数。 */
+  attach(canvas: HTMLCanvasElement): () => void;
+}
+
+/** 缓动函数，将动画的线性进度（0 到 1）映射为控制器的值。 */
+type Curve = (t: number) => number;
+
+/** 内置的缓动曲线，与 CSS 中同名的 timing function 一致。 */
+declare const Curves: {
+  linear: Curve;
+  ease: Curve;
+  easeIn: Curve;
+  easeOut: Curve;
+  easeInOut: Curve;
+  /** 根据 CSS `cubic-bezier()` 的控制点创建曲线。 */
+  cubicBezier(x1: number, y1: number, x2: number, y2: number): Curve;
+};
+
+/** 两个值之间的插值。数字按线性插值，对象（例如 `{ x, y }`）逐个键插值。 */
+export class Tween<T = any> {
+  from: T;
+  to: T;
+
+  constructor(from: T, to: T);
+  static new<T>(from: T, to: T): Tween<T>;
+
+  /** `t` 处的值，`0` 对应 `from`，`1` 对应 `to`。`theme` 用于解析 `ColorTween` 中的颜色标记；`AnimationController.animate` 会传入组件的主题。 */
+  at(t: number, theme?: ThemeData = defaultTheme): T;
+  /** 在两个值之间插值。可以重写该方法以支持其他类型的值。 */
+  lerp(from: T, to: T, t: number, theme?: ThemeData = defaultTheme): T;
+}
+
+/** 两个颜色（十六进制、`rgb()`、`rgba()`、`hsl()`、`hsla()`、CSS 颜色名或主题的颜色标记）之间的插值，结果为 `rgba()` 颜色。透明度按预乘处理，所以从 `'transparent'` 渐显时颜色不会变暗。
+ * 任意一端为带 `colorStops` 的渐变（如 `LinearGradient`）时，逐个对色标的位置和颜色插值，此时两端的色标数量必须相同。纯色视为只有该颜色的渐变。渐变的类型和几何参数（如方向）在中点切换。 */
+export class ColorTween extends Tween<string | LinearGradient | RadialGradient | ConicGradient> {
+  constructor(from: string | LinearGradient | RadialGradient | ConicGradient, to: string | LinearGradient | RadialGradient | ConicGradient);
+  static new(from: string | LinearGradient | RadialGradient | ConicGradient, to: string | LinearGradient | RadialGradient | ConicGradient): ColorTween;
+}
+
+/** 动画帧的来源。`requestFrame` 在下一帧之前调用一次 `callback`，并传入以毫秒为单位的时间戳。 */
+interface FrameScheduler {
+  requestFrame(callback: (time: number) => void): any;
+  cancelFrame(id: any): void;
+}
+
+/** 替换默认的帧调度器（使用 `requestAnimationFrame`）。在小程序中，可传入基于 `canvas.requestAnimationFrame` 的调度器。 */
+declare function setFrameScheduler(scheduler: FrameScheduler): void;
+
+/** 手动驱动的帧调度器，用于测试。只有调用 `advance` 时才会运行帧。 */
+export class ManualClock implements FrameScheduler {
+  /** 当前时间，单位为毫秒。 */
+  now: number;
+  /** 已请求但尚未运行的帧数。 */
+  readonly pendingFrames: number;
+
+  constructor(options?: { now?: number = 0; });
+  static new(options?: { now?: number = 0; }): ManualClock;
+
+  requestFrame(callback: (time: number) => void): number;
+  cancelFrame(id: number): void;
+  /** 将时间前进 `ms` 毫秒，并运行此前请求的帧。 */
+  advance(ms?: number = 1000 / 60): ManualClock;
+}
+
+/** 随时间把一个值从 0 驱动到 1，并在值变化时把补间应用到组件上。
+ * 控制器自身不请求帧：由 `Animator` 传入帧时间调用 `tick`，也可以手动调用。 */
+export class AnimationController {
+  /** 一次运行的时长，单位为毫秒。 */
+  duration: number;
+  /** `Curves` 中曲线的名称，或一个缓动函数。 */
+  curve: string | Curve;
+  /** 第一次运行之后再重复的次数。`Infinity` 表示无限重复。 */
+  repeat: number;
+  /** 是否每隔一次重复反向运行（从 1 到 0）。 */
+  reverse: boolean;
+  /** 当前值，即 `curve(progress)`。 */
+  value: number;
+  /** 当前这次运行的线性进度，从 0 到 1。 */
+  progress: number;
+  status: 'idle' | 'running' | 'completed';
+  readonly isRunning: boolean;
+
+  /** 时长或重复次数为负数、曲线名称未知时抛出错误。 */
+  constructor(options?: { duration?: number = 300; curve?: string | Curve = 'linear'; repeat?: number = 0; reverse?: boolean = false; });
+  static new(options?: { duration?: number = 300; curve?: string | Curve = 'linear'; repeat?: number = 0; reverse?: boolean = false; }): AnimationController;
+
+  /** 从头开始运行。下一次 `tick` 的时间作为开始时间。 */
+  start(): this;
+  /** 停在当前值。 */
+  stop(): this;
+  /** 停止并回到起始值。 */
+  reset(): this;
+  /** 根据时间 `time`（毫秒）更新值并通知监听函数。未运行时不做任何事。 */
+  tick(time: number): void;
+  /** 在值变化时调用 `listener`。返回移除该监听函数的函数。 */
+  addListener(listener: (value: number, controller: AnimationController) => void): () => void;
+  /** 在值变化时根据补间设置组件的属性。属性通过组件的 `set` 方法设置，因此组件会重新布局。
+   * `tweens` 可以是每个属性一个补间，如 `{ color: ColorTween.new('red', 'blue') }`；也可以是给出属性对象的单个补间，如用于 `Positional` 的 `Tween.new({ x: 0, y: 0 }, { x: 100, y: 40 })`。
+   * 属性会立即被设置为当前值。返回停止应用这些补间的函数。 */
+  animate(component: CanvasComponent, tweens: Tween<Record<string, any>> | Record<string, Tween>): () => void;
+}
+
+/** 动画组件树的帧循环。每一帧依次推进控制器、清空画布，然后重新布局并绘制组件树。布局只会重新访问被补间改变的组件。
+ * 只要有控制器在运行，循环就会继续请求帧。 */
+export class Animator {
+  component: CanvasComponent;
+  ctx: CanvasRenderingContext2D;
+  /** 画布的尺寸。默认取 `ctx.canvas` 的尺寸。 */
+  width: number;
+  height: number;
+  controllers: AnimationController[];
+  scheduler: FrameScheduler;
+  /** 每一帧之前是否清空画布。 */
+  clear: boolean;
+  /** 已渲染的帧数。 */
+  frames: number;
+  readonly isRunning: boolean;
+
+  /** 既没有给出画布尺寸、也无法从 `ctx` 获取时抛出错误。 */
+  constructor(component: CanvasComponent, options: { ctx: CanvasRenderingContext2D; width?: number; height?: number; controllers?: AnimationController[] = []; scheduler?: FrameScheduler; clear?: boolean = true; });
+  static new(component: CanvasComponent, options: { ctx: CanvasRenderingContext2D; width?: number; height?: number; controllers?: AnimationController[] = []; scheduler?: FrameScheduler; clear?: boolean = true; }): Animator;
+
+  /** 请求下一帧，已经请求过时不做任何事。 */
+  start(): this;
+  /** 取消已请求的帧。 */
+  stop(): this;
+  /** 按时间 `time` 渲染单独一帧，不会请求后续的帧。 */
+  renderFrame(time: number): void;
+}
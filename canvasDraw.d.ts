@@ -13,6 +13,25 @@ interface DrawInstance {
   x: number;
   /** The top margin of the drawable area (relative to the canvas). */
   y: number;
+  /** Size limits given by the parent. `contentWidth` always equals `constraints.maxWidth`, and `contentHeight` equals `constraints.maxHeight` when it is bounded.
+   * A draw instance without constraints (built by hand in old code) means up to `contentWidth` wide with an unbounded height. Use `getConstraints` to read it. */
+  constraints?: BoxConstraints;
+  /** Theme of the nearest `Theme` component above, used by `toCanvasColor` to resolve color tokens. `defaultTheme` when absent. */
+  theme?: ThemeData;
+}
+
+/** Outline drawn around the glyphs, beneath the fill. */
+interface TextStroke {
+  lineWidth?: number = 1;
+  color?: Color = 'black';
+}
+
+/** Shadow cast by the text, like the CSS `text-shadow`. `blur` is the blur radius in px. */
+interface TextShadow {
+  color?: Color = 'rgba(0, 0, 0, 0.5)';
+  offsetX?: number = 0;
+  offsetY?: number = 0;
+  blur?: number = 0;
 }
 
 /** Configuration of text font. */
@@ -20,22 +39,124 @@ interface Font {
   color?: Color;
   size?: number;
   weight?: string;
+  /** Font family, or a list of families tried in order, e.g. `['Brand Sans', 'PingFang SC', 'sans-serif']`. A string may also contain a comma-separated list.
+   * Names other than generic families (`serif`, `sans-serif`, `monospace`, ...) are quoted automatically. Defaults to `'sans-serif'`. */
+  fontFamily?: string | string[];
+  fontStyle?: 'normal' | 'italic' | 'oblique';
+  /** Extra space in px added after every character, like the CSS `letter-spacing`. Included in the measured width. */
+  letterSpacing?: number;
+  /** Extra space in px added to every space character, like the CSS `word-spacing`. Included in the measured width. */
+  wordSpacing?: number;
+  /** Line drawn over the text. */
+  decoration?: 'none' | 'underline' | 'lineThrough' | 'overline';
+  /** Color of the decoration line. Defaults to the text color. */
+  decorationColor?: Color;
+  /** Thickness of the decoration line in px. Defaults to 1/15 of the font size, and at least 1. */
+  decorationThickness?: number;
+  /** Outline of the text. */
+  stroke?: TextStroke;
+  /** Shadow of the text. When the text also has a `stroke`, only the stroke casts the shadow. */
+  shadow?: TextShadow;
 }
 
-/** Get a brand new drawable area from the width and the height of a canvas. */
+/** Get a brand new drawable area from the width and the height of a canvas. Its constraints are up to `canvasWidth` wide with an unbounded height, so the measured height of the tree can be used to resize the canvas. */
 declare function getDrawInstance(canvasWidth: number, canvasHeight: number): DrawInstance;
 
-/** Measure a piece of text using a specific font. */
+/** Minimum and maximum size a parent allows a child to take, like the box constraints of Flutter.
+ * During `measure`, every component receives constraints from its parent in `di.constraints`, passes constraints to its children, and picks a size inside its own constraints.
+ * The size of a component therefore only depends on its parent's constraints and its children, not on the order in which the components were constructed. */
+export class BoxConstraints {
+  minWidth: number;
+  /** `Infinity` means an unbounded width, as for the children of a `Row` that doesn't fit them to a width. */
+  maxWidth: number;
+  minHeight: number;
+  /** `Infinity` means an unbounded height, as for the children of a `Column`. */
+  maxHeight: number;
+
+  /** Throws when a minimum is negative or greater than its maximum. */
+  constructor(options?: { minWidth?: number = 0; maxWidth?: number = Infinity; minHeight?: number = 0; maxHeight?: number = Infinity; });
+  static new(options?: { minWidth?: number = 0; maxWidth?: number = Infinity; minHeight?: number = 0; maxHeight?: number = Infinity; }): BoxConstraints;
+
+  /** Constraints that only allow exactly the given size. */
+  static tight(width: number, height: number): BoxConstraints;
+  /** Constraints that allow any size up to the given size. */
+  static loose(width: number, height: number): BoxConstraints;
+
+  readonly hasBoundedWidth: boolean;
+  readonly hasBoundedHeight: boolean;
+  /** Whether only one size is allowed. */
+  readonly isTight: boolean;
+
+  /** The width closest to `width` (`0` if omitted) that the constraints allow. */
+  constrainWidth(width?: number): number;
+  /** The height closest to `height` (`0` if omitted) that the constraints allow. */
+  constrainHeight(height?: number): number;
+  /** Shrink the constraints by insets, as a padding does for its child. Never goes below zero. */
+  deflate(insets: { left?: number; right?: number; top?: number; bottom?: number; }): BoxConstraints;
+  /** Keep the maximums and drop the minimums. */
+  loosen(): BoxConstraints;
+  /** Only allow the given width and/or height, as close as the constraints allow. An omitted one stays as it is. */
+  tighten(size: { width?: number; height?: number; }): BoxConstraints;
+  /** Clamp these constraints into the given ones. */
+  enforce(constraints: BoxConstraints): BoxConstraints;
+  /** Whether both constraints allow exactly the same sizes. */
+  equals(other: BoxConstraints): boolean;
+}
+
+/** The constraints of a draw instance. See `DrawInstance.constraints`. */
+declare function getConstraints(di: DrawInstance): BoxConstraints;
+
+/** Copy a draw instance with new constraints, updating `contentWidth` and `contentHeight` to match. Use it to measure and draw the children of a custom component. */
+declare function withConstraints(di: DrawInstance, constraints: BoxConstraints): DrawInstance;
+
+/** Counters of the layout pass. Assign `0` to reset them. */
+declare const layoutStats: {
+  /** How many components have been laid out, i.e. had their `measure` method run. Components whose layout was reused are not counted. */
+  layouts: number;
+};
+
+/** Measure a piece of text using a specific font. The result comes from the text measure cache of `ctx` when the same text has been measured with the same font before.
+ * The returned object is shared with the cache and must not be modified. */
 declare function measureTextWithFont(ctx: CanvasRenderingContext2D, text: string, font: Font): TextMetrics;
 
+/** A least-recently-used cache of `measureText` results, keyed by the CSS font string and the text.
+ * Each context gets its own cache (see `getTextMeasureCache`), which lasts across `measure` and `draw` passes, so a component tree only measures every distinct string once. */
+export class TextMeasureCache {
+  /** Maximum number of cached results. The least recently used result is dropped first. `0` disables caching. */
+  capacity: number;
+  /** How many times `measureText` has actually been called. */
+  calls: number;
+  /** How many `measureText` calls were saved by answering from the cache. */
+  savedCalls: number;
+  /** Number of cached results. */
+  readonly size: number;
+
+  constructor(options?: { capacity?: number = 2000 });
+
+  static new(options?: { capacity?: number = 2000 }): TextMeasureCache;
+
+  /** Measure `text` in the font `fontString`, or return the cached result. `ctx.font` is restored afterwards. */
+  measure(ctx: CanvasRenderingContext2D, fontString: string, text: string): TextMetrics;
+  /** Drop every cached result and reset the counters. Call it after web fonts finish loading. */
+  clear(): void;
+}
+
+/** Get the text measure cache of a context, creating it on first use. */
+declare function getTextMeasureCache(ctx: CanvasRenderingContext2D): TextMeasureCache;
+
+/** Any object shared with a subtree, such as a locale, an image loader or style defaults. */
 interface Provider {
 }
 
-interface ProviderConstructor {
-  new(...arg: any[]): Provider;
+/** Class of a provider. Providers are found by their class, not by its name. */
+interface ProviderConstructor<T extends Provider = Provider> {
+  new(...arg: any[]): T;
 }
 
-declare function provide(component: CanvasComponent, providerConstructor: ProviderConstructor, ...args: any[]): void;
+/** Construct a provider with `args` and attach it to `component`, making it available to the component and all its descendants through `lookup`.
+ * A provider of the same class attached closer to a descendant shadows this one. Replacing a provider marks the whole subtree as needing layout.
+ * Returns the component, so that it can be used inline in a tree. Does nothing on values that are not components. */
+declare function provide<C extends CanvasComponent>(component: C, providerConstructor: ProviderConstructor, ...args: any[]): C;
 
 /** Base class of any component. */
 class CanvasComponent {
@@ -47,22 +168,69 @@ class CanvasComponent {
   height?: number;
   /** A self-defined name, used for debugging. */
   id?: string;
+  /** Distance from the top of the component to the baseline of its first line of text, used by `Row` with the `'baseline'` alignment.
+   * Components without text leave it `undefined`, which means their bottom edge. */
+  baseline?: number;
 
-  /** Dependencies injected by the parent component. */
-  providers: Record<string, ProviderConstructor>;
+  /** Providers attached to this component by `provide`, by their class. */
+  providers: Map<ProviderConstructor, Provider>;
+  /** Same as `provide(this, providerConstructor, ...args)`. */
+  provide(providerConstructor: ProviderConstructor, ...args: any[]): this;
+  /** Find the provider of the given class attached to this component or to its nearest ancestor that has one.
+   * Works in `init` (the parent sets `parent` before calling `init` of its children), `measure` and `draw`.
+   * Throws an error naming the provider class and the path of this component when there is none. */
+  lookup<T extends Provider>(providerConstructor: ProviderConstructor<T>): T;
+  /** Same as `lookup`, but returns `undefined` when there is no such provider. */
+  tryLookup<T extends Provider>(providerConstructor: ProviderConstructor<T>): T | undefined;
 
   /** An extra initialization process, invoked at the end of the invocation of the same method in the parent component.
    * Because of the evaluation order, child components are constructed before parent components, so this function can manage the states that are only properly initialized after the successful construction of a parent component.
    * The `init` method of the outmost component need to be called manually after the construction. */
   init(): void;
 
-  /** Measure the width and the height of this component. */
+  /** The parent component, set when the parent initializes or lays out this one. `undefined` for the root. */
+  parent?: CanvasComponent;
+  /** Position of the component relative to its parent, stored by the parent during layout. */
+  offset: { x: number; y: number; };
+
+  /** Measure the width and the height of this component, which must satisfy `di.constraints`, and position its children by setting their `offset`.
+   * Override it in a subclass, but lay out the children with their `layout` method so that their results can be reused. */
   measure(di: DrawInstance, ctx: CanvasRenderingContext2D): void;
-  /** Draw the component onto the canvas. */
+  /** Run `measure`, unless this component is not marked as needing layout and the constraints and the context are the same as last time, in which case the stored size and child offsets are kept.
+   * Either way, `layoutStats.layouts` only counts the components actually measured. */
+  layout(di: DrawInstance, ctx: CanvasRenderingContext2D): void;
+  /** Mark this component and its ancestors as needing layout, so that the next `layout` measures them again while their unchanged subtrees are reused.
+   * There is rarely a need to call it: a field assigned directly, like `text.content = 'new'`, is noticed when the root is laid out next and treated as if given to `set`, and so are children added to or removed from a `children` array.
+   * Call it after changing an object in place, like `padding.top = 4`. Loading a `CanvasImage` calls it by itself. */
+  markNeedsLayout(): void;
+  /** Assign properties to this component, mark it as needing layout, and return the component itself. An option taken from the theme stops following the theme once it is set. */
+  set(props: Partial<this>): this;
+  /** Lay the component out if needed (see `layout`), then paint it and its children at `di.x` and `di.y`, using the stored sizes and offsets without measuring again. */
   draw(di: DrawInstance, ctx: CanvasRenderingContext2D): void;
 
   /** Assign an id to this component and return the component itself. */
   ofId(id: string): CanvasComponent;
+
+  /** Where the component was drawn the last time, in canvas coordinates. `undefined` before the first `draw`. */
+  box?: { x: number; y: number; width: number; height: number; };
+  /** Pointer event handlers registered by `onTap`, `onPointerDown` and `onPointerMove`. */
+  handlers: Partial<Record<PointerEventType, PointerEventHandler>>;
+
+  /** Set the handler called when the component is tapped, and return the component itself. */
+  onTap(handler: PointerEventHandler): this;
+  /** Set the handler called when a pointer goes down on the component, and return the component itself. */
+  onPointerDown(handler: PointerEventHandler): this;
+  /** Set the handler called when a pointer moves over the component, and return the component itself. */
+  onPointerMove(handler: PointerEventHandler): this;
+
+  /** Load every pending `CanvasImage` in the tree in parallel, then resolve with the images that loaded and the ones that failed. Never rejects.
+   * Call it after `init` and before `measure`. */
+  prepare(options?: PrepareOptions): Promise<{ loaded: CanvasImage[]; failed: CanvasImage[]; }>;
+
+  /** Find the topmost component drawn at a point (in canvas coordinates), based on the boxes recorded by the last `draw`.
+   * Returns the path from this component down to the hit component, or an empty array if nothing is hit.
+   * Children are checked before their parent, the last drawn first. Absolutely positioned children are found outside their parent's box, while `CircleShaped` and `RectangleShaped` exclude points outside their clip shape, and `Transform` maps the point into its child. */
+  hitTest(x: number, y: number): CanvasComponent[];
 }
 
 /** Component that has a single child. */
@@ -134,35 +302,153 @@ export class CircleShaped extends SingleChildComponent {
 
 /** Clip a component to shape it as a rounded rectangle. */
 export class RectangleShaped extends SingleChildComponent {
+  /** Radius of the corners. Defaults to `radii.default` of the theme. */
   radius: number;
 
-  constructor(options: { radius: number = 0; }, child?: CanvasComponent);
-  static new(options: { radius: number = 0; }, child?: CanvasComponent): RectangleShaped;
+  constructor(options: { radius?: number; }, child?: CanvasComponent);
+  static new(options: { radius?: number; }, child?: CanvasComponent): RectangleShaped;
+}
+
+/** Clip a component to its box, hiding whatever it paints outside of it. Hit testing is clipped as well. */
+export class ClipRect extends SingleChildComponent {
+  constructor(child?: CanvasComponent);
+  static new(child?: CanvasComponent): ClipRect;
+}
+
+/** Paint the child rotated, scaled, skewed and/or translated around an origin, in that order from the last to the first, like the CSS `transform` property with `translate() rotate() skew() scale()`.
+ * By default the component takes the size of the bounds of the transformed child, so that a rotated ribbon pushes its siblings away. With `fitBounds: false`, the layout ignores the transformation as in CSS, and the component takes the size of its child.
+ * Hit testing follows the transformation, finding the child only inside its transformed shape. */
+export class Transform extends SingleChildComponent {
+  /** Rotation in degrees, clockwise. */
+  rotate: number;
+  scaleX: number;
+  scaleY: number;
+  /** Skew angles in degrees. */
+  skewX: number;
+  skewY: number;
+  /** Translation in pixels. It moves the painted child but never changes the size of the component. */
+  translateX: number;
+  translateY: number;
+  /** Point the rotation, the skew and the scale are around, as fractions of the size of the child. `{ x: 0.5, y: 0.5 }` is the center. */
+  origin: { x?: number; y?: number; };
+  /** Whether the component takes the size of the bounds of the transformed child. */
+  fitBounds: boolean;
+  /** Bounding box of the transformed child, relative to the top left corner of this component. It is also the `box` used for hit testing. Set during `measure`. */
+  bounds?: { x: number; y: number; width: number; height: number; };
+
+  /** `scale` sets both `scaleX` and `scaleY`. */
+  constructor(options: { rotate?: number = 0; scale?: number = 1; scaleX?: number = scale; scaleY?: number = scale; skewX?: number = 0; skewY?: number = 0; translateX?: number = 0; translateY?: number = 0; origin?: { x?: number; y?: number; } = { x: 0.5, y: 0.5 }; fitBounds?: boolean = true; }, child?: CanvasComponent);
+  static new(options: { rotate?: number = 0; scale?: number = 1; scaleX?: number = scale; scaleY?: number = scale; skewX?: number = 0; skewY?: number = 0; translateX?: number = 0; translateY?: number = 0; origin?: { x?: number; y?: number; } = { x: 0.5, y: 0.5 }; fitBounds?: boolean = true; }, child?: CanvasComponent): Transform;
+}
+
+/** Paint the child with a reduced opacity, by multiplying `ctx.globalAlpha`. Each shape is faded on its own, so overlapping shapes inside the child show through each other. */
+export class Opacity extends SingleChildComponent {
+  /** From `0` (invisible) to `1` (opaque). */
+  opacity: number;
+
+  /** Throws when `opacity` is outside of 0..1. */
+  constructor(options: { opacity: number = 1; }, child?: CanvasComponent);
+  static new(options: { opacity: number = 1; }, child?: CanvasComponent): Opacity;
+}
+
+/** Paint the child with a blend mode, as set to `ctx.globalCompositeOperation`. In SVG export, the blend modes are written as `mix-blend-mode`, while the Porter-Duff operations (`'source-in'`, `'xor'`, ...) are not exported. */
+export class BlendMode extends SingleChildComponent {
+  mode: 'source-over' | 'source-in' | 'source-out' | 'source-atop' | 'destination-over' | 'destination-in' | 'destination-out' | 'destination-atop' | 'lighter' | 'copy' | 'xor' | 'multiply' | 'screen' | 'overlay' | 'darken' | 'lighten' | 'color-dodge' | 'color-burn' | 'hard-light' | 'soft-light' | 'difference' | 'exclusion' | 'hue' | 'saturation' | 'color' | 'luminosity';
+
+  /** Throws on an unknown mode. */
+  constructor(options: { mode: BlendMode['mode'] = 'multiply'; }, child?: CanvasComponent);
+  static new(options: { mode: BlendMode['mode'] = 'multiply'; }, child?: CanvasComponent): BlendMode;
 }
 
 /** Canvas component. Set the background color of an area and has some auxiliary features. */
 export class Canvas extends SingleChildComponent {
-  /** Background color of the drawable area. */
+  /** Background color of the drawable area. Defaults to the `background` color of the theme. */
   backgroundColor: Color;
-  /** Display a grid of 10 as the unit. */
+  /** Display a grid of 10 as the unit, inside the box of the component. */
   grid: boolean;
 
-  constructor(options: { backgroundColor: Color = 'transparent'; grid: boolean = false; }, child?: CanvasComponent);
-  static new(options: { backgroundColor: Color = 'transparent'; grid: boolean = false; }, child?: CanvasComponent): Canvas;
+  constructor(options: { backgroundColor?: Color; grid: boolean = false; }, child?: CanvasComponent);
+  static new(options: { backgroundColor?: Color; grid: boolean = false; }, child?: CanvasComponent): Canvas;
+}
+
+/** Text style of a typography preset. Options left out fall back to the `body` preset, then to the built-in text defaults. */
+interface ThemeTextStyle {
+  color?: Color;
+  size?: number;
+  weight?: string;
+  /** Line height in px. Defaults to the font size. */
+  lineHeight?: number;
+  fontFamily?: Font['fontFamily'];
+  fontStyle?: Font['fontStyle'];
+  letterSpacing?: number;
 }
 
-/** Stack component. Overlap multiple components in the same position. Components that are declared former are under the components that are declared latter. */
+/** Resolved values of a `Theme`, provided to its subtree and found with `Theme.of`. */
+export class ThemeData implements Provider {
+  /** Text style presets by name, picked by the `variant` option of `Text`. */
+  typography: Record<string, ThemeTextStyle>;
+  /** Named colors. Any `Color` string equal to a name is replaced by its color when painted, e.g. `Rect.new({ color: 'primary' })`.
+   * This covers gradient stops, box shadows and the ends of a `ColorTween` as well.
+   * Tokens resolve once, so a token can't name another token. */
+  colors: Record<string, Color>;
+  /** Named spacings. `default` is the `gap` of `Column` and `Row`. */
+  spacing: Record<string, number>;
+  /** Named corner radii. `default` is the `borderRadius` of `Rect` and `Outlined`, and the `radius` of `RectangleShaped`. */
+  radii: Record<string, number>;
+
+  constructor(options?: { typography?: ThemeData['typography']; colors?: ThemeData['colors']; spacing?: ThemeData['spacing']; radii?: ThemeData['radii']; });
+
+  /** A new theme with the given values on top of this one. Presets are merged one by one, so `{ typography: { title: { color: 'red' } } }` keeps the size of the title. */
+  merge(options?: { typography?: ThemeData['typography']; colors?: ThemeData['colors']; spacing?: ThemeData['spacing']; radii?: ThemeData['radii']; }): ThemeData;
+  /** The full text style of a preset. Throws for an unknown variant. */
+  getTextStyle(variant?: string = 'body'): Required<ThemeTextStyle>;
+}
+
+/** The theme used outside of any `Theme` component. It keeps the built-in defaults:
+ * - `typography`: `body` (10px normal black sans-serif), `title` (20px bold) and `caption` (8px `'#666666'`);
+ * - `colors`: `primary`, `secondary`, `foreground` (`'black'`), `background` (`'transparent'`) and `border` (`'black'`);
+ * - `spacing`: `default` (0), `small` (4), `medium` (8) and `large` (16);
+ * - `radii`: `default` (0), `small` (2), `medium` (4) and `large` (8). */
+declare const defaultTheme: ThemeData;
+
+/** Set the typography presets, color tokens, spacings and radii used by the subtree whenever an option is left out.
+ * Applies to `Text`, `Rect`, `Outlined`, `Canvas`, `RectangleShaped`, `Column` and `Row`. A nested theme only overrides the values it gives, keeping the rest from the outer one.
+ * Components pick up the theme when they are laid out. Changing a theme with `set` lays the whole subtree out again. */
+export class Theme extends SingleChildComponent {
+  typography?: ThemeData['typography'];
+  colors?: ThemeData['colors'];
+  spacing?: ThemeData['spacing'];
+  radii?: ThemeData['radii'];
+  /** The outer theme merged with the values of this one. */
+  data: ThemeData;
+
+  constructor(options: { typography?: ThemeData['typography']; colors?: ThemeData['colors']; spacing?: ThemeData['spacing']; radii?: ThemeData['radii']; }, child?: CanvasComponent);
+  static new(options: { typography?: ThemeData['typography']; colors?: ThemeData['colors']; spacing?: ThemeData['spacing']; radii?: ThemeData['radii']; }, child?: CanvasComponent): Theme;
+
+  /** The theme of the nearest `Theme` above the component, or `defaultTheme`. */
+  static of(component?: CanvasComponent): ThemeData;
+}
+
+/** Whether a container paints its children outside of its box (`'visible'`) or clips them to it (`'hidden'`), like the CSS `overflow` property. Hit testing follows the clip. */
+type Overflow = 'visible' | 'hidden';
+
+/** Stack component. Overlap multiple components in the same position. Components that are declared former are under the components that are declared latter.
+ * The children get loose constraints, and the stack takes the size of the largest child unless `width` or `height` is given. */
 export class Stack extends MultiChildComponent {
+  /** The fixed width given in the options. */
   widthOverride?: number;
+  /** The fixed height given in the options. */
   heightOverride?: number;
+  overflow: Overflow;
 
-  constructor(options: { width?: number; height?: number; }, ...children: CanvasComponent[]);
-  static new(options: { width?: number; height?: number; }, ...children: CanvasComponent[]): CanvasComponent;
+  constructor(options: { width?: number; height?: number; overflow?: Overflow = 'visible'; }, ...children: CanvasComponent[]);
+  static new(options: { width?: number; height?: number; overflow?: Overflow = 'visible'; }, ...children: CanvasComponent[]): CanvasComponent;
 }
 
 /** Positional component. Give an x, y offset to a component relative to drawable area or the whole canvas. */
 export class Positional extends SingleChildComponent {
-  /** Mode of offset. `'relative'` makes the offset relative to the top-left corner of the drawable area. `'absolute'` makes the offset relative to the top-left corner of the whole canvas. */
+  /** Mode of offset. `'relative'` makes the offset relative to the top-left corner of the drawable area, and the offset counts in the size of the component.
+   * `'absolute'` makes the offset relative to the top-left corner of the whole canvas, and the component takes no space. */
   mode: 'relative' | 'absolute';
   x: number;
   y: number;
@@ -185,24 +471,106 @@ export class Positional extends SingleChildComponent {
   ): Positional;
 }
 
-/** Column component. Arrange components in a column (one in a row). Can specify the horizontal alignment of the components. */
+/** How the free space along the main axis of a `Row` or a `Column` is distributed. `'start'`, `'end'` and `'center'` move the children together, while
+ * `'spaceBetween'`, `'spaceAround'` and `'spaceEvenly'` put the free space between the children, around each child, or evenly between and around the children, like the CSS `justify-content` property. */
+type MainAxisAlignment = 'start' | 'end' | 'center' | 'spaceBetween' | 'spaceAround' | 'spaceEvenly';
+
+/** Column component. Arrange components in a column (one in a row). Can specify the horizontal alignment of the components.
+ * The children get an unbounded height. With a fixed height (`height`, or tight height constraints such as inside an `Expanded` or a `SizedBox`), the remaining height is shared by `Flexible` children according to their `flex`, and `mainAxisAlignment` distributes the free space. */
 export class Column extends MultiChildComponent {
-  /** Horizontal alignment of the components. */
-  alignment: 'left' | 'center' | 'right';
+  /** Horizontal alignment of the components. With any value other than `'left'`, the Column takes the whole width of the drawable area. `'stretch'` also makes every child that wide. */
+  alignment: 'left' | 'center' | 'right' | 'stretch';
+  /** Vertical distribution of the free space. Only has effect with a fixed height. */
+  mainAxisAlignment: MainAxisAlignment;
+  /** Space between adjacent children. Defaults to `spacing.default` of the theme. */
+  gap: number;
+  /** The fixed width given in the options. */
+  widthOverride?: number;
+  /** The fixed height given in the options. */
+  heightOverride?: number;
+  overflow: Overflow;
 
-  constructor(options: { alignment: Column['alignment'] = 'left'; width?: number; }, ...children: CanvasComponent[]);
-  static new(options: { alignment: Column['alignment'] = 'left'; width?: number; }, ...children: CanvasComponent[]): Column;
+  constructor(options: { alignment: Column['alignment'] = 'left'; mainAxisAlignment: MainAxisAlignment = 'start'; gap?: number; width?: number; height?: number; overflow?: Overflow = 'visible'; }, ...children: CanvasComponent[]);
+  static new(options: { alignment: Column['alignment'] = 'left'; mainAxisAlignment: MainAxisAlignment = 'start'; gap?: number; width?: number; height?: number; overflow?: Overflow = 'visible'; }, ...children: CanvasComponent[]): Column;
 }
 
-/** Row component. Arrange components in a row. Can specify the vertical alignment of the components. This resembles the CSS display: flex mode. */
+/** Row component. Arrange components in a row. Can specify the vertical alignment of the components. This resembles the CSS display: flex mode.
+ * Children take their natural width. The remaining width is shared by `Flexible` children according to their `flex`, and `mainAxisAlignment` distributes the free space. */
 export class Row extends MultiChildComponent {
-  /** Vertical alignment of the components. */
-  alignment: 'top' | 'center';
-  /** Whether to shrink to fit the width of the children. If given `false`, the Row fills the width of the drawable area. */
+  /** Vertical alignment of the components. `'stretch'` makes every child as high as the row. `'baseline'` lines up the first text baselines of the children. */
+  alignment: 'top' | 'center' | 'bottom' | 'stretch' | 'baseline';
+  /** Horizontal distribution of the free space. */
+  mainAxisAlignment: MainAxisAlignment;
+  /** Whether to shrink to fit the width of the children. If given `false`, the Row fills the width of the drawable area, unless the width is unbounded. */
   shrink: boolean;
+  /** Space between adjacent children. Defaults to `spacing.default` of the theme. */
+  gap: number;
+  /** Whether to move the children that don't fit onto new lines (runs). `Flexible` children take their natural width in this mode. */
+  wrap: boolean;
+  /** Space between runs when `wrap` is `true`. Defaults to `gap`. */
+  runGap: number;
+  overflow: Overflow;
+
+  constructor(options: { alignment: Row['alignment'] = 'top'; mainAxisAlignment: MainAxisAlignment = 'start'; shrink: boolean = false; gap?: number; wrap: boolean = false; runGap?: number; overflow?: Overflow = 'visible'; }, ...children: CanvasComponent[]);
+  static new(options: { alignment: Row['alignment'] = 'top'; mainAxisAlignment: MainAxisAlignment = 'start'; shrink: boolean = false; gap?: number; wrap: boolean = false; runGap?: number; overflow?: Overflow = 'visible'; }, ...children: CanvasComponent[]): Row;
+}
+
+/** Viewport showing a part of a larger child, scrolled by `scrollOffset`. The child gets an unbounded height (or width, when horizontal), and the view takes the size of the child as far as the constraints allow.
+ * The child is clipped to the view. There are no gestures: call `scrollTo` or `scrollBy` (e.g. from pointer handlers) and draw again. */
+export class ScrollView extends SingleChildComponent {
+  direction: 'vertical' | 'horizontal';
+  /** Distance the child is scrolled by. Kept within `0..maxScrollExtent` during layout. */
+  scrollOffset: number;
+  /** How far the child can be scrolled. Set during layout. */
+  maxScrollExtent: number;
+
+  constructor(options: { direction?: ScrollView['direction'] = 'vertical'; scrollOffset?: number = 0; }, child?: CanvasComponent);
+  static new(options: { direction?: ScrollView['direction'] = 'vertical'; scrollOffset?: number = 0; }, child?: CanvasComponent): ScrollView;
+  /** Set `scrollOffset` and mark the view for layout. */
+  scrollTo(scrollOffset: number): this;
+  scrollBy(delta: number): this;
+}
+
+/** Scrolling list that builds and lays out only the items in the viewport (plus `cacheExtent` on both sides), so it can show thousands of items.
+ * It needs a bounded height (or width, when horizontal). The items take the whole width (height) of the list when it is bounded, and `itemExtent` as their height (width) when given.
+ * Without `itemExtent`, the size of every built item is remembered, and the items not built yet, including those skipped before the viewport, are estimated from the average of the remembered sizes.
+ * So the items in view can shift a little as more items are measured. The sizes are forgotten when `itemBuilder`, `itemExtent` or the width changes.
+ * Items are built again when they scroll back into view. Images in them are not loaded by an earlier `prepare`; call `prepare` again after layout to load the images of the built items. */
+export class ListView extends ScrollView {
+  /** The items built during the last layout. */
+  children: CanvasComponent[];
+  itemCount: number;
+  itemBuilder: (index: number) => CanvasComponent;
+  itemExtent?: number;
+  /** Space between adjacent items. */
+  gap: number;
+  /** Extra distance before and after the viewport in which items are still built. */
+  cacheExtent: number;
+
+  constructor(options: { itemCount: number = 0; itemBuilder: (index: number) => CanvasComponent; itemExtent?: number; direction?: ScrollView['direction'] = 'vertical'; scrollOffset?: number = 0; gap?: number = 0; cacheExtent?: number = 0; });
+  /** List of the given items. */
+  static new(options: { itemExtent?: number; direction?: ScrollView['direction'] = 'vertical'; scrollOffset?: number = 0; gap?: number = 0; cacheExtent?: number = 0; }, ...children: CanvasComponent[]): ListView;
+  /** List of `itemCount` items built on demand by `itemBuilder`. */
+  static builder(options: { itemCount: number; itemBuilder: (index: number) => CanvasComponent; itemExtent?: number; direction?: ScrollView['direction'] = 'vertical'; scrollOffset?: number = 0; gap?: number = 0; cacheExtent?: number = 0; }): ListView;
+}
 
-  constructor(options: { alignment: Row['alignment'] = 'top' }, ...children: CanvasComponent[]);
-  static new(options: { alignment: Row['alignment'] = 'top' }, ...children: CanvasComponent[]): Row;
+/** Flexible component. Inside a `Row` (or a `Column` with a fixed height), shares the space left by the other children with the other `Flexible` children, in proportion to `flex`.
+ * The child is given its share as the maximum size, and also as the minimum size with the `'tight'` fit.
+ * Without a child, it is an empty space. */
+export class Flexible extends SingleChildComponent {
+  /** Share of the remaining space. */
+  flex: number;
+  /** `'tight'` always takes the whole share. `'loose'` takes at most the share, staying at the natural size of the child if it is smaller. */
+  fit: 'loose' | 'tight';
+
+  constructor(options: { flex: number = 1; fit: Flexible['fit'] = 'loose'; }, child?: CanvasComponent);
+  static new(options: { flex: number = 1; fit: Flexible['fit'] = 'loose'; }, child?: CanvasComponent): Flexible;
+}
+
+/** A `Flexible` whose fit is `'tight'`, which always fills its share of the remaining space. */
+export class Expanded extends Flexible {
+  constructor(options: { flex: number = 1; }, child?: CanvasComponent);
+  static new(options: { flex: number = 1; }, child?: CanvasComponent): Expanded;
 }
 
 /** Padding component. Add padding around a component. Left and right padding shrink the drawable area horizontally. Top and bottom padding make gaps between vertical arranged components. */
@@ -223,7 +591,63 @@ export class Padding extends SingleChildComponent {
   static all(distance?: number, child?: CanvasComponent): Padding;
 }
 
+/** Give a child a fixed width and/or height, as close as the parent's constraints allow. Without a child, it is an empty space of that size, useful as a gap. */
+export class SizedBox extends SingleChildComponent {
+  widthOverride?: number;
+  heightOverride?: number;
+
+  constructor(options: { width?: number; height?: number; }, child?: CanvasComponent);
+  static new(options: { width?: number; height?: number; }, child?: CanvasComponent): SizedBox;
+}
+
+/** Add extra constraints to a child, such as a minimum height for a card or a maximum width for a paragraph. The parent's constraints still win when they conflict. */
+export class ConstrainedBox extends SingleChildComponent {
+  constraints: BoxConstraints;
+
+  constructor(options: { minWidth?: number = 0; maxWidth?: number = Infinity; minHeight?: number = 0; maxHeight?: number = Infinity; }, child?: CanvasComponent);
+  static new(options: { minWidth?: number = 0; maxWidth?: number = Infinity; minHeight?: number = 0; maxHeight?: number = Infinity; }, child?: CanvasComponent): ConstrainedBox;
+}
+
+/** Size a child to a width / height ratio. It takes the largest width the constraints allow (or, with an unbounded width, the largest height), and throws when neither is bounded. */
+export class AspectRatio extends SingleChildComponent {
+  /** Width divided by height. */
+  aspectRatio: number;
+
+  constructor(options: { aspectRatio: number = 1; }, child?: CanvasComponent);
+  static new(options: { aspectRatio: number = 1; }, child?: CanvasComponent): AspectRatio;
+}
+
+/** Size a child to a fraction of the maximum width and/or height, e.g. `widthFactor: 0.5` for half the drawable area. A factor is ignored on an unbounded axis.
+ * When the parent forces the component to be larger than the child, the child is placed by `alignment` and `verticalAlignment`. */
+export class FractionallySizedBox extends SingleChildComponent {
+  widthFactor?: number;
+  heightFactor?: number;
+  alignment: 'left' | 'center' | 'right';
+  verticalAlignment: 'top' | 'center' | 'bottom';
+
+  constructor(options: { widthFactor?: number; heightFactor?: number; alignment?: FractionallySizedBox['alignment'] = 'center'; verticalAlignment?: FractionallySizedBox['verticalAlignment'] = 'center'; }, child?: CanvasComponent);
+  static new(options: { widthFactor?: number; heightFactor?: number; alignment?: FractionallySizedBox['alignment'] = 'center'; verticalAlignment?: FractionallySizedBox['verticalAlignment'] = 'center'; }, child?: CanvasComponent): FractionallySizedBox;
+}
+
+/** Place a child inside the drawable area. The component fills the bounded width and height, or, on an unbounded axis or with a factor, takes the child's size multiplied by the factor. The child gets loose constraints. */
+export class Align extends SingleChildComponent {
+  alignment: 'left' | 'center' | 'right';
+  verticalAlignment: 'top' | 'center' | 'bottom';
+  widthFactor?: number;
+  heightFactor?: number;
+
+  constructor(options: { alignment?: Align['alignment'] = 'center'; verticalAlignment?: Align['verticalAlignment'] = 'center'; widthFactor?: number; heightFactor?: number; }, child?: CanvasComponent);
+  static new(options: { alignment?: Align['alignment'] = 'center'; verticalAlignment?: Align['verticalAlignment'] = 'center'; widthFactor?: number; heightFactor?: number; }, child?: CanvasComponent): Align;
+}
+
+/** An `Align` that centers its child both ways. */
+export class Center extends Align {
+  constructor(options: { widthFactor?: number; heightFactor?: number; }, child?: CanvasComponent);
+  static new(options: { widthFactor?: number; heightFactor?: number; }, child?: CanvasComponent): Center;
+}
+
 /** Text component. Draw a single-line or multiline text. Supports displaying ellipsis instead of let text overflow the drawable area.
+ * Multiline text wraps at word boundaries (see `wordBreak`), and a `'\n'` starts a new line.
  * Can customize text color, font size, weight and other properties that CSS font property supports.
  * Can restrict maximum lines of multiline text. Can adjust line height. */
 export class Text extends CanvasComponent {
@@ -231,14 +655,28 @@ export class Text extends CanvasComponent {
   content: string;
   /** Actually drawn text content. When the content overflows the drawable area, according to the `overflow` property, actual text content might be trimmed. */
   actualContent: string;
+  /** Name of the typography preset of the theme that gives the font options left out, e.g. `'title'`, `'body'` or `'caption'`. */
+  variant: string;
   /** Text color. */
   color: Color;
   /** Font size. */
   size: number;
   /** Font weight. */
   weight: string;
-  /** Line height (fixed px). */
+  /** Line height (fixed px). Defaults to the line height of the preset, or to the font size when `size` is given. */
   lineHeight: number;
+  fontFamily: Font['fontFamily'];
+  fontStyle: Font['fontStyle'];
+  /** Horizontal alignment of the lines. With any value other than `'left'`, the text takes the whole width of the drawable area.
+   * `'justify'` stretches every line except the last one and the ones ending with `'\n'` to the full width, widening the spaces (or, for CJK text or text without spaces, the gaps between characters). */
+  textAlign: 'left' | 'center' | 'right' | 'justify';
+  letterSpacing: number;
+  wordSpacing: number;
+  decoration: Font['decoration'];
+  decorationColor?: Color;
+  decorationThickness?: number;
+  stroke?: TextStroke;
+  shadow?: TextShadow;
 
   /** Wrap mode. `'wrap'` mode automatically wraps the text when it exceeds drawable area width. `'nowrap'` mode keeps the text in a single line. */
   textWrap: 'wrap' | 'nowrap';
@@ -248,93 +686,300 @@ export class Text extends CanvasComponent {
   /** Overflow mode. When the content overflows the drawable area, `'visible'` mode still draw it, making the last line exceeds the area.
    * On the other hand, `'ellipsis'` cut off the text and displays an ellispis and the end. */
   overflow: 'visible' | 'ellipsis';
+  /** Where lines may break when `textWrap` is `'wrap'`. Lines never break inside a grapheme cluster (such as an emoji sequence).
+   * `'normal'` breaks Latin text at spaces and hyphens, and breaks CJK text between characters, except before closing punctuation like `，。」` or after opening punctuation like `「（`.
+   * `'break-all'` also breaks between any two letters of a word. `'keep-all'` doesn't break between CJK characters, only at spaces and punctuation.
+   * A word wider than the line is broken where it overflows. */
+  wordBreak: 'normal' | 'break-all' | 'keep-all';
+  /** Hyphenation. `'manual'` breaks at soft hyphens (`\u00AD`) and shows a `-` there. `'none'` ignores soft hyphens.
+   * `'auto'` also breaks words of at least 6 letters anywhere with at least 3 letters on both sides, and adds a `-` where a word is broken because it overflows. There is no dictionary. */
+  hyphens: 'none' | 'manual' | 'auto';
 
   constructor(
     content: string = '',
     options: {
-      color: Color = 'black';
-      size: number = 10;
-      weight: string = 'normal';
+      variant?: string = 'body';
+      color?: Color;
+      size?: number;
+      weight?: string;
       lineHeight?: number;
+      fontFamily?: Font['fontFamily'];
+      fontStyle?: Font['fontStyle'];
+      textAlign?: Text['textAlign'] = 'left';
+      letterSpacing?: number;
+      wordSpacing?: number = 0;
+      decoration?: Font['decoration'] = 'none';
+      decorationColor?: Color;
+      decorationThickness?: number;
+      stroke?: TextStroke;
+      shadow?: TextShadow;
       widthFix: boolean = false;
       textWrap: Text['textWrap'] = 'nowrap';
       maxLines?: number;
       overflow: Text['overflow'] = 'ellipsis';
+      wordBreak: Text['wordBreak'] = 'normal';
+      hyphens: Text['hyphens'] = 'manual';
     },
   );
 
   static new(
     content: string = '',
     options: {
-      color: Color = 'black';
-      size: number = 10;
-      weight: string = 'normal';
+      variant?: string = 'body';
+      color?: Color;
+      size?: number;
+      weight?: string;
       lineHeight?: number;
+      fontFamily?: Font['fontFamily'];
+      fontStyle?: Font['fontStyle'];
+      textAlign?: Text['textAlign'] = 'left';
+      letterSpacing?: number;
+      wordSpacing?: number = 0;
+      decoration?: Font['decoration'] = 'none';
+      decorationColor?: Color;
+      decorationThickness?: number;
+      stroke?: TextStroke;
+      shadow?: TextShadow;
       widthFix: boolean = false;
       textWrap: Text['textWrap'] = 'nowrap';
       maxLines?: number;
       overflow: Text['overflow'] = 'ellipsis';
+      wordBreak: Text['wordBreak'] = 'normal';
+      hyphens: Text['hyphens'] = 'manual';
     },
   ): Text;
 }
 
-/** Image component, draws an image. You need to supply a loaded Image object. You can specify the size of the image or a resize mode. */
+/** A styled piece of text inside a `RichText`. Style properties left empty are inherited from the parent span or the `RichText` itself.
+ * Child spans are laid out after `text`. */
+export class TextSpan {
+  text: string;
+  children: RichTextSpan[];
+
+  color?: Color;
+  size?: number;
+  weight?: string;
+  fontFamily?: Font['fontFamily'];
+  fontStyle?: Font['fontStyle'];
+  letterSpacing?: number;
+  wordSpacing?: number;
+  /** Background color painted behind the glyphs of this span. */
+  backgroundColor?: Color;
+  /** Line decoration drawn over the text of this span. */
+  decoration?: Font['decoration'];
+  /** Color of the decoration line. Defaults to the text color. */
+  decorationColor?: Color;
+  decorationThickness?: number;
+  stroke?: TextStroke;
+  shadow?: TextShadow;
+
+  constructor(
+    text: string = '',
+    options?: Font & { backgroundColor?: Color },
+    ...children: RichTextSpan[]
+  );
+
+  static new(
+    text: string = '',
+    options?: Font & { backgroundColor?: Color },
+    ...children: RichTextSpan[]
+  ): TextSpan;
+}
+
+/** Places a component inline among the text of a `RichText`, such as an icon or a badge. The component is measured with the remaining width of the line. */
+export class WidgetSpan {
+  child: CanvasComponent;
+  /** Vertical placement within the line. `'baseline'` puts the bottom of the component (or its own baseline) on the text baseline.
+   * `'middle'` centers it around the middle of the lowercase letters. `'top'` and `'bottom'` align it to the line box. */
+  alignment: 'baseline' | 'middle' | 'top' | 'bottom';
+
+  constructor(options: { alignment?: WidgetSpan['alignment'] }, child: CanvasComponent);
+
+  static new(options: { alignment?: WidgetSpan['alignment'] }, child: CanvasComponent): WidgetSpan;
+}
+
+/** A piece of `RichText` content. Plain strings use the style of their parent. */
+export type RichTextSpan = string | TextSpan | WidgetSpan;
+
+/** Draws a paragraph mixing differently styled spans and inline components. Text wraps across span boundaries, and every line shares one baseline.
+ * `maxLines` and `overflow` behave like in `Text`. A `'\n'` in the text starts a new line. */
+export class RichText extends CanvasComponent {
+  spans: RichTextSpan[];
+  /** Components of the `WidgetSpan`s, in order. */
+  children: CanvasComponent[];
+
+  /** Default text color of the spans. */
+  color: Color;
+  /** Default font size of the spans. */
+  size: number;
+  /** Default font weight of the spans. */
+  weight: string;
+  /** Default font family of the spans. */
+  fontFamily: Font['fontFamily'];
+  /** Default font style of the spans. */
+  fontStyle: Font['fontStyle'];
+  /** Fixed line height in px. Lines are at least this tall, and grow to fit larger spans. */
+  lineHeight?: number;
+  textWrap: 'wrap' | 'nowrap';
+  maxLines?: number;
+  overflow: 'visible' | 'ellipsis';
+  /** Same as `Text.wordBreak`. Breaks are found across span boundaries, and a `WidgetSpan` can break on both sides. */
+  wordBreak: 'normal' | 'break-all' | 'keep-all';
+  /** Same as `Text.hyphens`. */
+  hyphens: 'none' | 'manual' | 'auto';
+
+  constructor(
+    options: {
+      color?: Color = 'black';
+      size?: number = 10;
+      weight?: string = 'normal';
+      fontFamily?: Font['fontFamily'] = 'sans-serif';
+      fontStyle?: Font['fontStyle'] = 'normal';
+      lineHeight?: number;
+      textWrap?: RichText['textWrap'] = 'wrap';
+      maxLines?: number;
+      overflow?: RichText['overflow'] = 'ellipsis';
+      wordBreak?: RichText['wordBreak'] = 'normal';
+      hyphens?: RichText['hyphens'] = 'manual';
+    },
+    ...spans: RichTextSpan[]
+  );
+
+  static new(
+    options: {
+      color?: Color = 'black';
+      size?: number = 10;
+      weight?: string = 'normal';
+      fontFamily?: Font['fontFamily'] = 'sans-serif';
+      fontStyle?: Font['fontStyle'] = 'normal';
+      lineHeight?: number;
+      textWrap?: RichText['textWrap'] = 'wrap';
+      maxLines?: number;
+      overflow?: RichText['overflow'] = 'ellipsis';
+      wordBreak?: RichText['wordBreak'] = 'normal';
+      hyphens?: RichText['hyphens'] = 'manual';
+    },
+    ...spans: RichTextSpan[]
+  ): RichText;
+}
+
+/** A function that loads an image, used by `loadImage` and `prepare`. Provide one with `setImageLoader` outside the browser,
+ * e.g. `(src) => loadImage(src)` of node-canvas, or one built on `canvas.createImage()` in a Mini Program. */
+type ImageLoader = (src: string) => Promise<CanvasImageSource>;
+
+/** Replace the default image loader, which uses `new Image()`. This also clears the image cache. */
+declare function setImageLoader(loader: ImageLoader): void;
+
+/** Forget every cached image, so the next `loadImage` loads them again. */
+declare function clearImageCache(): void;
+
+/** Load an image from a URL, or by calling a loader function. Loads of the same `src` share one cached promise, and failed loads are removed from the cache.
+ * Rejects if loading fails or takes longer than `timeout` ms. A `timeout` of `0` or `Infinity` waits forever. */
+declare function loadImage(
+  src: string | (() => Promise<CanvasImageSource> | CanvasImageSource),
+  options?: { loader?: ImageLoader; timeout?: number = 10000 },
+): Promise<CanvasImageSource>;
+
+/** Options of `prepare`, passed on to `loadImage`. */
+interface PrepareOptions {
+  loader?: ImageLoader;
+  timeout?: number = 10000;
+}
+
+/** Image component, draws an image. The image can be a loaded Image object, a URL, or a function that loads it.
+ * URLs and functions are loaded by `load`, or together with the rest of the tree by `prepare`. Until then `placeholder` is drawn, and `fallback` is drawn if loading fails.
+ * You can specify the size of the image or a resize mode. */
 export class CanvasImage extends CanvasComponent {
-  img?: HTMLImageElement;
+  /** The image, URL or loader function passed to the constructor. */
+  src?: CanvasImageSource | string | (() => Promise<CanvasImageSource> | CanvasImageSource);
+  /** The loaded image, or `null` while it is not loaded. */
+  img?: CanvasImageSource | null;
+  /** Loading state. An image passed directly is `'loaded'`, and a missing one is `'failed'`. */
+  status: 'pending' | 'loaded' | 'failed';
+  /** Why loading failed. */
+  error?: Error;
+  /** Drawn while the image is loading. When `width` and `height` are set, the image keeps that size while loading, otherwise it takes the size of the placeholder. */
+  placeholder?: CanvasComponent;
+  /** Drawn when loading failed, sized like `placeholder`. Defaults to `placeholder`. */
+  fallback?: CanvasComponent;
   /** Resize mode. `'fixed'` means display the image as-is or in a fixed size. `'widthFix'` mode fill up the width of the drawable area, and set the height in proportion.
-   * Under `'fixed'` mode, if only one of `width` or `height` is set, then the other will be set in proportion. */
-  mode: 'fixed' | 'widthFix';
+   * Under `'fixed'` mode, if only one of `width` or `height` is set, then the other will be set in proportion. `'heightFix'` uses `height` (or the height of the drawable area) and sets the width in proportion.
+   *
+   * The other modes draw into a box of `width` (or the width of the drawable area) by `height` (or the height in proportion to the width), like the CSS `object-fit`:
+   * `'fill'` stretches the image to the box, `'contain'` scales it to fit inside the box, `'cover'` scales it to cover the box and crops the rest,
+   * `'none'` keeps its original size and crops it, and `'scaleDown'` is `'contain'` but never enlarges the image. */
+  mode: 'fixed' | 'widthFix' | 'heightFix' | 'fill' | 'contain' | 'cover' | 'none' | 'scaleDown';
   widthOverride?: number;
   heightOverride?: number;
+  /** Horizontal position of the image in its box when it doesn't fill the box, and which part stays visible when it is cropped. */
+  alignment: 'left' | 'center' | 'right';
+  /** Vertical position of the image in its box, like `alignment`. */
+  verticalAlignment: 'top' | 'center' | 'bottom';
+  /** Nine-slice insets in image pixels. The corners keep their size, the edges stretch along one direction, and the center stretches to fill the box, so frames and bubbles can be resized without distorting their corners.
+   * The corners shrink proportionally when the box is smaller than them. The fit `mode` still decides the size of the box, but the image is not cropped. */
+  slice?: number | { left?: number; right?: number; top?: number; bottom?: number; };
 
   constructor(
-    img?: HTMLImageElement,
+    src?: CanvasImage['src'],
     options: {
       mode: CanvasImage['mode'] = 'fixed';
       width?: number;
       height?: number;
+      alignment?: CanvasImage['alignment'] = 'center';
+      verticalAlignment?: CanvasImage['verticalAlignment'] = 'center';
+      slice?: CanvasImage['slice'];
+      placeholder?: CanvasComponent;
+      fallback?: CanvasComponent;
     },
   );
   static new(
-    img?: HTMLImageElement,
+    src?: CanvasImage['src'],
     options: {
       mode: CanvasImage['mode'] = 'fixed';
       width?: number;
       height?: number;
+      alignment?: CanvasImage['alignment'] = 'center';
+      verticalAlignment?: CanvasImage['verticalAlignment'] = 'center';
+      slice?: CanvasImage['slice'];
+      placeholder?: CanvasComponent;
+      fallback?: CanvasComponent;
     },
   ): CanvasImage;
+
+  /** Load the image if it is pending. Never rejects: a failure sets `status` to `'failed'` and `error`. Measure and draw again afterwards. */
+  load(options?: PrepareOptions): Promise<CanvasImage>;
 }
 
 /** Rectangle component. Draw a filled or stroked, rounded or sharp rectangle. */
 export class Rect extends CanvasComponent {
-  /** Width of the rectangle. */
-  width?: number;
-  /** Height of the rectangle. */
-  height: number;
-  /** Color to be filled or stroked. */
+  /** Width of the rectangle given in the options. The measured `width` may differ when the constraints don't allow it. */
+  widthOverride: number;
+  /** Height of the rectangle given in the options. */
+  heightOverride: number;
+  /** Color to be filled or stroked. Defaults to the `foreground` color of the theme. */
   color: Color;
   /** Whether the rectangle is stroked or filled. */
   stroked: boolean;
   /** The line width of the stroked rectangle. */
   lineWidth: number;
-  /** The radius of the rounded corner. */
+  /** The radius of the rounded corner. Defaults to `radii.default` of the theme. */
   borderRadius: number;
 
   constructor(options: {
-    width?: number;
+    width: number = 10;
     height: number = 10;
-    color: Color = 'black';
+    color?: Color;
     stroked: boolean = false;
     lineWidth: number = 1;
-    borderRadius: number = 0;
+    borderRadius?: number;
   });
   static new(options: {
-    width?: number;
+    width: number = 10;
     height: number = 10;
-    color: Color = 'black';
+    color?: Color;
     stroked: boolean = false;
     lineWidth: number = 1;
-    borderRadius: number = 0;
+    borderRadius?: number;
   }): Rect;
 }
 
@@ -342,37 +987,902 @@ export class Rect extends CanvasComponent {
 export class Outlined extends SingleChildComponent {
   /** Width of the outline. */
   lineWidth: number;
-  /** Color of the outline. */
+  /** Color of the outline. Defaults to the `border` color of the theme. */
   color: Color;
-  /** Radius of the rounded corner. */
+  /** Radius of the rounded corner. Defaults to `radii.default` of the theme. */
   borderRadius: number;
 
-  constructor(options: { lineWidth: number = 1; color: Color = 'black'; borderRadius: number = 0; }, child?: CanvasComponent);
-  static new(options: { lineWidth: number = 1; color: Color = 'black'; borderRadius: number = 0; }, child?: CanvasComponent): Outlined;
+  constructor(options: { lineWidth: number = 1; color?: Color; borderRadius?: number; }, child?: CanvasComponent);
+  static new(options: { lineWidth: number = 1; color?: Color; borderRadius?: number; }, child?: CanvasComponent): Outlined;
+}
+
+/** One side of a `DecoratedBox` border. */
+interface BorderSide {
+  width?: number = 1;
+  color?: Color = 'black';
+  /** `'dashed'` draws dashes 3 times as long as the width, `'dotted'` draws round dots as wide as the width. */
+  style?: 'solid' | 'dashed' | 'dotted' = 'solid';
+}
+
+/** Border of a `DecoratedBox`: the same on every side, or set per side. A side left out of the per-side form has no border. */
+type Border = BorderSide | { top?: BorderSide; right?: BorderSide; bottom?: BorderSide; left?: BorderSide; };
+
+/** Corner radius of a `DecoratedBox`: the same for every corner, or set per corner. Radii too big for the box are scaled down together, like in CSS. */
+type BorderRadius = number | { topLeft?: number; topRight?: number; bottomRight?: number; bottomLeft?: number; };
+
+/** Shadow of a `DecoratedBox`, like the CSS `box-shadow`. `blur` is the blur radius in px, `spread` grows (or, when negative, shrinks) the shadow before blurring.
+ * An inset shadow is drawn inside the border instead of around the box. */
+interface BoxShadow {
+  color?: Color = 'rgba(0, 0, 0, 0.5)';
+  offsetX?: number = 0;
+  offsetY?: number = 0;
+  blur?: number = 0;
+  spread?: number = 0;
+  inset?: boolean = false;
+}
+
+interface DecoratedBoxOptions {
+  /** Any `Color`, including gradients, filling the box inside the border radius. Gradients span the box without the margin. */
+  backgroundColor?: Color;
+  /** Image drawn over the background color and clipped to the border radius. A `CanvasImage` is sized to the box without the margin, any other image source is wrapped in a `CanvasImage` with the `'cover'` mode. */
+  backgroundImage?: CanvasImage | CanvasImageSource | string | (() => Promise<CanvasImageSource> | CanvasImageSource);
+  border?: Border;
+  borderRadius?: BorderRadius = 0;
+  /** One shadow or a list of them. The first one is drawn on top, like in CSS. */
+  boxShadow?: BoxShadow | BoxShadow[];
+  /** Space between the border and the child. */
+  padding?: number | { left?: number; right?: number; top?: number; bottom?: number; } = 0;
+  /** Space around the border. Nothing is drawn in it. */
+  margin?: number | { left?: number; right?: number; top?: number; bottom?: number; } = 0;
+  /** `'hidden'` clips the child to the inside of the border, rounded corners included. */
+  overflow?: Overflow = 'visible';
+}
+
+/** Decorated box component, like a `<div>` styled with CSS. Paints, from bottom to top: the outer shadows, the background color, the background image, the inset shadows, the border, and then the child.
+ * The border widths and the padding add to the size of the child, and the margin adds around them. Without a child the box is only as big as the border and the padding, unless the constraints are tight. */
+export class DecoratedBox extends SingleChildComponent {
+  backgroundColor?: Color;
+  backgroundImage?: CanvasImage;
+  border?: Border;
+  borderRadius: BorderRadius;
+  boxShadow?: BoxShadow | BoxShadow[];
+  padding: number | { left?: number; right?: number; top?: number; bottom?: number; };
+  margin: number | { left?: number; right?: number; top?: number; bottom?: number; };
+  overflow: Overflow;
+
+  /** The background image and the child. */
+  get children(): CanvasComponent[];
+
+  constructor(options: DecoratedBoxOptions, child?: CanvasComponent);
+  static new(options: DecoratedBoxOptions, child?: CanvasComponent): DecoratedBox;
+}
+
+/** `DecoratedBox` with a fixed width and (or) height, like `SizedBox`. The size includes the border and the padding, but not the margin. */
+export class Container extends DecoratedBox {
+  widthOverride?: number;
+  heightOverride?: number;
+
+  constructor(options: DecoratedBoxOptions & { width?: number; height?: number; }, child?: CanvasComponent);
+  static new(options: DecoratedBoxOptions & { width?: number; height?: number; }, child?: CanvasComponent): Container;
+}
+
+/** Line style of the shape components. The color can be any `Color`, including gradients, which span the box of the shape. */
+interface ShapeStroke {
+  color?: Color = 'black';
+  lineWidth?: number = 1;
+  /** Dash pattern, as in `setLineDash`. Empty for a solid line. */
+  dash?: number[] = [];
+  dashOffset?: number = 0;
+  cap?: CanvasLineCap = 'butt';
+  join?: CanvasLineJoin = 'miter';
+}
+
+/** Common part of the shape components. A shape is filled first and then stroked; `null` (or leaving it out, where there's no default) skips either. */
+declare abstract class Shape extends CanvasComponent {
+  fill?: Color | null;
+  stroke?: ShapeStroke | null;
+}
+
+/** Parse SVG path data (the `d` attribute) into absolute `M`, `L`, `C` and `Z` commands. All the SVG commands are supported, quadratic curves and arcs are turned into cubic curves.
+ * Throws on malformed data. */
+declare function parsePathData(d: string): (
+  | { type: 'M' | 'L'; x: number; y: number; }
+  | { type: 'C'; x1: number; y1: number; x2: number; y2: number; x: number; y: number; }
+  | { type: 'Z'; }
+)[];
+
+/** Shape drawn from SVG path data, e.g. an icon.
+ * Without `viewBox`, the shape is measured from the bounds of the path (curves included) plus half the line width, and its top left corner is moved to the top left of the component.
+ * With `viewBox`, the component is as big as the view box, like an `<svg>` element, and nothing outside of it is moved in.
+ * `width` and (or) `height` scale the shape to that size, keeping its aspect ratio when only one of them is given. */
+export class Path extends Shape {
+  d: string;
+  viewBox?: { x?: number = 0; y?: number = 0; width: number; height: number; };
+  widthOverride?: number;
+  heightOverride?: number;
+  fillRule: CanvasFillRule;
+
+  constructor(options: {
+    d: string;
+    viewBox?: { x?: number = 0; y?: number = 0; width: number; height: number; };
+    width?: number;
+    height?: number;
+    fill?: Color | null = 'black';
+    stroke?: ShapeStroke | null = null;
+    fillRule?: CanvasFillRule = 'nonzero';
+  });
+  static new(options: {
+    d: string;
+    viewBox?: { x?: number = 0; y?: number = 0; width: number; height: number; };
+    width?: number;
+    height?: number;
+    fill?: Color | null = 'black';
+    stroke?: ShapeStroke | null = null;
+    fillRule?: CanvasFillRule = 'nonzero';
+  }): Path;
+}
+
+/** Straight line from (`x1`, `y1`) to (`x2`, `y2`). Like `Path`, it's measured from its bounds, so only the length and the direction of the line matter. */
+export class Line extends Shape {
+  x1: number;
+  y1: number;
+  x2: number;
+  y2: number;
+
+  constructor(options: { x1?: number = 0; y1?: number = 0; x2?: number = 0; y2?: number = 0; stroke?: ShapeStroke | null = {}; });
+  static new(options: { x1?: number = 0; y1?: number = 0; x2?: number = 0; y2?: number = 0; stroke?: ShapeStroke | null = {}; }): Line;
+}
+
+/** Open line through `[x, y]` points, measured like `Path`. */
+export class Polyline extends Shape {
+  points: [number, number][];
+
+  constructor(options: { points: [number, number][]; fill?: Color | null; stroke?: ShapeStroke | null = {}; });
+  static new(options: { points: [number, number][]; fill?: Color | null; stroke?: ShapeStroke | null = {}; }): Polyline;
+}
+
+/** Closed shape through `[x, y]` points, measured like `Path`. */
+export class Polygon extends Shape {
+  points: [number, number][];
+
+  constructor(options: { points: [number, number][]; fill?: Color | null = 'black'; stroke?: ShapeStroke | null = null; });
+  static new(options: { points: [number, number][]; fill?: Color | null = 'black'; stroke?: ShapeStroke | null = null; }): Polygon;
 }
 
-/** A type that is allowed to set to the color of a component. */
+/** Ellipse filling a box sized like `Rect`. The stroke is kept inside the box. */
+export class Ellipse extends Shape {
+  widthOverride: number;
+  heightOverride: number;
+
+  constructor(options: { width?: number = 10; height?: number = 10; fill?: Color | null = 'black'; stroke?: ShapeStroke | null = null; });
+  static new(options: { width?: number = 10; height?: number = 10; fill?: Color | null = 'black'; stroke?: ShapeStroke | null = null; }): Ellipse;
+}
+
+/** Head of an `Arrow`. `'triangle'` and `'circle'` are filled with the stroke color and shorten the line so it doesn't show through, `'open'` is a stroked chevron and `'bar'` a stroked cross line. */
+type ArrowHead = 'none' | 'triangle' | 'open' | 'circle' | 'bar';
+
+/** Line from (`x1`, `y1`) to (`x2`, `y2`) with a head at either end, measured like `Path` with the heads included. `headSize` is both the length and the width of a head. The dash of the stroke applies to the line only. */
+export class Arrow extends Shape {
+  x1: number;
+  y1: number;
+  x2: number;
+  y2: number;
+  startHead: ArrowHead;
+  endHead: ArrowHead;
+  headSize: number;
+
+  constructor(options: {
+    x1?: number = 0;
+    y1?: number = 0;
+    x2?: number = 0;
+    y2?: number = 0;
+    startHead?: ArrowHead = 'none';
+    endHead?: ArrowHead = 'triangle';
+    headSize?: number = 10;
+    stroke?: ShapeStroke | null = {};
+  });
+  static new(options: {
+    x1?: number = 0;
+    y1?: number = 0;
+    x2?: number = 0;
+    y2?: number = 0;
+    startHead?: ArrowHead = 'none';
+    endHead?: ArrowHead = 'triangle';
+    headSize?: number = 10;
+    stroke?: ShapeStroke | null = {};
+  }): Arrow;
+}
+
+/** Separator line, like Flutter's `Divider`. Takes the whole width (or height, when vertical) the constraints allow, or `length` when given; without either it is 0 long.
+ * `space` is the thickness of the component, the line is centered in it. `indent` and `endIndent` leave a gap at the start and the end of the line. */
+export class Divider extends Shape {
+  direction: 'horizontal' | 'vertical';
+  length?: number;
+  space?: number;
+  indent: number;
+  endIndent: number;
+
+  constructor(options: {
+    direction?: 'horizontal' | 'vertical' = 'horizontal';
+    length?: number;
+    /** Defaults to the line width. */
+    space?: number;
+    indent?: number = 0;
+    endIndent?: number = 0;
+    stroke?: ShapeStroke | null = { color: '#e0e0e0' };
+  });
+  static new(options: {
+    direction?: 'horizontal' | 'vertical' = 'horizontal';
+    length?: number;
+    space?: number;
+    indent?: number = 0;
+    endIndent?: number = 0;
+    stroke?: ShapeStroke | null = { color: '#e0e0e0' };
+  }): Divider;
+}
+
+/** How `encodeQRCode` turns the text into bits. `'auto'` picks `'numeric'` for digits only, `'alphanumeric'` for digits, uppercase letters and ` $%*+-./:` only, and `'byte'` (UTF-8) otherwise.
+ * `'kanji'` needs the text to be made of Shift JIS double-byte characters, and a `TextDecoder` that supports `'shift_jis'`. */
+type QRCodeMode = 'auto' | 'numeric' | 'alphanumeric' | 'byte' | 'kanji';
+
+/** Error correction level of a QR code. `'L'`, `'M'`, `'Q'` and `'H'` can restore about 7%, 15%, 25% and 30% of the codewords. */
+type QRCodeEcLevel = 'L' | 'M' | 'Q' | 'H';
+
+/** Encode a text as a QR code symbol. Without `version` (1 to 40), the smallest version the text fits in is used. Without `mask` (0 to 7), the mask with the lowest penalty is used.
+ * Throws when the text can't be encoded in the mode, or doesn't fit. `modules[y][x]` is `true` for dark modules. */
+declare function encodeQRCode(text: string, options?: { mode?: QRCodeMode = 'auto'; ecLevel?: QRCodeEcLevel = 'M'; version?: number; mask?: number; }): {
+  version: number;
+  ecLevel: QRCodeEcLevel;
+  mode: Exclude<QRCodeMode, 'auto'>;
+  mask: number;
+  /** Number of modules on each side, without the quiet zone. */
+  size: number;
+  modules: boolean[][];
+};
+
+/** QR code encoding `text`, drawn as vector modules at any size. The symbol is a square as large as `size` (with the quiet zone), shrunk to fit the constraints.
+ * Square modules are snapped to whole pixels, so the code stays crisp. The child is a logo centered on the code: it is laid out no larger than what `ecLevel` can restore with a safety margin, and the modules under it are left out. */
+export class QRCode extends SingleChildComponent {
+  text: string;
+  mode: QRCodeMode;
+  ecLevel: QRCodeEcLevel;
+  version?: number;
+  mask?: number;
+  /** Side of the symbol in px, quiet zone included. Defaults to 4px per module. */
+  size?: number;
+  /** Width of the light margin around the symbol, in modules. */
+  quietZone: number;
+  /** Color of the dark modules. */
+  color: Color;
+  /** Color of the light modules and the quiet zone. `null` leaves them transparent. */
+  backgroundColor: Color | null;
+  /** Corner radius of the modules, as a share of the module size from 0 (square) to 0.5 (round dots). */
+  moduleRadius: number;
+  /** The encoded symbol, computed again when the text or an encoding option changes. */
+  readonly code: ReturnType<typeof encodeQRCode>;
+
+  constructor(options: { text: string = ''; mode?: QRCodeMode = 'auto'; ecLevel?: QRCodeEcLevel = 'M'; version?: number; mask?: number; size?: number; quietZone?: number = 4; color?: Color = 'black'; backgroundColor?: Color | null = 'white'; moduleRadius?: number = 0; }, logo?: CanvasComponent);
+  static new(options: { text: string = ''; mode?: QRCodeMode = 'auto'; ecLevel?: QRCodeEcLevel = 'M'; version?: number; mask?: number; size?: number; quietZone?: number = 4; color?: Color = 'black'; backgroundColor?: Color | null = 'white'; moduleRadius?: number = 0; }, logo?: CanvasComponent): QRCode;
+}
+
+/** Symbology of a `Barcode`. `'code128'` encodes any ASCII text, switching between the code sets A, B and C to keep the symbol short.
+ * `'ean13'`, `'ean8'` and `'upca'` encode 12, 7 and 11 digits, followed by the check digit, which is added when left out and verified when given. */
+type BarcodeFormat = 'code128' | 'ean13' | 'ean8' | 'upca';
+
+/** Encode data as a 1D barcode. Throws an error naming the symbology for data it can't encode, such as non-ASCII characters in Code 128, a wrong number of digits or a wrong check digit.
+ * `modules[i]` is `true` for a bar module. Guard modules (`guards[i]`) reach into the text line. `text` lists the human-readable groups, centered at `x` modules from the start of the symbol. */
+declare function encodeBarcode(data: string, options?: { format?: BarcodeFormat = 'code128'; }): {
+  format: BarcodeFormat;
+  modules: boolean[];
+  guards: boolean[];
+  text: { text: string; x: number; }[];
+};
+
+/** 1D barcode. The bars are `moduleWidth` px per module, or the most whole pixels per module that fit the width the constraints allow when it is left out (2px per module when the width is unbounded). The bars are centered in any width left over.
+ * Bar edges are snapped to whole pixels. With `showText`, the human-readable text is printed under the bars, and the EAN and UPC guard bars reach into it. */
+export class Barcode extends CanvasComponent {
+  data: string;
+  format: BarcodeFormat;
+  /** Width of a module in px. */
+  moduleWidth?: number;
+  /** Height of the bars in px, without the text. */
+  barHeight: number;
+  /** Width of the light margin at both ends, in modules. The first digit of EAN-13 and UPC-A is printed in it. */
+  quietZone: number;
+  showText: boolean;
+  textSize: number;
+  fontFamily: Font['fontFamily'];
+  color: Color;
+  /** `null` leaves the background transparent. */
+  backgroundColor: Color | null;
+  /** The encoded symbol, computed again when `data` or `format` changes. */
+  readonly code: ReturnType<typeof encodeBarcode>;
+
+  constructor(options: { data: string = ''; format?: BarcodeFormat = 'code128'; moduleWidth?: number; barHeight?: number = 50; quietZone?: number = 10; showText?: boolean = true; textSize?: number = 12; fontFamily?: Font['fontFamily'] = 'monospace'; color?: Color = 'black'; backgroundColor?: Color | null = 'white'; });
+  static new(options: { data: string = ''; format?: BarcodeFormat = 'code128'; moduleWidth?: number; barHeight?: number = 50; quietZone?: number = 10; showText?: boolean = true; textSize?: number = 12; fontFamily?: Font['fontFamily'] = 'monospace'; color?: Color = 'black'; backgroundColor?: Color | null = 'white'; }): Barcode;
+}
+
+/** Width of a `Table` column: a number of px, `'auto'` for the natural width of the widest cell in the column, or a fraction like `'1fr'` for a share of the width left by the other columns (like CSS grid). */
+type TableColumnWidth = number | 'auto' | `${number}fr`;
+
+/** Line style of the border and the gridlines of a `Table`, like the stroked `Rect`. */
+interface TableStroke {
+  lineWidth?: number = 1;
+  color?: Color = 'black';
+}
+
+/** Cell padding: the same distance on every side, or a distance per side. */
+type CellPadding = number | { left?: number; right?: number; top?: number; bottom?: number; };
+
+/** Table component. Arrange `TableRow`s of `TableCell`s in a grid. Useful for price lists, receipts and spec sheets.
+ * The height of a row is the height of its tallest cell, measured after wrapping text to the width of the cell. A cell spanning multiple rows that is taller than those rows makes the last of them higher.
+ * The border and the gridlines are drawn over the cell edges and take no space. */
+export class Table extends MultiChildComponent {
+  children: TableRow[];
+  /** Width of every column. A row with more cells than this array adds columns of width `'auto'`, so the count of columns is that of the widest row. */
+  columns: TableColumnWidth[];
+  /** Default padding of the cells. */
+  cellPadding: CellPadding;
+  /** Default horizontal alignment of the cell contents. */
+  alignment: 'left' | 'center' | 'right';
+  /** Default vertical alignment of the cell contents. */
+  verticalAlignment: 'top' | 'center' | 'bottom';
+  /** Outer border. `null` draws none. */
+  border: TableStroke | null;
+  /** Lines between the cells. `null` draws none. */
+  gridlines: TableStroke | null;
+
+  constructor(
+    options: {
+      columns?: TableColumnWidth[] = [];
+      cellPadding?: CellPadding = 0;
+      alignment?: Table['alignment'] = 'left';
+      verticalAlignment?: Table['verticalAlignment'] = 'top';
+      border?: TableStroke | null;
+      gridlines?: TableStroke | null;
+    },
+    ...rows: TableRow[]
+  );
+  static new(
+    options: {
+      columns?: TableColumnWidth[] = [];
+      cellPadding?: CellPadding = 0;
+      alignment?: Table['alignment'] = 'left';
+      verticalAlignment?: Table['verticalAlignment'] = 'top';
+      border?: TableStroke | null;
+      gridlines?: TableStroke | null;
+    },
+    ...rows: TableRow[]
+  ): Table;
+}
+
+/** A row of a `Table`. Children that are not `TableCell`s are wrapped in a `TableCell` with the default options. */
+export class TableRow extends MultiChildComponent {
+  children: TableCell[];
+  /** Background of the row. */
+  backgroundColor?: Color;
+
+  constructor(options: { backgroundColor?: Color; }, ...cells: CanvasComponent[]);
+  static new(options: { backgroundColor?: Color; }, ...cells: CanvasComponent[]): TableRow;
+}
+
+/** A cell of a `Table`. Options left empty take the defaults of the table. */
+export class TableCell extends SingleChildComponent {
+  /** Count of columns the cell spans. */
+  colSpan: number;
+  /** Count of rows the cell spans. */
+  rowSpan: number;
+  alignment?: Table['alignment'];
+  verticalAlignment?: Table['verticalAlignment'];
+  padding?: CellPadding;
+  backgroundColor?: Color;
+  /** The table the cell was laid out in. */
+  table?: Table;
+
+  constructor(options: { colSpan?: number = 1; rowSpan?: number = 1; alignment?: Table['alignment']; verticalAlignment?: Table['verticalAlignment']; padding?: CellPadding; backgroundColor?: Color; }, child?: CanvasComponent);
+  static new(options: { colSpan?: number = 1; rowSpan?: number = 1; alignment?: Table['alignment']; verticalAlignment?: Table['verticalAlignment']; padding?: CellPadding; backgroundColor?: Color; }, child?: CanvasComponent): TableCell;
+}
+
+/** A type that is allowed to set to the color of a component. A CSS `linear-gradient(...)`, `radial-gradient(...)` or `conic-gradient(...)` string works as well, see `parseGradient`. */
 export type Color = CanvasRenderingContext2D['fillStyle'] | CustomCanvasColor;
 
-/** A bunch of utility color class that can be converted to regular canvas color. */
+/** A bunch of utility color class that can be converted to regular canvas color.
+ * Built-in components call `toCanvasColor` with the box of the painted component in `di` (`x`, `y`, `contentWidth`, `contentHeight`), so gradients and patterns span that component rather than its parent. */
 interface CustomCanvasColor {
   toCanvasColor<T extends CanvasRenderingContext2D['fillStyle']>(di: DrawInstance, ctx: CanvasRenderingContext2D): T;
 }
 
-/** Make a component to take up full width of the drawable area. */
+/** Make a component to take up full width of the drawable area, by giving it tight width constraints. Has no effect when the width is unbounded. */
 declare const Expand: (child: CanvasComponent) => SingleChildCustomComponent;
 
+/** A color stop of a gradient. `offset` goes from 0 to 1 along the gradient. */
+interface ColorStop {
+  offset: number;
+  color: string;
+}
+
 /** Create linear gradient inline using a syntax near to the CSS `linear-gradient` function, and can be converted to `CanvasGradient`.
  * Should convert this by invoking `toCanvasColor` before assigned to `fillStyle` or `strokeStyle`. */
 export class LinearGradient implements CustomCanvasColor {
-  /** The direction of the linear gradient. */
-  direction: 'up' | 'down' | 'left' | 'right';
-  colorStops: { offset: number; color: string; }[];
+  /** The direction of the linear gradient: a side, a corner (like CSS `to top right`, the line through the center then depends on the shape of the box),
+   * or an angle like CSS, in degrees when a number, or a string like `'135deg'`, `'0.25turn'`, `'1rad'` or `'100grad'`. `0` points up and angles go clockwise. */
+  direction: 'up' | 'down' | 'left' | 'right' | 'upLeft' | 'upRight' | 'downLeft' | 'downRight' | number | string;
+  colorStops: ColorStop[];
 
-  constructor(direction: LinearGradient['direction'] = 'up', ...colorStops: LinearGradient['colorStops']);
+  constructor(direction: LinearGradient['direction'] = 'up', ...colorStops: ColorStop[]);
 
   toCanvasColor(di: DrawInstance, ctx: CanvasRenderingContext2D): CanvasGradient;
 }
 
-/** Convert a `Color` (not only `CustomCanvasColor`) object into a color value accepted by Canvas. */
-declare function toCanvasColor(di: DrawInstance, ctx: CanvasRenderingContext2D, color: Color): CanvasRenderingContext2D['fillStyle'];
\ No newline at end of file
+/** Radial gradient, like the CSS `radial-gradient` function. The gradient is always a circle, since canvas has no elliptical gradients. */
+export class RadialGradient implements CustomCanvasColor {
+  /** Center of the circle, as fractions of the width and the height of the box. */
+  center: { x: number; y: number; };
+  /** Radius in px, or the distance from the center to the closest or farthest side or corner of the box. */
+  radius: number | 'closestSide' | 'closestCorner' | 'farthestSide' | 'farthestCorner';
+  colorStops: ColorStop[];
+
+  constructor(options: { center?: { x: number; y: number; } = { x: 0.5, y: 0.5 }; radius?: RadialGradient['radius'] = 'farthestCorner'; }, ...colorStops: ColorStop[]);
+
+  toCanvasColor(di: DrawInstance, ctx: CanvasRenderingContext2D): CanvasGradient;
+}
+
+/** Conic gradient, like the CSS `conic-gradient` function: the colors go clockwise around the center. Throws when painted on a canvas without `createConicGradient`. */
+export class ConicGradient implements CustomCanvasColor {
+  /** Angle where the gradient starts, in degrees when a number, or a string like `'90deg'`. `0` points up. */
+  from: number | string;
+  /** Center, as fractions of the width and the height of the box. */
+  center: { x: number; y: number; };
+  colorStops: ColorStop[];
+
+  constructor(options: { from?: number | string = 0; center?: { x: number; y: number; } = { x: 0.5, y: 0.5 }; }, ...colorStops: ColorStop[]);
+
+  toCanvasColor(di: DrawInstance, ctx: CanvasRenderingContext2D): CanvasGradient;
+}
+
+/** Parse a CSS `linear-gradient(...)`, `radial-gradient(...)` or `conic-gradient(...)` string into a `LinearGradient`, `RadialGradient` or `ConicGradient`.
+ * Stop positions are percentages (or angles for conic gradients). Missing positions are spread evenly, like in CSS. Lengths in px are only supported for the radius of a radial gradient, and color hints such as `red, 30%, blue` are not supported.
+ * Throws for strings it can't parse. `toCanvasColor` parses such strings by itself, so they can be used as any `Color` directly. */
+declare function parseGradient(text: string): LinearGradient | RadialGradient | ConicGradient;
+
+/** Creates an offscreen canvas of the given size, used to render the component of a `PatternFill`. */
+type CanvasFactory = (width: number, height: number) => { getContext(type: '2d'): CanvasRenderingContext2D; };
+
+/** Replace the default canvas factory, which uses `OffscreenCanvas` or `document.createElement('canvas')`.
+ * In a Mini Program, pass one built on `wx.createOffscreenCanvas({ type: '2d', width, height })`. */
+declare function setCanvasFactory(factory: CanvasFactory): void;
+
+/** Fill with a repeated image, or a component rendered to an offscreen canvas. The tile starts at the top left corner of the painted box.
+ * A component is laid out once and drawn again only after it changes. Images inside it are not loaded by `prepare` of the tree, call `prepare` on the component itself.
+ * Cannot be saved with `toJSON`. */
+export class PatternFill implements CustomCanvasColor {
+  source: CanvasImageSource | CanvasComponent;
+  repetition: 'repeat' | 'repeat-x' | 'repeat-y' | 'no-repeat';
+  /** Scale of the tile. */
+  scale: number;
+  offsetX: number;
+  offsetY: number;
+  /** Width of the tile of a component. Defaults to the width of the component. */
+  width?: number;
+  /** Height of the tile of a component. Defaults to the height of the component. */
+  height?: number;
+
+  constructor(
+    source: CanvasImageSource | CanvasComponent,
+    options?: { repetition?: PatternFill['repetition'] = 'repeat'; scale?: number = 1; offsetX?: number = 0; offsetY?: number = 0; width?: number; height?: number; },
+  );
+
+  toCanvasColor(di: DrawInstance, ctx: CanvasRenderingContext2D): CanvasPattern;
+}
+
+/** Convert a `Color` (not only `CustomCanvasColor`) object into a color value accepted by Canvas. A color token of `di.theme` (see `ThemeData['colors']`) is replaced by its color first. */
+declare function toCanvasColor(di: DrawInstance, ctx: CanvasRenderingContext2D, color: Color): CanvasRenderingContext2D['fillStyle'];
+/** Measures the width of a piece of text for a `RecordingContext`. `font` is the current CSS font string of the context, e.g. `'bold 12px sans-serif'`.
+ * Return either the width or a partial `TextMetrics` object. */
+type TextMetricsFunction = (text: string, font: string) => number | Partial<TextMetrics> & { width: number };
+
+/** Deterministic text metrics: every wide (CJK, full-width, emoji) character takes `size` px and every other character takes `0.6 * size` px. Used by `RecordingContext` by default.
+ * It matches no real font, so text laid out with it wraps differently than on a canvas. */
+declare function monospaceTextMetrics(text: string, font: string): number;
+
+/** Split a CSS font string (the format of `ctx.font`) into its parts. Unrecognized strings give `10px sans-serif`. */
+declare function parseCanvasFont(font: string): { style: string; weight: string; size: number; family: string; };
+
+/** One call recorded by a `RecordingContext`. */
+interface RecordedCall {
+  /** Name of the `CanvasRenderingContext2D` method. */
+  method: string;
+  /** Arguments exactly as the component passed them. Coordinates are in the space of the current transformation, so map them through `transform` to get canvas coordinates. */
+  args: any[];
+  /** The current transformation matrix `[a, b, c, d, e, f]`, present only when it is not the identity. */
+  transform?: [number, number, number, number, number, number];
+  /** The style in effect for painting calls (`fill`, `stroke`, `fillRect`, `strokeRect`, `fillText`, `strokeText`, `drawImage`, `clearRect`).
+   * Contains the properties relevant to the call, plus the compositing and shadow properties that differ from their defaults. */
+  style?: Record<string, any>;
+}
+
+/** Gradient created by a `RecordingContext`. Color stops are kept so that it can be serialized and recreated on a real context. */
+export class RecordingGradient {
+  type: 'linear' | 'radial' | 'conic';
+  args: number[];
+  colorStops: { offset: number; color: string; }[];
+
+  addColorStop(offset: number, color: string): void;
+  /** Create the same gradient on a real context. */
+  toCanvasGradient(ctx: CanvasRenderingContext2D): CanvasGradient;
+}
+
+/** Pattern created by a `RecordingContext`. */
+export class RecordingPattern {
+  type: 'pattern';
+  args: [CanvasImageSource, string | null];
+
+  setTransform(transform?: DOMMatrix2DInit): void;
+  /** Create the same pattern on a real context. */
+  toCanvasPattern(ctx: CanvasRenderingContext2D): CanvasPattern | null;
+}
+
+/** A 2D context that draws nothing and records every call instead, so that components can be measured and drawn without a browser (e.g. in Node or in snapshot tests).
+ * It implements the subset of `CanvasRenderingContext2D` that the components use: state (`save`, `restore`, transforms, styles), paths (`moveTo`, `arc`, `roundRect`, ...), `clip`, painting (`fill`, `fillText`, `drawImage`, ...), gradients, patterns and `measureText`.
+ * Text is measured with the supplied `textMetrics` function, so text wrapping and ellipsis give the same results on every machine.
+ * The default `monospaceTextMetrics` is meant for snapshot tests; pass metrics backed by a real context when the layout must match the one on a canvas.
+ * The recording can be replayed onto a real context later. */
+export class RecordingContext {
+  /** Width of the virtual canvas. */
+  width: number;
+  /** Height of the virtual canvas. */
+  height: number;
+  /** Recorded calls, in order. */
+  log: RecordedCall[];
+  /** How many times `measureText` has been called. */
+  measureTextCount: number;
+
+  constructor(options?: { width?: number = 300; height?: number = 150; textMetrics?: TextMetricsFunction = monospaceTextMetrics; });
+  static new(options?: { width?: number = 300; height?: number = 150; textMetrics?: TextMetricsFunction = monospaceTextMetrics; }): RecordingContext;
+
+  /** An object holding the width and the height of the virtual canvas, like `ctx.canvas`. */
+  readonly canvas: { width: number; height: number; };
+
+  measureText(text: string): TextMetrics;
+  createLinearGradient(x0: number, y0: number, x1: number, y1: number): RecordingGradient;
+  createRadialGradient(x0: number, y0: number, r0: number, x1: number, y1: number, r1: number): RecordingGradient;
+  createConicGradient(startAngle: number, x: number, y: number): RecordingGradient;
+  createPattern(image: CanvasImageSource, repetition: string | null): RecordingPattern;
+
+  /** Drop the recorded calls and reset the state. */
+  clear(): void;
+  /** Execute the recorded calls on another context (typically a real `CanvasRenderingContext2D`). Recorded gradients and patterns are recreated on that context. */
+  replay(ctx: CanvasRenderingContext2D): void;
+  /** Serializable form of the log. Gradients and patterns become plain objects and images become `{ image, width, height }`. Suitable for snapshot tests. */
+  toJSON(): RecordedCall[];
+}
+
+/** Convert the calls recorded by a `RecordingContext` into an SVG document.
+ * Rectangles and rounded rectangles become `<rect>` (with `rx`), full circles become `<circle>`, other paths become `<path>`,
+ * text becomes `<text>`, clips become `<clipPath>`, linear and radial gradients become `<linearGradient>` and `<radialGradient>`, and images become `<image>`.
+ * Conic gradients, which SVG can't express, are painted with their first color stop. Shadows become a CSS `drop-shadow` filter. */
+declare function recordingToSVG(recording: RecordingContext): string;
+
+/** Draw a component tree and return it as an SVG document, which stays sharp at any resolution (e.g. for print).
+ * `width` and `height` default to the measured size of the component. If the height is still unknown, the component is measured with the given width first.
+ * Text is measured with `textMetrics`, which is required: pass a function backed by a real context, such as `(text, font) => { ctx.font = font; return ctx.measureText(text); }`, to match the line breaks of the canvas,
+ * or `monospaceTextMetrics` for output that is the same on every machine.
+ * Throws for conic gradients, which SVG can't express. */
+declare function toSVG(component: CanvasComponent, options: { width?: number; height?: number; textMetrics: TextMetricsFunction; }): string;
+
+/** A node of the JSON scene format. `type` names a registered component type. The other properties are the options of the component (the same names as in its constructor), plus:
+ * - `id`: assigned with `ofId`;
+ * - `child`: the child node of single-child components;
+ * - `children`: the child nodes of multi-child components;
+ * - `content`: the text of `Text`. Like other text options, it also accepts a number;
+ * - `spans`: the spans of `RichText`. A span is a string, a `TextSpan` object such as `{ "text": "sale", "color": "red", "spans": [...] }`,
+ *   or a `WidgetSpan` object such as `{ "widget": { "type": "Rect" }, "alignment": "middle" }`;
+ * - `src`: the image of `CanvasImage`, resolved through the `images` option of `fromJSON`, or kept as a URL to be loaded by `prepare`;
+ * - `placeholder`, `fallback`: the placeholder and fallback nodes of `CanvasImage`;
+ * - `backgroundImage`: the background image node of `DecoratedBox` and `Container`.
+ *
+ * Colors are either CSS color strings (including CSS gradient strings) or gradient objects such as `{ "type": "LinearGradient", "direction": "right", "colorStops": [{ "offset": 0, "color": "#fff" }] }`,
+ * `{ "type": "RadialGradient", "center": { "x": 0.5, "y": 0.5 }, "radius": "closestSide", "colorStops": [...] }` or `{ "type": "ConicGradient", "from": 90, "colorStops": [...] }`. `PatternFill` can't be saved.
+ *
+ * Built-in types: `Canvas`, `Theme`, `Stack`, `Positional`, `Column`, `Row`, `ScrollView`, `Flexible`, `Expanded`, `Padding`, `SizedBox`, `ConstrainedBox`, `AspectRatio`, `FractionallySizedBox`, `Align`, `Center`, `Text`, `RichText`, `CanvasImage`, `Rect`, `Outlined`, `DecoratedBox`, `Container`, `Path`, `Line`, `Polyline`, `Polygon`, `Ellipse`, `Arrow`, `Divider`, `QRCode`, `Barcode`, `Table`, `TableRow`, `TableCell`, `CircleShaped`, `RectangleShaped`, `ClipRect`, `Transform`, `Opacity`, `BlendMode`, `Expand`.
+ * `ListView` can't be saved, as its items come from a function. */
+interface SceneNode {
+  type: string;
+  id?: string;
+  child?: SceneNode;
+  children?: SceneNode[];
+  [option: string]: any;
+}
+
+/** Thrown when a JSON scene is invalid, or when a component tree cannot be serialized. */
+export class SceneError extends Error {
+  /** JSON path of the offending node or property, e.g. `$.child.children[2].size`. */
+  path: string;
+}
+
+/** Describes an option of a component in the JSON scene format. `defaultValue` is omitted when serializing. */
+interface SceneField {
+  type: 'number' | 'string' | 'boolean' | 'color' | 'oneOf' | 'numbers';
+  values?: string[];
+  defaultValue?: any;
+}
+
+/** Factories of `SceneField`s. A `nullable` color field also accepts `null`, e.g. for "no fill". */
+declare const sceneField: {
+  number(defaultValue?: number): SceneField;
+  string(defaultValue?: string): SceneField;
+  boolean(defaultValue?: boolean): SceneField;
+  color(defaultValue?: Color, nullable?: boolean = false): SceneField;
+  oneOf(values: string[], defaultValue?: string): SceneField;
+  numbers(defaultValue?: number[]): SceneField;
+};
+
+/** Helper passed to `fromJSON` of a component type. Every method validates its input and throws a `SceneError` carrying the JSON path. */
+interface SceneReader {
+  node: SceneNode;
+  path: string;
+  /** Create a `SceneError` for the node, or for one of its properties. */
+  error(key: string | null, message: string): SceneError;
+  /** Read a single property. */
+  value(key: string, field: SceneField): any;
+  /** Read the given properties into an options object. Properties that are neither listed here, in `extraKeys`, nor one of `type`, `id`, `child` and `children` are rejected. */
+  fields(fields: Record<string, SceneField>, extraKeys?: string[]): Record<string, any>;
+  /** Build the child node. */
+  child(key?: string = 'child'): CanvasComponent | undefined;
+  /** Build the child nodes. */
+  children(key?: string = 'children'): CanvasComponent[];
+  /** Resolve an image source. */
+  image(key?: string = 'src'): CanvasImageSource;
+}
+
+/** Helper passed to `toJSON` of a component type. */
+interface SceneWriter {
+  component: CanvasComponent;
+  path: string;
+  error(key: string | null, message: string): SceneError;
+  /** Write the given properties of `values` (the component by default), leaving out `undefined` and default values. */
+  fields(fields: Record<string, SceneField>, values?: object): Record<string, any>;
+  /** `{ child: node }`, or `{}` without a child. */
+  child(child?: CanvasComponent, key?: string = 'child'): Record<string, SceneNode>;
+  /** `{ children: nodes }`. */
+  children(children?: CanvasComponent[], key?: string = 'children'): Record<string, SceneNode[]>;
+  /** `{ src: source }`. */
+  image(img: CanvasImageSource, key?: string = 'src'): Record<string, string>;
+}
+
+/** Register a component type for the JSON scene format. Registering an existing type replaces it.
+ * When serializing, a component belongs to the type whose `match` returns `true`, which by default checks that its constructor is `component`. */
+declare function registerComponent(type: string, definition: {
+  component?: Function;
+  match?: (component: CanvasComponent) => boolean;
+  fromJSON(node: SceneNode, scene: SceneReader): CanvasComponent;
+  toJSON(component: CanvasComponent, scene: SceneWriter): Omit<SceneNode, 'type'>;
+}): void;
+
+/** Build a component tree from a JSON scene (an object or a JSON string). `images` maps the `src` of `CanvasImage` nodes to loaded images. A `src` not found there is kept as a URL. Throws `SceneError` on invalid input. */
+declare function fromJSON(json: SceneNode | string, options?: { images?: Record<string, CanvasImageSource> | ((src: string) => CanvasImageSource | undefined); }): CanvasComponent;
+
+/** Serialize a component tree into a JSON scene. `imageSource` gives the `src` of an image, `img.src` by default. Throws `SceneError` for components without a registered type, such as `CustomComponent`. */
+declare function toJSON(component: CanvasComponent, options?: { imageSource?: (img: CanvasImageSource) => string | undefined; }): SceneNode;
+
+/** Bind a template to a data object and return a plain JSON scene, ready for `fromJSON`. The template is a `SceneNode` (or a JSON string) with placeholders:
+ * - `{{path}}` in any string is replaced with the value at `path` in `data`, e.g. `"{{product.name}}"` or `"Tag: {{product.tags[0]}}"`. Missing values become empty strings.
+ *   A string that is a single placeholder keeps the type of the value, so `"size": "{{style.size}}"` gives a number, while a number bound to a text option such as `"content": "{{product.price}}"` is converted to text. Properties whose value is missing are dropped, falling back to their defaults;
+ * - `visible`: a node or span whose `visible` is falsy is removed;
+ * - `{ "type": "If", "test": "{{product.sale}}", "child": {...}, "else": {...} }` is replaced with `child` when `test` is truthy, with `else` otherwise, or removed when that branch is omitted;
+ * - `{ "type": "Repeat", "items": "{{product.tags}}", "as": "tag", "index": "i", "child": {...} }` is replaced with one copy of `child` (or of every node in `children`) per item, with the item and its index available as `{{tag}}` and `{{i}}`.
+ *   `as` and `index` default to `item` and `index`. A `Repeat` can only appear in an array, such as the `children` of `Column` and `Row`.
+ *
+ * Throws `SceneError` if `items` is not an array, or if nothing is left of the template. */
+declare function bindTemplate(template: SceneNode | string, data: any): SceneNode;
+
+/** Same as `fromJSON(bindTemplate(template, data), options)`. */
+declare function fromTemplate(template: SceneNode | string, data: any, options?: { images?: Record<string, CanvasImageSource> | ((src: string) => CanvasImageSource | undefined); }): CanvasComponent;
+
+interface BatchRenderOptions extends PrepareOptions {
+  /** The context every record is drawn on, in turn. A `RecordingContext` by default. */
+  context?: CanvasRenderingContext2D | RecordingContext;
+  /** Width of the output, the width of the canvas by default. */
+  width?: number;
+  /** Height of the output. By default, the canvas is resized to the height of each record. */
+  height?: number;
+  /** Passed to `fromJSON`. */
+  images?: Record<string, CanvasImageSource> | ((src: string) => CanvasImageSource | undefined);
+  /** Called after each record is drawn, while the context still holds it, e.g. to export the canvas. The return value is saved as `output`. */
+  onRender?: (render: { index: number; record: any; component: CanvasComponent; context: CanvasRenderingContext2D | RecordingContext; width: number; height: number; }) => any;
+}
+
+interface BatchRenderResult {
+  index: number;
+  record: any;
+  width?: number;
+  height?: number;
+  /** Images that failed to load, see `prepare`. */
+  failedImages?: CanvasImage[];
+  output?: any;
+  /** The error thrown while binding, loading, drawing or in `onRender`. */
+  error?: Error;
+}
+
+/** Bind a template to each record (see `bindTemplate`), then load, lay out and draw it with `onRender` called after each one. Records are drawn one by one on the same context,
+ * so the text measurements and loaded images are reused across the batch. A record that fails gets an `error` in its result and doesn't stop the batch. */
+declare function renderBatch(template: SceneNode | string, records: Iterable<any>, options?: BatchRenderOptions): Promise<BatchRenderResult[]>;
+
+type PointerEventType = 'tap' | 'pointerDown' | 'pointerMove';
+
+/** Event passed to pointer event handlers. */
+interface CanvasPointerEvent {
+  type: PointerEventType;
+  /** Position in canvas coordinates. */
+  x: number;
+  y: number;
+  /** Components under the pointer, from the root to the target. */
+  path: CanvasComponent[];
+  /** The topmost component under the pointer. */
+  target?: CanvasComponent;
+  /** The component whose handler is running. */
+  currentTarget?: CanvasComponent;
+  /** The DOM or Mini Program event that caused this event, if any. */
+  nativeEvent?: any;
+  stopped: boolean;
+  /** Stop calling the handlers of the remaining ancestors. */
+  stopPropagation(): void;
+}
+
+/** Pointer event handler. `this` is the component the handler is registered on. */
+type PointerEventHandler = (this: CanvasComponent, event: CanvasPointerEvent) => void;
+
+/** Dispatch pointer input to the handlers of the components of a drawn tree. An event goes to the hit component first and then bubbles up to its ancestors.
+ * A tap is a pointer down followed by a pointer up, where the pointer has never moved farther than `tapSlop`.
+ * In a browser, call `attach(canvas)`. In a Mini Program, call `touchStart`, `touchMove`, `touchEnd` and `touchCancel` from the touch event handlers of the canvas. */
+export class PointerDispatcher {
+  root: CanvasComponent;
+  /** Maximum distance (px) the pointer may move for a tap. */
+  tapSlop: number;
+
+  constructor(root: CanvasComponent, options?: { tapSlop?: number = 10; });
+  static new(root: CanvasComponent, options?: { tapSlop?: number = 10; }): PointerDispatcher;
+
+  /** Dispatch an event at a point (in canvas coordinates) and return it. */
+  dispatch(type: PointerEventType, x: number, y: number, nativeEvent?: any): CanvasPointerEvent;
+  pointerDown(x: number, y: number, nativeEvent?: any): CanvasPointerEvent;
+  pointerMove(x: number, y: number, nativeEvent?: any): CanvasPointerEvent;
+  /** Dispatch a tap if the pointer went down near here. */
+  pointerUp(x: number, y: number, nativeEvent?: any): CanvasPointerEvent | undefined;
+  pointerCancel(): void;
+
+  /** Handle a Mini Program canvas touch event (using `x` and `y` of the touch). */
+  touchStart(e: any): CanvasPointerEvent;
+  touchMove(e: any): CanvasPointerEvent;
+  touchEnd(e: any): CanvasPointerEvent | undefined;
+  touchCancel(): void;
+
+  /** Listen to the pointer events of a canvas element, converting the positions to canvas coordinates even if the canvas is scaled by CSS. Returns a function that removes the listeners. */
+  attach(canvas: HTMLCanvasElement): () => void;
+}
+
+/** Easing function, mapping the linear progress of an animation (0 to 1) to the value of its controller. */
+type Curve = (t: number) => number;
+
+/** Built-in easing curves, matching the CSS timing functions of the same names. */
+declare const Curves: {
+  linear: Curve;
+  ease: Curve;
+  easeIn: Curve;
+  easeOut: Curve;
+  easeInOut: Curve;
+  /** Make a curve from the control points of a CSS `cubic-bezier()`. */
+  cubicBezier(x1: number, y1: number, x2: number, y2: number): Curve;
+};
+
+/** Interpolation between two values. Numbers are interpolated linearly, and objects (such as `{ x, y }`) key by key. */
+export class Tween<T = any> {
+  from: T;
+  to: T;
+
+  constructor(from: T, to: T);
+  static new<T>(from: T, to: T): Tween<T>;
+
+  /** The value at `t`, where `0` gives `from` and `1` gives `to`. `theme` resolves the color tokens of a `ColorTween`; `AnimationController.animate` passes the theme of the component. */
+  at(t: number, theme?: ThemeData = defaultTheme): T;
+  /** Interpolate between two values. Override it to tween other kinds of values. */
+  lerp(from: T, to: T, t: number, theme?: ThemeData = defaultTheme): T;
+}
+
+/** Interpolation between two colors (hex, `rgb()`, `rgba()`, `hsl()`, `hsla()`, a CSS color name or a color token of the theme), giving an `rgba()` color. Alpha is premultiplied, so fading from `'transparent'` doesn't darken the color.
+ * When either end is a gradient with `colorStops`, such as a `LinearGradient`, the offsets and the colors of the stops are interpolated one by one, which needs the same number of stops on both ends. A plain color acts as a gradient of that single color. The type and the geometry of the gradient, such as its direction, switch halfway. */
+export class ColorTween extends Tween<string | LinearGradient | RadialGradient | ConicGradient> {
+  constructor(from: string | LinearGradient | RadialGradient | ConicGradient, to: string | LinearGradient | RadialGradient | ConicGradient);
+  static new(from: string | LinearGradient | RadialGradient | ConicGradient, to: string | LinearGradient | RadialGradient | ConicGradient): ColorTween;
+}
+
+/** Source of animation frames. `requestFrame` calls `callback` once, with a timestamp in milliseconds, before the next frame. */
+interface FrameScheduler {
+  requestFrame(callback: (time: number) => void): any;
+  cancelFrame(id: any): void;
+}
+
+/** Replace the default frame scheduler, which uses `requestAnimationFrame`. In a Mini Program, pass one built on `canvas.requestAnimationFrame`. */
+declare function setFrameScheduler(scheduler: FrameScheduler): void;
+
+/** Frame scheduler driven by hand, for tests. Frames only run when `advance` is called. */
+export class ManualClock implements FrameScheduler {
+  /** Current time in milliseconds. */
+  now: number;
+  /** Number of frames requested and not run yet. */
+  readonly pendingFrames: number;
+
+  constructor(options?: { now?: number = 0; });
+  static new(options?: { now?: number = 0; }): ManualClock;
+
+  requestFrame(callback: (time: number) => void): number;
+  cancelFrame(id: number): void;
+  /** Move the time forward by `ms` and run the frames requested so far. */
+  advance(ms?: number = 1000 / 60): ManualClock;
+}
+
+/** Drive a value from 0 to 1 over time, and apply tweens to components as it changes.
+ * The controller doesn't request frames by itself: an `Animator` calls `tick` with the frame time, or you call it yourself. */
+export class AnimationController {
+  /** Duration of one run, in milliseconds. */
+  duration: number;
+  /** Name of a curve in `Curves`, or an easing function. */
+  curve: string | Curve;
+  /** How many times to run again after the first run. `Infinity` repeats forever. */
+  repeat: number;
+  /** Whether every other repetition runs backwards, from 1 to 0. */
+  reverse: boolean;
+  /** Current value, which is `curve(progress)`. */
+  value: number;
+  /** Linear progress of the current run, from 0 to 1. */
+  progress: number;
+  status: 'idle' | 'running' | 'completed';
+  readonly isRunning: boolean;
+
+  /** Throws on a negative duration or repeat count, and on an unknown curve name. */
+  constructor(options?: { duration?: number = 300; curve?: string | Curve = 'linear'; repeat?: number = 0; reverse?: boolean = false; });
+  static new(options?: { duration?: number = 300; curve?: string | Curve = 'linear'; repeat?: number = 0; reverse?: boolean = false; }): AnimationController;
+
+  /** Start running from the beginning. The time of the next `tick` is taken as the start time. */
+  start(): this;
+  /** Stop at the current value. */
+  stop(): this;
+  /** Stop and go back to the start value. */
+  reset(): this;
+  /** Update the value for the time `time` (in milliseconds) and notify the listeners. Does nothing unless running. */
+  tick(time: number): void;
+  /** Call `listener` whenever the value changes. Returns a function that removes the listener. */
+  addListener(listener: (value: number, controller: AnimationController) => void): () => void;
+  /** Set properties of a component from tweens whenever the value changes, through the `set` method of the component so that it is laid out again.
+   * `tweens` is either a tween per property, like `{ color: ColorTween.new('red', 'blue') }`, or a single tween giving the properties, like `Tween.new({ x: 0, y: 0 }, { x: 100, y: 40 })` for a `Positional`.
+   * The properties are set to the current value right away. Returns a function that stops applying the tweens. */
+  animate(component: CanvasComponent, tweens: Tween<Record<string, any>> | Record<string, Tween>): () => void;
+}
+
+/** Frame loop of an animated component tree. On every frame, it ticks the controllers, clears the canvas, then lays out and paints the tree again. Layout only revisits the components changed by the tweens.
+ * The loop keeps requesting frames while any of the controllers is running. */
+export class Animator {
+  component: CanvasComponent;
+  ctx: CanvasRenderingContext2D;
+  /** Size of the canvas. Defaults to the size of `ctx.canvas`. */
+  width: number;
+  height: number;
+  controllers: AnimationController[];
+  scheduler: FrameScheduler;
+  /** Whether to clear the canvas before each frame. */
+  clear: boolean;
+  /** Number of frames rendered. */
+  frames: number;
+  readonly isRunning: boolean;
+
+  /** Throws when the size of the canvas is neither given nor found from `ctx`. */
+  constructor(component: CanvasComponent, options: { ctx: CanvasRenderingContext2D; width?: number; height?: number; controllers?: AnimationController[] = []; scheduler?: FrameScheduler; clear?: boolean = true; });
+  static new(component: CanvasComponent, options: { ctx: CanvasRenderingContext2D; width?: number; height?: number; controllers?: AnimationController[] = []; scheduler?: FrameScheduler; clear?: boolean = true; }): Animator;
+
+  /** Request the next frame, unless one is already requested. */
+  start(): this;
+  /** Cancel the requested frame. */
+  stop(): this;
+  /** Render a single frame for the time `time`, without requesting more. */
+  renderFrame(time: number): void;
+}
@@ -6,6 +6,129 @@ export function getDrawInstance(canvasWidth, canvasHeight) {
     contentHeight: canvasHeight,
     x: 0,
     y: 0,
+    constraints: BoxConstraints.loose(canvasWidth, Infinity),
+  };
+}
+
+export class BoxConstraints {
+  minWidth;
+  maxWidth;
+  minHeight;
+  maxHeight;
+
+  constructor({
+    minWidth = 0,
+    maxWidth = Infinity,
+    minHeight = 0,
+    maxHeight = Infinity,
+  } = {}) {
+    if (
+      !(minWidth >= 0 && minWidth <= maxWidth) ||
+      !(minHeight >= 0 && minHeight <= maxHeight)
+    ) {
+      throw new Error(
+        `invalid box constraints: width ${minWidth}..${maxWidth}, height ${minHeight}..${maxHeight}`,
+      );
+    }
+    this.minWidth = minWidth;
+    this.maxWidth = maxWidth;
+    this.minHeight = minHeight;
+    this.maxHeight = maxHeight;
+  }
+  static new({ minWidth, maxWidth, minHeight, maxHeight } = {}) {
+    return new BoxConstraints(...arguments);
+  }
+
+  static tight(width, height) {
+    return new BoxConstraints({
+      minWidth: width,
+      maxWidth: width,
+      minHeight: height,
+      maxHeight: height,
+    });
+  }
+
+  static loose(width, height) {
+    return new BoxConstraints({ maxWidth: width, maxHeight: height });
+  }
+
+  get hasBoundedWidth() {
+    return Number.isFinite(this.maxWidth);
+  }
+
+  get hasBoundedHeight() {
+    return Number.isFinite(this.maxHeight);
+  }
+
+  get isTight() {
+    return this.minWidth === this.maxWidth && this.minHeight === this.maxHeight;
+  }
+
+  constrainWidth(width = 0) {
+    return Math.min(this.maxWidth, Math.max(this.minWidth, width));
+  }
+
+  constrainHeight(height = 0) {
+    return Math.min(this.maxHeight, Math.max(this.minHeight, height));
+  }
+
+  deflate({ left = 0, right = 0, top = 0, bottom = 0 }) {
+    const minWidth = Math.max(0, this.minWidth - left - right);
+    const minHeight = Math.max(0, this.minHeight - top - bottom);
+    return new BoxConstraints({
+      minWidth,
+      maxWidth: Math.max(minWidth, this.maxWidth - left - right),
+      minHeight,
+      maxHeight: Math.max(minHeight, this.maxHeight - top - bottom),
+    });
+  }
+
+  loosen() {
+    return BoxConstraints.loose(this.maxWidth, this.maxHeight);
+  }
+
+  tighten({ width, height }) {
+    return new BoxConstraints({
+      minWidth: width == null ? this.minWidth : this.constrainWidth(width),
+      maxWidth: width == null ? this.maxWidth : this.constrainWidth(width),
+      minHeight: height == null ? this.minHeight : this.constrainHeight(height),
+      maxHeight: height == null ? this.maxHeight : this.constrainHeight(height),
+    });
+  }
+
+  equals(other) {
+    return (
+      this === other ||
+      (other instanceof BoxConstraints &&
+        this.minWidth === other.minWidth &&
+        this.maxWidth === other.maxWidth &&
+        this.minHeight === other.minHeight &&
+        this.maxHeight === other.maxHeight)
+    );
+  }
+
+  enforce(constraints) {
+    return new BoxConstraints({
+      minWidth: constraints.constrainWidth(this.minWidth),
+      maxWidth: constraints.constrainWidth(this.maxWidth),
+      minHeight: constraints.constrainHeight(this.minHeight),
+      maxHeight: constraints.constrainHeight(this.maxHeight),
+    });
+  }
+}
+
+export function getConstraints(di) {
+  return di.constraints ?? BoxConstraints.loose(di.contentWidth, Infinity);
+}
+
+export function withConstraints(di, constraints) {
+  return {
+    ...di,
+    constraints,
+    contentWidth: constraints.maxWidth,
+    contentHeight: constraints.hasBoundedHeight
+      ? constraints.maxHeight
+      : di.contentHeight,
   };
 }
 
@@ -13,20 +136,44 @@ export function provide(component, providerConstructor, ...args) {
   if (typeof providerConstructor !== 'function') {
     throw new Error('provider is not a function');
   }
-  if (!component?.providers || typeof component.providers !== 'object') {
-    return;
+  if (!(component?.providers instanceof Map)) {
+    return component;
   }
-  component.providers[providerConstructor.name] = new providerConstructor(
-    ...args,
+  component.providers.set(
+    providerConstructor,
+    new providerConstructor(...args),
   );
+  markSubtreeNeedsLayout(component);
+  return component;
 }
 
+function getComponentPath(component) {
+  const names = [];
+  for (let c = component; c; c = c.parent) {
+    names.unshift(`${c.constructor.name}${c.id != null ? `#${c.id}` : ''}`);
+  }
+  return names.join(' > ');
+}
+
+export const layoutStats = { layouts: 0 };
+
 class CanvasComponent {
   width;
   height;
   id;
+  baseline;
+  box;
+  parent;
+  offset = { x: 0, y: 0 };
 
-  providers = {};
+  providers = new Map();
+  handlers = {};
+
+  _needsLayout = true;
+  _constraints;
+  _layoutContext;
+  _fields;
+  _themed = new Set();
 
   constructor() { }
 
@@ -34,6 +181,273 @@ class CanvasComponent {
     this.id = id;
     return this;
   }
+
+  onTap(handler) {
+    this.handlers.tap = handler;
+    return this;
+  }
+
+  onPointerDown(handler) {
+    this.handlers.pointerDown = handler;
+    return this;
+  }
+
+  onPointerMove(handler) {
+    this.handlers.pointerMove = handler;
+    return this;
+  }
+
+  prepare(options) {
+    return prepareImages(this, options);
+  }
+
+  provide(providerConstructor, ...args) {
+    return provide(this, providerConstructor, ...args);
+  }
+
+  tryLookup(providerConstructor) {
+    for (let component = this; component; component = component.parent) {
+      if (component.providers.has(providerConstructor)) {
+        return component.providers.get(providerConstructor);
+      }
+    }
+    return undefined;
+  }
+
+  lookup(providerConstructor) {
+    const provider = this.tryLookup(providerConstructor);
+    if (provider === undefined) {
+      throw new Error(
+        `no ${providerConstructor.name || 'anonymous'} provider found for ${getComponentPath(this)}`,
+      );
+    }
+    return provider;
+  }
+
+  set(props) {
+    Object.assign(this, props);
+    Object.keys(props).forEach((key) => this._themed.delete(key));
+    this.markNeedsLayout();
+    return this;
+  }
+
+  _setThemedOptions(options) {
+    Object.entries(options).forEach(([key, value]) => {
+      if (value === undefined) {
+        this._themed.add(key);
+      } else {
+        this[key] = value;
+      }
+    });
+    this._applyTheme(defaultTheme, true);
+  }
+
+  _getThemeDefaults(theme, initial) {
+    return {};
+  }
+
+  _applyTheme(theme, initial = false) {
+    if (!this._themed.size) return;
+    const defaults = this._getThemeDefaults(theme ?? Theme.of(this), initial);
+    this._themed.forEach((key) => {
+      this[key] = defaults[key];
+    });
+  }
+
+  markNeedsLayout() {
+    for (let component = this; component; component = component.parent) {
+      component._needsLayout = true;
+    }
+  }
+
+  layout(di, ctx) {
+    if (!this.parent) {
+      markChangedFields(this);
+    }
+    const constraints = getConstraints(di);
+    if (
+      !this._needsLayout &&
+      this._layoutContext === ctx &&
+      constraints.equals(this._constraints)
+    ) {
+      return;
+    }
+    getChildComponents(this).forEach((child) => {
+      child.parent = this;
+    });
+    this._applyTheme();
+    this.measure(di, ctx);
+    this._constraints = constraints;
+    this._layoutContext = ctx;
+    this._needsLayout = false;
+    getChildComponents(this).forEach((child) => {
+      child.parent = this;
+    });
+    this._fields = getFields(this);
+    layoutStats.layouts++;
+  }
+
+  draw(di, ctx) {
+    this.layout(di, ctx);
+    this._setBox(di);
+    this._paint(di, ctx);
+  }
+
+  _paint(di, ctx) { }
+
+  _setBox(di) {
+    this.box = {
+      x: di.x,
+      y: di.y,
+      width: this.width ?? 0,
+      height: this.height ?? 0,
+    };
+  }
+
+  _clipContains(x, y) {
+    return true;
+  }
+
+  hitTest(x, y) {
+    if (!this.box || !this._clipContains(x, y)) {
+      return [];
+    }
+    const children = getChildComponents(this);
+    for (let i = children.length - 1; i >= 0; i--) {
+      const path = children[i].hitTest(x, y);
+      if (path.length) {
+        return [this, ...path];
+      }
+    }
+    return boxContains(this.box, x, y) ? [this] : [];
+  }
+}
+
+const untrackedFields = new Set([
+  'parent',
+  'box',
+  'offset',
+  'providers',
+  'handlers',
+]);
+
+// The public fields after the last layout. Arrays are copied, so that adding
+// or removing children in place is noticed as well.
+function getFields(component) {
+  const fields = new Map();
+  Object.keys(component).forEach((key) => {
+    if (!key.startsWith('_') && !untrackedFields.has(key)) {
+      const value = component[key];
+      fields.set(key, Array.isArray(value) ? [...value] : value);
+    }
+  });
+  return fields;
+}
+
+function isSameField(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => item === b[i]);
+  }
+  return Object.is(a, b);
+}
+
+// Fields assigned directly since the last layout, e.g. `text.content = 'hi'`,
+// get the same treatment as `set`.
+function markChangedFields(component) {
+  if (component._fields) {
+    const fields = getFields(component);
+    const keys = new Set([...fields.keys(), ...component._fields.keys()]);
+    const changed = [...keys].filter(
+      (key) => !isSameField(fields.get(key), component._fields.get(key)),
+    );
+    if (changed.length) {
+      changed.forEach((key) => component._themed.delete(key));
+      component.markNeedsLayout();
+    }
+  }
+  getChildComponents(component).forEach(markChangedFields);
+}
+
+function getChildComponents(component) {
+  if (Array.isArray(component.children)) {
+    return component.children.filter(Boolean);
+  }
+  return component.child ? [component.child] : [];
+}
+
+function boxContains({ x, y, width, height }, px, py) {
+  return px >= x && px <= x + width && py >= y && py <= y + height;
+}
+
+function roundRectContains({ x, y, width, height }, radius, px, py) {
+  if (!boxContains({ x, y, width, height }, px, py)) {
+    return false;
+  }
+  const r = Math.min(radius, width / 2, height / 2);
+  const cx = Math.max(x + r, Math.min(px, x + width - r));
+  const cy = Math.max(y + r, Math.min(py, y + height - r));
+  return (px - cx) ** 2 + (py - cy) ** 2 <= r * r;
+}
+
+function initChild(parent, child) {
+  if (!child) return;
+  child.parent = parent;
+  child.init();
+}
+
+function markSubtreeNeedsLayout(component) {
+  const mark = (c) => {
+    c._needsLayout = true;
+    getChildComponents(c).forEach(mark);
+  };
+  mark(component);
+  component.markNeedsLayout();
+}
+
+function layoutChild(child, di, constraints, ctx) {
+  child.offset = { x: 0, y: 0 };
+  child.layout(withConstraints(di, constraints), ctx);
+}
+
+function drawChild(child, di, ctx) {
+  const { x, y } = child.offset;
+  child.draw(
+    withConstraints({ ...di, x: di.x + x, y: di.y + y }, child._constraints),
+    ctx,
+  );
+}
+
+function paintClipped(ctx, clipped, trace, paint) {
+  if (!clipped) {
+    paint();
+    return;
+  }
+  ctx.save();
+  ctx.beginPath();
+  trace();
+  ctx.clip();
+  paint();
+  ctx.restore();
+}
+
+function paintChildrenClipped(component, di, ctx) {
+  paintClipped(
+    ctx,
+    component.overflow === 'hidden',
+    () => ctx.rect(di.x, di.y, component.width, component.height),
+    () => component.children.forEach((child) => drawChild(child, di, ctx)),
+  );
+}
+
+function measurePassThrough(component, di, ctx) {
+  const constraints = getConstraints(di);
+  const child = component.child;
+  if (child) {
+    layoutChild(child, di, constraints, ctx);
+  }
+  component.width = constraints.constrainWidth(child?.width);
+  component.height = constraints.constrainHeight(child?.height);
+  component.baseline = child ? getBaseline(child) : undefined;
 }
 
 export class CustomComponent extends CanvasComponent {
@@ -67,7 +481,7 @@ export class CustomComponent extends CanvasComponent {
     this._measure.call(this, di, ctx);
   }
 
-  draw(di, ctx) {
+  _paint(di, ctx) {
     this._draw.call(this, di, ctx);
   }
 }
@@ -104,7 +518,7 @@ export class SingleChildCustomComponent extends CanvasComponent {
     this._measure.call(this, di, ctx);
   }
 
-  draw(di, ctx) {
+  _paint(di, ctx) {
     this._draw.call(this, di, ctx);
   }
 }
@@ -140,7 +554,7 @@ export class MultiChildCustomComponent extends CanvasComponent {
     this._measure.call(this, di, ctx);
   }
 
-  draw(di, ctx) {
+  _paint(di, ctx) {
     this._draw.call(this, di, ctx);
   }
 }
@@ -151,33 +565,29 @@ export class CircleShaped extends CanvasComponent {
   constructor(child) {
     super();
     this.child = child;
-    if (child) {
-      if (child.width) {
-        this.width = this.child.width;
-      }
-      if (child.height) {
-        this.height = this.child.height;
-      }
-    }
   }
   static new(child) {
     return new CircleShaped(...arguments);
   }
 
   init() {
-    this.child?.init();
+    initChild(this, this.child);
   }
 
   measure(di, ctx) {
-    if (!this.child) return;
-    this.child.measure(di, ctx);
-    this.width = this.child.width;
-    this.height = this.child.height;
+    measurePassThrough(this, di, ctx);
   }
 
-  draw(di, ctx) {
+  _clipContains(x, y) {
+    const { x: left, y: top, width, height } = this.box;
+    return (
+      (x - left - width / 2) ** 2 + (y - top - height / 2) ** 2 <=
+      (width / 2) ** 2
+    );
+  }
+
+  _paint(di, ctx) {
     if (!this.child) return;
-    this.measure(di, ctx);
     ctx.save();
     ctx.beginPath();
     ctx.arc(
@@ -188,7 +598,7 @@ export class CircleShaped extends CanvasComponent {
       Math.PI * 2,
     );
     ctx.clip();
-    this.child.draw(di, ctx);
+    drawChild(this.child, di, ctx);
     ctx.restore();
   }
 }
@@ -198,37 +608,33 @@ export class RectangleShaped extends CanvasComponent {
 
   radius;
 
-  constructor({ radius = 0 }, child) {
+  constructor({ radius }, child) {
     super();
     this.child = child;
-    this.radius = radius;
-    if (child) {
-      if (child.width) {
-        this.width = this.child.width;
-      }
-      if (child.height) {
-        this.height = this.child.height;
-      }
-    }
+    this._setThemedOptions({ radius });
   }
-  static new({ radius = 0 }, child) {
+  static new({ radius }, child) {
     return new RectangleShaped(...arguments);
   }
 
+  _getThemeDefaults(theme) {
+    return { radius: theme.radii.default };
+  }
+
   init() {
-    this.child?.init();
+    initChild(this, this.child);
   }
 
   measure(di, ctx) {
-    if (!this.child) return;
-    this.child.measure(di, ctx);
-    this.width = this.child.width;
-    this.height = this.child.height;
+    measurePassThrough(this, di, ctx);
   }
 
-  draw(di, ctx) {
+  _clipContains(x, y) {
+    return roundRectContains(this.box, this.radius, x, y);
+  }
+
+  _paint(di, ctx) {
     if (!this.child) return;
-    this.measure(di, ctx);
     ctx.save();
     ctx.beginPath();
     const r = this.radius;
@@ -249,806 +655,9739 @@ export class RectangleShaped extends CanvasComponent {
     ctx.arcTo(di.x, di.y, di.x + r, di.y, r);
     ctx.closePath();
     ctx.clip();
-    this.child.draw(di, ctx);
+    drawChild(this.child, di, ctx);
     ctx.restore();
   }
 }
 
-export class Canvas extends CanvasComponent {
+export class ClipRect extends CanvasComponent {
   child;
 
-  backgroundColor;
-  grid;
-
-  constructor({ backgroundColor = 'transparent', grid = false }, child) {
+  constructor(child) {
     super();
     this.child = child;
-    this.backgroundColor = backgroundColor;
-    this.grid = grid;
-    if (child) {
-      if (child.width) {
-        this.width = child.width;
-      }
-      if (child.height) {
-        this.height = child.height;
-      }
-    }
   }
-  static new({ backgroundColor = 'transparent', grid = false }, child) {
-    return new Canvas(...arguments);
+  static new(child) {
+    return new ClipRect(...arguments);
   }
 
   init() {
-    this.child?.init();
+    initChild(this, this.child);
   }
 
   measure(di, ctx) {
-    if (!this.child) {
-      this.width = 0;
-      this.height = 0;
-    } else {
-      this.child.measure(di, ctx);
-      this.width = Math.min(this.child.width, di.contentWidth);
-      this.height = this.child.height;
-    }
+    measurePassThrough(this, di, ctx);
   }
 
-  draw(di, ctx) {
-    if (!this.child) return;
-    ctx.fillStyle = toCanvasColor(di, ctx, this.backgroundColor);
-    ctx.fillRect(di.x, di.y, this.width, this.height);
-    if (this.grid) {
-      this._drawGrid(di, ctx);
-    }
-    this.child.draw(di, ctx);
+  _clipContains(x, y) {
+    return boxContains(this.box, x, y);
   }
 
-  _drawGrid(di, ctx) {
-    ctx.lineWidth = 1;
-    for (let y = 0; y <= di.contentHeight; y += 10) {
-      if (y % 50 === 0) {
-        ctx.strokeStyle = '#cccccc';
-      } else {
-        ctx.strokeStyle = '#eeeeee';
-      }
-      ctx.beginPath();
-      ctx.moveTo(0, y);
-      ctx.lineTo(di.contentWidth, y);
-      ctx.stroke();
-      ctx.closePath();
-    }
-    for (let x = 0; x <= di.contentWidth; x += 10) {
-      if (x % 50 === 0) {
-        ctx.strokeStyle = '#cccccc';
-      } else {
-        ctx.strokeStyle = '#eeeeee';
-      }
-      ctx.beginPath();
-      ctx.moveTo(x, 0);
-      ctx.lineTo(x, di.contentHeight);
-      ctx.stroke();
-      ctx.closePath();
-    }
+  _paint(di, ctx) {
+    if (!this.child) return;
+    paintClipped(
+      ctx,
+      true,
+      () => ctx.rect(di.x, di.y, this.width, this.height),
+      () => drawChild(this.child, di, ctx),
+    );
   }
 }
 
-export class Stack extends CanvasComponent {
-  children;
-  widthOverride;
-  heightOverride;
+export class Transform extends CanvasComponent {
+  child;
+
+  rotate;
+  scaleX;
+  scaleY;
+  skewX;
+  skewY;
+  translateX;
+  translateY;
+  origin;
+  fitBounds;
+  bounds;
+
+  _matrix = [1, 0, 0, 1, 0, 0];
+  _paintOrigin;
 
-  constructor({ width, height }, ...children) {
+  constructor(
+    {
+      rotate = 0,
+      scale = 1,
+      scaleX = scale,
+      scaleY = scale,
+      skewX = 0,
+      skewY = 0,
+      translateX = 0,
+      translateY = 0,
+      origin = { x: 0.5, y: 0.5 },
+      fitBounds = true,
+    },
+    child,
+  ) {
     super();
-    this.children = children;
-    if (width) {
-      this.width = this.widthOverride = width;
-    }
-    if (height) {
-      this.height = this.heightOverride = height;
-    }
+    this.child = child;
+    this.rotate = rotate;
+    this.scaleX = scaleX;
+    this.scaleY = scaleY;
+    this.skewX = skewX;
+    this.skewY = skewY;
+    this.translateX = translateX;
+    this.translateY = translateY;
+    this.origin = origin;
+    this.fitBounds = fitBounds;
   }
-  static new(...children) {
-    return new Stack(...children);
+  static new(
+    {
+      rotate = 0,
+      scale = 1,
+      scaleX = scale,
+      scaleY = scale,
+      skewX = 0,
+      skewY = 0,
+      translateX = 0,
+      translateY = 0,
+      origin = { x: 0.5, y: 0.5 },
+      fitBounds = true,
+    },
+    child,
+  ) {
+    return new Transform(...arguments);
   }
 
   init() {
-    this.children.forEach((child) => child.init());
+    initChild(this, this.child);
+  }
+
+  _getMatrix(width, height) {
+    const x = width * (this.origin.x ?? 0.5);
+    const y = height * (this.origin.y ?? 0.5);
+    const cos = snap(Math.cos(toRadians(this.rotate)));
+    const sin = snap(Math.sin(toRadians(this.rotate)));
+    return [
+      [1, 0, 0, 1, x + this.translateX, y + this.translateY],
+      [cos, sin, -sin, cos, 0, 0],
+      [
+        1,
+        Math.tan(toRadians(this.skewY)),
+        Math.tan(toRadians(this.skewX)),
+        1,
+        0,
+        0,
+      ],
+      [this.scaleX, 0, 0, this.scaleY, 0, 0],
+      [1, 0, 0, 1, -x, -y],
+    ].reduce(multiplyMatrix);
   }
 
   measure(di, ctx) {
-    let width = 0;
-    let height = 0;
-    this.children.forEach((child) => {
-      child.measure(di, ctx);
-      width = Math.max(width, child.width);
-      height = Math.max(height, child.height);
-    });
-    this.width = width;
-    this.height = height;
+    const constraints = getConstraints(di);
+    const child = this.child;
+    if (child) {
+      layoutChild(child, di, constraints, ctx);
+    }
+    const width = child?.width ?? 0;
+    const height = child?.height ?? 0;
+    let matrix = this._getMatrix(width, height);
+    const corners = [
+      [0, 0],
+      [width, 0],
+      [0, height],
+      [width, height],
+    ].map(([x, y]) => applyMatrix(matrix, x, y));
+    const left = Math.min(...corners.map(([x]) => x));
+    const top = Math.min(...corners.map(([, y]) => y));
+    const right = Math.max(...corners.map(([x]) => x));
+    const bottom = Math.max(...corners.map(([, y]) => y));
+    if (this.fitBounds) {
+      const { translateX: x, translateY: y } = this;
+      matrix = multiplyMatrix([1, 0, 0, 1, x - left, y - top], matrix);
+      this.bounds = { x, y, width: right - left, height: bottom - top };
+      this.width = constraints.constrainWidth(right - left);
+      this.height = constraints.constrainHeight(bottom - top);
+      this.baseline = undefined;
+    } else {
+      this.bounds = {
+        x: left,
+        y: top,
+        width: right - left,
+        height: bottom - top,
+      };
+      this.width = constraints.constrainWidth(width);
+      this.height = constraints.constrainHeight(height);
+      this.baseline = child ? getBaseline(child) : undefined;
+    }
+    this._matrix = matrix;
   }
 
-  draw(di, ctx) {
-    this.children.forEach((child) => {
-      child.draw({ ...di }, ctx);
-    });
+  _setBox(di) {
+    this._paintOrigin = { x: di.x, y: di.y };
+    this.box = {
+      x: di.x + (this.bounds?.x ?? 0),
+      y: di.y + (this.bounds?.y ?? 0),
+      width: this.bounds?.width ?? 0,
+      height: this.bounds?.height ?? 0,
+    };
+  }
+
+  hitTest(x, y) {
+    if (!this.box || !this.child) {
+      return [];
+    }
+    const inverse = invertMatrix(this._matrix);
+    if (!inverse) {
+      return [];
+    }
+    const { x: originX, y: originY } = this._paintOrigin;
+    const [localX, localY] = applyMatrix(inverse, x - originX, y - originY);
+    const path = this.child.hitTest(localX + originX, localY + originY);
+    return path.length ? [this, ...path] : [];
+  }
+
+  _paint(di, ctx) {
+    if (!this.child) return;
+    ctx.save();
+    ctx.translate(di.x, di.y);
+    ctx.transform(...this._matrix);
+    ctx.translate(-di.x, -di.y);
+    drawChild(this.child, di, ctx);
+    ctx.restore();
   }
 }
 
-export class Positional extends CanvasComponent {
+export class Opacity extends CanvasComponent {
   child;
 
-  mode;
-  x;
-  y;
+  opacity;
 
-  constructor({ mode = 'relative', x = 0, y = 0 }, child) {
+  constructor({ opacity = 1 }, child) {
     super();
-    this.mode = mode;
-    this.x = x;
-    this.y = y;
-    this.child = child;
-    if (mode !== 'absolute' && child) {
-      if (child.width) {
-        this.width = child.width;
-      }
-      if (child.height) {
-        this.height = child.height;
-      }
+    if (!(opacity >= 0 && opacity <= 1)) {
+      throw new Error(`invalid opacity ${opacity}`);
     }
+    this.child = child;
+    this.opacity = opacity;
   }
-  static new({ mode = 'relative', x = 0, y = 0 }, child) {
-    return new Positional(...arguments);
+  static new({ opacity = 1 }, child) {
+    return new Opacity(...arguments);
   }
 
   init() {
-    this.child?.init();
+    initChild(this, this.child);
   }
 
   measure(di, ctx) {
-    if (!this.child) return;
-    this.child.measure(di, ctx);
-    if (this.mode === 'relative') {
-      this.width = this.child.width + this.x;
-      this.height = this.child.width + this.y;
-    } else if (this.mode === 'absolute') {
-      this.width = 0;
-      this.height = 0;
-    }
+    measurePassThrough(this, di, ctx);
   }
 
-  draw(di, ctx) {
+  _paint(di, ctx) {
     if (!this.child) return;
-    if (this.mode === 'relative') {
-      this.child.draw(
-        {
-          ...di,
-          contentWidth: di.contentWidth - this.x,
-          contentHeight: di.contentHeight - this.y,
-          x: di.x + this.x,
-          y: di.y + this.y,
-        },
-        ctx,
-      );
-    } else if (this.mode === 'absolute') {
-      this.child.draw(
-        {
-          ...di,
-          contentWidth: di.canvasWidth,
-          contentHeight: di.canvasHeight,
-          x: this.x,
-          y: this.y,
-        },
-        ctx,
-      );
-    }
+    ctx.save();
+    ctx.globalAlpha *= this.opacity;
+    drawChild(this.child, di, ctx);
+    ctx.restore();
   }
 }
 
-export class Column extends CanvasComponent {
-  children;
+const blendModes = [
+  'source-over',
+  'source-in',
+  'source-out',
+  'source-atop',
+  'destination-over',
+  'destination-in',
+  'destination-out',
+  'destination-atop',
+  'lighter',
+  'copy',
+  'xor',
+  'multiply',
+  'screen',
+  'overlay',
+  'darken',
+  'lighten',
+  'color-dodge',
+  'color-burn',
+  'hard-light',
+  'soft-light',
+  'difference',
+  'exclusion',
+  'hue',
+  'saturation',
+  'color',
+  'luminosity',
+];
 
-  alignment;
+export class BlendMode extends CanvasComponent {
+  child;
+
+  mode;
 
-  constructor({ alignment = 'left', width }, ...children) {
+  constructor({ mode = 'multiply' }, child) {
     super();
-    this.children = children;
-    this.alignment = alignment;
-    this.width = width;
+    if (!blendModes.includes(mode)) {
+      throw new Error(`unknown blend mode "${mode}"`);
+    }
+    this.child = child;
+    this.mode = mode;
   }
-  static new({ alignment = 'left', width }, ...children) {
-    return new Column(...arguments);
+  static new({ mode = 'multiply' }, child) {
+    return new BlendMode(...arguments);
   }
 
   init() {
-    this.children.forEach((child) => child.init());
+    initChild(this, this.child);
   }
 
   measure(di, ctx) {
-    let width = 0;
-    let height = 0;
-    this.children.forEach((child) => {
-      child.measure(di, ctx);
-      width = Math.max(width, child.width);
-      height += child.height;
-    });
-    this.width = width;
-    this.height = height;
+    measurePassThrough(this, di, ctx);
   }
 
-  draw(di, ctx) {
-    const left = di.x;
-    let y = di.y;
-    this.children.forEach((child) => {
-      child.measure(di, ctx);
-      const x = getAlignedX(this.alignment, left, di.contentWidth, child.width);
-      child.draw({ ...di, x, y }, ctx);
-      y += child.height;
-    });
+  _paint(di, ctx) {
+    if (!this.child) return;
+    ctx.save();
+    ctx.globalCompositeOperation = this.mode;
+    drawChild(this.child, di, ctx);
+    ctx.restore();
   }
 }
 
-export class Row extends CanvasComponent {
-  children;
+const defaultTextStyle = {
+  size: 10,
+  weight: 'normal',
+  color: 'black',
+  fontFamily: 'sans-serif',
+  fontStyle: 'normal',
+  letterSpacing: 0,
+};
 
-  alignment;
-  shrink;
+export class ThemeData {
+  typography;
+  colors;
+  spacing;
+  radii;
 
-  constructor({ alignment = 'top', shrink = false }, ...children) {
-    super();
-    this.children = children;
-    this.alignment = alignment;
-    this.shrink = shrink;
-  }
-  static new({ alignment = 'top' }, ...children) {
-    return new Row(...arguments);
+  constructor({ typography = {}, colors = {}, spacing = {}, radii = {} } = {}) {
+    this.typography = typography;
+    this.colors = colors;
+    this.spacing = spacing;
+    this.radii = radii;
   }
 
-  init() {
-    this.children.forEach((child) => child.init());
+  merge({ typography = {}, colors, spacing, radii } = {}) {
+    const merged = { ...this.typography };
+    Object.entries(typography).forEach(([variant, style]) => {
+      merged[variant] = { ...merged[variant], ...style };
+    });
+    return new ThemeData({
+      typography: merged,
+      colors: { ...this.colors, ...colors },
+      spacing: { ...this.spacing, ...spacing },
+      radii: { ...this.radii, ...radii },
+    });
   }
 
-  measure(di, ctx) {
-    if (this.shrink) {
-      let width = 0;
-      this.children.forEach((child) => {
-        child.measure(di, ctx);
-        width += child.width;
-      });
-      this.width = width;
-    } else {
-      this.width = di.contentWidth;
-      let totalFixedWidth = 0;
-      let fixedWidthCount = 0;
-      this.children.forEach((child) => {
-        if (child.width) {
-          totalFixedWidth += child.width;
-          fixedWidthCount++;
-        }
-      });
-      let totalDynamicWidth = this.width - totalFixedWidth;
-      const dynamicWidth =
-        this.children.length === fixedWidthCount
-          ? 0
-          : totalDynamicWidth / (this.children.length - fixedWidthCount);
-      this.children.forEach((child) => {
-        const contentWidth = child.width ?? dynamicWidth;
-        child.measure(
-          {
-            ...di,
-            contentWidth,
-          },
-          ctx,
-        );
-      });
+  getTextStyle(variant = 'body') {
+    if (!Object.hasOwn(this.typography, variant)) {
+      throw new Error(`unknown text variant "${variant}"`);
     }
-
-    let height = 0;
-    this.children.forEach((child) => {
-      height = Math.max(height, child.height);
-    });
-    this.height = height;
+    return {
+      ...defaultTextStyle,
+      ...this.typography.body,
+      ...this.typography[variant],
+    };
   }
+}
 
-  draw(di, ctx) {
-    const top = di.y;
-    let x = di.x;
-    this.measure(di, ctx);
-    this.children.forEach((child) => {
-      const y = getAlignedY(this.alignment, top, this.height, child.height);
-      child.draw({ ...di, contentWidth: child.width, x, y }, ctx);
-      x += child.width;
-    });
-  }
+export const defaultTheme = new ThemeData({
+  typography: {
+    title: { size: 20, weight: 'bold' },
+    body: {},
+    caption: { size: 8, color: '#666666' },
+  },
+  colors: {
+    primary: '#1976d2',
+    secondary: '#9c27b0',
+    foreground: 'black',
+    background: 'transparent',
+    border: 'black',
+  },
+  spacing: { default: 0, small: 4, medium: 8, large: 16 },
+  radii: { default: 0, small: 2, medium: 4, large: 8 },
+});
+
+function resolveThemeColor(theme, color) {
+  const tokens = (theme ?? defaultTheme).colors;
+  return typeof color === 'string' && Object.hasOwn(tokens, color)
+    ? tokens[color]
+    : color;
 }
 
-export class Padding extends CanvasComponent {
+export class Theme extends CanvasComponent {
   child;
 
-  left;
-  right;
-  top;
-  bottom;
+  typography;
+  colors;
+  spacing;
+  radii;
+  data;
 
-  constructor({ left, right, top, bottom }, child) {
+  constructor({ typography, colors, spacing, radii }, child) {
     super();
     this.child = child;
-    this.left = left ?? 0;
-    this.right = right ?? 0;
-    this.top = top ?? 0;
-    this.bottom = bottom ?? 0;
-    if (child) {
-      if (child.width) {
-        this.width = this.child.width + this.left + this.right;
-      }
-      if (child.height) {
-        this.height = this.child.height + this.top + this.bottom;
-      }
-    }
+    this.typography = typography;
+    this.colors = colors;
+    this.spacing = spacing;
+    this.radii = radii;
+    this._resolve();
   }
-  static new({ left, right, top, bottom }, child) {
-    return new Padding(...arguments);
+  static new({ typography, colors, spacing, radii }, child) {
+    return new Theme(...arguments);
   }
 
-  static symmetric({ horizontal, vertical }, child) {
-    return new Padding(
-      { left: horizontal, right: horizontal, top: vertical, bottom: vertical },
-      child,
-    );
+  static of(component) {
+    return component?.tryLookup(ThemeData) ?? defaultTheme;
   }
 
-  static all(distance, child) {
-    return new Padding(
-      { left: distance, right: distance, top: distance, bottom: distance },
-      child,
-    );
+  set(props) {
+    super.set(props);
+    markSubtreeNeedsLayout(this);
+    return this;
+  }
+
+  _resolve() {
+    this.data = Theme.of(this.parent).merge(this);
+    this.providers.set(ThemeData, this.data);
   }
 
   init() {
-    this.child?.init();
+    this._resolve();
+    initChild(this, this.child);
   }
 
   measure(di, ctx) {
-    if (!this.child) {
-      this.width = Math.min(di.contentWidth, this.left + this.right);
-      this.height = this.top + this.bottom;
-      return;
-    }
-    this.child.measure(
-      {
-        ...di,
-        contentWidth: di.contentWidth - this.left - this.right,
-        contentHeight: di.contentHeight,
-      },
-      ctx,
-    );
-    // Padding 组件被禁止宽度超过可绘制区域。
-    this.width = Math.min(
-      di.contentWidth,
-      this.child.width + this.left + this.right,
-    );
-    this.height = this.child.height + this.top + this.bottom;
+    this._resolve();
+    measurePassThrough(this, { ...di, theme: this.data }, ctx);
   }
 
-  draw(di, ctx) {
-    this.child?.draw(
-      {
-        ...di,
-        contentWidth: di.contentWidth - this.left - this.right,
-        contentHeight: di.contentHeight,
-        x: di.x + this.left,
-        y: di.y + this.top,
-      },
-      ctx,
-    );
+  _paint(di, ctx) {
+    if (!this.child) return;
+    drawChild(this.child, { ...di, theme: this.data }, ctx);
   }
 }
 
-export class Text extends CanvasComponent {
-  content;
-  actualContent;
-  color;
-  size;
-  weight;
-  lineHeight;
+export class Canvas extends CanvasComponent {
+  child;
 
-  textWrap;
-  maxLines;
-  overflow;
+  backgroundColor;
+  grid;
 
-  constructor(
-    content = '',
-    {
-      color = 'black',
-      size = 10,
-      weight = 'normal',
-      lineHeight,
-      textWrap = 'nowrap',
-      maxLines,
-      overflow = 'ellipsis',
-    },
-  ) {
+  constructor({ backgroundColor, grid = false }, child) {
     super();
-    this.content = content;
-    this.actualContent = '';
-    this.color = color;
-    this.size = size;
-    this.lineHeight = lineHeight ?? size;
-    this.weight = weight;
-    this.textWrap = textWrap;
-    this.maxLines = maxLines;
-    this.overflow = overflow;
+    this.child = child;
+    this.grid = grid;
+    this._setThemedOptions({ backgroundColor });
   }
-  static new(
-    content = '',
-    {
-      color = 'black',
-      size = 10,
-      weight = 'normal',
-      lineHeight,
-      textWrap = 'nowrap',
-      maxLines,
-      overflow = 'ellipsis',
-    },
-  ) {
-    return new Text(...arguments);
+  static new({ backgroundColor, grid = false }, child) {
+    return new Canvas(...arguments);
   }
 
-  init() { }
+  _getThemeDefaults(theme) {
+    return { backgroundColor: theme.colors.background };
+  }
 
-  _setActualContent(di, ctx) {
-    if (this.textWrap === 'nowrap') {
-      this._setActualContentNoWrap(di, ctx);
-    } else {
-      this._setActualContentLines(di, ctx);
-    }
+  init() {
+    initChild(this, this.child);
   }
 
-  _setActualContentNoWrap(di, ctx) {
-    if (this.overflow === 'ellipsis') {
-      this.actualContent = getActualTextContent(
-        ctx,
-        this.content,
-        this,
-        di.contentWidth,
-      );
-    } else {
-      this.actualContent = this.content;
-    }
+  measure(di, ctx) {
+    measurePassThrough(this, di, ctx);
   }
 
-  _setActualContentLines(di, ctx) {
-    this.actualContent = getActualTextLines(
+  _paint(di, ctx) {
+    if (!this.child) return;
+    ctx.fillStyle = toCanvasColor(
+      getBoxDrawInstance(di, this),
       ctx,
-      this.content,
-      this,
-      di.contentWidth,
-      this.maxLines,
-      this.overflow,
+      this.backgroundColor,
     );
+    ctx.fillRect(di.x, di.y, this.width, this.height);
+    if (this.grid) {
+      this._drawGrid(di, ctx);
+    }
+    drawChild(this.child, di, ctx);
   }
 
-  measure(di, ctx) {
-    this._setActualContent(di, ctx);
-    if (this.textWrap === 'nowrap') {
-      const m = measureTextWithFont(ctx, this.actualContent, this);
-      this.width = m.width;
-    } else {
-      let width = 0;
-      this.actualContent.forEach((line) => {
-        const m = measureTextWithFont(ctx, line, this);
-        width = Math.max(m.width, width);
-      });
-      this.width = width;
+  _drawGrid(di, ctx) {
+    const { width, height } = this;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(di.x, di.y, width, height);
+    ctx.clip();
+    ctx.lineWidth = 1;
+    for (let y = 0; y <= height; y += 10) {
+      if (y % 50 === 0) {
+        ctx.strokeStyle = '#cccccc';
+      } else {
+        ctx.strokeStyle = '#eeeeee';
+      }
+      ctx.beginPath();
+      ctx.moveTo(di.x, di.y + y);
+      ctx.lineTo(di.x + width, di.y + y);
+      ctx.stroke();
+      ctx.closePath();
     }
-    if (this.textWrap === 'nowrap') {
-      this.height = this.lineHeight;
-    } else {
-      this.height = this.lineHeight * this.actualContent.length;
+    for (let x = 0; x <= width; x += 10) {
+      if (x % 50 === 0) {
+        ctx.strokeStyle = '#cccccc';
+      } else {
+        ctx.strokeStyle = '#eeeeee';
+      }
+      ctx.beginPath();
+      ctx.moveTo(di.x + x, di.y);
+      ctx.lineTo(di.x + x, di.y + height);
+      ctx.stroke();
+      ctx.closePath();
     }
+    ctx.restore();
   }
+}
 
-  draw(di, ctx) {
-    ctx.textBaseline = 'top';
-    const x = di.x;
-    const y = di.y + (this.lineHeight - this.size) / 2;
-    setFont(di, ctx, this);
-    this._setActualContent(di, ctx);
-    if (this.textWrap === 'nowrap') {
-      ctx.fillText(this.actualContent, x, y);
-    } else {
-      this.actualContent.forEach((line, i) => {
-        ctx.fillText(line, x, y + i * this.lineHeight);
-      });
-    }
-  }
-}
-
-export class CanvasImage extends CanvasComponent {
-  img;
-  mode;
+export class Stack extends CanvasComponent {
+  children;
   widthOverride;
   heightOverride;
+  overflow;
 
-  constructor(img, { mode = 'fixed', width, height }) {
+  constructor({ width, height, overflow = 'visible' }, ...children) {
     super();
-    this.img = img;
-    this.mode = mode;
+    this.children = children;
     this.widthOverride = width;
     this.heightOverride = height;
-    if (mode === 'fixed') {
-      if (width != null && height == null) {
-        this.width = width;
-        this.height = (width / img.width) * img.height;
-      } else if (width == null && height != null) {
-        this.height = height;
-        this.width = (height / img.height) * img.width;
-      } else {
-        this.width = width ?? img.width;
-        this.height = height ?? img.height;
-      }
-    }
+    this.overflow = overflow;
   }
-  static new(img, { mode = 'fixed', width, height }) {
-    return new CanvasImage(...arguments);
+  static new(...children) {
+    return new Stack(...children);
   }
 
-  init() { }
+  init() {
+    this.children.forEach((child) => initChild(this, child));
+  }
+
+  _getConstraints(di) {
+    return getConstraints(di).tighten({
+      width: this.widthOverride,
+      height: this.heightOverride,
+    });
+  }
 
   measure(di, ctx) {
-    if (this.img == null) {
-      this.width = 0;
-      this.height = 0;
-      return;
-    }
-    if (this.mode === 'widthFix') {
-      this.width = di.contentWidth;
-      this.height = (this.width / this.img.width) * this.img.height;
-    } else {
-      const width = this.widthOverride;
-      const height = this.heightOverride;
-      const img = this.img;
-      if (width != null && height == null) {
-        this.width = width;
-        this.height = (width / img.width) * img.height;
-      } else if (width == null && height != null) {
-        this.height = height;
-        this.width = (height / img.height) * img.width;
-      } else {
-        this.width = width ?? img.width;
-        this.height = height ?? img.height;
-      }
-    }
+    const constraints = this._getConstraints(di);
+    let width = 0;
+    let height = 0;
+    this.children.forEach((child) => {
+      layoutChild(child, di, constraints.loosen(), ctx);
+      width = Math.max(width, child.width);
+      height = Math.max(height, child.height);
+    });
+    this.width = constraints.constrainWidth(width);
+    this.height = constraints.constrainHeight(height);
   }
 
-  draw(di, ctx) {
-    this.measure(di, ctx);
-    ctx.drawImage(this.img, di.x, di.y, this.width, this.height);
+  _clipContains(x, y) {
+    return this.overflow !== 'hidden' || boxContains(this.box, x, y);
+  }
+
+  _paint(di, ctx) {
+    paintChildrenClipped(this, di, ctx);
   }
 }
 
-export class Rect extends CanvasComponent {
-  color;
-  stroked;
-  lineWidth;
-  borderRadius;
+export class Positional extends CanvasComponent {
+  child;
 
-  constructor({
-    width = 10,
-    height = 10,
-    color = 'black',
-    stroked = false,
-    lineWidth = 1,
-    borderRadius = 0,
-  }) {
+  mode;
+  x;
+  y;
+
+  constructor({ mode = 'relative', x = 0, y = 0 }, child) {
     super();
-    this.height = height;
-    this.width = width;
-    this.color = color;
-    this.stroked = stroked;
-    this.lineWidth = lineWidth;
-    this.borderRadius = borderRadius;
+    this.mode = mode;
+    this.x = x;
+    this.y = y;
+    this.child = child;
   }
-  static new({
-    width,
-    height = 10,
-    color = 'black',
-    stroked = true,
-    lineWidth = 1,
-    borderRadius = 0,
-  }) {
-    return new Rect(...arguments);
+  static new({ mode = 'relative', x = 0, y = 0 }, child) {
+    return new Positional(...arguments);
   }
 
-  init() { }
+  init() {
+    initChild(this, this.child);
+  }
 
-  measure(di, ctx) { }
+  _getChildConstraints(di) {
+    if (this.mode === 'absolute') {
+      return BoxConstraints.loose(
+        Math.max(0, di.canvasWidth - this.x),
+        Infinity,
+      );
+    }
+    return getConstraints(di).deflate({ left: this.x, top: this.y });
+  }
 
-  draw(di, ctx) {
-    this.measure(di, ctx);
-    if (this.stroked) {
-      ctx.lineWidth = this.lineWidth;
-      ctx.strokeStyle = toCanvasColor(di, ctx, this.color);
-      ctx.beginPath();
-      ctx.roundRect(di.x, di.y, this.width, this.height, [this.borderRadius]);
-      ctx.stroke();
+  measure(di, ctx) {
+    const constraints = getConstraints(di);
+    if (this.child) {
+      layoutChild(this.child, di, this._getChildConstraints(di), ctx);
+      this.child.offset = { x: this.x, y: this.y };
+    }
+    if (!this.child || this.mode === 'absolute') {
+      this.width = constraints.constrainWidth(0);
+      this.height = constraints.constrainHeight(0);
+      this.baseline = undefined;
     } else {
-      ctx.fillStyle = toCanvasColor(di, ctx, this.color);
-      ctx.beginPath();
-      ctx.roundRect(di.x, di.y, this.width, this.height, [this.borderRadius]);
-      ctx.fill();
+      this.width = constraints.constrainWidth(this.child.width + this.x);
+      this.height = constraints.constrainHeight(this.child.height + this.y);
+      this.baseline = getBaseline(this.child) + this.y;
+    }
+  }
+
+  _paint(di, ctx) {
+    if (!this.child) return;
+    if (this.mode === 'absolute') {
+      drawChild(
+        this.child,
+        { ...di, contentHeight: di.canvasHeight, x: 0, y: 0 },
+        ctx,
+      );
+    } else {
+      drawChild(this.child, di, ctx);
     }
   }
 }
 
-export class Outlined extends CanvasComponent {
+export class Flexible extends CanvasComponent {
   child;
 
-  lineWidth;
-  color;
-  borderRadius;
+  flex;
+  fit;
 
-  constructor({ lineWidth = 1, color = 'black', borderRadius = 0 }, child) {
+  constructor({ flex = 1, fit = 'loose' }, child) {
     super();
     this.child = child;
-    this.lineWidth = lineWidth;
-    this.color = color;
-    this.borderRadius = borderRadius;
+    this.flex = flex;
+    this.fit = fit;
   }
-  static new({ lineWidth, color, borderRadius }, child) {
-    return new Outlined(...arguments);
+  static new({ flex = 1, fit = 'loose' }, child) {
+    return new Flexible(...arguments);
   }
 
   init() {
-    this.child?.init();
+    initChild(this, this.child);
   }
 
   measure(di, ctx) {
-    if (!this.child) return;
-    this.child.measure(di, ctx);
-    this.width = this.child.width;
-    this.height = this.child.height;
+    measurePassThrough(this, di, ctx);
   }
 
-  draw(di, ctx) {
+  _paint(di, ctx) {
     if (!this.child) return;
-    this.child.measure(di, ctx);
-    Stack.new(
-      {},
-      this.child,
-      Rect.new({
-        width: this.child.width,
-        height: this.child.height,
-        color: this.color,
-        stroked: true,
-        lineWidth: this.lineWidth,
-        borderRadius: this.borderRadius,
-      }),
-    ).draw(di, ctx);
+    drawChild(this.child, di, ctx);
   }
 }
 
-function getActualTextContent(ctx, text, font, maxWidth) {
-  const textWidth = measureTextWithFont(ctx, text, font).width;
-  if (textWidth <= maxWidth) {
-    return text;
+export class Expanded extends Flexible {
+  constructor({ flex = 1 }, child) {
+    super({ flex, fit: 'tight' }, child);
   }
-  const ellipsis = '...';
-  let actualText;
-  for (let i = text.length - 1; i >= 0; i--) {
-    actualText = text.slice(0, i) + ellipsis;
-    const width = measureText(ctx, actualText).width;
-    if (width <= maxWidth) break;
+  static new({ flex = 1 }, child) {
+    return new Expanded(...arguments);
   }
-  return actualText;
 }
 
-function getActualTextLines(ctx, text, font, maxWidth, maxLines, overflow) {
-  const lines = [];
-  let lineStart = 0;
-  for (let i = 0; i <= text.length;) {
-    let line = text.slice(lineStart, i);
-    let width = measureTextWithFont(ctx, line, font).width;
-    if (i - lineStart <= 1 || width <= maxWidth) {
-      i++;
-    } else if (!maxLines || lines.length + 1 < maxLines) {
-      lines.push(line.slice(0, -1));
-      lineStart = i - 1;
-    } else if (overflow === 'ellipsis') {
-      lines.push(
-        getActualTextContent(ctx, text.slice(lineStart), font, maxWidth),
-      );
-      return lines;
-    } else {
-      break;
+function allocateFlexSpace(children, free, measureFlexible) {
+  const totalFlex = children.reduce(
+    (sum, child) => (child instanceof Flexible ? sum + child.flex : sum),
+    0,
+  );
+  children.forEach((child, i) => {
+    if (child instanceof Flexible) {
+      const share = totalFlex ? (free * child.flex) / totalFlex : 0;
+      measureFlexible(child, Math.max(0, share), i);
     }
-  }
-  lines.push(text.slice(lineStart));
-  return lines;
+  });
 }
 
-function setFont(di, ctx, font) {
-  ctx.fillStyle = toCanvasColor(di, ctx, font.color) ?? 'black';
-  const weight = font.weight ?? '';
-  const size = font.size ?? 10;
-  ctx.font = `${weight} ${size}px sans-serif`;
+function distributeMainAxis(alignment, free, count, gap) {
+  free = Math.max(0, free);
+  switch (alignment) {
+    case 'end':
+      return { leading: free, between: gap };
+    case 'center':
+      return { leading: free / 2, between: gap };
+    case 'spaceBetween':
+      return { leading: 0, between: gap + (count > 1 ? free / (count - 1) : 0) };
+    case 'spaceAround':
+      return { leading: free / count / 2, between: gap + free / count };
+    case 'spaceEvenly':
+      return { leading: free / (count + 1), between: gap + free / (count + 1) };
+    default:
+      return { leading: 0, between: gap };
+  }
 }
 
-function measureText(ctx, text) {
-  return ctx.measureText(text);
-}
+export class Column extends CanvasComponent {
+  children;
+  widthOverride;
+  heightOverride;
 
-export function measureTextWithFont(ctx, text, font) {
-  setFont({}, ctx, font);
-  return measureText(ctx, text);
-}
+  alignment;
+  mainAxisAlignment;
+  gap;
+  overflow;
 
-function getAlignedX(alignment, left, rowWidth, elementWidth) {
-  if (alignment === 'center') {
-    return left + rowWidth / 2 - elementWidth / 2;
-  } else if (alignment === 'right') {
-    return left + rowWidth - elementWidth;
-  } else {
-    return left;
+  constructor(
+    {
+      alignment = 'left',
+      mainAxisAlignment = 'start',
+      gap,
+      width,
+      height,
+      overflow = 'visible',
+    },
+    ...children
+  ) {
+    super();
+    this.children = children;
+    this.alignment = alignment;
+    this.mainAxisAlignment = mainAxisAlignment;
+    this.widthOverride = width;
+    this.heightOverride = height;
+    this.overflow = overflow;
+    this._setThemedOptions({ gap });
+  }
+  static new(
+    {
+      alignment = 'left',
+      mainAxisAlignment = 'start',
+      gap,
+      width,
+      height,
+      overflow = 'visible',
+    },
+    ...children
+  ) {
+    return new Column(...arguments);
   }
-}
 
-function getAlignedY(alignment, top, columnHeight, elementHeight) {
-  if (alignment === 'center') {
-    return top + columnHeight / 2 - elementHeight / 2;
-  } else {
-    return top;
+  _getThemeDefaults(theme) {
+    return { gap: theme.spacing.default };
+  }
+
+  init() {
+    this.children.forEach((child) => initChild(this, child));
+  }
+
+  measure(di, ctx) {
+    const constraints = getConstraints(di).tighten({
+      width: this.widthOverride,
+      height: this.heightOverride,
+    });
+    const fixedHeight =
+      constraints.minHeight === constraints.maxHeight
+        ? constraints.maxHeight
+        : undefined;
+    const crossConstraints =
+      this.alignment === 'stretch' && constraints.hasBoundedWidth
+        ? { minWidth: constraints.maxWidth, maxWidth: constraints.maxWidth }
+        : { maxWidth: constraints.maxWidth };
+
+    let used = this.gap * Math.max(0, this.children.length - 1);
+    const measureChild = (child, i, childConstraints) => {
+      layoutChild(child, di, new BoxConstraints(childConstraints), ctx);
+      used += child.height;
+    };
+    this.children.forEach((child, i) => {
+      if (!(child instanceof Flexible) || fixedHeight == null) {
+        measureChild(child, i, crossConstraints);
+      }
+    });
+    if (fixedHeight != null) {
+      const free = fixedHeight - used;
+      allocateFlexSpace(this.children, free, (child, allocated, i) => {
+        measureChild(child, i, {
+          ...crossConstraints,
+          minHeight: child.fit === 'tight' ? allocated : 0,
+          maxHeight: allocated,
+        });
+      });
+    }
+    this.height = constraints.constrainHeight(used);
+
+    const width =
+      this.alignment !== 'left' && constraints.hasBoundedWidth
+        ? constraints.maxWidth
+        : this.children.reduce(
+          (width, child) => Math.max(width, child.width),
+          0,
+        );
+    this.width = constraints.constrainWidth(width);
+
+    const { leading, between } = distributeMainAxis(
+      this.mainAxisAlignment,
+      this.height - used,
+      this.children.length,
+      this.gap,
+    );
+    let y = leading;
+    this.children.forEach((child) => {
+      const x = getAlignedX(this.alignment, 0, this.width, child.width);
+      child.offset = { x, y };
+      y += child.height + between;
+    });
+    const first = this.children[0];
+    this.baseline = first ? first.offset.y + getBaseline(first) : undefined;
+  }
+
+  _clipContains(x, y) {
+    return this.overflow !== 'hidden' || boxContains(this.box, x, y);
+  }
+
+  _paint(di, ctx) {
+    paintChildrenClipped(this, di, ctx);
   }
 }
 
-export const Expand = (child) =>
-  SingleChildCustomComponent.new(
+export class Row extends CanvasComponent {
+  children;
+
+  alignment;
+  mainAxisAlignment;
+  shrink;
+  gap;
+  wrap;
+  runGap;
+  overflow;
+
+  constructor(
     {
-      measure(di, ctx) {
-        this.child.measure(di, ctx);
-        this.child.width = this.width = di.contentWidth;
-        this.height = this.child.height;
-      },
-      draw(di, ctx) {
-        this.measure(di, ctx);
-        this.child.draw(di, ctx);
-      },
+      alignment = 'top',
+      mainAxisAlignment = 'start',
+      shrink = false,
+      gap,
+      wrap = false,
+      runGap = gap,
+      overflow = 'visible',
     },
-    child,
-  );
-
-export class LinearGradient {
-  direction;
-  colorStops;
+    ...children
+  ) {
+    super();
+    this.children = children;
+    this.alignment = alignment;
+    this.mainAxisAlignment = mainAxisAlignment;
+    this.shrink = shrink;
+    this.wrap = wrap;
+    this.overflow = overflow;
+    this._setThemedOptions({ gap, runGap });
+  }
+  static new(
+    {
+      alignment = 'top',
+      mainAxisAlignment = 'start',
+      shrink = false,
+      gap,
+      wrap = false,
+      runGap = gap,
+      overflow = 'visible',
+    },
+    ...children
+  ) {
+    return new Row(...arguments);
+  }
 
-  static directions(di) {
-    return {
-      up: [di.x, di.y + di.contentHeight, di.x, di.y],
-      down: [di.x, di.y, di.x, di.y + di.contentHeight],
-      left: [di.x + di.contentWidth, di.y, di.x, di.y],
-      right: [di.x, di.y, di.x + di.contentWidth, di.y],
-    };
+  _getThemeDefaults(theme) {
+    return { gap: theme.spacing.default, runGap: theme.spacing.default };
   }
 
-  constructor(direction = 'up', ...colorStops) {
-    this.direction = direction;
-    this.colorStops = colorStops;
+  init() {
+    this.children.forEach((child) => initChild(this, child));
   }
 
-  toCanvasColor(di, ctx) {
-    const grad = ctx.createLinearGradient(
-      ...LinearGradient.directions(di)[this.direction],
+  measure(di, ctx) {
+    const constraints = getConstraints(di);
+    const runs = this.wrap
+      ? this._measureWrappedRuns(di, constraints, ctx)
+      : [this._measureSingleRun(di, constraints, ctx)];
+    const mainSize = runs.reduce((size, run) => Math.max(size, run.mainSize), 0);
+    this.width = constraints.constrainWidth(
+      this.shrink || !constraints.hasBoundedWidth
+        ? mainSize
+        : constraints.maxWidth,
     );
-    this.colorStops.forEach(({ offset, color }) => {
-      grad.addColorStop(offset, color);
+
+    let y = 0;
+    runs.forEach((run, i) => {
+      if (i > 0) {
+        y += this.runGap;
+      }
+      const { height, baseline } = this._placeRun(di, ctx, run, y);
+      if (i === 0) {
+        this.baseline = baseline;
+      }
+      y += height;
     });
-    return grad;
+    this.height = constraints.constrainHeight(y);
   }
-}
 
-export function toCanvasColor(di, ctx, color) {
-  if (typeof color?.toCanvasColor === 'function') {
+  _measureChild(di, ctx, i, childConstraints) {
+    layoutChild(this.children[i], di, childConstraints, ctx);
+  }
+
+  _measureSingleRun(di, constraints, ctx) {
+    const { maxWidth, maxHeight, hasBoundedWidth } = constraints;
+    let used = this.gap * Math.max(0, this.children.length - 1);
+    this.children.forEach((child, i) => {
+      if (!(child instanceof Flexible) || !hasBoundedWidth) {
+        const remaining = Math.max(0, maxWidth - used);
+        const childConstraints = BoxConstraints.loose(remaining, maxHeight);
+        this._measureChild(di, ctx, i, childConstraints);
+        used += child.width;
+      }
+    });
+    if (hasBoundedWidth) {
+      const free = maxWidth - used;
+      allocateFlexSpace(this.children, free, (child, allocated, i) => {
+        const childConstraints = new BoxConstraints({
+          minWidth: child.fit === 'tight' ? allocated : 0,
+          maxWidth: allocated,
+          maxHeight,
+        });
+        this._measureChild(di, ctx, i, childConstraints);
+        used += child.width;
+      });
+    }
+    return { indices: this.children.map((child, i) => i), mainSize: used };
+  }
+
+  _measureWrappedRuns(di, constraints, ctx) {
+    const { maxWidth, maxHeight } = constraints;
+    const runs = [];
+    let run;
+    this.children.forEach((child, i) => {
+      this._measureChild(di, ctx, i, BoxConstraints.loose(maxWidth, maxHeight));
+      if (run && run.mainSize + this.gap + child.width > maxWidth) {
+        run = undefined;
+      }
+      if (!run) {
+        run = { indices: [], mainSize: 0 };
+        runs.push(run);
+      } else {
+        run.mainSize += this.gap;
+      }
+      run.indices.push(i);
+      run.mainSize += child.width;
+    });
+    return runs;
+  }
+
+  _placeRun(di, ctx, { indices, mainSize }, top) {
+    const children = indices.map((i) => this.children[i]);
+    let height = 0;
+    let ascent = 0;
+    if (this.alignment === 'baseline') {
+      let descent = 0;
+      children.forEach((child) => {
+        const baseline = getBaseline(child);
+        ascent = Math.max(ascent, baseline);
+        descent = Math.max(descent, child.height - baseline);
+      });
+      height = ascent + descent;
+    } else {
+      children.forEach((child) => {
+        height = Math.max(height, child.height);
+      });
+    }
+
+    const { leading, between } = distributeMainAxis(
+      this.mainAxisAlignment,
+      this.width - mainSize,
+      children.length,
+      this.gap,
+    );
+    let x = leading;
+    children.forEach((child, i) => {
+      let y;
+      if (this.alignment === 'baseline') {
+        y = top + ascent - getBaseline(child);
+      } else {
+        if (this.alignment === 'stretch') {
+          this._measureChild(
+            di,
+            ctx,
+            indices[i],
+            BoxConstraints.tight(child.width, height),
+          );
+        }
+        y = getAlignedY(this.alignment, top, height, child.height);
+      }
+      child.offset = { x, y };
+      x += child.width + between;
+    });
+
+    const baseline =
+      this.alignment === 'baseline'
+        ? top + ascent
+        : children.length
+          ? children[0].offset.y + getBaseline(children[0])
+          : undefined;
+    return { height, baseline };
+  }
+
+  _clipContains(x, y) {
+    return this.overflow !== 'hidden' || boxContains(this.box, x, y);
+  }
+
+  _paint(di, ctx) {
+    paintChildrenClipped(this, di, ctx);
+  }
+}
+
+function getScrollConstraints(constraints, vertical) {
+  return vertical
+    ? new BoxConstraints({
+      minWidth: constraints.minWidth,
+      maxWidth: constraints.maxWidth,
+    })
+    : new BoxConstraints({
+      minHeight: constraints.minHeight,
+      maxHeight: constraints.maxHeight,
+    });
+}
+
+export class ScrollView extends CanvasComponent {
+  child;
+
+  direction;
+  scrollOffset;
+  maxScrollExtent = 0;
+
+  constructor({ direction = 'vertical', scrollOffset = 0 }, child) {
+    super();
+    this.child = child;
+    this.direction = direction;
+    this.scrollOffset = scrollOffset;
+  }
+  static new({ direction = 'vertical', scrollOffset = 0 }, child) {
+    return new ScrollView(...arguments);
+  }
+
+  init() {
+    initChild(this, this.child);
+  }
+
+  scrollTo(scrollOffset) {
+    return this.set({ scrollOffset });
+  }
+
+  scrollBy(delta) {
+    return this.scrollTo(this.scrollOffset + delta);
+  }
+
+  _clampScrollOffset(contentExtent, viewportExtent) {
+    this.maxScrollExtent = Math.max(0, contentExtent - viewportExtent);
+    this.scrollOffset = Math.max(
+      0,
+      Math.min(this.scrollOffset, this.maxScrollExtent),
+    );
+  }
+
+  measure(di, ctx) {
+    const constraints = getConstraints(di);
+    const vertical = this.direction === 'vertical';
+    const child = this.child;
+    if (child) {
+      layoutChild(
+        child,
+        di,
+        getScrollConstraints(constraints, vertical),
+        ctx,
+      );
+    }
+    this.width = constraints.constrainWidth(child?.width);
+    this.height = constraints.constrainHeight(child?.height);
+    this.baseline = undefined;
+    if (vertical) {
+      this._clampScrollOffset(child?.height ?? 0, this.height);
+    } else {
+      this._clampScrollOffset(child?.width ?? 0, this.width);
+    }
+    if (child) {
+      child.offset = vertical
+        ? { x: 0, y: -this.scrollOffset }
+        : { x: -this.scrollOffset, y: 0 };
+    }
+  }
+
+  _clipContains(x, y) {
+    return boxContains(this.box, x, y);
+  }
+
+  _paint(di, ctx) {
+    paintClipped(
+      ctx,
+      true,
+      () => ctx.rect(di.x, di.y, this.width, this.height),
+      () =>
+        getChildComponents(this).forEach((child) => drawChild(child, di, ctx)),
+    );
+  }
+}
+
+export class ListView extends ScrollView {
+  children = [];
+
+  itemCount;
+  itemBuilder;
+  itemExtent;
+  gap;
+  cacheExtent;
+
+  _items = new Map();
+  _extents = [];
+  _cacheKey = [];
+
+  constructor({
+    itemCount = 0,
+    itemBuilder,
+    itemExtent,
+    direction = 'vertical',
+    scrollOffset = 0,
+    gap = 0,
+    cacheExtent = 0,
+  }) {
+    super({ direction, scrollOffset });
+    this.itemCount = itemCount;
+    this.itemBuilder = itemBuilder;
+    this.itemExtent = itemExtent;
+    this.gap = gap;
+    this.cacheExtent = cacheExtent;
+  }
+  static new(
+    { itemExtent, direction, scrollOffset, gap, cacheExtent },
+    ...children
+  ) {
+    return new ListView({
+      ...arguments[0],
+      itemCount: children.length,
+      itemBuilder: (index) => children[index],
+    });
+  }
+  static builder({
+    itemCount,
+    itemBuilder,
+    itemExtent,
+    direction,
+    scrollOffset,
+    gap,
+    cacheExtent,
+  }) {
+    return new ListView(...arguments);
+  }
+
+  init() { }
+
+  _buildItem(index) {
+    let item = this._items.get(index);
+    if (!item) {
+      item = this.itemBuilder(index);
+      initChild(this, item);
+    }
+    return item;
+  }
+
+  _layoutItems(di, ctx, constraints, viewportExtent) {
+    const vertical = this.direction === 'vertical';
+    const start = this.scrollOffset - this.cacheExtent;
+    const end = this.scrollOffset + viewportExtent + this.cacheExtent;
+    const items = new Map();
+    const children = [];
+    let knownSum = 0;
+    let knownCount = 0;
+    this._extents.forEach((extent) => {
+      knownSum += extent;
+      knownCount++;
+    });
+    const getAverage = () =>
+      this.itemExtent ?? (knownCount ? knownSum / knownCount : 0);
+    let position = 0;
+    let index = 0;
+    for (; index < this.itemCount && position < end; index++) {
+      let extent = this.itemExtent ?? this._extents[index];
+      if (
+        extent === undefined &&
+        knownCount &&
+        position + getAverage() <= start
+      ) {
+        // Items far before the viewport are estimated instead of built.
+        extent = getAverage();
+      } else if (extent === undefined || position + extent > start) {
+        const item = this._buildItem(index);
+        layoutChild(item, di, constraints, ctx);
+        extent = vertical ? item.height : item.width;
+        knownSum += extent - (this._extents[index] ?? 0);
+        knownCount += this._extents[index] === undefined ? 1 : 0;
+        this._extents[index] = extent;
+        if (position + extent > start) {
+          item.offset = vertical
+            ? { x: 0, y: position - this.scrollOffset }
+            : { x: position - this.scrollOffset, y: 0 };
+          items.set(index, item);
+          children.push(item);
+        }
+      }
+      position += extent + this.gap;
+    }
+    const average = getAverage();
+    for (; index < this.itemCount; index++) {
+      position += (this._extents[index] ?? average) + this.gap;
+    }
+    this._items = items;
+    this.children = children;
+    return Math.max(0, position - this.gap);
+  }
+
+  measure(di, ctx) {
+    const constraints = getConstraints(di);
+    const vertical = this.direction === 'vertical';
+    const viewportExtent = vertical
+      ? constraints.maxHeight
+      : constraints.maxWidth;
+    if (!Number.isFinite(viewportExtent)) {
+      throw new Error(
+        `a ${this.direction} list view needs a bounded ${vertical ? 'height' : 'width'}`,
+      );
+    }
+    const crossExtent = vertical ? constraints.maxWidth : constraints.maxHeight;
+    const cacheKey = [this.itemBuilder, this.itemExtent, crossExtent];
+    if (cacheKey.some((value, i) => value !== this._cacheKey[i])) {
+      this._items.clear();
+      this._extents = [];
+      this._cacheKey = cacheKey;
+    }
+    this._extents.length = Math.min(this._extents.length, this.itemCount);
+
+    const cross = Number.isFinite(crossExtent)
+      ? { min: crossExtent, max: crossExtent }
+      : { min: 0, max: Infinity };
+    const main =
+      this.itemExtent != null
+        ? { min: this.itemExtent, max: this.itemExtent }
+        : { min: 0, max: Infinity };
+    const itemConstraints = new BoxConstraints(
+      vertical
+        ? {
+          minWidth: cross.min,
+          maxWidth: cross.max,
+          minHeight: main.min,
+          maxHeight: main.max,
+        }
+        : {
+          minWidth: main.min,
+          maxWidth: main.max,
+          minHeight: cross.min,
+          maxHeight: cross.max,
+        },
+    );
+
+    const scrollOffset = this.scrollOffset;
+    let contentExtent = this._layoutItems(
+      di,
+      ctx,
+      itemConstraints,
+      viewportExtent,
+    );
+    this._clampScrollOffset(contentExtent, viewportExtent);
+    if (this.scrollOffset !== scrollOffset) {
+      contentExtent = this._layoutItems(
+        di,
+        ctx,
+        itemConstraints,
+        viewportExtent,
+      );
+      this._clampScrollOffset(contentExtent, viewportExtent);
+    }
+
+    const crossSize = this.children.reduce(
+      (size, child) => Math.max(size, vertical ? child.width : child.height),
+      0,
+    );
+    this.width = constraints.constrainWidth(
+      vertical ? crossSize : contentExtent,
+    );
+    this.height = constraints.constrainHeight(
+      vertical ? contentExtent : crossSize,
+    );
+    this.baseline = undefined;
+  }
+}
+
+export class Padding extends CanvasComponent {
+  child;
+
+  left;
+  right;
+  top;
+  bottom;
+
+  constructor({ left, right, top, bottom }, child) {
+    super();
+    this.child = child;
+    this.left = left ?? 0;
+    this.right = right ?? 0;
+    this.top = top ?? 0;
+    this.bottom = bottom ?? 0;
+  }
+  static new({ left, right, top, bottom }, child) {
+    return new Padding(...arguments);
+  }
+
+  static symmetric({ horizontal, vertical }, child) {
+    return new Padding(
+      { left: horizontal, right: horizontal, top: vertical, bottom: vertical },
+      child,
+    );
+  }
+
+  static all(distance, child) {
+    return new Padding(
+      { left: distance, right: distance, top: distance, bottom: distance },
+      child,
+    );
+  }
+
+  init() {
+    initChild(this, this.child);
+  }
+
+  measure(di, ctx) {
+    const constraints = getConstraints(di);
+    const child = this.child;
+    if (child) {
+      layoutChild(child, di, constraints.deflate(this), ctx);
+      child.offset = { x: this.left, y: this.top };
+    }
+    // Padding 组件被禁止宽度超过可绘制区域。
+    this.width = constraints.constrainWidth(
+      (child?.width ?? 0) + this.left + this.right,
+    );
+    this.height = constraints.constrainHeight(
+      (child?.height ?? 0) + this.top + this.bottom,
+    );
+    this.baseline = child ? getBaseline(child) + this.top : undefined;
+  }
+
+  _paint(di, ctx) {
+    if (!this.child) return;
+    drawChild(this.child, di, ctx);
+  }
+}
+
+function alignChild(component) {
+  const { child } = component;
+  if (!child) {
+    component.baseline = undefined;
+    return;
+  }
+  child.offset = {
+    x: getAlignedX(component.alignment, 0, component.width, child.width),
+    y: getAlignedY(
+      component.verticalAlignment,
+      0,
+      component.height,
+      child.height,
+    ),
+  };
+  component.baseline = child.offset.y + getBaseline(child);
+}
+
+export class SizedBox extends CanvasComponent {
+  child;
+  widthOverride;
+  heightOverride;
+
+  constructor({ width, height }, child) {
+    super();
+    this.child = child;
+    this.widthOverride = width;
+    this.heightOverride = height;
+  }
+  static new({ width, height }, child) {
+    return new SizedBox(...arguments);
+  }
+
+  init() {
+    initChild(this, this.child);
+  }
+
+  _getDrawInstance(di) {
+    const constraints = getConstraints(di).tighten({
+      width: this.widthOverride,
+      height: this.heightOverride,
+    });
+    return withConstraints(di, constraints);
+  }
+
+  measure(di, ctx) {
+    measurePassThrough(this, this._getDrawInstance(di), ctx);
+  }
+
+  _paint(di, ctx) {
+    if (!this.child) return;
+    drawChild(this.child, di, ctx);
+  }
+}
+
+export class ConstrainedBox extends CanvasComponent {
+  child;
+  constraints;
+
+  constructor({ minWidth, maxWidth, minHeight, maxHeight }, child) {
+    super();
+    this.child = child;
+    this.constraints = new BoxConstraints({
+      minWidth,
+      maxWidth,
+      minHeight,
+      maxHeight,
+    });
+  }
+  static new({ minWidth, maxWidth, minHeight, maxHeight }, child) {
+    return new ConstrainedBox(...arguments);
+  }
+
+  init() {
+    initChild(this, this.child);
+  }
+
+  _getDrawInstance(di) {
+    return withConstraints(di, this.constraints.enforce(getConstraints(di)));
+  }
+
+  measure(di, ctx) {
+    measurePassThrough(this, this._getDrawInstance(di), ctx);
+  }
+
+  _paint(di, ctx) {
+    if (!this.child) return;
+    drawChild(this.child, di, ctx);
+  }
+}
+
+export class AspectRatio extends CanvasComponent {
+  child;
+  aspectRatio;
+
+  constructor({ aspectRatio = 1 }, child) {
+    super();
+    if (!(aspectRatio > 0 && Number.isFinite(aspectRatio))) {
+      throw new Error(`invalid aspect ratio ${aspectRatio}`);
+    }
+    this.child = child;
+    this.aspectRatio = aspectRatio;
+  }
+  static new({ aspectRatio = 1 }, child) {
+    return new AspectRatio(...arguments);
+  }
+
+  init() {
+    initChild(this, this.child);
+  }
+
+  _getSize(constraints) {
+    if (constraints.isTight) {
+      return [constraints.minWidth, constraints.minHeight];
+    }
+    const { minWidth, maxWidth, minHeight, maxHeight } = constraints;
+    const ratio = this.aspectRatio;
+    if (!constraints.hasBoundedWidth && !constraints.hasBoundedHeight) {
+      throw new Error('aspect ratio needs a bounded width or height');
+    }
+    let width = constraints.hasBoundedWidth ? maxWidth : maxHeight * ratio;
+    let height = width / ratio;
+    if (height > maxHeight) {
+      height = maxHeight;
+      width = height * ratio;
+    }
+    if (width < minWidth) {
+      width = minWidth;
+      height = width / ratio;
+    }
+    if (height < minHeight) {
+      height = minHeight;
+      width = height * ratio;
+    }
+    return [
+      constraints.constrainWidth(width),
+      constraints.constrainHeight(height),
+    ];
+  }
+
+  _getDrawInstance(di) {
+    return withConstraints(
+      di,
+      BoxConstraints.tight(...this._getSize(getConstraints(di))),
+    );
+  }
+
+  measure(di, ctx) {
+    measurePassThrough(this, this._getDrawInstance(di), ctx);
+  }
+
+  _paint(di, ctx) {
+    if (!this.child) return;
+    drawChild(this.child, di, ctx);
+  }
+}
+
+export class FractionallySizedBox extends CanvasComponent {
+  child;
+  widthFactor;
+  heightFactor;
+  alignment;
+  verticalAlignment;
+
+  constructor(
+    { widthFactor, heightFactor, alignment = 'center', verticalAlignment = 'center' },
+    child,
+  ) {
+    super();
+    this.child = child;
+    this.widthFactor = widthFactor;
+    this.heightFactor = heightFactor;
+    this.alignment = alignment;
+    this.verticalAlignment = verticalAlignment;
+  }
+  static new(
+    { widthFactor, heightFactor, alignment = 'center', verticalAlignment = 'center' },
+    child,
+  ) {
+    return new FractionallySizedBox(...arguments);
+  }
+
+  init() {
+    initChild(this, this.child);
+  }
+
+  _getChildConstraints(constraints) {
+    const { widthFactor, heightFactor } = this;
+    const width =
+      widthFactor != null && constraints.hasBoundedWidth
+        ? constraints.maxWidth * widthFactor
+        : undefined;
+    const height =
+      heightFactor != null && constraints.hasBoundedHeight
+        ? constraints.maxHeight * heightFactor
+        : undefined;
+    return new BoxConstraints({
+      minWidth: width ?? constraints.minWidth,
+      maxWidth: width ?? constraints.maxWidth,
+      minHeight: height ?? constraints.minHeight,
+      maxHeight: height ?? constraints.maxHeight,
+    });
+  }
+
+  measure(di, ctx) {
+    const constraints = getConstraints(di);
+    const childConstraints = this._getChildConstraints(constraints);
+    if (this.child) {
+      layoutChild(this.child, di, childConstraints, ctx);
+    }
+    this.width = constraints.constrainWidth(
+      this.child?.width ?? childConstraints.constrainWidth(0),
+    );
+    this.height = constraints.constrainHeight(
+      this.child?.height ?? childConstraints.constrainHeight(0),
+    );
+    alignChild(this);
+  }
+
+  _paint(di, ctx) {
+    if (!this.child) return;
+    drawChild(this.child, di, ctx);
+  }
+}
+
+export class Align extends CanvasComponent {
+  child;
+  alignment;
+  verticalAlignment;
+  widthFactor;
+  heightFactor;
+
+  constructor(
+    { alignment = 'center', verticalAlignment = 'center', widthFactor, heightFactor },
+    child,
+  ) {
+    super();
+    this.child = child;
+    this.alignment = alignment;
+    this.verticalAlignment = verticalAlignment;
+    this.widthFactor = widthFactor;
+    this.heightFactor = heightFactor;
+  }
+  static new(
+    { alignment = 'center', verticalAlignment = 'center', widthFactor, heightFactor },
+    child,
+  ) {
+    return new Align(...arguments);
+  }
+
+  init() {
+    initChild(this, this.child);
+  }
+
+  measure(di, ctx) {
+    const constraints = getConstraints(di);
+    if (this.child) {
+      layoutChild(this.child, di, constraints.loosen(), ctx);
+    }
+    const shrinkWidth =
+      this.widthFactor != null || !constraints.hasBoundedWidth;
+    const shrinkHeight =
+      this.heightFactor != null || !constraints.hasBoundedHeight;
+    this.width = constraints.constrainWidth(
+      shrinkWidth
+        ? (this.child?.width ?? 0) * (this.widthFactor ?? 1)
+        : constraints.maxWidth,
+    );
+    this.height = constraints.constrainHeight(
+      shrinkHeight
+        ? (this.child?.height ?? 0) * (this.heightFactor ?? 1)
+        : constraints.maxHeight,
+    );
+    alignChild(this);
+  }
+
+  _paint(di, ctx) {
+    if (!this.child) return;
+    drawChild(this.child, di, ctx);
+  }
+}
+
+export class Center extends Align {
+  constructor({ widthFactor, heightFactor }, child) {
+    super({ widthFactor, heightFactor }, child);
+  }
+  static new({ widthFactor, heightFactor }, child) {
+    return new Center(...arguments);
+  }
+}
+
+export class Text extends CanvasComponent {
+  content;
+  actualContent;
+  variant;
+  color;
+  size;
+  weight;
+  lineHeight;
+  fontFamily;
+  fontStyle;
+  textAlign;
+  letterSpacing;
+  wordSpacing;
+  decoration;
+  decorationColor;
+  decorationThickness;
+  stroke;
+  shadow;
+
+  textWrap;
+  maxLines;
+  overflow;
+  wordBreak;
+  hyphens;
+
+  _justifiedLines = [];
+
+  constructor(
+    content = '',
+    {
+      variant = 'body',
+      color,
+      size,
+      weight,
+      lineHeight,
+      fontFamily,
+      fontStyle,
+      textAlign = 'left',
+      letterSpacing,
+      wordSpacing = 0,
+      decoration = 'none',
+      decorationColor,
+      decorationThickness,
+      stroke,
+      shadow,
+      textWrap = 'nowrap',
+      maxLines,
+      overflow = 'ellipsis',
+      wordBreak = 'normal',
+      hyphens = 'manual',
+    },
+  ) {
+    super();
+    this.content = content;
+    this.actualContent = '';
+    this.variant = variant;
+    this.textAlign = textAlign;
+    this.wordSpacing = wordSpacing;
+    this.decoration = decoration;
+    this.decorationColor = decorationColor;
+    this.decorationThickness = decorationThickness;
+    this.stroke = stroke;
+    this.shadow = shadow;
+    this.textWrap = textWrap;
+    this.maxLines = maxLines;
+    this.overflow = overflow;
+    this.wordBreak = wordBreak;
+    this.hyphens = hyphens;
+    this._setThemedOptions({
+      color,
+      size,
+      weight,
+      lineHeight,
+      fontFamily,
+      fontStyle,
+      letterSpacing,
+    });
+  }
+  static new(
+    content = '',
+    {
+      variant = 'body',
+      color,
+      size,
+      weight,
+      lineHeight,
+      fontFamily,
+      fontStyle,
+      textAlign = 'left',
+      letterSpacing,
+      wordSpacing = 0,
+      decoration = 'none',
+      decorationColor,
+      decorationThickness,
+      stroke,
+      shadow,
+      textWrap = 'nowrap',
+      maxLines,
+      overflow = 'ellipsis',
+      wordBreak = 'normal',
+      hyphens = 'manual',
+    },
+  ) {
+    return new Text(...arguments);
+  }
+
+  _getThemeDefaults(theme, initial) {
+    // Variants of a nested theme aren't known until the first layout.
+    const variant =
+      initial && !Object.hasOwn(theme.typography, this.variant)
+        ? 'body'
+        : this.variant;
+    const style = theme.getTextStyle(variant);
+    if (!this._themed.has('size')) {
+      return { ...style, size: this.size, lineHeight: this.size };
+    }
+    return { ...style, lineHeight: style.lineHeight ?? style.size };
+  }
+
+  init() { }
+
+  _setActualContent(di, ctx) {
+    if (this.textWrap === 'nowrap') {
+      this._setActualContentNoWrap(di, ctx);
+    } else {
+      this._setActualContentLines(di, ctx);
+    }
+  }
+
+  _setActualContentNoWrap(di, ctx) {
+    if (this.overflow === 'ellipsis') {
+      this.actualContent = getActualTextContent(
+        ctx,
+        this.content,
+        this,
+        getConstraints(di).maxWidth,
+      );
+    } else {
+      this.actualContent = this.content;
+    }
+    this._justifiedLines = [false];
+  }
+
+  _setActualContentLines(di, ctx) {
+    const lines = getActualTextLines(
+      ctx,
+      this.content,
+      this,
+      getConstraints(di).maxWidth,
+      this.maxLines,
+      this.overflow,
+      { wordBreak: this.wordBreak, hyphens: this.hyphens },
+    );
+    this.actualContent = lines.map((line) => line.text);
+    this._justifiedLines = lines.map((line) => line.justify);
+  }
+
+  _getLines() {
+    return this.textWrap === 'nowrap'
+      ? [this.actualContent]
+      : this.actualContent;
+  }
+
+  measure(di, ctx) {
+    const constraints = getConstraints(di);
+    this._setActualContent(di, ctx);
+    const lines = this._getLines();
+    let width;
+    if (this.textAlign !== 'left' && constraints.hasBoundedWidth) {
+      width = constraints.maxWidth;
+    } else {
+      width = lines.reduce(
+        (width, line) =>
+          Math.max(width, measureTextWithFont(ctx, line, this).width),
+        0,
+      );
+    }
+    this.width = constraints.constrainWidth(width);
+    this.height = constraints.constrainHeight(this.lineHeight * lines.length);
+    this.baseline = (this.lineHeight - this.size) / 2 + this.size * textAscentRatio;
+  }
+
+  _paint(di, ctx) {
+    const box = getBoxDrawInstance(di, this);
+    ctx.textBaseline = 'top';
+    const top = di.y + (this.lineHeight - this.size) / 2;
+    this._getLines().forEach((line, i) => {
+      let width = measureTextWithFont(ctx, line, this).width;
+      let justify = 0;
+      if (this.textAlign === 'justify' && this._justifiedLines[i]) {
+        justify = this.width - width;
+        width = this.width;
+      }
+      const x = getAlignedX(this.textAlign, di.x, this.width, width);
+      const y = top + i * this.lineHeight;
+      drawTextWithFont(box, ctx, line, x, y, this, justify);
+      const baseline = y + this.size * textAscentRatio;
+      drawTextDecoration(box, ctx, this, x, baseline, width);
+    });
+  }
+}
+
+const textSpanStyleKeys = [
+  'color',
+  'size',
+  'weight',
+  'fontFamily',
+  'fontStyle',
+  'letterSpacing',
+  'wordSpacing',
+  'backgroundColor',
+  'decoration',
+  'decorationColor',
+  'decorationThickness',
+  'stroke',
+  'shadow',
+];
+
+export class TextSpan {
+  text;
+  children;
+
+  color;
+  size;
+  weight;
+  fontFamily;
+  fontStyle;
+  letterSpacing;
+  wordSpacing;
+  backgroundColor;
+  decoration;
+  decorationColor;
+  decorationThickness;
+  stroke;
+  shadow;
+
+  constructor(text = '', style = {}, ...children) {
+    this.text = text;
+    this.children = children;
+    textSpanStyleKeys.forEach((key) => {
+      this[key] = style[key];
+    });
+  }
+  static new(text = '', style = {}, ...children) {
+    return new TextSpan(...arguments);
+  }
+}
+
+export class WidgetSpan {
+  child;
+  alignment;
+
+  constructor({ alignment = 'baseline' }, child) {
+    this.child = child;
+    this.alignment = alignment;
+  }
+  static new({ alignment = 'baseline' }, child) {
+    return new WidgetSpan(...arguments);
+  }
+}
+
+function collectSpanRuns(span, style, runs) {
+  if (typeof span === 'string') {
+    runs.push({ text: span, style });
+    return runs;
+  }
+  if (span instanceof WidgetSpan) {
+    runs.push({ widget: span, style });
+    return runs;
+  }
+  const spanStyle = { ...style };
+  textSpanStyleKeys.forEach((key) => {
+    if (span[key] !== undefined) {
+      spanStyle[key] = span[key];
+    }
+  });
+  if (span.text) {
+    runs.push({ text: span.text, style: spanStyle });
+  }
+  span.children.forEach((child) => collectSpanRuns(child, spanStyle, runs));
+  return runs;
+}
+
+export class RichText extends CanvasComponent {
+  spans;
+  children;
+  lines = [];
+
+  color;
+  size;
+  weight;
+  fontFamily;
+  fontStyle;
+  lineHeight;
+  textWrap;
+  maxLines;
+  overflow;
+  wordBreak;
+  hyphens;
+
+  constructor(
+    {
+      color = 'black',
+      size = 10,
+      weight = 'normal',
+      fontFamily = 'sans-serif',
+      fontStyle = 'normal',
+      lineHeight,
+      textWrap = 'wrap',
+      maxLines,
+      overflow = 'ellipsis',
+      wordBreak = 'normal',
+      hyphens = 'manual',
+    },
+    ...spans
+  ) {
+    super();
+    this.spans = spans;
+    this.color = color;
+    this.size = size;
+    this.weight = weight;
+    this.fontFamily = fontFamily;
+    this.fontStyle = fontStyle;
+    this.lineHeight = lineHeight;
+    this.textWrap = textWrap;
+    this.maxLines = maxLines;
+    this.overflow = overflow;
+    this.wordBreak = wordBreak;
+    this.hyphens = hyphens;
+    this.children = spans
+      .flatMap((span) => collectSpanRuns(span, {}, []))
+      .filter((run) => run.widget)
+      .map((run) => run.widget.child)
+      .filter(Boolean);
+  }
+  static new(
+    {
+      color = 'black',
+      size = 10,
+      weight = 'normal',
+      fontFamily = 'sans-serif',
+      fontStyle = 'normal',
+      lineHeight,
+      textWrap = 'wrap',
+      maxLines,
+      overflow = 'ellipsis',
+      wordBreak = 'normal',
+      hyphens = 'manual',
+    },
+    ...spans
+  ) {
+    return new RichText(...arguments);
+  }
+
+  init() {
+    this.children.forEach((child) => initChild(this, child));
+  }
+
+  _getUnits(di, ctx) {
+    const rootStyle = {
+      color: this.color,
+      size: this.size,
+      weight: this.weight,
+      fontFamily: this.fontFamily,
+      fontStyle: this.fontStyle,
+    };
+    const runs = this.spans.flatMap((span) =>
+      collectSpanRuns(span, rootStyle, []),
+    );
+    const units = [];
+    runs.forEach(({ text, widget, style }) => {
+      if (widget) {
+        if (!widget.child) return;
+        layoutChild(widget.child, di, getConstraints(di).loosen(), ctx);
+        units.push({
+          widget,
+          style,
+          width: widget.child.width,
+          height: widget.child.height,
+        });
+        return;
+      }
+      units.push(...splitTextUnits(text, style));
+    });
+    return units;
+  }
+
+  _breakLines(units, maxWidth, ctx) {
+    const limit = this.textWrap === 'wrap' ? maxWidth : Infinity;
+    const hyphenUnit = ({ style }) => ({ text: '-', style });
+    const lines = breakTextUnits(
+      units,
+      limit,
+      (start, end, hyphen) =>
+        hyphen
+          ? measureUnitRange(
+            ctx,
+            [...units.slice(start, end), hyphenUnit(units[end - 1])],
+            0,
+            end - start + 1,
+          )
+          : measureUnitRange(ctx, units, start, end),
+      { wordBreak: this.wordBreak, hyphens: this.hyphens },
+    );
+    const slice = (start, end) =>
+      units
+        .slice(start, end)
+        .filter(({ text }) => text == null || !/^[\r\n\u00AD]/.test(text));
+    const visibleLines =
+      this.maxLines && lines.length > this.maxLines
+        ? lines.slice(0, this.maxLines)
+        : lines;
+    return visibleLines.map((line, i) => {
+      const last = i === visibleLines.length - 1;
+      if (last && visibleLines !== lines) {
+        return this.overflow === 'ellipsis'
+          ? this._ellipsize(slice(line.start, line.end), maxWidth, true, ctx)
+          : slice(line.start);
+      }
+      const lineUnits = slice(line.start, line.end);
+      if (line.hyphen) {
+        lineUnits.push(hyphenUnit(units[line.end - 1]));
+      }
+      return last && this.overflow === 'ellipsis'
+        ? this._ellipsize(lineUnits, maxWidth, false, ctx)
+        : lineUnits;
+    });
+  }
+
+  _ellipsize(units, maxWidth, truncated, ctx) {
+    if (
+      !truncated &&
+      measureUnitRange(ctx, units, 0, units.length) <= maxWidth
+    ) {
+      return units;
+    }
+    const ellipsis = '...';
+    const fits = (count) =>
+      measureUnitRange(
+        ctx,
+        [...units.slice(0, count), ellipsisUnit(count)],
+        0,
+        count + 1,
+      ) <= maxWidth;
+    const ellipsisUnit = (count) => {
+      let style = units[units.length - 1]?.style ?? this;
+      for (let i = count - 1; i >= 0; i--) {
+        if (units[i].text != null) {
+          style = units[i].style;
+          break;
+        }
+      }
+      return { text: ellipsis, style };
+    };
+    let count = findLastFitting(units.length, fits);
+    while (count > 0 && /^\s+$/.test(units[count - 1].text)) {
+      count--;
+    }
+    return [...units.slice(0, count), ellipsisUnit(count)];
+  }
+
+  _layoutLine(units, ctx) {
+    const fragments = [];
+    units.forEach((unit) => {
+      const last = fragments[fragments.length - 1];
+      if (unit.text != null && last?.text != null && last.style === unit.style) {
+        last.text += unit.text;
+      } else {
+        fragments.push({ ...unit });
+      }
+    });
+    fragments.forEach((fragment) => {
+      if (fragment.text != null) {
+        fragment.width = measureTextWithFont(
+          ctx,
+          fragment.text,
+          fragment.style,
+        ).width;
+      }
+    });
+
+    let ascent = 0;
+    let descent = 0;
+    fragments.forEach(({ text, widget, style, height }) => {
+      const size = style.size ?? this.size;
+      if (text != null) {
+        ascent = Math.max(ascent, size * textAscentRatio);
+        descent = Math.max(descent, size * (1 - textAscentRatio));
+      } else if (widget.alignment === 'baseline') {
+        ascent = Math.max(ascent, height);
+      } else if (widget.alignment === 'middle') {
+        const middle = size * (textAscentRatio - 0.5);
+        ascent = Math.max(ascent, height / 2 + middle);
+        descent = Math.max(descent, height / 2 - middle);
+      }
+    });
+    fragments.forEach(({ widget, height }) => {
+      if (widget?.alignment === 'top') {
+        descent = Math.max(descent, height - ascent);
+      } else if (widget?.alignment === 'bottom') {
+        ascent = Math.max(ascent, height - descent);
+      }
+    });
+    const contentHeight = ascent + descent;
+    const height = Math.max(this.lineHeight ?? 0, contentHeight);
+    return {
+      fragments,
+      width: fragments.reduce((sum, fragment) => sum + fragment.width, 0),
+      height,
+      baseline: (height - contentHeight) / 2 + ascent,
+      ascent,
+      descent,
+    };
+  }
+
+  measure(di, ctx) {
+    const constraints = getConstraints(di);
+    const units = this._getUnits(di, ctx);
+    this.lines = this._breakLines(units, constraints.maxWidth, ctx).map(
+      (line) => this._layoutLine(line, ctx),
+    );
+    this.width = constraints.constrainWidth(
+      this.lines.reduce((width, line) => Math.max(width, line.width), 0),
+    );
+    this.height = constraints.constrainHeight(
+      this.lines.reduce((height, line) => height + line.height, 0),
+    );
+    this.baseline = this.lines[0]?.baseline;
+    this._placeWidgets();
+  }
+
+  _placeWidgets() {
+    let top = 0;
+    this.lines.forEach((line) => {
+      const baseline = top + line.baseline;
+      let x = 0;
+      line.fragments.forEach((fragment) => {
+        if (fragment.widget) {
+          fragment.widget.child.offset = {
+            x,
+            y: this._getWidgetY(fragment, baseline, line),
+          };
+        }
+        x += fragment.width;
+      });
+      top += line.height;
+    });
+  }
+
+  _paint(di, ctx) {
+    const box = getBoxDrawInstance(di, this);
+    let top = di.y;
+    this.lines.forEach((line) => {
+      const baseline = top + line.baseline;
+      let x = di.x;
+      line.fragments.forEach((fragment) => {
+        if (fragment.widget) {
+          drawChild(fragment.widget.child, di, ctx);
+        } else {
+          this._drawText(box, ctx, fragment, x, baseline);
+        }
+        x += fragment.width;
+      });
+      top += line.height;
+    });
+  }
+
+  _drawText(di, ctx, { text, style, width }, x, baseline) {
+    const size = style.size ?? this.size;
+    if (style.backgroundColor) {
+      ctx.fillStyle = toCanvasColor(di, ctx, style.backgroundColor);
+      ctx.fillRect(x, baseline - size * textAscentRatio, width, size);
+    }
+    ctx.textBaseline = 'alphabetic';
+    drawTextWithFont(di, ctx, text, x, baseline, style);
+    drawTextDecoration(di, ctx, style, x, baseline, width);
+  }
+
+  _getWidgetY({ widget, style, height }, baseline, line) {
+    const size = style.size ?? this.size;
+    if (widget.alignment === 'top') {
+      return baseline - line.ascent;
+    } else if (widget.alignment === 'bottom') {
+      return baseline + line.descent - height;
+    } else if (widget.alignment === 'middle') {
+      return baseline - size * (textAscentRatio - 0.5) - height / 2;
+    }
+    return baseline - height;
+  }
+}
+
+let imageLoader = (src) =>
+  new Promise((resolve, reject) => {
+    if (typeof Image === 'undefined') {
+      reject(
+        new Error('no image loader is available, set one with setImageLoader'),
+      );
+      return;
+    }
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`failed to load image "${src}"`));
+    img.src = src;
+  });
+
+const imageCache = new Map();
+
+export function setImageLoader(loader) {
+  imageLoader = loader;
+  imageCache.clear();
+}
+
+export function clearImageCache() {
+  imageCache.clear();
+}
+
+function withTimeout(promise, timeout, message) {
+  if (!(timeout > 0 && Number.isFinite(timeout))) {
+    return promise;
+  }
+  let timer;
+  const expired = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), timeout);
+  });
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+export function loadImage(src, { loader = imageLoader, timeout = 10000 } = {}) {
+  let promise = imageCache.get(src);
+  if (!promise) {
+    promise = Promise.resolve().then(() =>
+      typeof src === 'function' ? src() : loader(src),
+    );
+    imageCache.set(src, promise);
+    promise.catch(() => imageCache.delete(src));
+  }
+  const name = typeof src === 'function' ? 'from loader function' : `"${src}"`;
+  return withTimeout(
+    promise,
+    timeout,
+    `image ${name} timed out after ${timeout}ms`,
+  );
+}
+
+function isImageSource(src) {
+  return typeof src === 'string' || typeof src === 'function';
+}
+
+function collectImages(component, images = []) {
+  if (component instanceof CanvasImage) {
+    images.push(component);
+  }
+  getChildComponents(component).forEach((child) =>
+    collectImages(child, images),
+  );
+  return images;
+}
+
+async function prepareImages(root, options) {
+  const images = collectImages(root);
+  await Promise.all(images.map((image) => image.load(options)));
+  return {
+    loaded: images.filter((image) => image.status === 'loaded'),
+    failed: images.filter((image) => image.status === 'failed'),
+  };
+}
+
+export class CanvasImage extends CanvasComponent {
+  src;
+  img;
+  status;
+  error;
+  mode;
+  widthOverride;
+  heightOverride;
+  alignment;
+  verticalAlignment;
+  slice;
+  placeholder;
+  fallback;
+
+  constructor(
+    src,
+    {
+      mode = 'fixed',
+      width,
+      height,
+      alignment = 'center',
+      verticalAlignment = 'center',
+      slice,
+      placeholder,
+      fallback,
+    },
+  ) {
+    super();
+    this.src = src;
+    this.mode = mode;
+    this.widthOverride = width;
+    this.heightOverride = height;
+    this.alignment = alignment;
+    this.verticalAlignment = verticalAlignment;
+    this.slice = slice;
+    this.placeholder = placeholder;
+    this.fallback = fallback;
+    if (isImageSource(src)) {
+      this.img = null;
+      this.status = 'pending';
+    } else {
+      this.img = src;
+      this.status = src == null ? 'failed' : 'loaded';
+    }
+  }
+  static new(
+    src,
+    {
+      mode = 'fixed',
+      width,
+      height,
+      alignment = 'center',
+      verticalAlignment = 'center',
+      slice,
+      placeholder,
+      fallback,
+    },
+  ) {
+    return new CanvasImage(...arguments);
+  }
+
+  get children() {
+    const standIn = this._getStandIn();
+    return standIn ? [standIn] : [];
+  }
+
+  init() {
+    initChild(this, this.placeholder);
+    initChild(this, this.fallback);
+  }
+
+  async load(options) {
+    if (this.status !== 'pending') {
+      return this;
+    }
+    try {
+      this.img = await loadImage(this.src, options);
+      this.status = 'loaded';
+    } catch (error) {
+      this.status = 'failed';
+      this.error = error;
+    }
+    this.markNeedsLayout();
+    return this;
+  }
+
+  _getStandIn() {
+    if (this.img) {
+      return null;
+    }
+    return this.status === 'failed'
+      ? (this.fallback ?? this.placeholder)
+      : this.placeholder;
+  }
+
+  _fitImage(constraints) {
+    const img = this.img;
+    const width = this.widthOverride;
+    const height = this.heightOverride;
+    const maxWidth = constraints.hasBoundedWidth
+      ? constraints.maxWidth
+      : img.width;
+    const maxHeight = constraints.hasBoundedHeight
+      ? constraints.maxHeight
+      : img.height;
+    let size;
+    if (this.mode === 'widthFix') {
+      size = [maxWidth, (maxWidth / img.width) * img.height];
+    } else if (this.mode === 'heightFix') {
+      const fixedHeight = height ?? maxHeight;
+      size = [(fixedHeight / img.height) * img.width, fixedHeight];
+    } else if (this.mode !== 'fixed') {
+      this.width = constraints.constrainWidth(width ?? maxWidth);
+      this.height = constraints.constrainHeight(
+        height ?? (this.width / img.width) * img.height,
+      );
+      return;
+    } else if (width != null && height == null) {
+      size = [width, (width / img.width) * img.height];
+    } else if (width == null && height != null) {
+      size = [(height / img.height) * img.width, height];
+    } else {
+      size = [width ?? img.width, height ?? img.height];
+    }
+    [this.width, this.height] = constrainKeepingAspect(constraints, ...size);
+  }
+
+  _getStandInConstraints(constraints) {
+    const width = ['fixed', 'heightFix'].includes(this.mode)
+      ? this.widthOverride
+      : this.mode === 'widthFix'
+        ? constraints.maxWidth
+        : (this.widthOverride ?? constraints.maxWidth);
+    return constraints.tighten({
+      width: Number.isFinite(width) ? width : undefined,
+      height: this.heightOverride,
+    });
+  }
+
+  measure(di, ctx) {
+    const constraints = getConstraints(di);
+    if (this.img) {
+      this._fitImage(constraints);
+      return;
+    }
+    const standIn = this._getStandIn();
+    const standInConstraints = this._getStandInConstraints(constraints);
+    if (standIn) {
+      layoutChild(standIn, di, standInConstraints, ctx);
+    }
+    this.width = standInConstraints.constrainWidth(standIn?.width);
+    this.height = standInConstraints.constrainHeight(standIn?.height);
+  }
+
+  _paint(di, ctx) {
+    if (!this.img) {
+      const standIn = this._getStandIn();
+      if (standIn) {
+        drawChild(standIn, di, ctx);
+      }
+    } else if (this.slice != null) {
+      this._drawNineSlice(di, ctx);
+    } else {
+      this._drawFitted(di, ctx);
+    }
+  }
+
+  _drawFitted(di, ctx) {
+    const img = this.img;
+    const [width, height] = getImageFitSize(
+      this.mode,
+      img.width,
+      img.height,
+      this.width,
+      this.height,
+    );
+    const x = getAlignedX(this.alignment, di.x, this.width, width);
+    const y = getAlignedY(this.verticalAlignment, di.y, this.height, height);
+    if (
+      x >= di.x &&
+      y >= di.y &&
+      x + width <= di.x + this.width &&
+      y + height <= di.y + this.height
+    ) {
+      ctx.drawImage(img, x, y, width, height);
+      return;
+    }
+    const left = Math.max(x, di.x);
+    const top = Math.max(y, di.y);
+    const right = Math.min(x + width, di.x + this.width);
+    const bottom = Math.min(y + height, di.y + this.height);
+    if (right <= left || bottom <= top) {
+      return;
+    }
+    const scaleX = img.width / width;
+    const scaleY = img.height / height;
+    ctx.drawImage(
+      img,
+      (left - x) * scaleX,
+      (top - y) * scaleY,
+      (right - left) * scaleX,
+      (bottom - top) * scaleY,
+      left,
+      top,
+      right - left,
+      bottom - top,
+    );
+  }
+
+  _drawNineSlice(di, ctx) {
+    const img = this.img;
+    const inset = normalizePadding(this.slice);
+    const scale = Math.min(
+      1,
+      this.width / (inset.left + inset.right || 1),
+      this.height / (inset.top + inset.bottom || 1),
+    );
+    const sourceColumns = [0, inset.left, img.width - inset.right, img.width];
+    const sourceRows = [0, inset.top, img.height - inset.bottom, img.height];
+    const columns = [
+      di.x,
+      di.x + inset.left * scale,
+      di.x + this.width - inset.right * scale,
+      di.x + this.width,
+    ];
+    const rows = [
+      di.y,
+      di.y + inset.top * scale,
+      di.y + this.height - inset.bottom * scale,
+      di.y + this.height,
+    ];
+    for (let row = 0; row < 3; row++) {
+      for (let column = 0; column < 3; column++) {
+        const sw = sourceColumns[column + 1] - sourceColumns[column];
+        const sh = sourceRows[row + 1] - sourceRows[row];
+        const dw = columns[column + 1] - columns[column];
+        const dh = rows[row + 1] - rows[row];
+        if (sw <= 0 || sh <= 0 || dw <= 0 || dh <= 0) {
+          continue;
+        }
+        ctx.drawImage(
+          img,
+          sourceColumns[column],
+          sourceRows[row],
+          sw,
+          sh,
+          columns[column],
+          rows[row],
+          dw,
+          dh,
+        );
+      }
+    }
+  }
+}
+
+function constrainKeepingAspect(constraints, width, height) {
+  const { minWidth, maxWidth, minHeight, maxHeight } = constraints;
+  if (width > maxWidth) {
+    height *= maxWidth / width;
+    width = maxWidth;
+  }
+  if (height > maxHeight) {
+    width *= maxHeight / height;
+    height = maxHeight;
+  }
+  if (width < minWidth && width > 0) {
+    height *= minWidth / width;
+    width = minWidth;
+  }
+  if (height < minHeight && height > 0) {
+    width *= minHeight / height;
+    height = minHeight;
+  }
+  return [
+    constraints.constrainWidth(width),
+    constraints.constrainHeight(height),
+  ];
+}
+
+function getImageFitSize(mode, imageWidth, imageHeight, width, height) {
+  const containScale = Math.min(width / imageWidth, height / imageHeight);
+  switch (mode) {
+    case 'contain':
+      return [imageWidth * containScale, imageHeight * containScale];
+    case 'cover': {
+      const scale = Math.max(width / imageWidth, height / imageHeight);
+      return [imageWidth * scale, imageHeight * scale];
+    }
+    case 'none':
+      return [imageWidth, imageHeight];
+    case 'scaleDown': {
+      const scale = Math.min(1, containScale);
+      return [imageWidth * scale, imageHeight * scale];
+    }
+    default:
+      return [width, height];
+  }
+}
+
+export class Rect extends CanvasComponent {
+  widthOverride;
+  heightOverride;
+  color;
+  stroked;
+  lineWidth;
+  borderRadius;
+
+  constructor({
+    width = 10,
+    height = 10,
+    color,
+    stroked = false,
+    lineWidth = 1,
+    borderRadius,
+  }) {
+    super();
+    this.widthOverride = width;
+    this.heightOverride = height;
+    this.stroked = stroked;
+    this.lineWidth = lineWidth;
+    this._setThemedOptions({ color, borderRadius });
+  }
+  static new({
+    width,
+    height = 10,
+    color,
+    stroked = true,
+    lineWidth = 1,
+    borderRadius,
+  }) {
+    return new Rect(...arguments);
+  }
+
+  _getThemeDefaults(theme) {
+    return {
+      color: theme.colors.foreground,
+      borderRadius: theme.radii.default,
+    };
+  }
+
+  init() { }
+
+  measure(di, ctx) {
+    const constraints = getConstraints(di);
+    this.width = constraints.constrainWidth(this.widthOverride);
+    this.height = constraints.constrainHeight(this.heightOverride);
+  }
+
+  _paint(di, ctx) {
+    const box = getBoxDrawInstance(di, this);
+    if (this.stroked) {
+      ctx.lineWidth = this.lineWidth;
+      ctx.strokeStyle = toCanvasColor(box, ctx, this.color);
+      ctx.beginPath();
+      ctx.roundRect(di.x, di.y, this.width, this.height, [this.borderRadius]);
+      ctx.stroke();
+    } else {
+      ctx.fillStyle = toCanvasColor(box, ctx, this.color);
+      ctx.beginPath();
+      ctx.roundRect(di.x, di.y, this.width, this.height, [this.borderRadius]);
+      ctx.fill();
+    }
+  }
+}
+
+export class Outlined extends CanvasComponent {
+  child;
+
+  lineWidth;
+  color;
+  borderRadius;
+
+  constructor({ lineWidth = 1, color, borderRadius }, child) {
+    super();
+    this.child = child;
+    this.lineWidth = lineWidth;
+    this._setThemedOptions({ color, borderRadius });
+  }
+  static new({ lineWidth, color, borderRadius }, child) {
+    return new Outlined(...arguments);
+  }
+
+  _getThemeDefaults(theme) {
+    return { color: theme.colors.border, borderRadius: theme.radii.default };
+  }
+
+  init() {
+    initChild(this, this.child);
+  }
+
+  measure(di, ctx) {
+    measurePassThrough(this, di, ctx);
+  }
+
+  _paint(di, ctx) {
+    if (!this.child) return;
+    drawChild(this.child, di, ctx);
+    ctx.lineWidth = this.lineWidth;
+    ctx.strokeStyle = toCanvasColor(
+      getBoxDrawInstance(di, this),
+      ctx,
+      this.color,
+    );
+    ctx.beginPath();
+    ctx.roundRect(di.x, di.y, this.width, this.height, [this.borderRadius]);
+    ctx.stroke();
+  }
+}
+
+const borderSides = ['top', 'right', 'bottom', 'left'];
+
+function normalizeBorderSide(side) {
+  if (!side) {
+    return { width: 0, color: 'black', style: 'solid' };
+  }
+  const { width = 1, color = 'black', style = 'solid' } = side;
+  if (!['solid', 'dashed', 'dotted'].includes(style)) {
+    throw new Error(`unknown border style "${style}"`);
+  }
+  return { width, color, style };
+}
+
+function normalizeBorder(border) {
+  const perSide = borderSides.some((side) => border?.[side] !== undefined);
+  return Object.fromEntries(
+    borderSides.map((side) => [
+      side,
+      normalizeBorderSide(perSide ? border[side] : border),
+    ]),
+  );
+}
+
+function isUniformBorder(border) {
+  const { top } = border;
+  return borderSides.every(
+    (side) =>
+      border[side].width === top.width &&
+      border[side].color === top.color &&
+      border[side].style === top.style,
+  );
+}
+
+function getCornerRadii(borderRadius, width, height) {
+  const radius =
+    typeof borderRadius === 'number'
+      ? {
+        topLeft: borderRadius,
+        topRight: borderRadius,
+        bottomRight: borderRadius,
+        bottomLeft: borderRadius,
+      }
+      : (borderRadius ?? {});
+  const radii = [
+    radius.topLeft ?? 0,
+    radius.topRight ?? 0,
+    radius.bottomRight ?? 0,
+    radius.bottomLeft ?? 0,
+  ].map((r) => Math.max(0, r));
+  const [tl, tr, br, bl] = radii;
+  const fit = (length, sum) => (sum > length ? length / sum : 1);
+  const scale = Math.min(
+    fit(width, tl + tr),
+    fit(height, tr + br),
+    fit(width, br + bl),
+    fit(height, bl + tl),
+  );
+  return radii.map((r) => r * scale);
+}
+
+function insetRoundRect({ x, y, width, height, radii }, insets) {
+  const { left, right, top, bottom } = insets;
+  const [tl, tr, br, bl] = radii;
+  return {
+    x: x + left,
+    y: y + top,
+    width: Math.max(0, width - left - right),
+    height: Math.max(0, height - top - bottom),
+    radii: [
+      Math.max(0, tl - Math.max(left, top)),
+      Math.max(0, tr - Math.max(right, top)),
+      Math.max(0, br - Math.max(right, bottom)),
+      Math.max(0, bl - Math.max(left, bottom)),
+    ],
+  };
+}
+
+function spreadRoundRect(rect, spread) {
+  const shape = insetRoundRect(rect, normalizePadding(-spread));
+  shape.radii = rect.radii.map((r) => (r > 0 ? Math.max(0, r + spread) : 0));
+  return shape;
+}
+
+function traceRoundRect(ctx, { x, y, width, height, radii }) {
+  ctx.roundRect(x, y, width, height, radii);
+}
+
+function setBoxShadow(
+  ctx,
+  { color = 'rgba(0, 0, 0, 0.5)', offsetX = 0, offsetY = 0, blur = 0 },
+) {
+  let rgba;
+  try {
+    rgba = parseColor(color);
+  } catch (error) {
+    rgba = null;
+  }
+  // The shape casting the shadow is painted too, so it takes the shadow color
+  // without its alpha, and the alpha goes to both of them at once.
+  const [r, g, b, a] = rgba ?? [];
+  const opaqueColor = rgba ? `rgb(${r}, ${g}, ${b})` : color;
+  ctx.globalAlpha *= rgba ? a : 1;
+  ctx.fillStyle = opaqueColor;
+  ctx.shadowColor = opaqueColor;
+  ctx.shadowOffsetX = offsetX;
+  ctx.shadowOffsetY = offsetY;
+  ctx.shadowBlur = blur;
+}
+
+function getShadowExtent({ offsetX = 0, offsetY = 0, blur = 0, spread = 0 }) {
+  return (
+    Math.abs(offsetX) + Math.abs(offsetY) + blur * 2 + Math.abs(spread) + 1
+  );
+}
+
+// Each side owns the part of the border between its own edge and the diagonals
+// joining the outer and the inner corners.
+function getBorderWedge(side, outer, inner) {
+  const left = outer.x;
+  const top = outer.y;
+  const right = outer.x + outer.width;
+  const bottom = outer.y + outer.height;
+  const innerLeft = inner.x;
+  const innerTop = inner.y;
+  const innerRight = inner.x + inner.width;
+  const innerBottom = inner.y + inner.height;
+  switch (side) {
+    case 'top':
+      return [
+        [left, top],
+        [right, top],
+        [innerRight, innerTop],
+        [innerLeft, innerTop],
+      ];
+    case 'right':
+      return [
+        [right, top],
+        [right, bottom],
+        [innerRight, innerBottom],
+        [innerRight, innerTop],
+      ];
+    case 'bottom':
+      return [
+        [right, bottom],
+        [left, bottom],
+        [innerLeft, innerBottom],
+        [innerRight, innerBottom],
+      ];
+    default:
+      return [
+        [left, bottom],
+        [left, top],
+        [innerLeft, innerTop],
+        [innerLeft, innerBottom],
+      ];
+  }
+}
+
+function setBorderDash(ctx, { width, style }) {
+  if (style === 'dashed') {
+    ctx.setLineDash([width * 3, width * 3]);
+  } else if (style === 'dotted') {
+    ctx.lineCap = 'round';
+    ctx.setLineDash([0, width * 2]);
+  }
+}
+
+export class DecoratedBox extends CanvasComponent {
+  child;
+
+  backgroundColor;
+  backgroundImage;
+  border;
+  borderRadius;
+  boxShadow;
+  padding;
+  margin;
+  overflow;
+
+  constructor(
+    {
+      backgroundColor,
+      backgroundImage,
+      border,
+      borderRadius = 0,
+      boxShadow,
+      padding = 0,
+      margin = 0,
+      overflow = 'visible',
+    },
+    child,
+  ) {
+    super();
+    this.child = child;
+    this.backgroundColor = backgroundColor;
+    this.backgroundImage =
+      backgroundImage == null || backgroundImage instanceof CanvasComponent
+        ? backgroundImage
+        : new CanvasImage(backgroundImage, { mode: 'cover' });
+    this.border = border;
+    this.borderRadius = borderRadius;
+    this.boxShadow = boxShadow;
+    this.padding = padding;
+    this.margin = margin;
+    this.overflow = overflow;
+  }
+  static new(
+    {
+      backgroundColor,
+      backgroundImage,
+      border,
+      borderRadius = 0,
+      boxShadow,
+      padding = 0,
+      margin = 0,
+      overflow = 'visible',
+    },
+    child,
+  ) {
+    return new DecoratedBox(...arguments);
+  }
+
+  get children() {
+    return [this.backgroundImage, this.child];
+  }
+
+  init() {
+    initChild(this, this.backgroundImage);
+    initChild(this, this.child);
+  }
+
+  _getInsets() {
+    const border = normalizeBorder(this.border);
+    const padding = normalizePadding(this.padding);
+    return Object.fromEntries(
+      borderSides.map((side) => [side, border[side].width + padding[side]]),
+    );
+  }
+
+  _getBoxConstraints(constraints) {
+    return constraints;
+  }
+
+  measure(di, ctx) {
+    const margin = normalizePadding(this.margin);
+    const insets = this._getInsets();
+    const constraints = this._getBoxConstraints(
+      getConstraints(di).deflate(margin),
+    );
+    const child = this.child;
+    if (child) {
+      layoutChild(child, di, constraints.deflate(insets), ctx);
+      child.offset = {
+        x: margin.left + insets.left,
+        y: margin.top + insets.top,
+      };
+    }
+    const width = constraints.constrainWidth(
+      (child?.width ?? 0) + insets.left + insets.right,
+    );
+    const height = constraints.constrainHeight(
+      (child?.height ?? 0) + insets.top + insets.bottom,
+    );
+    if (this.backgroundImage) {
+      layoutChild(
+        this.backgroundImage,
+        di,
+        BoxConstraints.tight(width, height),
+        ctx,
+      );
+      this.backgroundImage.offset = { x: margin.left, y: margin.top };
+    }
+    this.width = width + margin.left + margin.right;
+    this.height = height + margin.top + margin.bottom;
+    this.baseline = child ? child.offset.y + getBaseline(child) : undefined;
+  }
+
+  _paint(di, ctx) {
+    const margin = normalizePadding(this.margin);
+    const width = Math.max(0, this.width - margin.left - margin.right);
+    const height = Math.max(0, this.height - margin.top - margin.bottom);
+    const outer = {
+      x: di.x + margin.left,
+      y: di.y + margin.top,
+      width,
+      height,
+      radii: getCornerRadii(this.borderRadius, width, height),
+    };
+    const border = normalizeBorder(this.border);
+    const inner = insetRoundRect(
+      outer,
+      Object.fromEntries(borderSides.map((side) => [side, border[side].width])),
+    );
+    const boxDi = getBoxDrawInstance(
+      { ...di, x: outer.x, y: outer.y },
+      outer,
+    );
+    const shadows = [this.boxShadow ?? []]
+      .flat()
+      .reverse()
+      .map((shadow) => ({
+        ...shadow,
+        color: resolveThemeColor(di.theme, shadow.color),
+      }));
+
+    shadows
+      .filter((shadow) => !shadow.inset)
+      .forEach((shadow) => this._paintOuterShadow(ctx, outer, shadow));
+    if (this.backgroundColor != null) {
+      ctx.fillStyle = toCanvasColor(boxDi, ctx, this.backgroundColor);
+      ctx.beginPath();
+      traceRoundRect(ctx, outer);
+      ctx.fill();
+    }
+    if (this.backgroundImage) {
+      ctx.save();
+      ctx.beginPath();
+      traceRoundRect(ctx, outer);
+      ctx.clip();
+      drawChild(this.backgroundImage, di, ctx);
+      ctx.restore();
+    }
+    shadows
+      .filter((shadow) => shadow.inset)
+      .forEach((shadow) => this._paintInsetShadow(ctx, inner, shadow));
+    this._paintBorder(boxDi, ctx, border, outer, inner);
+    if (this.child) {
+      paintClipped(
+        ctx,
+        this.overflow === 'hidden',
+        () => traceRoundRect(ctx, inner),
+        () => drawChild(this.child, di, ctx),
+      );
+    }
+  }
+
+  _clipContains(x, y) {
+    return this.overflow !== 'hidden' || boxContains(this.box, x, y);
+  }
+
+  _paintOuterShadow(ctx, outer, shadow) {
+    const extent = getShadowExtent(shadow);
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(
+      outer.x - extent,
+      outer.y - extent,
+      outer.width + extent * 2,
+      outer.height + extent * 2,
+    );
+    traceRoundRect(ctx, outer);
+    ctx.clip('evenodd');
+    setBoxShadow(ctx, shadow);
+    ctx.beginPath();
+    traceRoundRect(ctx, spreadRoundRect(outer, shadow.spread ?? 0));
+    ctx.fill();
+    ctx.restore();
+  }
+
+  _paintInsetShadow(ctx, inner, shadow) {
+    const extent = getShadowExtent(shadow);
+    ctx.save();
+    ctx.beginPath();
+    traceRoundRect(ctx, inner);
+    ctx.clip();
+    setBoxShadow(ctx, shadow);
+    ctx.beginPath();
+    ctx.rect(
+      inner.x - extent,
+      inner.y - extent,
+      inner.width + extent * 2,
+      inner.height + extent * 2,
+    );
+    traceRoundRect(ctx, spreadRoundRect(inner, -(shadow.spread ?? 0)));
+    ctx.fill('evenodd');
+    ctx.restore();
+  }
+
+  _paintBorder(di, ctx, border, outer, inner) {
+    const sides = isUniformBorder(border) ? ['top'] : borderSides;
+    sides.forEach((side) => {
+      const { width, color } = border[side];
+      if (!(width > 0)) {
+        return;
+      }
+      ctx.save();
+      if (sides.length > 1) {
+        const [start, ...points] = getBorderWedge(side, outer, inner);
+        ctx.beginPath();
+        ctx.moveTo(...start);
+        points.forEach((point) => ctx.lineTo(...point));
+        ctx.closePath();
+        ctx.clip();
+      }
+      ctx.lineWidth = width;
+      ctx.strokeStyle = toCanvasColor(di, ctx, color);
+      setBorderDash(ctx, border[side]);
+      ctx.beginPath();
+      traceRoundRect(ctx, insetRoundRect(outer, normalizePadding(width / 2)));
+      ctx.stroke();
+      ctx.restore();
+    });
+  }
+}
+
+export class Container extends DecoratedBox {
+  widthOverride;
+  heightOverride;
+
+  constructor({ width, height, ...decoration }, child) {
+    super(decoration, child);
+    this.widthOverride = width;
+    this.heightOverride = height;
+  }
+  static new(
+    {
+      width,
+      height,
+      backgroundColor,
+      backgroundImage,
+      border,
+      borderRadius,
+      boxShadow,
+      padding,
+      margin,
+      overflow,
+    },
+    child,
+  ) {
+    return new Container(...arguments);
+  }
+
+  _getBoxConstraints(constraints) {
+    return constraints.tighten({
+      width: this.widthOverride,
+      height: this.heightOverride,
+    });
+  }
+}
+
+const pathCommandPattern = /[MLHVCSQTAZ]/i;
+const pathTokenPattern =
+  /[MLHVCSQTAZ]|[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/gi;
+
+function arcToCubics(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+  if (x1 === x2 && y1 === y2) return [];
+  if (!rx || !ry) return [{ type: 'L', x: x2, y: y2 }];
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  const cos = Math.cos(toRadians(rotation));
+  const sin = Math.sin(toRadians(rotation));
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const px = cos * dx + sin * dy;
+  const py = -sin * dx + cos * dy;
+  const lambda = (px * px) / (rx * rx) + (py * py) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+  const numerator = rx * rx * ry * ry - rx * rx * py * py - ry * ry * px * px;
+  const denominator = rx * rx * py * py + ry * ry * px * px;
+  const coefficient =
+    (largeArc === sweep ? -1 : 1) *
+    Math.sqrt(Math.max(0, numerator / denominator));
+  const pcx = (coefficient * rx * py) / ry;
+  const pcy = (-coefficient * ry * px) / rx;
+  const cx = cos * pcx - sin * pcy + (x1 + x2) / 2;
+  const cy = sin * pcx + cos * pcy + (y1 + y2) / 2;
+  const angle = (ux, uy, vx, vy) =>
+    Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const start = angle(1, 0, (px - pcx) / rx, (py - pcy) / ry);
+  let delta = angle(
+    (px - pcx) / rx,
+    (py - pcy) / ry,
+    (-px - pcx) / rx,
+    (-py - pcy) / ry,
+  );
+  if (!sweep && delta > 0) delta -= Math.PI * 2;
+  if (sweep && delta < 0) delta += Math.PI * 2;
+  const segments = Math.max(
+    1,
+    Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9),
+  );
+  const step = delta / segments;
+  const k = (4 / 3) * Math.tan(step / 4);
+  const point = (t) => [
+    cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin,
+    cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos,
+  ];
+  const tangent = (t) => [
+    -rx * Math.sin(t) * cos - ry * Math.cos(t) * sin,
+    -rx * Math.sin(t) * sin + ry * Math.cos(t) * cos,
+  ];
+  return Array.from({ length: segments }, (_, i) => {
+    const t1 = start + step * i;
+    const t2 = t1 + step;
+    const [sx, sy] = point(t1);
+    const [ex, ey] = i === segments - 1 ? [x2, y2] : point(t2);
+    const [tx1, ty1] = tangent(t1);
+    const [tx2, ty2] = tangent(t2);
+    return {
+      type: 'C',
+      x1: sx + k * tx1,
+      y1: sy + k * ty1,
+      x2: ex - k * tx2,
+      y2: ey - k * ty2,
+      x: ex,
+      y: ey,
+    };
+  });
+}
+
+export function parsePathData(d) {
+  const text = String(d);
+  const fail = () => {
+    throw new Error(`invalid path data "${text}"`);
+  };
+  if (text.replace(pathTokenPattern, '').replace(/[\s,]/g, '')) fail();
+  const tokens = text.match(pathTokenPattern) ?? [];
+  const commands = [];
+  let i = 0;
+  let command;
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let control;
+  const number = () => {
+    const token = tokens[i];
+    if (token === undefined || pathCommandPattern.test(token)) fail();
+    i++;
+    return Number(token);
+  };
+  const flag = () => {
+    const token = tokens[i];
+    if (token?.[0] !== '0' && token?.[0] !== '1') fail();
+    if (token.length > 1) {
+      tokens[i] = token.slice(1);
+    } else {
+      i++;
+    }
+    return token[0] === '1';
+  };
+  const cubic = (x1, y1, x2, y2, ex, ey) => {
+    commands.push({ type: 'C', x1, y1, x2, y2, x: ex, y: ey });
+    x = ex;
+    y = ey;
+  };
+
+  while (i < tokens.length) {
+    if (pathCommandPattern.test(tokens[i])) {
+      command = tokens[i++];
+    } else if (!command) {
+      fail();
+    }
+    const type = command.toUpperCase();
+    if (!commands.length && type !== 'M') fail();
+    const relative = command !== type;
+    const ox = relative ? x : 0;
+    const oy = relative ? y : 0;
+    let nextControl;
+    switch (type) {
+      case 'M':
+        x = startX = ox + number();
+        y = startY = oy + number();
+        commands.push({ type: 'M', x, y });
+        command = relative ? 'l' : 'L';
+        break;
+      case 'L':
+        x = ox + number();
+        y = oy + number();
+        commands.push({ type: 'L', x, y });
+        break;
+      case 'H':
+        x = ox + number();
+        commands.push({ type: 'L', x, y });
+        break;
+      case 'V':
+        y = oy + number();
+        commands.push({ type: 'L', x, y });
+        break;
+      case 'C':
+      case 'S': {
+        const [x1, y1] =
+          type === 'C'
+            ? [ox + number(), oy + number()]
+            : control?.type === 'C'
+              ? [x * 2 - control.x, y * 2 - control.y]
+              : [x, y];
+        const x2 = ox + number();
+        const y2 = oy + number();
+        nextControl = { type: 'C', x: x2, y: y2 };
+        cubic(x1, y1, x2, y2, ox + number(), oy + number());
+        break;
+      }
+      case 'Q':
+      case 'T': {
+        const [qx, qy] =
+          type === 'Q'
+            ? [ox + number(), oy + number()]
+            : control?.type === 'Q'
+              ? [x * 2 - control.x, y * 2 - control.y]
+              : [x, y];
+        const ex = ox + number();
+        const ey = oy + number();
+        nextControl = { type: 'Q', x: qx, y: qy };
+        cubic(
+          x + ((qx - x) * 2) / 3,
+          y + ((qy - y) * 2) / 3,
+          ex + ((qx - ex) * 2) / 3,
+          ey + ((qy - ey) * 2) / 3,
+          ex,
+          ey,
+        );
+        break;
+      }
+      case 'A': {
+        const rx = number();
+        const ry = number();
+        const rotation = number();
+        const largeArc = flag();
+        const sweep = flag();
+        const ex = ox + number();
+        const ey = oy + number();
+        commands.push(
+          ...arcToCubics(x, y, rx, ry, rotation, largeArc, sweep, ex, ey),
+        );
+        x = ex;
+        y = ey;
+        break;
+      }
+      case 'Z':
+        commands.push({ type: 'Z' });
+        x = startX;
+        y = startY;
+        command = undefined;
+        break;
+    }
+    control = nextControl;
+  }
+  return commands;
+}
+
+function getCubicExtrema(p0, p1, p2, p3) {
+  const a = -p0 + 3 * p1 - 3 * p2 + p3;
+  const b = 2 * (p0 - 2 * p1 + p2);
+  const c = p1 - p0;
+  let roots;
+  if (Math.abs(a) < 1e-12) {
+    roots = b ? [-c / b] : [];
+  } else {
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) return [];
+    const root = Math.sqrt(discriminant);
+    roots = [(-b + root) / (2 * a), (-b - root) / (2 * a)];
+  }
+  return roots
+    .filter((t) => t > 0 && t < 1)
+    .map(
+      (t) =>
+        (1 - t) ** 3 * p0 +
+        3 * (1 - t) ** 2 * t * p1 +
+        3 * (1 - t) * t ** 2 * p2 +
+        t ** 3 * p3,
+    );
+}
+
+function getPathBounds(commands) {
+  const xs = [];
+  const ys = [];
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  commands.forEach((command) => {
+    if (command.type === 'Z') {
+      x = startX;
+      y = startY;
+      return;
+    }
+    if (command.type === 'C') {
+      xs.push(...getCubicExtrema(x, command.x1, command.x2, command.x));
+      ys.push(...getCubicExtrema(y, command.y1, command.y2, command.y));
+    }
+    ({ x, y } = command);
+    if (command.type === 'M') {
+      startX = x;
+      startY = y;
+    }
+    xs.push(x);
+    ys.push(y);
+  });
+  if (!xs.length) {
+    return { left: 0, top: 0, right: 0, bottom: 0 };
+  }
+  return {
+    left: Math.min(...xs),
+    top: Math.min(...ys),
+    right: Math.max(...xs),
+    bottom: Math.max(...ys),
+  };
+}
+
+function tracePath(ctx, commands, matrix) {
+  commands.forEach((command) => {
+    switch (command.type) {
+      case 'M':
+        ctx.moveTo(...applyMatrix(matrix, command.x, command.y));
+        break;
+      case 'L':
+        ctx.lineTo(...applyMatrix(matrix, command.x, command.y));
+        break;
+      case 'C':
+        ctx.bezierCurveTo(
+          ...applyMatrix(matrix, command.x1, command.y1),
+          ...applyMatrix(matrix, command.x2, command.y2),
+          ...applyMatrix(matrix, command.x, command.y),
+        );
+        break;
+      case 'Z':
+        ctx.closePath();
+        break;
+    }
+  });
+}
+
+function getPolylineCommands(points, closed) {
+  const commands = points.map(([x, y], i) => ({ type: i ? 'L' : 'M', x, y }));
+  return closed && commands.length ? [...commands, { type: 'Z' }] : commands;
+}
+
+function getStrokeWidth(stroke) {
+  return stroke ? (stroke.lineWidth ?? 1) : 0;
+}
+
+function setShapeStroke(di, ctx, stroke) {
+  ctx.lineWidth = stroke.lineWidth ?? 1;
+  ctx.strokeStyle = toCanvasColor(di, ctx, stroke.color ?? 'black');
+  ctx.setLineDash(stroke.dash ?? []);
+  ctx.lineDashOffset = stroke.dashOffset ?? 0;
+  ctx.lineCap = stroke.cap ?? 'butt';
+  ctx.lineJoin = stroke.join ?? 'miter';
+}
+
+class Shape extends CanvasComponent {
+  fill;
+  stroke;
+
+  _commands = [];
+  _matrix = [1, 0, 0, 1, 0, 0];
+
+  constructor({ fill, stroke }) {
+    super();
+    this.fill = fill;
+    this.stroke = stroke;
+  }
+
+  init() { }
+
+  _getCommands() {
+    return [];
+  }
+
+  measure(di, ctx) {
+    this._commands = this._getCommands();
+    this._layoutCommands(getConstraints(di), getPathBounds(this._commands));
+  }
+
+  _layoutCommands(constraints, bounds, { width, height, inset } = {}) {
+    const boundsWidth = bounds.right - bounds.left;
+    const boundsHeight = bounds.bottom - bounds.top;
+    inset ??= getStrokeWidth(this.stroke) / 2;
+    let scaleX = width != null && boundsWidth ? width / boundsWidth : null;
+    let scaleY = height != null && boundsHeight ? height / boundsHeight : null;
+    scaleX ??= scaleY ?? 1;
+    scaleY ??= scaleX;
+    this._matrix = [
+      scaleX,
+      0,
+      0,
+      scaleY,
+      inset - bounds.left * scaleX,
+      inset - bounds.top * scaleY,
+    ];
+    this.width = constraints.constrainWidth(boundsWidth * scaleX + inset * 2);
+    this.height = constraints.constrainHeight(
+      boundsHeight * scaleY + inset * 2,
+    );
+  }
+
+  _paint(di, ctx) {
+    const [a, b, c, d, e, f] = this._matrix;
+    const matrix = [a, b, c, d, e + di.x, f + di.y];
+    this._paintShape(
+      di,
+      ctx,
+      () => tracePath(ctx, this._commands, matrix),
+      this.fillRule,
+    );
+  }
+
+  _paintShape(di, ctx, trace, fillRule) {
+    const box = getBoxDrawInstance(di, this);
+    if (this.fill != null) {
+      ctx.fillStyle = toCanvasColor(box, ctx, this.fill);
+      ctx.beginPath();
+      trace();
+      if (fillRule === 'evenodd') {
+        ctx.fill('evenodd');
+      } else {
+        ctx.fill();
+      }
+    }
+    if (this.stroke) {
+      ctx.save();
+      setShapeStroke(box, ctx, this.stroke);
+      ctx.beginPath();
+      trace();
+      ctx.stroke();
+      ctx.restore();
+    }
+  }
+}
+
+export class Path extends Shape {
+  d;
+  viewBox;
+  widthOverride;
+  heightOverride;
+  fillRule;
+
+  constructor({
+    d,
+    viewBox,
+    width,
+    height,
+    fill = 'black',
+    stroke = null,
+    fillRule = 'nonzero',
+  }) {
+    super({ fill, stroke });
+    this.d = d;
+    this.viewBox = viewBox;
+    this.widthOverride = width;
+    this.heightOverride = height;
+    this.fillRule = fillRule;
+  }
+  static new({ d, viewBox, width, height, fill, stroke, fillRule }) {
+    return new Path(...arguments);
+  }
+
+  _getCommands() {
+    return parsePathData(this.d);
+  }
+
+  measure(di, ctx) {
+    this._commands = this._getCommands();
+    const { viewBox } = this;
+    let bounds = getPathBounds(this._commands);
+    if (viewBox) {
+      const { x = 0, y = 0, width, height } = viewBox;
+      bounds = { left: x, top: y, right: x + width, bottom: y + height };
+    }
+    this._layoutCommands(getConstraints(di), bounds, {
+      width: this.widthOverride,
+      height: this.heightOverride,
+      inset: viewBox ? 0 : undefined,
+    });
+  }
+}
+
+export class Line extends Shape {
+  x1;
+  y1;
+  x2;
+  y2;
+
+  constructor({ x1 = 0, y1 = 0, x2 = 0, y2 = 0, stroke = {} }) {
+    super({ stroke });
+    this.x1 = x1;
+    this.y1 = y1;
+    this.x2 = x2;
+    this.y2 = y2;
+  }
+  static new({ x1, y1, x2, y2, stroke }) {
+    return new Line(...arguments);
+  }
+
+  _getCommands() {
+    return [
+      { type: 'M', x: this.x1, y: this.y1 },
+      { type: 'L', x: this.x2, y: this.y2 },
+    ];
+  }
+}
+
+export class Polyline extends Shape {
+  points;
+
+  constructor({ points = [], fill, stroke = {} }) {
+    super({ fill, stroke });
+    this.points = points;
+  }
+  static new({ points, fill, stroke }) {
+    return new Polyline(...arguments);
+  }
+
+  _getCommands() {
+    return getPolylineCommands(this.points, false);
+  }
+}
+
+export class Polygon extends Shape {
+  points;
+
+  constructor({ points = [], fill = 'black', stroke = null }) {
+    super({ fill, stroke });
+    this.points = points;
+  }
+  static new({ points, fill, stroke }) {
+    return new Polygon(...arguments);
+  }
+
+  _getCommands() {
+    return getPolylineCommands(this.points, true);
+  }
+}
+
+export class Ellipse extends Shape {
+  widthOverride;
+  heightOverride;
+
+  constructor({ width = 10, height = 10, fill = 'black', stroke = null }) {
+    super({ fill, stroke });
+    this.widthOverride = width;
+    this.heightOverride = height;
+  }
+  static new({ width, height, fill, stroke }) {
+    return new Ellipse(...arguments);
+  }
+
+  measure(di, ctx) {
+    const constraints = getConstraints(di);
+    this.width = constraints.constrainWidth(this.widthOverride);
+    this.height = constraints.constrainHeight(this.heightOverride);
+  }
+
+  _paint(di, ctx) {
+    const inset = getStrokeWidth(this.stroke) / 2;
+    const radiusX = Math.max(0, this.width / 2 - inset);
+    const radiusY = Math.max(0, this.height / 2 - inset);
+    this._paintShape(di, ctx, () =>
+      ctx.ellipse(
+        di.x + this.width / 2,
+        di.y + this.height / 2,
+        radiusX,
+        radiusY,
+        0,
+        0,
+        Math.PI * 2,
+      ),
+    );
+  }
+}
+
+const arrowHeads = ['none', 'triangle', 'open', 'circle', 'bar'];
+
+function getArrowHead(head, size, [x, y], [ux, uy]) {
+  const [nx, ny] = [-uy, ux];
+  const back = (distance, side = 0) => [
+    x - ux * distance + nx * side,
+    y - uy * distance + ny * side,
+  ];
+  switch (head) {
+    case 'triangle':
+      return {
+        commands: getPolylineCommands(
+          [[x, y], back(size, size / 2), back(size, -size / 2)],
+          true,
+        ),
+        filled: true,
+        end: back(size),
+      };
+    case 'open':
+      return {
+        commands: getPolylineCommands([
+          back(size, size / 2),
+          [x, y],
+          back(size, -size / 2),
+        ]),
+        filled: false,
+        end: [x, y],
+      };
+    case 'circle': {
+      const [cx, cy] = back(size / 2);
+      const r = size / 2;
+      return {
+        commands: [
+          { type: 'M', x: cx - r, y: cy },
+          ...arcToCubics(cx - r, cy, r, r, 0, false, true, cx + r, cy),
+          ...arcToCubics(cx + r, cy, r, r, 0, false, true, cx - r, cy),
+          { type: 'Z' },
+        ],
+        filled: true,
+        end: back(size / 2),
+      };
+    }
+    case 'bar':
+      return {
+        commands: getPolylineCommands([
+          back(0, size / 2),
+          back(0, -size / 2),
+        ]),
+        filled: false,
+        end: [x, y],
+      };
+    case 'none':
+      return { commands: [], filled: false, end: [x, y] };
+    default:
+      throw new Error(`unknown arrow head "${head}"`);
+  }
+}
+
+export class Arrow extends Shape {
+  x1;
+  y1;
+  x2;
+  y2;
+  startHead;
+  endHead;
+  headSize;
+
+  _shaft = [];
+  _heads = [];
+
+  constructor({
+    x1 = 0,
+    y1 = 0,
+    x2 = 0,
+    y2 = 0,
+    startHead = 'none',
+    endHead = 'triangle',
+    headSize = 10,
+    stroke = {},
+  }) {
+    super({ stroke });
+    this.x1 = x1;
+    this.y1 = y1;
+    this.x2 = x2;
+    this.y2 = y2;
+    this.startHead = startHead;
+    this.endHead = endHead;
+    this.headSize = headSize;
+  }
+  static new({ x1, y1, x2, y2, startHead, endHead, headSize, stroke }) {
+    return new Arrow(...arguments);
+  }
+
+  _getCommands() {
+    const { x1, y1, x2, y2, headSize } = this;
+    const length = Math.hypot(x2 - x1, y2 - y1);
+    const [ux, uy] = length
+      ? [(x2 - x1) / length, (y2 - y1) / length]
+      : [1, 0];
+    const start = getArrowHead(this.startHead, headSize, [x1, y1], [-ux, -uy]);
+    const end = getArrowHead(this.endHead, headSize, [x2, y2], [ux, uy]);
+    this._heads = [start, end];
+    this._shaft = getPolylineCommands([start.end, end.end], false);
+    return [...this._shaft, ...start.commands, ...end.commands];
+  }
+
+  _paint(di, ctx) {
+    if (!this.stroke) return;
+    const [a, b, c, d, e, f] = this._matrix;
+    const matrix = [a, b, c, d, e + di.x, f + di.y];
+    const box = getBoxDrawInstance(di, this);
+    ctx.save();
+    setShapeStroke(box, ctx, this.stroke);
+    ctx.beginPath();
+    tracePath(ctx, this._shaft, matrix);
+    this._heads
+      .filter((head) => !head.filled)
+      .forEach((head) => tracePath(ctx, head.commands, matrix));
+    ctx.stroke();
+    const filled = this._heads.filter((head) => head.filled);
+    if (filled.length) {
+      ctx.setLineDash([]);
+      ctx.fillStyle = ctx.strokeStyle;
+      ctx.beginPath();
+      filled.forEach((head) => tracePath(ctx, head.commands, matrix));
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+}
+
+export class Divider extends Shape {
+  direction;
+  length;
+  space;
+  indent;
+  endIndent;
+
+  constructor({
+    direction = 'horizontal',
+    length,
+    space,
+    indent = 0,
+    endIndent = 0,
+    stroke = { color: '#e0e0e0' },
+  }) {
+    super({ stroke });
+    this.direction = direction;
+    this.length = length;
+    this.space = space;
+    this.indent = indent;
+    this.endIndent = endIndent;
+  }
+  static new({ direction, length, space, indent, endIndent, stroke }) {
+    return new Divider(...arguments);
+  }
+
+  measure(di, ctx) {
+    const constraints = getConstraints(di);
+    const horizontal = this.direction === 'horizontal';
+    const max = horizontal ? constraints.maxWidth : constraints.maxHeight;
+    const length = this.length ?? (Number.isFinite(max) ? max : 0);
+    const space = this.space ?? getStrokeWidth(this.stroke);
+    this.width = constraints.constrainWidth(horizontal ? length : space);
+    this.height = constraints.constrainHeight(horizontal ? space : length);
+  }
+
+  _paint(di, ctx) {
+    const horizontal = this.direction === 'horizontal';
+    const length = horizontal ? this.width : this.height;
+    const start = this.indent;
+    const end = length - this.endIndent;
+    if (end <= start) return;
+    const middle = (horizontal ? this.height : this.width) / 2;
+    const point = (along) =>
+      horizontal
+        ? [di.x + along, di.y + middle]
+        : [di.x + middle, di.y + along];
+    this._paintShape(di, ctx, () => {
+      ctx.moveTo(...point(start));
+      ctx.lineTo(...point(end));
+    });
+  }
+}
+
+const qrEcLevels = ['L', 'M', 'Q', 'H'];
+const qrFormatBits = { L: 1, M: 0, Q: 3, H: 2 };
+// Error correction codewords per block and number of blocks, by version.
+const qrEcCodewordsPerBlock = {
+  L: [
+    7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28,
+    28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+    30, 30,
+  ],
+  M: [
+    10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26,
+    26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28,
+    28, 28,
+  ],
+  Q: [
+    13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26,
+    30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+    30, 30,
+  ],
+  H: [
+    17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26,
+    28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+    30, 30,
+  ],
+};
+const qrEcBlocks = {
+  L: [
+    1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12,
+    12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25,
+  ],
+  M: [
+    1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17,
+    18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49,
+  ],
+  Q: [
+    1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23,
+    25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68,
+  ],
+  H: [
+    1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25,
+    34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81,
+  ],
+};
+// Share of the codewords each level can restore.
+const qrRecoveryRates = { L: 0.07, M: 0.15, Q: 0.25, H: 0.3 };
+const qrAlphanumericChars = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+function appendBits(bits, value, length) {
+  for (let i = length - 1; i >= 0; i--) {
+    bits.push((value >>> i) & 1);
+  }
+}
+
+function encodeUtf8(text) {
+  const bytes = [];
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(
+        0xe0 | (code >> 12),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f),
+      );
+    } else {
+      bytes.push(
+        0xf0 | (code >> 18),
+        0x80 | ((code >> 12) & 0x3f),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f),
+      );
+    }
+  }
+  return bytes;
+}
+
+let shiftJisCodes;
+
+function getShiftJisCode(char) {
+  if (!shiftJisCodes) {
+    let decoder;
+    try {
+      decoder = new TextDecoder('shift_jis', { fatal: true });
+    } catch (error) {
+      throw new Error('kanji mode needs a TextDecoder supporting shift_jis');
+    }
+    shiftJisCodes = new Map();
+    const ranges = [
+      [0x81, 0x9f, 0xfc],
+      [0xe0, 0xeb, 0xbf],
+    ];
+    ranges.forEach(([firstLead, lastLead, lastTrail]) => {
+      for (let lead = firstLead; lead <= lastLead; lead++) {
+        const maxTrail = lead === lastLead ? lastTrail : 0xfc;
+        for (let trail = 0x40; trail <= maxTrail; trail++) {
+          if (trail === 0x7f) continue;
+          let decoded;
+          try {
+            decoded = decoder.decode(new Uint8Array([lead, trail]));
+          } catch (error) {
+            continue;
+          }
+          if (decoded.length === 1 && !shiftJisCodes.has(decoded)) {
+            shiftJisCodes.set(decoded, (lead << 8) | trail);
+          }
+        }
+      }
+    });
+  }
+  return shiftJisCodes.get(char);
+}
+
+const qrModes = {
+  numeric: {
+    indicator: 0b0001,
+    countBits: [10, 12, 14],
+    test: (text) => /^[0-9]*$/.test(text),
+    encode(text, bits) {
+      for (let i = 0; i < text.length; i += 3) {
+        const group = text.slice(i, i + 3);
+        appendBits(bits, Number(group), group.length * 3 + 1);
+      }
+      return text.length;
+    },
+  },
+  alphanumeric: {
+    indicator: 0b0010,
+    countBits: [9, 11, 13],
+    test: (text) => [...text].every((c) => qrAlphanumericChars.includes(c)),
+    encode(text, bits) {
+      for (let i = 0; i < text.length; i += 2) {
+        const first = qrAlphanumericChars.indexOf(text[i]);
+        if (i + 1 < text.length) {
+          const second = qrAlphanumericChars.indexOf(text[i + 1]);
+          appendBits(bits, first * 45 + second, 11);
+        } else {
+          appendBits(bits, first, 6);
+        }
+      }
+      return text.length;
+    },
+  },
+  byte: {
+    indicator: 0b0100,
+    countBits: [8, 16, 16],
+    test: () => true,
+    encode(text, bits) {
+      const bytes = encodeUtf8(text);
+      bytes.forEach((byte) => appendBits(bits, byte, 8));
+      return bytes.length;
+    },
+  },
+  kanji: {
+    indicator: 0b1000,
+    countBits: [8, 10, 12],
+    test: (text) =>
+      [...text].every((c) => {
+        const code = getShiftJisCode(c);
+        return (
+          (code >= 0x8140 && code <= 0x9ffc) ||
+          (code >= 0xe040 && code <= 0xebbf)
+        );
+      }),
+    encode(text, bits) {
+      const chars = [...text];
+      chars.forEach((char) => {
+        const code = getShiftJisCode(char);
+        const offset = code - (code <= 0x9ffc ? 0x8140 : 0xc140);
+        appendBits(bits, (offset >> 8) * 0xc0 + (offset & 0xff), 13);
+      });
+      return chars.length;
+    },
+  },
+};
+
+function getQRCountBits(mode, version) {
+  return qrModes[mode].countBits[version <= 9 ? 0 : version <= 26 ? 1 : 2];
+}
+
+function getQRRawModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignments = Math.floor(version / 7) + 2;
+    result -= (25 * alignments - 10) * alignments - 55;
+    if (version >= 7) {
+      result -= 36;
+    }
+  }
+  return result;
+}
+
+function getQRDataCodewords(version, ecLevel) {
+  return (
+    Math.floor(getQRRawModules(version) / 8) -
+    qrEcCodewordsPerBlock[ecLevel][version - 1] *
+      qrEcBlocks[ecLevel][version - 1]
+  );
+}
+
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function getReedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function getReedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  data.forEach((byte) => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return result;
+}
+
+function addQRErrorCorrection(data, version, ecLevel) {
+  const blockCount = qrEcBlocks[ecLevel][version - 1];
+  const ecLength = qrEcCodewordsPerBlock[ecLevel][version - 1];
+  const divisor = getReedSolomonDivisor(ecLength);
+  const shortLength = Math.floor(data.length / blockCount);
+  const shortBlocks = blockCount - (data.length % blockCount);
+  const blocks = [];
+  for (let i = 0, start = 0; i < blockCount; i++) {
+    const length = shortLength + (i < shortBlocks ? 0 : 1);
+    const block = data.slice(start, start + length);
+    blocks.push({ data: block, ec: getReedSolomonRemainder(block, divisor) });
+    start += length;
+  }
+  const result = [];
+  for (let i = 0; i <= shortLength; i++) {
+    blocks.forEach((block) => {
+      if (i < block.data.length) {
+        result.push(block.data[i]);
+      }
+    });
+  }
+  for (let i = 0; i < ecLength; i++) {
+    blocks.forEach((block) => result.push(block.ec[i]));
+  }
+  return result;
+}
+
+function getQRAlignmentPositions(version) {
+  if (version === 1) {
+    return [];
+  }
+  const count = Math.floor(version / 7) + 2;
+  const step =
+    version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const result = [6];
+  for (let pos = version * 4 + 10; result.length < count; pos -= step) {
+    result.splice(1, 0, pos);
+  }
+  return result;
+}
+
+const qrMasks = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+function createQRMatrix(version) {
+  const size = version * 4 + 17;
+  const createGrid = () =>
+    Array.from({ length: size }, () => new Array(size).fill(false));
+  const modules = createGrid();
+  const reserved = createGrid();
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  [
+    [3, 3],
+    [size - 4, 3],
+    [3, size - 4],
+  ].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          set(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  });
+  const positions = getQRAlignmentPositions(version);
+  const last = positions.length - 1;
+  positions.forEach((cx, i) => {
+    positions.forEach((cy, j) => {
+      // The finder patterns take three of the corners.
+      if ((i === 0 && (j === 0 || j === last)) || (i === last && j === 0)) {
+        return;
+      }
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+  // Format information is drawn for each mask, but its place is kept here.
+  for (let i = 0; i < 9; i++) {
+    if (i === 6) continue;
+    set(8, i, false);
+    set(i, 8, false);
+  }
+  for (let i = 0; i < 8; i++) {
+    set(size - 1 - i, 8, false);
+    set(8, size - 1 - i, false);
+  }
+  return { size, modules, reserved };
+}
+
+function drawQRFormatBits(modules, ecLevel, mask) {
+  const size = modules.length;
+  const data = (qrFormatBits[ecLevel] << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i++) {
+    remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  }
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+  const bit = (i) => ((bits >>> i) & 1) === 1;
+  for (let i = 0; i <= 5; i++) {
+    modules[i][8] = bit(i);
+  }
+  modules[7][8] = bit(6);
+  modules[8][8] = bit(7);
+  modules[8][7] = bit(8);
+  for (let i = 9; i < 15; i++) {
+    modules[8][14 - i] = bit(i);
+  }
+  for (let i = 0; i < 8; i++) {
+    modules[8][size - 1 - i] = bit(i);
+  }
+  for (let i = 8; i < 15; i++) {
+    modules[size - 15 + i][8] = bit(i);
+  }
+  modules[size - 8][8] = true;
+}
+
+function placeQRCodewords({ size, modules, reserved }, codewords) {
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) {
+      right = 5;
+    }
+    const upward = ((right + 1) & 2) === 0;
+    for (let vertical = 0; vertical < size; vertical++) {
+      const y = upward ? size - 1 - vertical : vertical;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (!reserved[y][x] && i < codewords.length * 8) {
+          modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+          i++;
+        }
+      }
+    }
+  }
+}
+
+function getQRPenalty(modules) {
+  const size = modules.length;
+  let penalty = 0;
+  let dark = 0;
+  const finderLike = [
+    [1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0],
+    [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1],
+  ];
+  const scanLine = (get) => {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && get(i) === get(i - 1)) {
+        run++;
+      } else {
+        if (run >= 5) {
+          penalty += run - 2;
+        }
+        run = 1;
+      }
+    }
+    for (let i = 0; i + 11 <= size; i++) {
+      finderLike.forEach((pattern) => {
+        if (pattern.every((value, k) => get(i + k) === (value === 1))) {
+          penalty += 40;
+        }
+      });
+    }
+  };
+  for (let y = 0; y < size; y++) {
+    scanLine((x) => modules[y][x]);
+    scanLine((x) => modules[x][y]);
+  }
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) {
+        dark++;
+      }
+      if (
+        x + 1 < size &&
+        y + 1 < size &&
+        modules[y][x] === modules[y][x + 1] &&
+        modules[y][x] === modules[y + 1][x] &&
+        modules[y][x] === modules[y + 1][x + 1]
+      ) {
+        penalty += 3;
+      }
+    }
+  }
+  const total = size * size;
+  penalty += Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10;
+  return penalty;
+}
+
+export function encodeQRCode(
+  text,
+  { mode = 'auto', ecLevel = 'M', version, mask } = {},
+) {
+  if (!qrEcLevels.includes(ecLevel)) {
+    throw new Error(`unknown error correction level "${ecLevel}"`);
+  }
+  if (mode === 'auto') {
+    mode = ['numeric', 'alphanumeric'].find((m) => qrModes[m].test(text));
+    mode ??= 'byte';
+  } else if (!Object.hasOwn(qrModes, mode)) {
+    throw new Error(`unknown QR code mode "${mode}"`);
+  } else if (!qrModes[mode].test(text)) {
+    throw new Error(`text can't be encoded in ${mode} mode`);
+  }
+  if (
+    version !== undefined &&
+    !(Number.isInteger(version) && version >= 1 && version <= 40)
+  ) {
+    throw new Error(`invalid QR code version ${version}`);
+  }
+  if (
+    mask !== undefined &&
+    !(Number.isInteger(mask) && mask >= 0 && mask < 8)
+  ) {
+    throw new Error(`invalid QR code mask ${mask}`);
+  }
+  const payload = [];
+  const count = qrModes[mode].encode(text, payload);
+  const fits = (v) =>
+    count < 2 ** getQRCountBits(mode, v) &&
+    4 + getQRCountBits(mode, v) + payload.length <=
+      getQRDataCodewords(v, ecLevel) * 8;
+  if (version === undefined) {
+    version = Array.from({ length: 40 }, (_, i) => i + 1).find(fits);
+    if (version === undefined) {
+      throw new Error(`text is too long for a QR code at level ${ecLevel}`);
+    }
+  } else if (!fits(version)) {
+    throw new Error(
+      `text doesn't fit in a version ${version} QR code at level ${ecLevel}`,
+    );
+  }
+
+  const capacity = getQRDataCodewords(version, ecLevel) * 8;
+  const bits = [];
+  appendBits(bits, qrModes[mode].indicator, 4);
+  appendBits(bits, count, getQRCountBits(mode, version));
+  bits.push(...payload);
+  appendBits(bits, 0, Math.min(4, capacity - bits.length));
+  appendBits(bits, 0, (8 - (bits.length % 8)) % 8);
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit));
+  }
+  for (let pad = 0xec; data.length < capacity / 8; pad ^= 0xec ^ 0x11) {
+    data.push(pad);
+  }
+
+  const matrix = createQRMatrix(version);
+  placeQRCodewords(matrix, addQRErrorCorrection(data, version, ecLevel));
+  const applyMask = (m) =>
+    matrix.modules.map((row, y) =>
+      row.map(
+        (dark, x) => (!matrix.reserved[y][x] && qrMasks[m](x, y)) !== dark,
+      ),
+    );
+  let best;
+  (mask === undefined ? [0, 1, 2, 3, 4, 5, 6, 7] : [mask]).forEach((m) => {
+    const modules = applyMask(m);
+    drawQRFormatBits(modules, ecLevel, m);
+    const penalty = mask === undefined ? getQRPenalty(modules) : 0;
+    if (!best || penalty < best.penalty) {
+      best = { mask: m, modules, penalty };
+    }
+  });
+  return {
+    version,
+    ecLevel,
+    mode,
+    mask: best.mask,
+    size: matrix.size,
+    modules: best.modules,
+  };
+}
+
+export class QRCode extends CanvasComponent {
+  child;
+
+  text;
+  mode;
+  ecLevel;
+  version;
+  mask;
+  size;
+  quietZone;
+  color;
+  backgroundColor;
+  moduleRadius;
+
+  _code;
+  _codeKey = [];
+
+  constructor(
+    {
+      text = '',
+      mode = 'auto',
+      ecLevel = 'M',
+      version,
+      mask,
+      size,
+      quietZone = 4,
+      color = 'black',
+      backgroundColor = 'white',
+      moduleRadius = 0,
+    },
+    child,
+  ) {
+    super();
+    this.child = child;
+    this.text = text;
+    this.mode = mode;
+    this.ecLevel = ecLevel;
+    this.version = version;
+    this.mask = mask;
+    this.size = size;
+    this.quietZone = quietZone;
+    this.color = color;
+    this.backgroundColor = backgroundColor;
+    this.moduleRadius = moduleRadius;
+  }
+  static new(
+    {
+      text = '',
+      mode = 'auto',
+      ecLevel = 'M',
+      version,
+      mask,
+      size,
+      quietZone = 4,
+      color = 'black',
+      backgroundColor = 'white',
+      moduleRadius = 0,
+    },
+    child,
+  ) {
+    return new QRCode(...arguments);
+  }
+
+  init() {
+    initChild(this, this.child);
+  }
+
+  get code() {
+    const key = [this.text, this.mode, this.ecLevel, this.version, this.mask];
+    if (!this._code || key.some((value, i) => value !== this._codeKey[i])) {
+      this._code = encodeQRCode(this.text, this);
+      this._codeKey = key;
+    }
+    return this._code;
+  }
+
+  _getSymbol() {
+    const side = Math.min(this.width, this.height);
+    const modules = this.code.size + this.quietZone * 2;
+    return {
+      x: (this.width - side) / 2,
+      y: (this.height - side) / 2,
+      side,
+      moduleSize: side / modules,
+    };
+  }
+
+  measure(di, ctx) {
+    const constraints = getConstraints(di);
+    const code = this.code;
+    const side = this.size ?? (code.size + this.quietZone * 2) * 4;
+    const fitted = Math.min(
+      constraints.constrainWidth(side),
+      constraints.constrainHeight(side),
+    );
+    this.width = constraints.constrainWidth(fitted);
+    this.height = constraints.constrainHeight(fitted);
+    if (this.child) {
+      // Keep the logo within half of what the level can restore, and away
+      // from the finder patterns and the format information.
+      const maxModules = Math.min(
+        Math.floor(Math.sqrt(qrRecoveryRates[code.ecLevel] / 2) * code.size),
+        code.size - 18,
+      );
+      const maxLogo = Math.max(0, maxModules) * this._getSymbol().moduleSize;
+      layoutChild(this.child, di, BoxConstraints.loose(maxLogo, maxLogo), ctx);
+      this.child.offset = {
+        x: (this.width - this.child.width) / 2,
+        y: (this.height - this.child.height) / 2,
+      };
+    }
+  }
+
+  _paint(di, ctx) {
+    const { size, modules } = this.code;
+    const { x, y, side, moduleSize } = this._getSymbol();
+    const box = getBoxDrawInstance(di, this);
+    const left = di.x + x + this.quietZone * moduleSize;
+    const top = di.y + y + this.quietZone * moduleSize;
+    let covered = () => false;
+    if (this.child) {
+      const { offset, width, height } = this.child;
+      const toModule = (position) => position / moduleSize - this.quietZone;
+      const x0 = Math.floor(toModule(offset.x - x));
+      const x1 = Math.ceil(toModule(offset.x - x + width));
+      const y0 = Math.floor(toModule(offset.y - y));
+      const y1 = Math.ceil(toModule(offset.y - y + height));
+      covered = (mx, my) => mx >= x0 && mx < x1 && my >= y0 && my < y1;
+    }
+    if (this.backgroundColor != null) {
+      ctx.fillStyle = toCanvasColor(box, ctx, this.backgroundColor);
+      ctx.fillRect(di.x + x, di.y + y, side, side);
+    }
+    ctx.fillStyle = toCanvasColor(box, ctx, this.color);
+    ctx.beginPath();
+    const radius = Math.min(0.5, Math.max(0, this.moduleRadius)) * moduleSize;
+    for (let my = 0; my < size; my++) {
+      for (let mx = 0; mx < size; mx++) {
+        if (!modules[my][mx] || covered(mx, my)) continue;
+        if (radius > 0) {
+          ctx.roundRect(
+            left + mx * moduleSize,
+            top + my * moduleSize,
+            moduleSize,
+            moduleSize,
+            [radius],
+          );
+        } else {
+          // Snap the edges to whole pixels, so that the modules stay crisp
+          // and neighbouring ones leave no seams between them.
+          const x0 = Math.round(left + mx * moduleSize);
+          const y0 = Math.round(top + my * moduleSize);
+          const x1 = Math.round(left + (mx + 1) * moduleSize);
+          const y1 = Math.round(top + (my + 1) * moduleSize);
+          ctx.rect(x0, y0, x1 - x0, y1 - y0);
+        }
+      }
+    }
+    ctx.fill();
+    if (this.child) {
+      drawChild(this.child, di, ctx);
+    }
+  }
+}
+
+// Bar and space widths of the Code 128 symbols, by value. 106 is the stop.
+const code128Patterns = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213',
+  '122312', '132212', '221213', '221312', '231212', '112232', '122132',
+  '122231', '113222', '123122', '123221', '223211', '221132', '221231',
+  '213212', '223112', '312131', '311222', '321122', '321221', '312212',
+  '322112', '322211', '212123', '212321', '232121', '111323', '131123',
+  '131321', '112313', '132113', '132311', '211313', '231113', '231311',
+  '112133', '112331', '132131', '113123', '113321', '133121', '313121',
+  '211331', '231131', '213113', '213311', '213131', '311123', '311321',
+  '331121', '312113', '312311', '332111', '314111', '221411', '431111',
+  '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114',
+  '413111', '241112', '134111', '111242', '121142', '121241', '114212',
+  '124112', '124211', '411212', '421112', '421211', '212141', '214121',
+  '412121', '111143', '111341', '131141', '114113', '114311', '411113',
+  '411311', '113141', '114131', '311141', '411131', '211412', '211214',
+  '211232', '2331112',
+];
+const code128Start = { A: 103, B: 104, C: 105 };
+const code128Switch = { A: 101, B: 100, C: 99 };
+
+function getCode128Value(set, code) {
+  if (set === 'A') {
+    return code < 32 ? code + 64 : code < 96 ? code - 32 : -1;
+  }
+  return code >= 32 && code < 128 ? code - 32 : -1;
+}
+
+function countDigits(data, start) {
+  let end = start;
+  while (end < data.length && data[end] >= '0' && data[end] <= '9') {
+    end++;
+  }
+  return end - start;
+}
+
+function getCode128TextSet(data, start) {
+  for (let i = start; i < data.length; i++) {
+    const code = data.charCodeAt(i);
+    if (code < 32) return 'A';
+    if (code >= 96) return 'B';
+  }
+  return 'B';
+}
+
+function encodeCode128(data) {
+  [...data].forEach((char) => {
+    if (char.codePointAt(0) > 127) {
+      throw new Error(`Code 128 can't encode "${char}"`);
+    }
+  });
+  const values = [];
+  let set;
+  for (let i = 0; i < data.length; ) {
+    const digits = countDigits(data, i);
+    // Digit pairs take half the space in code set C, which pays off for
+    // 4 digits at either end of the data, or 6 in the middle.
+    const useC =
+      digits >= (i === 0 || i + digits === data.length ? 4 : 6) ||
+      (set === 'C' && digits >= 2) ||
+      (i === 0 && digits === data.length && digits % 2 === 0);
+    let next = set;
+    if (useC && (set === 'C' || set === undefined || digits % 2 === 0)) {
+      next = 'C';
+    } else if (set === undefined || set === 'C') {
+      next = getCode128TextSet(data, i);
+    } else if (getCode128Value(set, data.charCodeAt(i)) < 0) {
+      next = set === 'A' ? 'B' : 'A';
+    }
+    if (next !== set) {
+      values.push(set === undefined ? code128Start[next] : code128Switch[next]);
+      set = next;
+    }
+    if (set === 'C') {
+      values.push(Number(data.slice(i, i + 2)));
+      i += 2;
+    } else {
+      values.push(getCode128Value(set, data.charCodeAt(i)));
+      i++;
+    }
+  }
+  const checksum =
+    values.reduce((sum, value, i) => sum + value * Math.max(1, i), 0) % 103;
+  const modules = [];
+  [...values, checksum, 106].forEach((value) => {
+    [...code128Patterns[value]].forEach((width, i) => {
+      for (let k = 0; k < Number(width); k++) {
+        modules.push(i % 2 === 0);
+      }
+    });
+  });
+  const text = data.replace(/[\x00-\x1f\x7f]/g, ' ');
+  return {
+    modules,
+    guards: [],
+    text: [{ text, x: modules.length / 2 }],
+  };
+}
+
+const eanLeftOdd = [
+  '0001101', '0011001', '0010011', '0111101', '0100011',
+  '0110001', '0101111', '0111011', '0110111', '0001011',
+];
+const eanParities = [
+  'LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG',
+  'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL',
+];
+
+function getEanDigitPattern(digit, parity) {
+  const odd = eanLeftOdd[digit];
+  const right = [...odd].map((bit) => (bit === '1' ? '0' : '1')).join('');
+  if (parity === 'L') return odd;
+  if (parity === 'R') return right;
+  return [...right].reverse().join('');
+}
+
+function getCheckDigit(digits) {
+  const sum = [...digits]
+    .reverse()
+    .reduce((total, digit, i) => total + Number(digit) * (i % 2 ? 1 : 3), 0);
+  return (10 - (sum % 10)) % 10;
+}
+
+function withCheckDigit(data, length, name) {
+  if (!new RegExp(`^(\\d{${length - 1}}|\\d{${length}})$`).test(data)) {
+    throw new Error(`${name} data must be ${length - 1} or ${length} digits`);
+  }
+  const check = getCheckDigit(data.slice(0, length - 1));
+  if (data.length === length && Number(data[length - 1]) !== check) {
+    throw new Error(
+      `invalid ${name} check digit ${data[length - 1]}, expected ${check}`,
+    );
+  }
+  return data.slice(0, length - 1) + check;
+}
+
+function encodeEan(digits, parities) {
+  const half = (digits.length - (parities ? 1 : 0)) / 2;
+  const left = digits.slice(digits.length - half * 2, digits.length - half);
+  const right = digits.slice(digits.length - half);
+  const pattern = [
+    '101',
+    ...[...left].map((d, i) => getEanDigitPattern(d, parities?.[i] ?? 'L')),
+    '01010',
+    ...[...right].map((d) => getEanDigitPattern(d, 'R')),
+    '101',
+  ].join('');
+  const length = pattern.length;
+  const center = (length - 5) / 2;
+  const isGuard = (i) =>
+    i < 3 || i >= length - 3 || (i >= center && i < center + 5);
+  return {
+    modules: [...pattern].map((bit) => bit === '1'),
+    guards: [...pattern].map((bit, i) => isGuard(i)),
+    left,
+    right,
+  };
+}
+
+const barcodeFormats = {
+  code128: encodeCode128,
+  ean13(data) {
+    const digits = withCheckDigit(data, 13, 'EAN-13');
+    const { modules, guards, left, right } = encodeEan(
+      digits,
+      eanParities[digits[0]],
+    );
+    return {
+      modules,
+      guards,
+      text: [
+        { text: digits[0], x: -4 },
+        { text: left, x: 3 + 21 },
+        { text: right, x: 50 + 21 },
+      ],
+    };
+  },
+  ean8(data) {
+    const digits = withCheckDigit(data, 8, 'EAN-8');
+    const { modules, guards, left, right } = encodeEan(digits);
+    return {
+      modules,
+      guards,
+      text: [
+        { text: left, x: 3 + 14 },
+        { text: right, x: 36 + 14 },
+      ],
+    };
+  },
+  upca(data) {
+    const digits = withCheckDigit(data, 12, 'UPC-A');
+    const { modules, guards } = encodeEan(`0${digits}`, eanParities[0]);
+    // The bars of the first and the last digit are as long as the guards.
+    const isLong = (i) => (i >= 3 && i < 10) || (i >= 85 && i < 92);
+    return {
+      modules,
+      guards: guards.map((guard, i) => guard || isLong(i)),
+      text: [
+        { text: digits[0], x: -4 },
+        { text: digits.slice(1, 6), x: 10 + 17.5 },
+        { text: digits.slice(6, 11), x: 50 + 17.5 },
+        { text: digits[11], x: 99 },
+      ],
+    };
+  },
+};
+
+export function encodeBarcode(data, { format = 'code128' } = {}) {
+  if (!Object.hasOwn(barcodeFormats, format)) {
+    throw new Error(`unknown barcode format "${format}"`);
+  }
+  if (data === '') {
+    throw new Error('barcode data is empty');
+  }
+  const { modules, guards, text } = barcodeFormats[format](String(data));
+  return {
+    format,
+    modules,
+    guards: guards.length ? guards : modules.map(() => false),
+    text,
+  };
+}
+
+export class Barcode extends CanvasComponent {
+  data;
+  format;
+  moduleWidth;
+  barHeight;
+  quietZone;
+  showText;
+  textSize;
+  fontFamily;
+  color;
+  backgroundColor;
+
+  _code;
+  _codeKey = [];
+  _moduleWidth = 0;
+
+  constructor({
+    data = '',
+    format = 'code128',
+    moduleWidth,
+    barHeight = 50,
+    quietZone = 10,
+    showText = true,
+    textSize = 12,
+    fontFamily = 'monospace',
+    color = 'black',
+    backgroundColor = 'white',
+  }) {
+    super();
+    this.data = data;
+    this.format = format;
+    this.moduleWidth = moduleWidth;
+    this.barHeight = barHeight;
+    this.quietZone = quietZone;
+    this.showText = showText;
+    this.textSize = textSize;
+    this.fontFamily = fontFamily;
+    this.color = color;
+    this.backgroundColor = backgroundColor;
+  }
+  static new({
+    data = '',
+    format = 'code128',
+    moduleWidth,
+    barHeight = 50,
+    quietZone = 10,
+    showText = true,
+    textSize = 12,
+    fontFamily = 'monospace',
+    color = 'black',
+    backgroundColor = 'white',
+  }) {
+    return new Barcode(...arguments);
+  }
+
+  init() { }
+
+  get code() {
+    const key = [this.data, this.format];
+    if (!this._code || key.some((value, i) => value !== this._codeKey[i])) {
+      this._code = encodeBarcode(this.data, this);
+      this._codeKey = key;
+    }
+    return this._code;
+  }
+
+  measure(di, ctx) {
+    const constraints = getConstraints(di);
+    const modules = this.code.modules.length + this.quietZone * 2;
+    // Whole pixels per module keep every bar of the same width the same.
+    const moduleWidth =
+      this.moduleWidth ??
+      (constraints.hasBoundedWidth
+        ? Math.max(1, Math.floor(constraints.maxWidth / modules))
+        : 2);
+    this.width = constraints.constrainWidth(modules * moduleWidth);
+    this.height = constraints.constrainHeight(
+      this.barHeight + (this.showText ? this.textSize * 1.2 : 0),
+    );
+    this._moduleWidth = Math.min(moduleWidth, this.width / modules);
+  }
+
+  _paint(di, ctx) {
+    const { modules, guards, text } = this.code;
+    const moduleWidth = this._moduleWidth;
+    const box = getBoxDrawInstance(di, this);
+    if (this.backgroundColor != null) {
+      ctx.fillStyle = toCanvasColor(box, ctx, this.backgroundColor);
+      ctx.fillRect(di.x, di.y, this.width, this.height);
+    }
+    const codeWidth = (modules.length + this.quietZone * 2) * moduleWidth;
+    const left = Math.round(
+      di.x + (this.width - codeWidth) / 2 + this.quietZone * moduleWidth,
+    );
+    const guardHeight = this.showText
+      ? this.barHeight + this.textSize / 2
+      : this.barHeight;
+    ctx.fillStyle = toCanvasColor(box, ctx, this.color);
+    ctx.beginPath();
+    for (let i = 0; i < modules.length; ) {
+      if (!modules[i]) {
+        i++;
+        continue;
+      }
+      let end = i + 1;
+      while (modules[end] && guards[end] === guards[i]) {
+        end++;
+      }
+      // Snap the edges to whole pixels, like the modules of `QRCode`.
+      const x0 = Math.round(left + i * moduleWidth);
+      const x1 = Math.round(left + end * moduleWidth);
+      ctx.rect(x0, di.y, x1 - x0, guards[i] ? guardHeight : this.barHeight);
+      i = end;
+    }
+    ctx.fill();
+    if (this.showText) {
+      ctx.save();
+      ctx.font = getFontString({
+        size: this.textSize,
+        fontFamily: this.fontFamily,
+      });
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      text.forEach(({ text, x }) => {
+        ctx.fillText(
+          text,
+          left + x * moduleWidth,
+          di.y + this.barHeight + this.textSize * 0.2,
+        );
+      });
+      ctx.restore();
+    }
+  }
+}
+
+function normalizePadding(padding) {
+  if (typeof padding === 'number') {
+    return { left: padding, right: padding, top: padding, bottom: padding };
+  }
+  return {
+    left: padding?.left ?? 0,
+    right: padding?.right ?? 0,
+    top: padding?.top ?? 0,
+    bottom: padding?.bottom ?? 0,
+  };
+}
+
+function parseTableColumn(column) {
+  if (typeof column === 'number') {
+    return { type: 'fixed', value: column };
+  }
+  if (column === 'auto') {
+    return { type: 'auto' };
+  }
+  const match = /^(\d*\.?\d+)fr$/.exec(column);
+  if (match) {
+    return { type: 'fraction', value: Number(match[1]) };
+  }
+  throw new Error(`invalid table column width "${column}"`);
+}
+
+export class TableCell extends CanvasComponent {
+  child;
+
+  colSpan;
+  rowSpan;
+  alignment;
+  verticalAlignment;
+  padding;
+  backgroundColor;
+  table;
+
+  constructor(
+    { colSpan = 1, rowSpan = 1, alignment, verticalAlignment, padding, backgroundColor },
+    child,
+  ) {
+    super();
+    this.child = child;
+    this.colSpan = colSpan;
+    this.rowSpan = rowSpan;
+    this.alignment = alignment;
+    this.verticalAlignment = verticalAlignment;
+    this.padding = padding;
+    this.backgroundColor = backgroundColor;
+  }
+  static new(
+    { colSpan = 1, rowSpan = 1, alignment, verticalAlignment, padding, backgroundColor },
+    child,
+  ) {
+    return new TableCell(...arguments);
+  }
+
+  init() {
+    initChild(this, this.child);
+  }
+
+  _getPadding() {
+    return normalizePadding(this.padding ?? this.table?.cellPadding);
+  }
+
+  measure(di, ctx) {
+    const constraints = getConstraints(di);
+    const padding = this._getPadding();
+    const { left, right, top, bottom } = padding;
+    const child = this.child;
+    if (child) {
+      layoutChild(child, di, constraints.deflate(padding).loosen(), ctx);
+    }
+    this.width = constraints.constrainWidth((child?.width ?? 0) + left + right);
+    this.height = constraints.constrainHeight(
+      (child?.height ?? 0) + top + bottom,
+    );
+    if (!child) return;
+    child.offset = {
+      x: getAlignedX(
+        this.alignment ?? this.table?.alignment,
+        left,
+        this.width - left - right,
+        child.width,
+      ),
+      y: getAlignedY(
+        this.verticalAlignment ?? this.table?.verticalAlignment,
+        top,
+        this.height - top - bottom,
+        child.height,
+      ),
+    };
+  }
+
+  _paint(di, ctx) {
+    if (this.backgroundColor) {
+      ctx.fillStyle = toCanvasColor(
+        getBoxDrawInstance(di, this),
+        ctx,
+        this.backgroundColor,
+      );
+      ctx.fillRect(di.x, di.y, this.width, this.height);
+    }
+    if (!this.child) return;
+    drawChild(this.child, di, ctx);
+  }
+}
+
+export class TableRow extends CanvasComponent {
+  children;
+
+  backgroundColor;
+
+  constructor({ backgroundColor }, ...children) {
+    super();
+    this.backgroundColor = backgroundColor;
+    this.children = children.map((child) =>
+      child instanceof TableCell ? child : new TableCell({}, child),
+    );
+  }
+  static new({ backgroundColor }, ...children) {
+    return new TableRow(...arguments);
+  }
+
+  init() {
+    this.children.forEach((child) => initChild(this, child));
+  }
+
+  measure(di, ctx) {
+    const constraints = getConstraints(di);
+    this.width = constraints.constrainWidth(0);
+    this.height = constraints.constrainHeight(0);
+  }
+
+  _paint(di, ctx) {
+    if (this.backgroundColor) {
+      ctx.fillStyle = toCanvasColor(
+        getBoxDrawInstance(di, this),
+        ctx,
+        this.backgroundColor,
+      );
+      ctx.fillRect(di.x, di.y, this.width, this.height);
+    }
+  }
+}
+
+export class Table extends CanvasComponent {
+  children;
+
+  columns;
+  cellPadding;
+  alignment;
+  verticalAlignment;
+  border;
+  gridlines;
+
+  _cells = [];
+  _columns = [];
+  _columnWidths = [];
+  _rowHeights = [];
+
+  constructor(
+    {
+      columns = [],
+      cellPadding = 0,
+      alignment = 'left',
+      verticalAlignment = 'top',
+      border = { lineWidth: 1, color: 'black' },
+      gridlines = { lineWidth: 1, color: 'black' },
+    },
+    ...rows
+  ) {
+    super();
+    this.columns = columns;
+    this.cellPadding = cellPadding;
+    this.alignment = alignment;
+    this.verticalAlignment = verticalAlignment;
+    this.border = border;
+    this.gridlines = gridlines;
+    this.children = rows;
+    columns.forEach(parseTableColumn);
+  }
+  static new(
+    {
+      columns = [],
+      cellPadding = 0,
+      alignment = 'left',
+      verticalAlignment = 'top',
+      border = { lineWidth: 1, color: 'black' },
+      gridlines = { lineWidth: 1, color: 'black' },
+    },
+    ...rows
+  ) {
+    return new Table(...arguments);
+  }
+
+  init() {
+    this.children.forEach((row) => initChild(this, row));
+  }
+
+  _placeCells() {
+    const occupied = [];
+    const isOccupied = (r, c) => occupied[r]?.[c];
+    this._cells = [];
+    this.children.forEach((row, r) => {
+      let c = 0;
+      row.children.forEach((cell) => {
+        cell.table = this;
+        while (isOccupied(r, c)) c++;
+        const colSpan = Math.max(1, cell.colSpan);
+        const rowSpan = Math.max(1, cell.rowSpan);
+        for (let i = r; i < r + rowSpan; i++) {
+          occupied[i] ??= [];
+          for (let j = c; j < c + colSpan; j++) {
+            occupied[i][j] = true;
+          }
+        }
+        this._cells.push({ cell, row: r, column: c, rowSpan, colSpan });
+        c += colSpan;
+      });
+    });
+    // Columns missing from `columns` are added for the widest row.
+    const columnCount = occupied.reduce(
+      (count, row) => Math.max(count, row.length),
+      this.columns.length,
+    );
+    this._columns = Array.from({ length: columnCount }, (_, i) =>
+      parseTableColumn(this.columns[i] ?? 'auto'),
+    );
+    return Math.max(this.children.length, occupied.length);
+  }
+
+  _measureColumns(di, constraints, ctx) {
+    const columns = this._columns;
+    const widths = columns.map(({ type, value }) => (type === 'fixed' ? value : 0));
+    const natural = new Map();
+    const naturalConstraints = new BoxConstraints({
+      maxWidth: constraints.maxWidth,
+    });
+    this._cells.forEach((placed) => {
+      const spanned = columns.slice(placed.column, placed.column + placed.colSpan);
+      if (spanned.some(({ type }) => type === 'auto')) {
+        layoutChild(placed.cell, di, naturalConstraints, ctx);
+        natural.set(placed, placed.cell.width);
+      }
+    });
+    [...natural]
+      .sort(([a], [b]) => a.colSpan - b.colSpan)
+      .forEach(([placed, width]) => {
+        const indices = [];
+        for (let i = placed.column; i < placed.column + placed.colSpan; i++) {
+          indices.push(i);
+        }
+        const current = indices.reduce((sum, i) => sum + widths[i], 0);
+        const autoIndices = indices.filter((i) => columns[i].type === 'auto');
+        if (width > current && autoIndices.length) {
+          const extra = (width - current) / autoIndices.length;
+          autoIndices.forEach((i) => {
+            widths[i] += extra;
+          });
+        }
+      });
+    const totalFraction = columns.reduce(
+      (sum, { type, value }) => (type === 'fraction' ? sum + value : sum),
+      0,
+    );
+    if (totalFraction && constraints.hasBoundedWidth) {
+      const used = widths.reduce((sum, width) => sum + width, 0);
+      const free = Math.max(0, constraints.maxWidth - used);
+      columns.forEach(({ type, value }, i) => {
+        if (type === 'fraction') {
+          widths[i] = (free * value) / totalFraction;
+        }
+      });
+    }
+    return widths;
+  }
+
+  measure(di, ctx) {
+    const constraints = getConstraints(di);
+    const rowCount = this._placeCells();
+    const widths = this._measureColumns(di, constraints, ctx);
+    const left = [0];
+    widths.forEach((width, i) => {
+      left[i + 1] = left[i] + width;
+    });
+
+    const heights = new Array(rowCount).fill(0);
+    this._cells.forEach((placed) => {
+      const width = left[placed.column + placed.colSpan] - left[placed.column];
+      layoutChild(
+        placed.cell,
+        di,
+        new BoxConstraints({ minWidth: width, maxWidth: width }),
+        ctx,
+      );
+      if (placed.rowSpan === 1) {
+        heights[placed.row] = Math.max(heights[placed.row], placed.cell.height);
+      }
+    });
+    this._cells
+      .filter(({ rowSpan }) => rowSpan > 1)
+      .sort((a, b) => a.rowSpan - b.rowSpan)
+      .forEach((placed) => {
+        const last = Math.min(rowCount, placed.row + placed.rowSpan) - 1;
+        let spanned = 0;
+        for (let r = placed.row; r <= last; r++) {
+          spanned += heights[r];
+        }
+        if (placed.cell.height > spanned) {
+          heights[last] += placed.cell.height - spanned;
+        }
+      });
+    const top = [0];
+    heights.forEach((height, i) => {
+      top[i + 1] = top[i] + height;
+    });
+
+    this._cells.forEach(({ cell, row, column, rowSpan, colSpan }) => {
+      const x = left[column];
+      const y = top[row];
+      const cellConstraints = BoxConstraints.tight(
+        left[column + colSpan] - x,
+        top[Math.min(rowCount, row + rowSpan)] - y,
+      );
+      layoutChild(cell, di, cellConstraints, ctx);
+      cell.offset = { x, y };
+    });
+    this.children.forEach((row, r) => {
+      const rowConstraints = BoxConstraints.tight(left[widths.length], heights[r]);
+      layoutChild(row, di, rowConstraints, ctx);
+      row.offset = { x: 0, y: top[r] };
+    });
+    this._columnWidths = widths;
+    this._rowHeights = heights;
+    this.width = constraints.constrainWidth(left[widths.length]);
+    this.height = constraints.constrainHeight(top[rowCount]);
+  }
+
+  _paint(di, ctx) {
+    this.children.forEach((row) => drawChild(row, di, ctx));
+    this._cells.forEach(({ cell }) => drawChild(cell, di, ctx));
+    if (this.gridlines) {
+      this._drawGridlines(di, ctx);
+    }
+    if (this.border) {
+      ctx.lineWidth = this.border.lineWidth ?? 1;
+      ctx.strokeStyle = toCanvasColor(
+        getBoxDrawInstance(di, this),
+        ctx,
+        this.border.color ?? 'black',
+      );
+      ctx.beginPath();
+      ctx.rect(di.x, di.y, this.width, this.height);
+      ctx.stroke();
+    }
+  }
+
+  _drawGridlines(di, ctx) {
+    ctx.lineWidth = this.gridlines.lineWidth ?? 1;
+    ctx.strokeStyle = toCanvasColor(
+      getBoxDrawInstance(di, this),
+      ctx,
+      this.gridlines.color ?? 'black',
+    );
+    ctx.beginPath();
+    this._cells.forEach(({ cell }) => {
+      const { x, y } = cell.offset;
+      const right = di.x + x + cell.width;
+      const bottom = di.y + y + cell.height;
+      if (x + cell.width < this.width - 1e-6) {
+        ctx.moveTo(right, di.y + y);
+        ctx.lineTo(right, bottom);
+      }
+      if (y + cell.height < this.height - 1e-6) {
+        ctx.moveTo(di.x + x, bottom);
+        ctx.lineTo(right, bottom);
+      }
+    });
+    ctx.stroke();
+  }
+}
+
+const graphemeSegmenter =
+  typeof Intl !== 'undefined' && Intl.Segmenter
+    ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+    : null;
+
+const graphemePattern =
+  /\r\n|\p{Regional_Indicator}{2}|[^](?:[\p{M}\u{1F3FB}-\u{1F3FF}\u{E0020}-\u{E007F}]|\u200D[^]?)*/gu;
+
+function splitGraphemes(text) {
+  if (graphemeSegmenter) {
+    return Array.from(graphemeSegmenter.segment(text), ({ segment }) => segment);
+  }
+  return text.match(graphemePattern) ?? [];
+}
+
+const lineStartProhibited = new Set(
+  Array.from(
+    '!%),.:;?]}¢°’”‰′″℃、。〃々〆〉》」』】〕〗〙〛〜〞ぁぃぅぇぉっゃゅょゎゕゖ゛゜ゝゞ' +
+      'ァィゥェォッャュョヮヵヶ・ーヽヾㇰㇱㇲㇳㇴㇵㇶㇷㇸㇹㇺㇻㇼㇽㇾㇿ！％），．：；？］｝～｡｣､･…‥',
+  ),
+);
+
+const lineEndProhibited = new Set(
+  Array.from('$([{£¥‘“〈《「『【〔〖〘〚〝（［｛｢＄￡￥'),
+);
+
+const wideBreakPattern =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Bopomofo}\p{Extended_Pictographic}\u3000-\u303F\uFF00-\uFFEF]/u;
+
+function getLineBreakClass(text) {
+  if (text == null) return 'object';
+  if (/^[\r\n]/.test(text)) return 'newline';
+  if (text === '\u00AD') return 'softHyphen';
+  if (text === '\u200B') return 'zeroWidthSpace';
+  if (/^[\u00A0\u202F\u2060\uFEFF]/.test(text)) return 'glue';
+  if (/^\s/.test(text)) return 'space';
+  if (lineStartProhibited.has(text)) return 'close';
+  if (lineEndProhibited.has(text)) return 'open';
+  if (/^[-‐–]/.test(text)) return 'hyphen';
+  if (wideBreakPattern.test(text)) return 'ideograph';
+  if (/^\p{L}/u.test(text)) return 'letter';
+  return 'other';
+}
+
+function getBreakOpportunity(before, after, { wordBreak, hyphens }) {
+  if (before.type === 'newline') return 'mandatory';
+  if (['space', 'newline', 'close', 'zeroWidthSpace'].includes(after.type)) {
+    return null;
+  }
+  if (
+    before.type === 'open' ||
+    before.type === 'glue' ||
+    after.type === 'glue'
+  ) {
+    return null;
+  }
+  if (before.type === 'space' || before.type === 'zeroWidthSpace') {
+    return 'allowed';
+  }
+  if (before.type === 'softHyphen') {
+    return hyphens === 'none' ? null : 'hyphenate';
+  }
+  if (before.type === 'object' || after.type === 'object') return 'allowed';
+  if (before.type === 'hyphen') {
+    return after.type === 'letter' ? 'allowed' : null;
+  }
+  if (before.wide || after.wide) {
+    const keep =
+      wordBreak === 'keep-all' &&
+      before.type === 'ideograph' &&
+      after.type === 'ideograph';
+    return keep ? null : 'allowed';
+  }
+  return wordBreak === 'break-all' ? 'allowed' : null;
+}
+
+function getBreakOpportunities(classes, options) {
+  const breaks = classes.map((after, i) =>
+    i > 0 ? getBreakOpportunity(classes[i - 1], after, options) : null,
+  );
+  if (options.hyphens === 'auto') {
+    let wordStart = 0;
+    classes.forEach(({ type }, i) => {
+      if (type !== 'letter') {
+        wordStart = i + 1;
+      } else if (classes[i + 1]?.type !== 'letter') {
+        for (let j = wordStart + 3; j <= i - 2; j++) {
+          breaks[j] ??= 'hyphenate';
+        }
+      }
+    });
+  }
+  return breaks;
+}
+
+function breakTextUnits(
+  units,
+  maxWidth,
+  measureRange,
+  { wordBreak = 'normal', hyphens = 'manual' } = {},
+) {
+  const classes = units.map(({ text }) => ({
+    type: getLineBreakClass(text),
+    wide: text != null && wideBreakPattern.test(text),
+  }));
+  const breaks = getBreakOpportunities(classes, { wordBreak, hyphens });
+  const trimEnd = (start, end) => {
+    while (end > start && classes[end - 1].type === 'space') end--;
+    return end;
+  };
+  const emergencyBreak = (start, end) => {
+    if (classes[end].type === 'close' && end - 1 > start) end--;
+    const hyphen =
+      hyphens === 'auto' &&
+      classes[end - 1].type === 'letter' &&
+      classes[end].type === 'letter';
+    if (hyphen && end - 1 > start && measureRange(start, end, true) > maxWidth) {
+      end--;
+    }
+    return { start, end, next: end, hyphen };
+  };
+
+  const overflows = (start, end) =>
+    trimEnd(start, end) > start &&
+    measureRange(start, trimEnd(start, end + 1), false) > maxWidth;
+  // The first unit that doesn't fit on a line, found by galloping and then
+  // bisecting, so that each line is measured a logarithmic number of times.
+  const findOverflow = (start, limit) => {
+    let low = start;
+    let high = limit;
+    for (let probe = start, step = 1; probe < limit; probe += step, step *= 2) {
+      if (overflows(start, probe)) {
+        high = probe;
+        break;
+      }
+      low = probe + 1;
+    }
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (overflows(start, mid)) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    return high;
+  };
+  const findLastBreak = (start, end) => {
+    for (let i = end; i > start; i--) {
+      if (breaks[i] === 'hyphenate') {
+        if (measureRange(start, i, true) <= maxWidth) {
+          return { start, end: i, next: i, hyphen: true };
+        }
+      } else if (breaks[i]) {
+        return { start, end: trimEnd(start, i), next: i, hyphen: false };
+      }
+    }
+    return null;
+  };
+
+  const lines = [];
+  let start = 0;
+  for (;;) {
+    let limit = start;
+    while (limit < units.length && classes[limit].type !== 'newline') {
+      limit++;
+    }
+    const end = findOverflow(start, limit);
+    let line = null;
+    if (end < limit) {
+      line = findLastBreak(start, end) ?? emergencyBreak(start, end);
+    } else if (limit < units.length) {
+      line = {
+        start,
+        end: trimEnd(start, limit),
+        next: limit + 1,
+        hyphen: false,
+      };
+    }
+    if (!line) {
+      lines.push({
+        start,
+        end: trimEnd(start, units.length),
+        next: units.length,
+        hyphen: false,
+      });
+      return lines;
+    }
+    lines.push(line);
+    start = line.next;
+  }
+}
+
+function findLastFitting(count, fits) {
+  let low = 0;
+  let high = count;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (fits(mid)) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+function splitTextUnits(text, style) {
+  return splitGraphemes(text).map((grapheme) => ({ text: grapheme, style }));
+}
+
+// Measures `units[start..end)` a whole run of text in the same style at a
+// time, so that kerning and ligatures are counted as they are drawn.
+function measureUnitRange(ctx, units, start, end) {
+  let width = 0;
+  let run = '';
+  let runStyle;
+  const flush = () => {
+    if (run) {
+      width += measureTextWithFont(ctx, run, runStyle).width;
+    }
+    run = '';
+  };
+  for (let i = start; i < end; i++) {
+    const { text, style } = units[i];
+    if (text == null) {
+      flush();
+      width += units[i].width;
+    } else if (!/^[\r\n\u00AD]/.test(text)) {
+      if (style !== runStyle) {
+        flush();
+        runStyle = style;
+      }
+      run += text;
+    }
+  }
+  flush();
+  return width;
+}
+
+function getActualTextContent(ctx, text, font, maxWidth, truncated = false) {
+  if (!truncated && measureTextWithFont(ctx, text, font).width <= maxWidth) {
+    return text;
+  }
+  const ellipsis = '...';
+  const graphemes = splitGraphemes(text);
+  const truncate = (count) =>
+    graphemes.slice(0, count).join('').trimEnd() + ellipsis;
+  const count = findLastFitting(
+    graphemes.length,
+    (count) => measureTextWithFont(ctx, truncate(count), font).width <= maxWidth,
+  );
+  return truncate(count);
+}
+
+function getActualTextLines(
+  ctx,
+  text,
+  font,
+  maxWidth,
+  maxLines,
+  overflow,
+  breakOptions,
+) {
+  const units = splitTextUnits(text, font);
+  const hyphenWidth = measureTextWithFont(ctx, '-', font).width;
+  const join = (start, end) =>
+    units
+      .slice(start, end)
+      .map((unit) => unit.text)
+      .filter((grapheme) => grapheme !== '\u00AD')
+      .join('');
+  const lines = breakTextUnits(
+    units,
+    maxWidth,
+    (start, end, hyphen) =>
+      hyphen
+        ? measureTextWithFont(ctx, join(start, end) + '-', font).width
+        : measureUnitRange(ctx, units, start, end),
+    breakOptions,
+  );
+  const visibleLines =
+    maxLines && lines.length > maxLines ? lines.slice(0, maxLines) : lines;
+  return visibleLines.map((line, i) => {
+    if (visibleLines === lines || i < maxLines - 1) {
+      return {
+        text: join(line.start, line.end) + (line.hyphen ? '-' : ''),
+        justify:
+          i < visibleLines.length - 1 &&
+          !/^[\r\n]/.test(units[line.next - 1].text),
+      };
+    }
+    if (overflow === 'ellipsis') {
+      return {
+        text: getActualTextContent(
+          ctx,
+          join(line.start, line.end),
+          font,
+          maxWidth,
+          true,
+        ),
+        justify: false,
+      };
+    }
+    return {
+      text: join(line.start, units.length).replace(/[\r\n]+/g, ' '),
+      justify: false,
+    };
+  });
+}
+
+const textAscentRatio = 0.8;
+
+const genericFontFamilies = [
+  'serif',
+  'sans-serif',
+  'monospace',
+  'cursive',
+  'fantasy',
+  'system-ui',
+  'ui-serif',
+  'ui-sans-serif',
+  'ui-monospace',
+  'ui-rounded',
+  'emoji',
+  'math',
+  'fangsong',
+];
+
+function getFontFamily(fontFamily = 'sans-serif') {
+  const families = Array.isArray(fontFamily)
+    ? fontFamily
+    : fontFamily.split(',');
+  return families
+    .map((family) => family.trim())
+    .filter(Boolean)
+    .map((family) =>
+      genericFontFamilies.includes(family) || /^["']/.test(family)
+        ? family
+        : `"${family}"`,
+    )
+    .join(', ');
+}
+
+function getFontString(font) {
+  const style =
+    font.fontStyle && font.fontStyle !== 'normal' ? `${font.fontStyle} ` : '';
+  const weight = font.weight ?? '';
+  const size = font.size ?? 10;
+  return `${style}${weight} ${size}px ${getFontFamily(font.fontFamily)}`;
+}
+
+function setFont(di, ctx, font) {
+  ctx.fillStyle = toCanvasColor(di, ctx, font.color) ?? 'black';
+  ctx.font = getFontString(font);
+}
+
+function isSpacingGrapheme(grapheme) {
+  return grapheme === ' ' || grapheme === '\u00A0';
+}
+
+function getTextSpacing(text, font) {
+  const letterSpacing = font.letterSpacing ?? 0;
+  const wordSpacing = font.wordSpacing ?? 0;
+  if (!letterSpacing && !wordSpacing) {
+    return 0;
+  }
+  const graphemes = splitGraphemes(text);
+  return (
+    letterSpacing * graphemes.length +
+    wordSpacing * graphemes.filter(isSpacingGrapheme).length
+  );
+}
+
+const textMetricsKeys = [
+  'actualBoundingBoxLeft',
+  'actualBoundingBoxRight',
+  'actualBoundingBoxAscent',
+  'actualBoundingBoxDescent',
+  'fontBoundingBoxAscent',
+  'fontBoundingBoxDescent',
+];
+
+function withTextWidth(metrics, width) {
+  const result = { width };
+  textMetricsKeys.forEach((key) => {
+    if (metrics[key] !== undefined) {
+      result[key] = metrics[key];
+    }
+  });
+  return result;
+}
+
+function getTextRuns(ctx, text, font, justify) {
+  if (!justify && !font.letterSpacing && !font.wordSpacing) {
+    return [{ text, x: 0 }];
+  }
+  const graphemes = splitGraphemes(text);
+  const betweenCharacters =
+    graphemes.some((grapheme) => wideBreakPattern.test(grapheme)) ||
+    !graphemes.some(isSpacingGrapheme);
+  const gaps = betweenCharacters
+    ? graphemes.length - 1
+    : graphemes.filter(isSpacingGrapheme).length;
+  const extra = gaps > 0 ? justify / gaps : 0;
+  let x = 0;
+  return graphemes.map((grapheme, i) => {
+    const run = { text: grapheme, x };
+    x += measureTextWithFont(ctx, grapheme, font).width;
+    if (
+      betweenCharacters ? i < graphemes.length - 1 : isSpacingGrapheme(grapheme)
+    ) {
+      x += extra;
+    }
+    return run;
+  });
+}
+
+function drawTextWithFont(di, ctx, text, x, y, font, justify = 0) {
+  const runs = getTextRuns(ctx, text, font, justify);
+  const { stroke, shadow } = font;
+  if (stroke || shadow) {
+    ctx.save();
+  }
+  if (shadow) {
+    ctx.shadowColor = toCanvasColor(
+      di,
+      ctx,
+      shadow.color ?? 'rgba(0, 0, 0, 0.5)',
+    );
+    ctx.shadowOffsetX = shadow.offsetX ?? 0;
+    ctx.shadowOffsetY = shadow.offsetY ?? 0;
+    ctx.shadowBlur = shadow.blur ?? 0;
+  }
+  setFont(di, ctx, font);
+  if (stroke) {
+    ctx.lineWidth = stroke.lineWidth ?? 1;
+    ctx.lineJoin = 'round';
+    ctx.strokeStyle = toCanvasColor(di, ctx, stroke.color ?? 'black');
+    runs.forEach((run) => ctx.strokeText(run.text, x + run.x, y));
+    ctx.shadowColor = 'rgba(0, 0, 0, 0)';
+  }
+  runs.forEach((run) => ctx.fillText(run.text, x + run.x, y));
+  if (stroke || shadow) {
+    ctx.restore();
+  }
+}
+
+function drawTextDecoration(di, ctx, font, x, baseline, width) {
+  const size = font.size ?? 10;
+  const y = {
+    underline: baseline + size * 0.1,
+    lineThrough: baseline - size * 0.3,
+    overline: baseline - size * textAscentRatio,
+  }[font.decoration];
+  if (y == null) {
+    return;
+  }
+  const thickness = font.decorationThickness ?? Math.max(1, size / 15);
+  ctx.fillStyle = toCanvasColor(
+    di,
+    ctx,
+    font.decorationColor ?? font.color ?? 'black',
+  );
+  ctx.fillRect(x, y - thickness / 2, width, thickness);
+}
+
+export class TextMeasureCache {
+  capacity;
+  calls = 0;
+  savedCalls = 0;
+  _entries = new Map();
+
+  constructor({ capacity = 2000 } = {}) {
+    this.capacity = capacity;
+  }
+  static new({ capacity = 2000 } = {}) {
+    return new TextMeasureCache(...arguments);
+  }
+
+  get size() {
+    return this._entries.size;
+  }
+
+  measure(ctx, fontString, text) {
+    const key = `${fontString}\n${text}`;
+    const cached = this._entries.get(key);
+    if (cached) {
+      this.savedCalls++;
+      this._entries.delete(key);
+      this._entries.set(key, cached);
+      return cached;
+    }
+    this.calls++;
+    const font = ctx.font;
+    ctx.font = fontString;
+    const metrics = ctx.measureText(text);
+    if (font != null) {
+      ctx.font = font;
+    }
+    this._entries.set(key, metrics);
+    while (this._entries.size > this.capacity) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+    return metrics;
+  }
+
+  clear() {
+    this._entries.clear();
+    this.calls = 0;
+    this.savedCalls = 0;
+  }
+}
+
+const textMeasureCaches = new WeakMap();
+
+export function getTextMeasureCache(ctx) {
+  let cache = textMeasureCaches.get(ctx);
+  if (!cache) {
+    cache = new TextMeasureCache();
+    textMeasureCaches.set(ctx, cache);
+  }
+  return cache;
+}
+
+export function measureTextWithFont(ctx, text, font) {
+  const metrics = getTextMeasureCache(ctx).measure(
+    ctx,
+    getFontString(font),
+    text,
+  );
+  const spacing = getTextSpacing(text, font);
+  return spacing ? withTextWidth(metrics, metrics.width + spacing) : metrics;
+}
+
+function getAlignedX(alignment, left, rowWidth, elementWidth) {
+  if (alignment === 'center') {
+    return left + rowWidth / 2 - elementWidth / 2;
+  } else if (alignment === 'right') {
+    return left + rowWidth - elementWidth;
+  } else {
+    return left;
+  }
+}
+
+function getAlignedY(alignment, top, columnHeight, elementHeight) {
+  if (alignment === 'center') {
+    return top + columnHeight / 2 - elementHeight / 2;
+  } else if (alignment === 'bottom') {
+    return top + columnHeight - elementHeight;
+  } else {
+    return top;
+  }
+}
+
+function getBaseline(component) {
+  return component.baseline ?? component.height;
+}
+
+const expandedComponents = new WeakSet();
+
+function getExpandedDrawInstance(di) {
+  const constraints = getConstraints(di);
+  return constraints.hasBoundedWidth
+    ? withConstraints(di, constraints.tighten({ width: constraints.maxWidth }))
+    : di;
+}
+
+export const Expand = (child) => {
+  const expanded = SingleChildCustomComponent.new(
+    {
+      measure(di, ctx) {
+        measurePassThrough(this, getExpandedDrawInstance(di), ctx);
+      },
+      draw(di, ctx) {
+        drawChild(this.child, di, ctx);
+      },
+    },
+    child,
+  );
+  expandedComponents.add(expanded);
+  return expanded;
+};
+
+function getBoxDrawInstance(di, { width, height }) {
+  return { ...di, contentWidth: width, contentHeight: height };
+}
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+function snap(n) {
+  return Math.abs(n) < 1e-12 ? 0 : n;
+}
+
+function parseAngle(angle) {
+  if (typeof angle === 'number') {
+    return angle;
+  }
+  const text = String(angle).trim();
+  // CSS allows a unitless zero angle.
+  if (text === '0') {
+    return 0;
+  }
+  const match = /^(-?[\d.]+)(deg|grad|rad|turn)$/.exec(text);
+  const value = Number(match?.[1]);
+  if (Number.isNaN(value)) {
+    return undefined;
+  }
+  return {
+    deg: value,
+    grad: value * 0.9,
+    rad: (value * 180) / Math.PI,
+    turn: value * 360,
+  }[match[2]];
+}
+
+function getGradientAngle(direction, width, height) {
+  const corner = (Math.atan2(height, width) * 180) / Math.PI;
+  switch (direction) {
+    case 'upRight':
+      return corner;
+    case 'downRight':
+      return 180 - corner;
+    case 'downLeft':
+      return 180 + corner;
+    case 'upLeft':
+      return 360 - corner;
+  }
+  const angle = parseAngle(direction);
+  if (angle === undefined) {
+    throw new Error(`unknown gradient direction "${direction}"`);
+  }
+  return angle;
+}
+
+function getAngledGradientLine(direction, di) {
+  const { contentWidth: width, contentHeight: height } = di;
+  const angle = toRadians(getGradientAngle(direction, width, height));
+  const dx = snap(Math.sin(angle));
+  const dy = snap(-Math.cos(angle));
+  const half = (Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+  const x = di.x + width / 2;
+  const y = di.y + height / 2;
+  return [x - dx * half, y - dy * half, x + dx * half, y + dy * half];
+}
+
+function addColorStops(di, grad, colorStops) {
+  colorStops.forEach(({ offset, color }) => {
+    grad.addColorStop(
+      Math.min(1, Math.max(0, offset)),
+      resolveThemeColor(di.theme, color),
+    );
+  });
+  return grad;
+}
+
+export class LinearGradient {
+  direction;
+  colorStops;
+
+  static directions(di) {
+    return {
+      up: [di.x, di.y + di.contentHeight, di.x, di.y],
+      down: [di.x, di.y, di.x, di.y + di.contentHeight],
+      left: [di.x + di.contentWidth, di.y, di.x, di.y],
+      right: [di.x, di.y, di.x + di.contentWidth, di.y],
+    };
+  }
+
+  constructor(direction = 'up', ...colorStops) {
+    this.direction = direction;
+    this.colorStops = colorStops;
+  }
+
+  toCanvasColor(di, ctx) {
+    const grad = ctx.createLinearGradient(
+      ...(LinearGradient.directions(di)[this.direction] ??
+        getAngledGradientLine(this.direction, di)),
+    );
+    return addColorStops(di, grad, this.colorStops);
+  }
+}
+
+export class RadialGradient {
+  center;
+  radius;
+  colorStops;
+
+  constructor(
+    { center = { x: 0.5, y: 0.5 }, radius = 'farthestCorner' } = {},
+    ...colorStops
+  ) {
+    this.center = center;
+    this.radius = radius;
+    this.colorStops = colorStops;
+  }
+
+  _getRadius(x, y, width, height) {
+    if (typeof this.radius === 'number') {
+      return this.radius;
+    }
+    const sides = [x, width - x, y, height - y].map(Math.abs);
+    const corners = [
+      [0, 0],
+      [width, 0],
+      [0, height],
+      [width, height],
+    ].map(([cornerX, cornerY]) => Math.hypot(cornerX - x, cornerY - y));
+    switch (this.radius) {
+      case 'closestSide':
+        return Math.min(...sides);
+      case 'farthestSide':
+        return Math.max(...sides);
+      case 'closestCorner':
+        return Math.min(...corners);
+      case 'farthestCorner':
+        return Math.max(...corners);
+    }
+    throw new Error(`unknown gradient radius "${this.radius}"`);
+  }
+
+  toCanvasColor(di, ctx) {
+    const { contentWidth: width, contentHeight: height } = di;
+    const x = width * (this.center.x ?? 0.5);
+    const y = height * (this.center.y ?? 0.5);
+    const grad = ctx.createRadialGradient(
+      di.x + x,
+      di.y + y,
+      0,
+      di.x + x,
+      di.y + y,
+      this._getRadius(x, y, width, height),
+    );
+    return addColorStops(di, grad, this.colorStops);
+  }
+}
+
+export class ConicGradient {
+  from;
+  center;
+  colorStops;
+
+  constructor({ from = 0, center = { x: 0.5, y: 0.5 } } = {}, ...colorStops) {
+    this.from = from;
+    this.center = center;
+    this.colorStops = colorStops;
+  }
+
+  toCanvasColor(di, ctx) {
+    if (typeof ctx.createConicGradient !== 'function') {
+      throw new Error('this canvas does not support conic gradients');
+    }
+    const from = parseAngle(this.from);
+    if (from === undefined) {
+      throw new Error(`unknown gradient angle "${this.from}"`);
+    }
+    const grad = ctx.createConicGradient(
+      toRadians(from - 90),
+      di.x + di.contentWidth * (this.center.x ?? 0.5),
+      di.y + di.contentHeight * (this.center.y ?? 0.5),
+    );
+    return addColorStops(di, grad, this.colorStops);
+  }
+}
+
+function splitCssArguments(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '(') {
+      depth++;
+    } else if (text[i] === ')') {
+      depth--;
+    } else if (depth === 0 && separator.test(text[i])) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+function parseCssPercentage(token) {
+  if (token === '0') {
+    return 0;
+  }
+  const value = /^-?[\d.]+%$/.test(token) ? parseFloat(token) / 100 : NaN;
+  return Number.isNaN(value) ? undefined : value;
+}
+
+function parseCssPosition(tokens) {
+  const horizontal = { left: 0, center: 0.5, right: 1 };
+  const vertical = { top: 0, center: 0.5, bottom: 1 };
+  let [x, y = 'center'] = tokens;
+  if (x === 'top' || x === 'bottom' || y === 'left' || y === 'right') {
+    [x, y] = [y, x];
+  }
+  const position = {
+    x: horizontal[x] ?? parseCssPercentage(x),
+    y: vertical[y] ?? parseCssPercentage(y),
+  };
+  return tokens.length > 2 ||
+    position.x === undefined ||
+    position.y === undefined
+    ? undefined
+    : position;
+}
+
+const cssGradientSides = {
+  top: 'up',
+  bottom: 'down',
+  left: 'left',
+  right: 'right',
+};
+
+function parseLinearGradientConfig(tokens) {
+  if (tokens[0] !== 'to') {
+    return tokens.length === 1 ? parseAngle(tokens[0]) : undefined;
+  }
+  const sides = tokens.slice(1).map((token) => cssGradientSides[token]);
+  if (sides.length === 1) {
+    return sides[0];
+  }
+  const vertical = sides.find((side) => side === 'up' || side === 'down');
+  const horizontal = sides.find((side) => side === 'left' || side === 'right');
+  return sides.length === 2 && vertical && horizontal
+    ? vertical + horizontal[0].toUpperCase() + horizontal.slice(1)
+    : null;
+}
+
+function parseRadialGradientConfig(tokens) {
+  const at = tokens.indexOf('at');
+  const sizeTokens = at === -1 ? tokens : tokens.slice(0, at);
+  const config = {};
+  for (const token of sizeTokens) {
+    if (token === 'circle' || token === 'ellipse') {
+      continue;
+    }
+    const radius = /^(closest|farthest)-(side|corner)$/.test(token)
+      ? token.replace(/-(\w)/, (_, letter) => letter.toUpperCase())
+      : /^[\d.]+px$/.test(token)
+        ? parseFloat(token)
+        : undefined;
+    if (radius === undefined) {
+      return sizeTokens === tokens ? undefined : null;
+    }
+    config.radius = radius;
+  }
+  if (at !== -1) {
+    config.center = parseCssPosition(tokens.slice(at + 1)) ?? null;
+  }
+  return config.center === null ? null : config;
+}
+
+function parseConicGradientConfig(tokens) {
+  if (tokens[0] !== 'from' && tokens[0] !== 'at') {
+    return undefined;
+  }
+  const at = tokens.indexOf('at');
+  const config = {};
+  if (tokens[0] === 'from') {
+    config.from = parseAngle(tokens[1]);
+    if (config.from === undefined || (at !== -1 && at !== 2)) {
+      return null;
+    }
+  }
+  if (at !== -1) {
+    config.center = parseCssPosition(tokens.slice(at + 1)) ?? null;
+  }
+  return config.center === null ? null : config;
+}
+
+// A hex color, a color function or a color name. Anything else, such as a
+// color hint (`red, 30%, blue`), is not supported.
+const cssColorPattern = /^(#[\da-f]{3,8}|[a-z][\w-]*(\(.*\))?)$/is;
+
+function parseCssColorStop(arg, angular) {
+  const [color, ...positions] = splitCssArguments(arg, /\s/);
+  if (!cssColorPattern.test(color ?? '')) {
+    return null;
+  }
+  const offsets = positions.map((position) => {
+    const angle = angular ? parseAngle(position) : undefined;
+    return angle === undefined ? parseCssPercentage(position) : angle / 360;
+  });
+  if (offsets.length > 2 || offsets.includes(undefined)) {
+    return null;
+  }
+  return offsets.length
+    ? offsets.map((offset) => ({ offset, color }))
+    : [{ offset: undefined, color }];
+}
+
+function resolveColorStops(stops) {
+  stops[0].offset ??= 0;
+  stops[stops.length - 1].offset ??= 1;
+  let previous = 0;
+  stops.forEach((stop) => {
+    if (stop.offset != null) {
+      stop.offset = Math.max(stop.offset, previous);
+      previous = stop.offset;
+    }
+  });
+  for (let i = 1; i < stops.length; i++) {
+    let end = i;
+    while (stops[end].offset == null) {
+      end++;
+    }
+    const from = stops[i - 1].offset;
+    const step = (stops[end].offset - from) / (end - i + 1);
+    for (let j = i; j < end; j++) {
+      stops[j].offset = from + step * (j - i + 1);
+    }
+    i = end;
+  }
+  return stops;
+}
+
+export function parseGradient(text) {
+  const match = /^\s*(linear|radial|conic)-gradient\((.*)\)\s*$/s.exec(text);
+  const args = match ? splitCssArguments(match[2], /,/) : [];
+  const type = match?.[1];
+  const config = {
+    linear: parseLinearGradientConfig,
+    radial: parseRadialGradientConfig,
+    conic: parseConicGradientConfig,
+  }[type]?.(splitCssArguments(args[0] ?? '', /\s/));
+  const stops = args
+    .slice(config === undefined ? 0 : 1)
+    .map((arg) => parseCssColorStop(arg, type === 'conic'));
+  if (!match || config === null || !stops.length || stops.includes(null)) {
+    throw new Error(`unsupported gradient "${text}"`);
+  }
+  const colorStops = resolveColorStops(stops.flat());
+  if (type === 'linear') {
+    return new LinearGradient(config ?? 'down', ...colorStops);
+  }
+  return type === 'radial'
+    ? new RadialGradient(config, ...colorStops)
+    : new ConicGradient(config, ...colorStops);
+}
+
+// Parsed gradient strings, least recently used first.
+const cssGradients = new Map();
+const cssGradientCapacity = 100;
+
+function getCssGradient(text) {
+  let gradient = cssGradients.get(text);
+  if (gradient) {
+    cssGradients.delete(text);
+  } else {
+    gradient = parseGradient(text);
+    if (cssGradients.size >= cssGradientCapacity) {
+      cssGradients.delete(cssGradients.keys().next().value);
+    }
+  }
+  cssGradients.set(text, gradient);
+  return gradient;
+}
+
+function isCssGradient(color) {
+  return (
+    typeof color === 'string' &&
+    /^\s*(linear|radial|conic)-gradient\(/.test(color)
+  );
+}
+
+let canvasFactory = (width, height) => {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  if (typeof document === 'undefined') {
+    throw new Error(
+      'no offscreen canvas is available, set one with setCanvasFactory',
+    );
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+export function setCanvasFactory(factory) {
+  canvasFactory = factory;
+}
+
+export class PatternFill {
+  source;
+  repetition;
+  scale;
+  offsetX;
+  offsetY;
+  width;
+  height;
+
+  _tile;
+  _tileContext;
+
+  constructor(
+    source,
+    {
+      repetition = 'repeat',
+      scale = 1,
+      offsetX = 0,
+      offsetY = 0,
+      width,
+      height,
+    } = {},
+  ) {
+    this.source = source;
+    this.repetition = repetition;
+    this.scale = scale;
+    this.offsetX = offsetX;
+    this.offsetY = offsetY;
+    this.width = width;
+    this.height = height;
+  }
+
+  _renderTile(ctx) {
+    const component = this.source;
+    if (this._tile && this._tileContext === ctx && !component._needsLayout) {
+      return this._tile;
+    }
+    if (!this._tile) {
+      component.init();
+    }
+    const constraints = new BoxConstraints().tighten({
+      width: this.width,
+      height: this.height,
+    });
+    const di = withConstraints(getDrawInstance(0, 0), constraints);
+    component.layout(di, ctx);
+    const width = Math.ceil(component.width);
+    const height = Math.ceil(component.height);
+    if (!(width > 0 && height > 0)) {
+      throw new Error('the pattern tile is empty');
+    }
+    const tile =
+      ctx instanceof RecordingContext
+        ? new RecordingContext({
+          width,
+          height,
+          textMetrics: ctx._textMetrics,
+        })
+        : canvasFactory(width, height);
+    component.draw(
+      di,
+      tile instanceof RecordingContext ? tile : tile.getContext('2d'),
+    );
+    this._tile = tile;
+    this._tileContext = ctx;
+    return tile;
+  }
+
+  toCanvasColor(di, ctx) {
+    const image =
+      this.source instanceof CanvasComponent
+        ? this._renderTile(ctx)
+        : this.source;
+    const pattern = ctx.createPattern(image, this.repetition);
+    pattern?.setTransform?.({
+      a: this.scale,
+      b: 0,
+      c: 0,
+      d: this.scale,
+      e: di.x + this.offsetX,
+      f: di.y + this.offsetY,
+    });
+    return pattern;
+  }
+}
+
+export function toCanvasColor(di, ctx, color) {
+  color = resolveThemeColor(di?.theme, color);
+  if (isCssGradient(color)) {
+    color = getCssGradient(color);
+  }
+  if (typeof color?.toCanvasColor === 'function') {
     return color.toCanvasColor(di, ctx);
   } else {
     return color;
   }
 }
+
+const recordedStateProperties = [
+  'fillStyle',
+  'strokeStyle',
+  'lineWidth',
+  'lineCap',
+  'lineJoin',
+  'miterLimit',
+  'lineDashOffset',
+  'font',
+  'textAlign',
+  'textBaseline',
+  'direction',
+  'globalAlpha',
+  'globalCompositeOperation',
+  'shadowColor',
+  'shadowBlur',
+  'shadowOffsetX',
+  'shadowOffsetY',
+  'imageSmoothingEnabled',
+];
+
+function getDefaultContextState() {
+  return {
+    fillStyle: '#000000',
+    strokeStyle: '#000000',
+    lineWidth: 1,
+    lineCap: 'butt',
+    lineJoin: 'miter',
+    miterLimit: 10,
+    lineDash: [],
+    lineDashOffset: 0,
+    font: '10px sans-serif',
+    textAlign: 'start',
+    textBaseline: 'alphabetic',
+    direction: 'inherit',
+    globalAlpha: 1,
+    globalCompositeOperation: 'source-over',
+    shadowColor: 'rgba(0, 0, 0, 0)',
+    shadowBlur: 0,
+    shadowOffsetX: 0,
+    shadowOffsetY: 0,
+    imageSmoothingEnabled: true,
+    transform: [1, 0, 0, 1, 0, 0],
+  };
+}
+
+const fillStyleProperties = ['fillStyle'];
+const strokeStyleProperties = [
+  'strokeStyle',
+  'lineWidth',
+  'lineCap',
+  'lineJoin',
+  'miterLimit',
+  'lineDash',
+  'lineDashOffset',
+];
+const textStyleProperties = ['font', 'textAlign', 'textBaseline', 'direction'];
+const compositingStyleProperties = [
+  'globalAlpha',
+  'globalCompositeOperation',
+  'shadowColor',
+  'shadowBlur',
+  'shadowOffsetX',
+  'shadowOffsetY',
+];
+
+const paintStyleProperties = {
+  fill: fillStyleProperties,
+  fillRect: fillStyleProperties,
+  stroke: strokeStyleProperties,
+  strokeRect: strokeStyleProperties,
+  fillText: [...textStyleProperties, ...fillStyleProperties],
+  strokeText: [...textStyleProperties, ...strokeStyleProperties],
+  drawImage: ['imageSmoothingEnabled'],
+  clearRect: [],
+};
+
+const pathMethods = [
+  'beginPath',
+  'closePath',
+  'moveTo',
+  'lineTo',
+  'bezierCurveTo',
+  'quadraticCurveTo',
+  'arc',
+  'arcTo',
+  'ellipse',
+  'rect',
+  'roundRect',
+];
+
+function multiplyMatrix([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) {
+  return [
+    a1 * a2 + c1 * b2,
+    b1 * a2 + d1 * b2,
+    a1 * c2 + c1 * d2,
+    b1 * c2 + d1 * d2,
+    a1 * e2 + c1 * f2 + e1,
+    b1 * e2 + d1 * f2 + f1,
+  ];
+}
+
+function invertMatrix([a, b, c, d, e, f]) {
+  const det = a * d - b * c;
+  if (!det) {
+    return null;
+  }
+  return [
+    d / det,
+    -b / det,
+    -c / det,
+    a / det,
+    (c * f - d * e) / det,
+    (b * e - a * f) / det,
+  ];
+}
+
+function applyMatrix([a, b, c, d, e, f], x, y) {
+  return [a * x + c * y + e, b * x + d * y + f];
+}
+
+function isIdentityMatrix([a, b, c, d, e, f]) {
+  return a === 1 && b === 0 && c === 0 && d === 1 && e === 0 && f === 0;
+}
+
+export function parseCanvasFont(font) {
+  const match = /^\s*((?:(?:normal|italic|oblique|small-caps|bold|bolder|lighter|\d{3})\s+)*)(\d*\.?\d+)px(?:\s*\/\s*\S+)?\s+(.+?)\s*$/.exec(
+    font ?? '',
+  );
+  if (!match) {
+    return { style: 'normal', weight: 'normal', size: 10, family: 'sans-serif' };
+  }
+  const keywords = match[1].trim().split(/\s+/).filter(Boolean);
+  return {
+    style: keywords.find((k) => k === 'italic' || k === 'oblique') ?? 'normal',
+    weight:
+      keywords.find((k) => /^(bold|bolder|lighter|\d{3})$/.test(k)) ?? 'normal',
+    size: Number(match[2]),
+    family: match[3],
+  };
+}
+
+function isWideCodePoint(code) {
+  return (
+    (code >= 0x1100 && code <= 0x115f) ||
+    (code >= 0x2e80 && code <= 0xa4cf) ||
+    (code >= 0xac00 && code <= 0xd7a3) ||
+    (code >= 0xf900 && code <= 0xfaff) ||
+    (code >= 0xfe30 && code <= 0xfe4f) ||
+    (code >= 0xff00 && code <= 0xff60) ||
+    (code >= 0xffe0 && code <= 0xffe6) ||
+    code >= 0x1f000
+  );
+}
+
+export function monospaceTextMetrics(text, font) {
+  const { size } = parseCanvasFont(font);
+  let width = 0;
+  for (const char of text) {
+    width += isWideCodePoint(char.codePointAt(0)) ? size : size * 0.6;
+  }
+  return width;
+}
+
+function toTextMetrics(result, font) {
+  const metrics = typeof result === 'number' ? { width: result } : result;
+  const { size } = parseCanvasFont(font);
+  return {
+    actualBoundingBoxLeft: 0,
+    actualBoundingBoxRight: metrics.width,
+    actualBoundingBoxAscent: size * textAscentRatio,
+    actualBoundingBoxDescent: size * (1 - textAscentRatio),
+    fontBoundingBoxAscent: size * textAscentRatio,
+    fontBoundingBoxDescent: size * (1 - textAscentRatio),
+    ...metrics,
+  };
+}
+
+function describeImage(img) {
+  if (img == null || typeof img !== 'object') {
+    return img;
+  }
+  return {
+    image: img.src ?? img.id ?? img.constructor?.name ?? 'image',
+    width: img.width,
+    height: img.height,
+  };
+}
+
+function serializeRecordedValue(value) {
+  if (typeof value?.toJSON === 'function') {
+    return value.toJSON();
+  }
+  return value;
+}
+
+class RecordingPaint {
+  type;
+  args;
+
+  constructor(type, args) {
+    this.type = type;
+    this.args = args;
+  }
+
+  toJSON() {
+    return { type: this.type, args: this.args.map(describeImage) };
+  }
+}
+
+export class RecordingGradient extends RecordingPaint {
+  colorStops = [];
+
+  addColorStop(offset, color) {
+    this.colorStops.push({ offset, color });
+  }
+
+  toCanvasGradient(ctx) {
+    const method = {
+      linear: 'createLinearGradient',
+      radial: 'createRadialGradient',
+      conic: 'createConicGradient',
+    }[this.type];
+    const grad = ctx[method](...this.args);
+    this.colorStops.forEach(({ offset, color }) => {
+      grad.addColorStop(offset, color);
+    });
+    return grad;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), colorStops: this.colorStops };
+  }
+}
+
+export class RecordingPattern extends RecordingPaint {
+  transform;
+
+  setTransform(transform) {
+    this.transform = transform;
+  }
+
+  toCanvasPattern(ctx) {
+    const pattern = ctx.createPattern(...this.args);
+    if (this.transform) {
+      pattern?.setTransform(this.transform);
+    }
+    return pattern;
+  }
+}
+
+export class RecordingContext {
+  width;
+  height;
+  log = [];
+  measureTextCount = 0;
+
+  _textMetrics;
+  _state;
+  _stateStack = [];
+
+  constructor({ width = 300, height = 150, textMetrics = monospaceTextMetrics } = {}) {
+    this.width = width;
+    this.height = height;
+    this._textMetrics = textMetrics;
+    this._state = getDefaultContextState();
+  }
+  static new({ width, height, textMetrics } = {}) {
+    return new RecordingContext(...arguments);
+  }
+
+  get canvas() {
+    return { width: this.width, height: this.height };
+  }
+
+  _record(method, args) {
+    const entry = { method, args };
+    if (!isIdentityMatrix(this._state.transform)) {
+      entry.transform = [...this._state.transform];
+    }
+    const styleProperties = paintStyleProperties[method];
+    if (styleProperties) {
+      const style = {};
+      const defaults = getDefaultContextState();
+      styleProperties.forEach((key) => {
+        style[key] = key === 'lineDash' ? [...this._state[key]] : this._state[key];
+      });
+      compositingStyleProperties.forEach((key) => {
+        if (this._state[key] !== defaults[key]) {
+          style[key] = this._state[key];
+        }
+      });
+      entry.style = style;
+    }
+    this.log.push(entry);
+  }
+
+  _applyTransform(matrix) {
+    this._state.transform = multiplyMatrix(this._state.transform, matrix);
+  }
+
+  save() {
+    this._stateStack.push({
+      ...this._state,
+      lineDash: [...this._state.lineDash],
+      transform: [...this._state.transform],
+    });
+    this._record('save', []);
+  }
+
+  restore() {
+    if (this._stateStack.length) {
+      this._state = this._stateStack.pop();
+    }
+    this._record('restore', []);
+  }
+
+  translate(x, y) {
+    this._record('translate', [x, y]);
+    this._applyTransform([1, 0, 0, 1, x, y]);
+  }
+
+  rotate(angle) {
+    this._record('rotate', [angle]);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    this._applyTransform([cos, sin, -sin, cos, 0, 0]);
+  }
+
+  scale(x, y) {
+    this._record('scale', [x, y]);
+    this._applyTransform([x, 0, 0, y, 0, 0]);
+  }
+
+  transform(a, b, c, d, e, f) {
+    this._record('transform', [a, b, c, d, e, f]);
+    this._applyTransform([a, b, c, d, e, f]);
+  }
+
+  setTransform(a = 1, b = 0, c = 0, d = 1, e = 0, f = 0) {
+    if (typeof a === 'object') {
+      ({ a, b, c, d, e, f } = a);
+    }
+    this._record('setTransform', [a, b, c, d, e, f]);
+    this._state.transform = [a, b, c, d, e, f];
+  }
+
+  resetTransform() {
+    this._record('resetTransform', []);
+    this._state.transform = [1, 0, 0, 1, 0, 0];
+  }
+
+  getTransform() {
+    const [a, b, c, d, e, f] = this._state.transform;
+    return { a, b, c, d, e, f };
+  }
+
+  setLineDash(segments) {
+    this._state.lineDash = [...segments];
+  }
+
+  getLineDash() {
+    return [...this._state.lineDash];
+  }
+
+  createLinearGradient(x0, y0, x1, y1) {
+    return new RecordingGradient('linear', [x0, y0, x1, y1]);
+  }
+
+  createRadialGradient(x0, y0, r0, x1, y1, r1) {
+    return new RecordingGradient('radial', [x0, y0, r0, x1, y1, r1]);
+  }
+
+  createConicGradient(startAngle, x, y) {
+    return new RecordingGradient('conic', [startAngle, x, y]);
+  }
+
+  createPattern(image, repetition) {
+    return new RecordingPattern('pattern', [image, repetition]);
+  }
+
+  measureText(text) {
+    this.measureTextCount++;
+    const font = this._state.font;
+    return toTextMetrics(this._textMetrics(String(text), font), font);
+  }
+
+  fill(...args) {
+    this._record('fill', args);
+  }
+
+  stroke(...args) {
+    this._record('stroke', args);
+  }
+
+  clip(...args) {
+    this._record('clip', args);
+  }
+
+  fillRect(x, y, width, height) {
+    this._record('fillRect', [x, y, width, height]);
+  }
+
+  strokeRect(x, y, width, height) {
+    this._record('strokeRect', [x, y, width, height]);
+  }
+
+  clearRect(x, y, width, height) {
+    this._record('clearRect', [x, y, width, height]);
+  }
+
+  fillText(...args) {
+    this._record('fillText', args);
+  }
+
+  strokeText(...args) {
+    this._record('strokeText', args);
+  }
+
+  drawImage(...args) {
+    this._record('drawImage', args);
+  }
+
+  clear() {
+    this.log = [];
+    this.measureTextCount = 0;
+    this._state = getDefaultContextState();
+    this._stateStack = [];
+  }
+
+  replay(ctx) {
+    const paints = new Map();
+    const resolve = (value) => {
+      if (!(value instanceof RecordingPaint)) {
+        return value;
+      }
+      if (!paints.has(value)) {
+        paints.set(
+          value,
+          value instanceof RecordingGradient
+            ? value.toCanvasGradient(ctx)
+            : value.toCanvasPattern(ctx),
+        );
+      }
+      return paints.get(value);
+    };
+    const defaults = getDefaultContextState();
+    const compositingDefaults = Object.fromEntries(
+      compositingStyleProperties.map((key) => [key, defaults[key]]),
+    );
+    this.log.forEach(({ method, args, style }) => {
+      if (style) {
+        // Compositing is logged only when it differs from the default, so
+        // every paint resets what it doesn't mention.
+        Object.entries({ ...compositingDefaults, ...style }).forEach(
+          ([key, value]) => {
+            if (key === 'lineDash') {
+              ctx.setLineDash(value);
+            } else {
+              ctx[key] = resolve(value);
+            }
+          },
+        );
+      }
+      ctx[method](...args);
+    });
+  }
+
+  toJSON() {
+    return this.log.map(({ method, args, transform, style }) => {
+      const entry = {
+        method,
+        args: method === 'drawImage' ? [describeImage(args[0]), ...args.slice(1)] : args,
+      };
+      if (transform) {
+        entry.transform = transform;
+      }
+      if (style) {
+        entry.style = Object.fromEntries(
+          Object.entries(style).map(([key, value]) => [
+            key,
+            serializeRecordedValue(value),
+          ]),
+        );
+      }
+      return entry;
+    });
+  }
+}
+
+recordedStateProperties.forEach((key) => {
+  Object.defineProperty(RecordingContext.prototype, key, {
+    get() {
+      return this._state[key];
+    },
+    set(value) {
+      this._state[key] = value;
+    },
+  });
+});
+
+pathMethods.forEach((method) => {
+  RecordingContext.prototype[method] = function (...args) {
+    this._record(method, args);
+  };
+});
+
+function formatSvgNumber(n) {
+  return String(Math.round(n * 1000) / 1000);
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function svgAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value != null && value !== '')
+    .map(
+      ([key, value]) =>
+        ` ${key}="${escapeXml(typeof value === 'number' ? formatSvgNumber(value) : value)}"`,
+    )
+    .join('');
+}
+
+function getImageHref(img) {
+  if (typeof img?.toDataURL === 'function') {
+    return img.toDataURL();
+  }
+  return img?.src ?? img?.path ?? '';
+}
+
+function normalizeCornerRadii(radii) {
+  const values = (Array.isArray(radii) ? radii : [radii ?? 0]).map((r) =>
+    typeof r === 'object' ? r.x ?? 0 : r,
+  );
+  if (values.length === 1) return [values[0], values[0], values[0], values[0]];
+  if (values.length === 2) return [values[0], values[1], values[0], values[1]];
+  if (values.length === 3) return [values[0], values[1], values[2], values[1]];
+  return values.slice(0, 4);
+}
+
+class SvgPathBuilder {
+  segments = [];
+  d = [];
+  current;
+  start;
+
+  _point(x, y) {
+    return `${formatSvgNumber(x)} ${formatSvgNumber(y)}`;
+  }
+
+  _moveOrLine(x, y) {
+    if (
+      this.current &&
+      Math.abs(this.current[0] - x) < 1e-6 &&
+      Math.abs(this.current[1] - y) < 1e-6
+    ) {
+      return;
+    }
+    this.d.push(`${this.current ? 'L' : 'M'} ${this._point(x, y)}`);
+    if (!this.current) {
+      this.start = [x, y];
+    }
+    this.current = [x, y];
+  }
+
+  add(method, args) {
+    this.segments.push({ method, args });
+    this[method](...args);
+  }
+
+  moveTo(x, y) {
+    this.d.push(`M ${this._point(x, y)}`);
+    this.current = this.start = [x, y];
+  }
+
+  lineTo(x, y) {
+    this._moveOrLine(x, y);
+  }
+
+  bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+    if (!this.current) this.moveTo(cp1x, cp1y);
+    this.d.push(
+      `C ${this._point(cp1x, cp1y)} ${this._point(cp2x, cp2y)} ${this._point(x, y)}`,
+    );
+    this.current = [x, y];
+  }
+
+  quadraticCurveTo(cpx, cpy, x, y) {
+    if (!this.current) this.moveTo(cpx, cpy);
+    this.d.push(`Q ${this._point(cpx, cpy)} ${this._point(x, y)}`);
+    this.current = [x, y];
+  }
+
+  closePath() {
+    if (!this.current) return;
+    this.d.push('Z');
+    this.current = this.start;
+  }
+
+  rect(x, y, width, height) {
+    this.moveTo(x, y);
+    this.d.push(
+      `H ${formatSvgNumber(x + width)} V ${formatSvgNumber(y + height)} H ${formatSvgNumber(x)} Z`,
+    );
+  }
+
+  roundRect(x, y, width, height, radii) {
+    const [tl, tr, br, bl] = normalizeCornerRadii(radii);
+    const corner = (r, px, py) =>
+      r ? `A ${formatSvgNumber(r)} ${formatSvgNumber(r)} 0 0 1 ${this._point(px, py)}` : '';
+    this.moveTo(x + tl, y);
+    this.d.push(
+      [
+        `L ${this._point(x + width - tr, y)}`,
+        corner(tr, x + width, y + tr),
+        `L ${this._point(x + width, y + height - br)}`,
+        corner(br, x + width - br, y + height),
+        `L ${this._point(x + bl, y + height)}`,
+        corner(bl, x, y + height - bl),
+        `L ${this._point(x, y + tl)}`,
+        corner(tl, x + tl, y),
+        'Z',
+      ]
+        .filter(Boolean)
+        .join(' '),
+    );
+    this.current = this.start = [x, y];
+  }
+
+  arc(cx, cy, r, startAngle, endAngle, counterclockwise = false) {
+    this.ellipse(cx, cy, r, r, 0, startAngle, endAngle, counterclockwise);
+  }
+
+  ellipse(cx, cy, rx, ry, rotation, startAngle, endAngle, counterclockwise = false) {
+    const pointAt = (angle) => {
+      const cos = Math.cos(rotation);
+      const sin = Math.sin(rotation);
+      const px = rx * Math.cos(angle);
+      const py = ry * Math.sin(angle);
+      return [cx + px * cos - py * sin, cy + px * sin + py * cos];
+    };
+    let sweep = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+    const full = sweep >= Math.PI * 2;
+    sweep = full ? Math.PI * 2 : ((sweep % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+    this._moveOrLine(...pointAt(startAngle));
+    const radii = `${formatSvgNumber(rx)} ${formatSvgNumber(ry)} ${formatSvgNumber((rotation * 180) / Math.PI)}`;
+    const sweepFlag = counterclockwise ? 0 : 1;
+    const direction = counterclockwise ? -1 : 1;
+    if (full) {
+      const middle = pointAt(startAngle + Math.PI * direction);
+      const end = pointAt(startAngle);
+      this.d.push(`A ${radii} 0 ${sweepFlag} ${this._point(...middle)}`);
+      this.d.push(`A ${radii} 0 ${sweepFlag} ${this._point(...end)}`);
+      this.current = end;
+    } else if (sweep > 0) {
+      const end = pointAt(startAngle + sweep * direction);
+      this.d.push(
+        `A ${radii} ${sweep > Math.PI ? 1 : 0} ${sweepFlag} ${this._point(...end)}`,
+      );
+      this.current = end;
+    }
+  }
+
+  arcTo(x1, y1, x2, y2, r) {
+    if (!this.current) {
+      this.moveTo(x1, y1);
+      return;
+    }
+    const [x0, y0] = this.current;
+    const v1 = [x0 - x1, y0 - y1];
+    const v2 = [x2 - x1, y2 - y1];
+    const l1 = Math.hypot(...v1);
+    const l2 = Math.hypot(...v2);
+    const cross = v1[0] * v2[1] - v1[1] * v2[0];
+    if (!r || !l1 || !l2 || Math.abs(cross) < 1e-9) {
+      this.lineTo(x1, y1);
+      return;
+    }
+    const angle = Math.acos(
+      Math.max(-1, Math.min(1, (v1[0] * v2[0] + v1[1] * v2[1]) / (l1 * l2))),
+    );
+    const distance = r / Math.tan(angle / 2);
+    const t1 = [x1 + (v1[0] / l1) * distance, y1 + (v1[1] / l1) * distance];
+    const t2 = [x1 + (v2[0] / l2) * distance, y1 + (v2[1] / l2) * distance];
+    this.lineTo(...t1);
+    this.d.push(
+      `A ${formatSvgNumber(r)} ${formatSvgNumber(r)} 0 0 ${cross < 0 ? 1 : 0} ${this._point(...t2)}`,
+    );
+    this.current = t2;
+  }
+
+  toElement() {
+    if (this.segments.length === 1) {
+      const { method, args } = this.segments[0];
+      if (method === 'rect' || method === 'roundRect') {
+        const [x, y, width, height, radii] = args;
+        const [tl, tr, br, bl] = normalizeCornerRadii(radii);
+        if (tl === tr && tr === br && br === bl) {
+          return ['rect', { x, y, width, height, rx: tl || null }];
+        }
+      }
+      if (method === 'arc' && Math.abs(args[4] - args[3]) >= Math.PI * 2) {
+        return ['circle', { cx: args[0], cy: args[1], r: args[2] }];
+      }
+    }
+    return ['path', { d: this.d.join(' ') }];
+  }
+}
+
+const svgTextBaselines = {
+  top: 'text-before-edge',
+  hanging: 'hanging',
+  middle: 'central',
+  bottom: 'text-after-edge',
+  ideographic: 'ideographic',
+};
+
+const svgTextAnchors = {
+  left: 'start',
+  center: 'middle',
+  right: 'end',
+  end: 'end',
+};
+
+const svgBlendModes = [
+  'multiply',
+  'screen',
+  'overlay',
+  'darken',
+  'lighten',
+  'color-dodge',
+  'color-burn',
+  'hard-light',
+  'soft-light',
+  'difference',
+  'exclusion',
+  'hue',
+  'saturation',
+  'color',
+  'luminosity',
+];
+
+function hasVisibleShadow(style) {
+  const color = style.shadowColor;
+  return (
+    typeof color === 'string' &&
+    color !== 'transparent' &&
+    !/^rgba\(.*,\s*0(\.0*)?\s*\)$/.test(color) &&
+    !!(style.shadowOffsetX || style.shadowOffsetY || style.shadowBlur)
+  );
+}
+
+class SvgWriter {
+  width;
+  height;
+
+  defs = [];
+  body = [];
+  paintIds = new Map();
+  nextId = 0;
+  path = new SvgPathBuilder();
+  pathTransform;
+  groupStack = [0];
+
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  _id(prefix) {
+    return `${prefix}${this.nextId++}`;
+  }
+
+  _transform(transform) {
+    return transform ? `matrix(${transform.map(formatSvgNumber).join(' ')})` : null;
+  }
+
+  _paint(value) {
+    if (value instanceof RecordingGradient) {
+      return this._gradient(value);
+    }
+    if (value instanceof RecordingPattern) {
+      return this._pattern(value);
+    }
+    return value;
+  }
+
+  _gradient(gradient) {
+    if (gradient.type === 'conic') {
+      throw new Error('conic gradients cannot be exported to SVG');
+    }
+    if (!this.paintIds.has(gradient)) {
+      const id = this._id('gradient');
+      const stops = gradient.colorStops
+        .map(
+          ({ offset, color }) =>
+            `<stop${svgAttributes({ offset, 'stop-color': color })}/>`,
+        )
+        .join('');
+      const [a0, a1, a2, a3, a4, a5] = gradient.args;
+      const attributes =
+        gradient.type === 'linear'
+          ? { x1: a0, y1: a1, x2: a2, y2: a3 }
+          : { fx: a0, fy: a1, fr: a2, cx: a3, cy: a4, r: a5 };
+      const tag = gradient.type === 'linear' ? 'linearGradient' : 'radialGradient';
+      this.defs.push(
+        `<${tag}${svgAttributes({ id, gradientUnits: 'userSpaceOnUse', ...attributes })}>${stops}</${tag}>`,
+      );
+      this.paintIds.set(gradient, id);
+    }
+    return `url(#${this.paintIds.get(gradient)})`;
+  }
+
+  _pattern(pattern) {
+    if (!this.paintIds.has(pattern)) {
+      const id = this._id('pattern');
+      const [img] = pattern.args;
+      const size = { width: img?.width ?? 0, height: img?.height ?? 0 };
+      this.defs.push(
+        `<pattern${svgAttributes({
+          id,
+          patternUnits: 'userSpaceOnUse',
+          patternTransform: pattern.transform ? this._transform([
+            pattern.transform.a ?? 1,
+            pattern.transform.b ?? 0,
+            pattern.transform.c ?? 0,
+            pattern.transform.d ?? 1,
+            pattern.transform.e ?? 0,
+            pattern.transform.f ?? 0,
+          ]) : null,
+          ...size,
+        })}>${
+          img instanceof RecordingContext
+            ? this._recording(img)
+            : `<image${svgAttributes({ href: getImageHref(img), ...size })}/>`
+        }</pattern>`,
+      );
+      this.paintIds.set(pattern, id);
+    }
+    return `url(#${this.paintIds.get(pattern)})`;
+  }
+
+  _recording(recording) {
+    const writer = new SvgWriter(recording.width, recording.height);
+    writer.nextId = this.nextId;
+    recording.log.forEach((entry) => writer.write(entry));
+    this.nextId = writer.nextId;
+    return writer.toString();
+  }
+
+  _compositing(style) {
+    const attributes = {};
+    const css = [];
+    if (style.globalAlpha != null && style.globalAlpha !== 1) {
+      attributes.opacity = style.globalAlpha;
+    }
+    if (svgBlendModes.includes(style.globalCompositeOperation)) {
+      css.push(`mix-blend-mode: ${style.globalCompositeOperation}`);
+    }
+    if (hasVisibleShadow(style)) {
+      const { shadowOffsetX = 0, shadowOffsetY = 0, shadowBlur = 0 } = style;
+      css.push(
+        `filter: drop-shadow(${[shadowOffsetX, shadowOffsetY, shadowBlur]
+          .map((n) => `${formatSvgNumber(n)}px`)
+          .join(' ')} ${style.shadowColor})`,
+      );
+    }
+    if (css.length) {
+      attributes.style = css.join('; ');
+    }
+    return attributes;
+  }
+
+  _fillAttributes(style, fillRule) {
+    return {
+      fill: this._paint(style.fillStyle),
+      'fill-rule': fillRule === 'evenodd' ? 'evenodd' : null,
+      ...this._compositing(style),
+    };
+  }
+
+  _strokeAttributes(style) {
+    return {
+      fill: 'none',
+      stroke: this._paint(style.strokeStyle),
+      'stroke-width': style.lineWidth,
+      'stroke-linecap': style.lineCap === 'butt' ? null : style.lineCap,
+      'stroke-linejoin': style.lineJoin === 'miter' ? null : style.lineJoin,
+      'stroke-miterlimit': style.miterLimit === 10 ? null : style.miterLimit,
+      'stroke-dasharray': style.lineDash?.length ? style.lineDash.join(' ') : null,
+      'stroke-dashoffset': style.lineDashOffset || null,
+      ...this._compositing(style),
+    };
+  }
+
+  _element(tag, attributes, content) {
+    const open = `<${tag}${svgAttributes(attributes)}`;
+    this.body.push(content == null ? `${open}/>` : `${open}>${content}</${tag}>`);
+  }
+
+  _pathElement(attributes) {
+    const [tag, shape] = this.path.toElement();
+    this._element(tag, {
+      ...shape,
+      transform: this._transform(this.pathTransform),
+      ...attributes,
+    });
+  }
+
+  _text(args, transform, style, paintAttributes) {
+    const [text, x, y] = args;
+    const font = parseCanvasFont(style.font);
+    this._element(
+      'text',
+      {
+        x,
+        y,
+        transform: this._transform(transform),
+        'font-family': font.family,
+        'font-size': font.size,
+        'font-weight': font.weight === 'normal' ? null : font.weight,
+        'font-style': font.style === 'normal' ? null : font.style,
+        'text-anchor': svgTextAnchors[style.textAlign],
+        'dominant-baseline': svgTextBaselines[style.textBaseline],
+        'xml:space': 'preserve',
+        ...paintAttributes,
+      },
+      escapeXml(text),
+    );
+  }
+
+  _image(args, transform, style) {
+    const [img, ...rest] = args;
+    const href = getImageHref(img);
+    const common = { transform: this._transform(transform), ...this._compositing(style) };
+    if (rest.length === 8) {
+      const [sx, sy, sw, sh, dx, dy, dw, dh] = rest;
+      this._element(
+        'svg',
+        {
+          x: dx,
+          y: dy,
+          width: dw,
+          height: dh,
+          viewBox: [sx, sy, sw, sh].map(formatSvgNumber).join(' '),
+          preserveAspectRatio: 'none',
+          ...common,
+        },
+        `<image${svgAttributes({ href, width: img?.width, height: img?.height })}/>`,
+      );
+    } else {
+      const [x, y, width = img?.width, height = img?.height] = rest;
+      this._element('image', {
+        href,
+        x,
+        y,
+        width,
+        height,
+        preserveAspectRatio: 'none',
+        ...common,
+      });
+    }
+  }
+
+  write({ method, args, transform, style }) {
+    if (pathMethods.includes(method)) {
+      if (method === 'beginPath') {
+        this.path = new SvgPathBuilder();
+        this.pathTransform = transform;
+      } else {
+        if (!this.path.segments.length) {
+          this.pathTransform = transform;
+        }
+        this.path.add(method, args);
+      }
+      return;
+    }
+    switch (method) {
+      case 'save':
+        this.groupStack.push(0);
+        break;
+      case 'restore':
+        if (this.groupStack.length > 1) {
+          const opened = this.groupStack.pop();
+          this.body.push('</g>'.repeat(opened));
+        }
+        break;
+      case 'clip': {
+        const id = this._id('clip');
+        const [tag, shape] = this.path.toElement();
+        this.defs.push(
+          `<clipPath${svgAttributes({ id })}><${tag}${svgAttributes({
+            ...shape,
+            transform: this._transform(this.pathTransform),
+            'clip-rule': args[0] === 'evenodd' ? 'evenodd' : null,
+          })}/></clipPath>`,
+        );
+        this.body.push(`<g clip-path="url(#${id})">`);
+        this.groupStack[this.groupStack.length - 1]++;
+        break;
+      }
+      case 'fill':
+        this._pathElement(this._fillAttributes(style, args[0]));
+        break;
+      case 'stroke':
+        this._pathElement(this._strokeAttributes(style));
+        break;
+      case 'fillRect':
+      case 'strokeRect': {
+        const [x, y, width, height] = args;
+        this._element('rect', {
+          x,
+          y,
+          width,
+          height,
+          transform: this._transform(transform),
+          ...(method === 'fillRect'
+            ? this._fillAttributes(style)
+            : this._strokeAttributes(style)),
+        });
+        break;
+      }
+      case 'fillText':
+        this._text(args, transform, style, this._fillAttributes(style));
+        break;
+      case 'strokeText':
+        this._text(args, transform, style, this._strokeAttributes(style));
+        break;
+      case 'drawImage':
+        this._image(args, transform, style);
+        break;
+    }
+  }
+
+  toString() {
+    const closing = this.groupStack.reduce((sum, opened) => sum + opened, 0);
+    return (
+      `<svg${svgAttributes({
+        xmlns: 'http://www.w3.org/2000/svg',
+        width: this.width,
+        height: this.height,
+        viewBox: `0 0 ${formatSvgNumber(this.width)} ${formatSvgNumber(this.height)}`,
+      })}>` +
+      (this.defs.length ? `<defs>${this.defs.join('')}</defs>` : '') +
+      this.body.join('') +
+      '</g>'.repeat(closing) +
+      '</svg>'
+    );
+  }
+}
+
+export function recordingToSVG(recording) {
+  const writer = new SvgWriter(recording.width, recording.height);
+  recording.log.forEach((entry) => writer.write(entry));
+  return writer.toString();
+}
+
+export function toSVG(
+  component,
+  { width = component.width, height = component.height, textMetrics } = {},
+) {
+  if (width == null) {
+    throw new Error('the width of the SVG document is unknown');
+  }
+  if (!textMetrics) {
+    throw new Error('toSVG needs textMetrics to lay out text');
+  }
+  const ctx = new RecordingContext({ width, height: height ?? 0, textMetrics });
+  if (height == null) {
+    component.layout(getDrawInstance(width, 0), ctx);
+    ctx.height = component.height;
+  }
+  component.draw(getDrawInstance(ctx.width, ctx.height), ctx);
+  return recordingToSVG(ctx);
+}
+
+export class SceneError extends Error {
+  path;
+
+  constructor(path, message) {
+    super(`${path}: ${message}`);
+    this.name = 'SceneError';
+    this.path = path;
+  }
+}
+
+function joinScenePath(path, key) {
+  return typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`;
+}
+
+function isPlainObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readSceneColorStops(node, path) {
+  if (!Array.isArray(node.colorStops)) {
+    throw new SceneError(
+      joinScenePath(path, 'colorStops'),
+      'expected an array of color stops',
+    );
+  }
+  node.colorStops.forEach((stop, i) => {
+    if (typeof stop?.offset !== 'number' || typeof stop?.color !== 'string') {
+      throw new SceneError(
+        joinScenePath(joinScenePath(path, 'colorStops'), i),
+        'expected { offset: number, color: string }',
+      );
+    }
+  });
+  return node.colorStops;
+}
+
+function writeSceneColorStops(colorStops) {
+  return colorStops.map(({ offset, color }) => ({ offset, color }));
+}
+
+function readSceneGradientCenter(node, path) {
+  const center = node.center;
+  if (
+    center !== undefined &&
+    !(
+      isPlainObject(center) &&
+      ['x', 'y'].every((key) => typeof (center[key] ?? 0.5) === 'number')
+    )
+  ) {
+    throw new SceneError(
+      joinScenePath(path, 'center'),
+      'expected { x: number, y: number }',
+    );
+  }
+  return center;
+}
+
+const sceneColorTypes = {
+  LinearGradient: {
+    fromJSON(node, path) {
+      const direction = node.direction ?? 'up';
+      if (
+        ![
+          'up',
+          'down',
+          'left',
+          'right',
+          'upLeft',
+          'upRight',
+          'downLeft',
+          'downRight',
+        ].includes(direction) &&
+        parseAngle(direction) === undefined
+      ) {
+        throw new SceneError(
+          joinScenePath(path, 'direction'),
+          `unknown gradient direction "${node.direction}"`,
+        );
+      }
+      return new LinearGradient(direction, ...readSceneColorStops(node, path));
+    },
+    toJSON(color) {
+      return {
+        type: 'LinearGradient',
+        direction: color.direction,
+        colorStops: writeSceneColorStops(color.colorStops),
+      };
+    },
+    component: LinearGradient,
+  },
+  RadialGradient: {
+    fromJSON(node, path) {
+      const radius = node.radius ?? 'farthestCorner';
+      if (
+        typeof radius !== 'number' &&
+        ![
+          'closestSide',
+          'closestCorner',
+          'farthestSide',
+          'farthestCorner',
+        ].includes(radius)
+      ) {
+        throw new SceneError(
+          joinScenePath(path, 'radius'),
+          `unknown gradient radius "${node.radius}"`,
+        );
+      }
+      return new RadialGradient(
+        { center: readSceneGradientCenter(node, path), radius },
+        ...readSceneColorStops(node, path),
+      );
+    },
+    toJSON(color) {
+      return {
+        type: 'RadialGradient',
+        center: color.center,
+        radius: color.radius,
+        colorStops: writeSceneColorStops(color.colorStops),
+      };
+    },
+    component: RadialGradient,
+  },
+  ConicGradient: {
+    fromJSON(node, path) {
+      if (node.from !== undefined && parseAngle(node.from) === undefined) {
+        throw new SceneError(
+          joinScenePath(path, 'from'),
+          `unknown gradient angle "${node.from}"`,
+        );
+      }
+      return new ConicGradient(
+        { from: node.from, center: readSceneGradientCenter(node, path) },
+        ...readSceneColorStops(node, path),
+      );
+    },
+    toJSON(color) {
+      return {
+        type: 'ConicGradient',
+        from: color.from,
+        center: color.center,
+        colorStops: writeSceneColorStops(color.colorStops),
+      };
+    },
+    component: ConicGradient,
+  },
+};
+
+function colorFromJSON(value, path) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (isPlainObject(value) && sceneColorTypes[value.type]) {
+    return sceneColorTypes[value.type].fromJSON(value, path);
+  }
+  throw new SceneError(path, 'expected a color string or a gradient object');
+}
+
+function colorToJSON(color, path) {
+  if (color == null || typeof color === 'string') {
+    return color;
+  }
+  const entry = Object.values(sceneColorTypes).find(
+    ({ component }) => color instanceof component,
+  );
+  if (!entry) {
+    throw new SceneError(path, 'color cannot be serialized');
+  }
+  return entry.toJSON(color);
+}
+
+export const sceneField = {
+  number: (defaultValue) => ({ type: 'number', defaultValue }),
+  string: (defaultValue) => ({ type: 'string', defaultValue }),
+  boolean: (defaultValue) => ({ type: 'boolean', defaultValue }),
+  color: (defaultValue, nullable = false) => ({
+    type: 'color',
+    defaultValue,
+    nullable,
+  }),
+  oneOf: (values, defaultValue) => ({ type: 'oneOf', values, defaultValue }),
+  strings: (defaultValue) => ({ type: 'strings', defaultValue }),
+  numbers: (defaultValue) => ({ type: 'numbers', defaultValue }),
+  object: (fields, defaultValue) => ({ type: 'object', fields, defaultValue }),
+};
+
+const reservedSceneKeys = ['type', 'id', 'child', 'children'];
+
+class SceneReader {
+  node;
+  path;
+  options;
+
+  constructor(node, path, options) {
+    this.node = node;
+    this.path = path;
+    this.options = options;
+  }
+
+  error(key, message) {
+    return new SceneError(
+      key == null ? this.path : joinScenePath(this.path, key),
+      message,
+    );
+  }
+
+  value(key, field) {
+    const value = this.node[key];
+    if (value === undefined) {
+      return undefined;
+    }
+    const fail = (expected) => {
+      throw this.error(key, `expected ${expected}, got ${JSON.stringify(value)}`);
+    };
+    switch (field.type) {
+      case 'color':
+        if (value === null && field.nullable) {
+          return value;
+        }
+        return colorFromJSON(value, joinScenePath(this.path, key));
+      case 'oneOf':
+        if (!field.values.includes(value)) {
+          fail(`one of ${field.values.map((v) => `"${v}"`).join(', ')}`);
+        }
+        return value;
+      case 'strings':
+        if (
+          typeof value !== 'string' &&
+          !(
+            Array.isArray(value) &&
+            value.every((item) => typeof item === 'string')
+          )
+        ) {
+          fail('a string or an array of strings');
+        }
+        return value;
+      case 'string':
+        // Numbers are accepted as text, e.g. a price bound from a template.
+        if (Number.isFinite(value)) {
+          return String(value);
+        }
+        if (typeof value !== 'string') {
+          fail('a string');
+        }
+        return value;
+      case 'numbers':
+        if (
+          !Array.isArray(value) ||
+          !value.every((item) => typeof item === 'number')
+        ) {
+          fail('an array of numbers');
+        }
+        return value;
+      case 'object':
+        if (value === null) {
+          return value;
+        }
+        if (!isPlainObject(value)) {
+          fail(`{ ${Object.keys(field.fields).join(', ')} } or null`);
+        }
+        return new SceneReader(
+          value,
+          joinScenePath(this.path, key),
+          this.options,
+        ).fields(field.fields);
+      default:
+        if (typeof value !== field.type || Number.isNaN(value)) {
+          fail(`a ${field.type}`);
+        }
+        return value;
+    }
+  }
+
+  fields(fields, extraKeys = []) {
+    Object.keys(this.node).forEach((key) => {
+      if (
+        !reservedSceneKeys.includes(key) &&
+        !extraKeys.includes(key) &&
+        !(key in fields)
+      ) {
+        throw this.error(key, `unknown property "${key}"`);
+      }
+    });
+    const result = {};
+    Object.entries(fields).forEach(([key, field]) => {
+      const value = this.value(key, field);
+      if (value !== undefined) {
+        result[key] = value;
+      }
+    });
+    return result;
+  }
+
+  child(key = 'child') {
+    const child = this.node[key];
+    if (child == null) {
+      return undefined;
+    }
+    return readSceneNode(child, joinScenePath(this.path, key), this.options);
+  }
+
+  children(key = 'children') {
+    const children = this.node[key] ?? [];
+    if (!Array.isArray(children)) {
+      throw this.error(key, 'expected an array of components');
+    }
+    const path = joinScenePath(this.path, key);
+    return children.map((child, i) =>
+      readSceneNode(child, joinScenePath(path, i), this.options),
+    );
+  }
+
+  image(key = 'src') {
+    const src = this.node[key];
+    if (src == null) {
+      throw this.error(key, 'missing image source');
+    }
+    if (typeof src !== 'string') {
+      throw this.error(key, `expected a string, got ${JSON.stringify(src)}`);
+    }
+    const { images } = this.options;
+    const img = typeof images === 'function' ? images(src) : images?.[src];
+    return img ?? src;
+  }
+}
+
+class SceneWriter {
+  component;
+  path;
+  options;
+
+  constructor(component, path, options) {
+    this.component = component;
+    this.path = path;
+    this.options = options;
+  }
+
+  error(key, message) {
+    return new SceneError(
+      key == null ? this.path : joinScenePath(this.path, key),
+      message,
+    );
+  }
+
+  fields(fields, values = this.component) {
+    const result = {};
+    Object.entries(fields).forEach(([key, field]) => {
+      const value = values[key];
+      if (
+        value === undefined ||
+        value === field.defaultValue ||
+        values._themed?.has(key)
+      ) {
+        return;
+      }
+      const path = joinScenePath(this.path, key);
+      if (field.type === 'color') {
+        result[key] = colorToJSON(value, path);
+      } else if (field.type === 'object' && value !== null) {
+        result[key] = new SceneWriter(value, path, this.options).fields(
+          field.fields,
+        );
+      } else {
+        result[key] = value;
+      }
+    });
+    return result;
+  }
+
+  child(child = this.component.child, key = 'child') {
+    if (child == null) {
+      return {};
+    }
+    return {
+      [key]: writeSceneNode(child, joinScenePath(this.path, key), this.options),
+    };
+  }
+
+  children(children = this.component.children, key = 'children') {
+    const path = joinScenePath(this.path, key);
+    return {
+      [key]: children.map((child, i) =>
+        writeSceneNode(child, joinScenePath(path, i), this.options),
+      ),
+    };
+  }
+
+  image(img, key = 'src') {
+    if (img == null) {
+      return {};
+    }
+    if (typeof img === 'string') {
+      return { [key]: img };
+    }
+    const src = this.options.imageSource?.(img) ?? img.src;
+    if (src == null) {
+      throw this.error(key, 'image has no source');
+    }
+    return { [key]: src };
+  }
+}
+
+const sceneTypes = new Map();
+
+export function registerComponent(type, { component, match, fromJSON, toJSON }) {
+  if (typeof fromJSON !== 'function' || typeof toJSON !== 'function') {
+    throw new Error(`component type "${type}" needs fromJSON and toJSON`);
+  }
+  sceneTypes.set(type, {
+    type,
+    match: match ?? ((c) => c?.constructor === component),
+    fromJSON,
+    toJSON,
+  });
+}
+
+function readSceneNode(node, path, options) {
+  if (!isPlainObject(node)) {
+    throw new SceneError(path, 'expected a component object');
+  }
+  if (typeof node.type !== 'string') {
+    throw new SceneError(joinScenePath(path, 'type'), 'missing component type');
+  }
+  const entry = sceneTypes.get(node.type);
+  if (!entry) {
+    throw new SceneError(
+      joinScenePath(path, 'type'),
+      `unknown component type "${node.type}"`,
+    );
+  }
+  const component = entry.fromJSON(node, new SceneReader(node, path, options));
+  if (node.id != null) {
+    component.ofId(node.id);
+  }
+  return component;
+}
+
+function writeSceneNode(component, path, options) {
+  const entry = [...sceneTypes.values()]
+    .reverse()
+    .find(({ match }) => match(component));
+  if (!entry) {
+    throw new SceneError(
+      path,
+      `component ${component?.constructor?.name} has no registered type`,
+    );
+  }
+  const node = {
+    type: entry.type,
+    ...(component.id != null ? { id: component.id } : {}),
+    ...entry.toJSON(component, new SceneWriter(component, path, options)),
+  };
+  return node;
+}
+
+export function fromJSON(json, { images } = {}) {
+  const node = typeof json === 'string' ? JSON.parse(json) : json;
+  return readSceneNode(node, '$', { images });
+}
+
+export function toJSON(component, { imageSource } = {}) {
+  return writeSceneNode(component, '$', { imageSource });
+}
+
+const templatePattern = /\{\{\s*([^{}]*?)\s*\}\}/g;
+
+function getTemplateValue(scope, path) {
+  return path
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .reduce((value, key) => (value == null ? undefined : value[key]), scope);
+}
+
+function bindTemplateString(text, scope) {
+  const whole = /^\{\{\s*([^{}]*?)\s*\}\}$/.exec(text);
+  if (whole) {
+    return getTemplateValue(scope, whole[1]);
+  }
+  return text.replace(templatePattern, (_, path) => {
+    const value = getTemplateValue(scope, path);
+    return value == null ? '' : String(value);
+  });
+}
+
+function isTemplateNodeVisible(node, scope, path) {
+  return (
+    !('visible' in node) ||
+    Boolean(
+      bindTemplateValue(node.visible, scope, joinScenePath(path, 'visible')),
+    )
+  );
+}
+
+function bindTemplateRepeat(node, scope, path) {
+  if (!isTemplateNodeVisible(node, scope, path)) {
+    return [];
+  }
+  const itemsPath = joinScenePath(path, 'items');
+  const items = bindTemplateValue(node.items, scope, itemsPath) ?? [];
+  if (!Array.isArray(items)) {
+    throw new SceneError(
+      itemsPath,
+      `expected an array, got ${JSON.stringify(items)}`,
+    );
+  }
+  const { as = 'item', index = 'index' } = node;
+  const key = node.children ? 'children' : 'child';
+  const templates = node.children ?? (node.child ? [node.child] : []);
+  return items.flatMap((item, i) =>
+    bindTemplateNodes(
+      templates,
+      { ...scope, [as]: item, [index]: i },
+      joinScenePath(path, key),
+    ),
+  );
+}
+
+function bindTemplateNodes(nodes, scope, path) {
+  return nodes.flatMap((node, i) => {
+    const nodePath = joinScenePath(path, i);
+    if (isPlainObject(node) && node.type === 'Repeat') {
+      return bindTemplateRepeat(node, scope, nodePath);
+    }
+    const bound = bindTemplateValue(node, scope, nodePath);
+    return bound === undefined ? [] : [bound];
+  });
+}
+
+function bindTemplateValue(value, scope, path) {
+  if (typeof value === 'string') {
+    return bindTemplateString(value, scope);
+  }
+  if (Array.isArray(value)) {
+    return bindTemplateNodes(value, scope, path);
+  }
+  if (!isPlainObject(value)) {
+    return value;
+  }
+  if (value.type === 'Repeat') {
+    throw new SceneError(path, 'Repeat can only be used in an array');
+  }
+  if (!isTemplateNodeVisible(value, scope, path)) {
+    return undefined;
+  }
+  if (value.type === 'If') {
+    const test = bindTemplateValue(
+      value.test,
+      scope,
+      joinScenePath(path, 'test'),
+    );
+    const key = test ? 'child' : 'else';
+    return value[key] === undefined
+      ? undefined
+      : bindTemplateValue(value[key], scope, joinScenePath(path, key));
+  }
+  const result = {};
+  Object.entries(value).forEach(([key, item]) => {
+    if (key === 'visible') return;
+    const bound = bindTemplateValue(item, scope, joinScenePath(path, key));
+    if (bound !== undefined) {
+      result[key] = bound;
+    }
+  });
+  return result;
+}
+
+export function bindTemplate(template, data) {
+  const node = typeof template === 'string' ? JSON.parse(template) : template;
+  const bound = bindTemplateValue(node, data, '$');
+  if (bound === undefined) {
+    throw new SceneError('$', 'the template is empty for this data');
+  }
+  return bound;
+}
+
+export function fromTemplate(template, data, { images } = {}) {
+  return fromJSON(bindTemplate(template, data), { images });
+}
+
+function resetBatchContext(ctx, width, height) {
+  if (ctx instanceof RecordingContext) {
+    ctx.clear();
+    ctx.width = width;
+    ctx.height = height;
+  } else if (ctx.canvas.width !== width || ctx.canvas.height !== height) {
+    ctx.canvas.width = width;
+    ctx.canvas.height = height;
+  } else {
+    ctx.clearRect(0, 0, width, height);
+  }
+}
+
+export async function renderBatch(
+  template,
+  records,
+  {
+    context = new RecordingContext(),
+    width = context.canvas.width,
+    height,
+    images,
+    loader,
+    timeout,
+    onRender,
+  } = {},
+) {
+  const node = typeof template === 'string' ? JSON.parse(template) : template;
+  const results = [];
+  let index = 0;
+  for (const record of records) {
+    const result = { index, record };
+    try {
+      const component = fromTemplate(node, record, { images });
+      component.init();
+      const { failed } = await component.prepare({ loader, timeout });
+      component.layout(getDrawInstance(width, height ?? 0), context);
+      const canvasHeight = height ?? component.height;
+      resetBatchContext(context, width, canvasHeight);
+      component.draw(getDrawInstance(width, canvasHeight), context);
+      Object.assign(result, {
+        width,
+        height: canvasHeight,
+        failedImages: failed,
+      });
+      if (onRender) {
+        result.output = await onRender({
+          index,
+          record,
+          component,
+          context,
+          width,
+          height: canvasHeight,
+        });
+      }
+    } catch (error) {
+      result.error = error;
+    }
+    results.push(result);
+    index++;
+  }
+  return results;
+}
+
+function registerBuiltinComponent(
+  type,
+  component,
+  { fields = {}, child, create, values = (c) => c, match },
+) {
+  registerComponent(type, {
+    component,
+    match,
+    fromJSON(node, scene) {
+      const options = scene.fields(fields);
+      if (child === 'child') {
+        return create
+          ? create(options, scene.child(), scene)
+          : new component(options, scene.child());
+      } else if (child === 'children') {
+        return new component(options, ...scene.children());
+      }
+      return create ? create(options, undefined, scene) : new component(options);
+    },
+    toJSON(c, scene) {
+      return {
+        ...scene.fields(fields, values(c)),
+        ...(child === 'child' ? scene.child() : {}),
+        ...(child === 'children' ? scene.children() : {}),
+      };
+    },
+  });
+}
+
+registerBuiltinComponent('CircleShaped', CircleShaped, {
+  child: 'child',
+  create: (options, child) => new CircleShaped(child),
+});
+registerBuiltinComponent('RectangleShaped', RectangleShaped, {
+  fields: { radius: sceneField.number() },
+  child: 'child',
+});
+registerBuiltinComponent('ClipRect', ClipRect, {
+  child: 'child',
+  create: (options, child) => new ClipRect(child),
+});
+registerBuiltinComponent('Transform', Transform, {
+  fields: {
+    rotate: sceneField.number(0),
+    scale: sceneField.number(),
+    scaleX: sceneField.number(1),
+    scaleY: sceneField.number(1),
+    skewX: sceneField.number(0),
+    skewY: sceneField.number(0),
+    translateX: sceneField.number(0),
+    translateY: sceneField.number(0),
+    origin: sceneField.object({
+      x: sceneField.number(0.5),
+      y: sceneField.number(0.5),
+    }),
+    fitBounds: sceneField.boolean(true),
+  },
+  child: 'child',
+});
+registerBuiltinComponent('Opacity', Opacity, {
+  fields: { opacity: sceneField.number(1) },
+  child: 'child',
+});
+registerBuiltinComponent('BlendMode', BlendMode, {
+  fields: { mode: sceneField.oneOf(blendModes, 'multiply') },
+  child: 'child',
+});
+registerBuiltinComponent('Canvas', Canvas, {
+  fields: {
+    backgroundColor: sceneField.color(),
+    grid: sceneField.boolean(false),
+  },
+  child: 'child',
+});
+const overflowSceneField = sceneField.oneOf(['visible', 'hidden'], 'visible');
+
+registerBuiltinComponent('Stack', Stack, {
+  fields: {
+    width: sceneField.number(),
+    height: sceneField.number(),
+    overflow: overflowSceneField,
+  },
+  child: 'children',
+  values: (c) => ({ ...c, width: c.widthOverride, height: c.heightOverride }),
+});
+registerBuiltinComponent('Positional', Positional, {
+  fields: {
+    mode: sceneField.oneOf(['relative', 'absolute'], 'relative'),
+    x: sceneField.number(0),
+    y: sceneField.number(0),
+  },
+  child: 'child',
+});
+const mainAxisAlignments = [
+  'start',
+  'end',
+  'center',
+  'spaceBetween',
+  'spaceAround',
+  'spaceEvenly',
+];
+
+registerBuiltinComponent('Column', Column, {
+  fields: {
+    alignment: sceneField.oneOf(['left', 'center', 'right', 'stretch'], 'left'),
+    mainAxisAlignment: sceneField.oneOf(mainAxisAlignments, 'start'),
+    gap: sceneField.number(),
+    width: sceneField.number(),
+    height: sceneField.number(),
+    overflow: overflowSceneField,
+  },
+  child: 'children',
+  values: (c) => ({ ...c, width: c.widthOverride, height: c.heightOverride }),
+});
+registerBuiltinComponent('Row', Row, {
+  fields: {
+    alignment: sceneField.oneOf(
+      ['top', 'center', 'bottom', 'stretch', 'baseline'],
+      'top',
+    ),
+    mainAxisAlignment: sceneField.oneOf(mainAxisAlignments, 'start'),
+    shrink: sceneField.boolean(false),
+    gap: sceneField.number(),
+    wrap: sceneField.boolean(false),
+    runGap: sceneField.number(),
+    overflow: overflowSceneField,
+  },
+  child: 'children',
+  values: (c) => ({
+    ...c,
+    runGap:
+      c.runGap === c.gap && !c._themed.has('gap') ? undefined : c.runGap,
+  }),
+});
+registerBuiltinComponent('Flexible', Flexible, {
+  fields: {
+    flex: sceneField.number(1),
+    fit: sceneField.oneOf(['loose', 'tight'], 'loose'),
+  },
+  child: 'child',
+});
+registerBuiltinComponent('Expanded', Expanded, {
+  fields: { flex: sceneField.number(1) },
+  child: 'child',
+});
+registerBuiltinComponent('ScrollView', ScrollView, {
+  fields: {
+    direction: sceneField.oneOf(['vertical', 'horizontal'], 'vertical'),
+    scrollOffset: sceneField.number(0),
+  },
+  child: 'child',
+});
+registerBuiltinComponent('Padding', Padding, {
+  fields: {
+    left: sceneField.number(0),
+    right: sceneField.number(0),
+    top: sceneField.number(0),
+    bottom: sceneField.number(0),
+  },
+  child: 'child',
+});
+registerBuiltinComponent('SizedBox', SizedBox, {
+  fields: { width: sceneField.number(), height: sceneField.number() },
+  child: 'child',
+  values: (c) => ({ width: c.widthOverride, height: c.heightOverride }),
+});
+registerBuiltinComponent('ConstrainedBox', ConstrainedBox, {
+  fields: {
+    minWidth: sceneField.number(0),
+    maxWidth: sceneField.number(),
+    minHeight: sceneField.number(0),
+    maxHeight: sceneField.number(),
+  },
+  child: 'child',
+  values: ({ constraints }) => ({
+    minWidth: constraints.minWidth,
+    maxWidth: constraints.hasBoundedWidth ? constraints.maxWidth : undefined,
+    minHeight: constraints.minHeight,
+    maxHeight: constraints.hasBoundedHeight ? constraints.maxHeight : undefined,
+  }),
+});
+registerBuiltinComponent('AspectRatio', AspectRatio, {
+  fields: { aspectRatio: sceneField.number(1) },
+  child: 'child',
+});
+registerBuiltinComponent('FractionallySizedBox', FractionallySizedBox, {
+  fields: {
+    widthFactor: sceneField.number(),
+    heightFactor: sceneField.number(),
+    alignment: sceneField.oneOf(['left', 'center', 'right'], 'center'),
+    verticalAlignment: sceneField.oneOf(['top', 'center', 'bottom'], 'center'),
+  },
+  child: 'child',
+});
+registerBuiltinComponent('Align', Align, {
+  fields: {
+    alignment: sceneField.oneOf(['left', 'center', 'right'], 'center'),
+    verticalAlignment: sceneField.oneOf(['top', 'center', 'bottom'], 'center'),
+    widthFactor: sceneField.number(),
+    heightFactor: sceneField.number(),
+  },
+  child: 'child',
+});
+registerBuiltinComponent('Center', Center, {
+  fields: {
+    widthFactor: sceneField.number(),
+    heightFactor: sceneField.number(),
+  },
+  child: 'child',
+});
+registerBuiltinComponent('Expand', SingleChildCustomComponent, {
+  child: 'child',
+  create: (options, child) => Expand(child),
+  match: (c) => expandedComponents.has(c),
+});
+registerBuiltinComponent('Rect', Rect, {
+  fields: {
+    width: sceneField.number(10),
+    height: sceneField.number(10),
+    color: sceneField.color(),
+    stroked: sceneField.boolean(false),
+    lineWidth: sceneField.number(1),
+    borderRadius: sceneField.number(),
+  },
+  values: (c) => ({ ...c, width: c.widthOverride, height: c.heightOverride }),
+});
+registerBuiltinComponent('Outlined', Outlined, {
+  fields: {
+    lineWidth: sceneField.number(1),
+    color: sceneField.color(),
+    borderRadius: sceneField.number(),
+  },
+  child: 'child',
+});
+
+function readScenePadding(scene, key) {
+  const value = scene.node[key];
+  if (value === undefined || typeof value === 'number') {
+    return value;
+  }
+  if (!isPlainObject(value)) {
+    throw scene.error(key, 'expected a number or { left, right, top, bottom }');
+  }
+  return new SceneReader(
+    value,
+    joinScenePath(scene.path, key),
+    scene.options,
+  ).fields({
+    left: sceneField.number(),
+    right: sceneField.number(),
+    top: sceneField.number(),
+    bottom: sceneField.number(),
+  });
+}
+
+function readSceneStroke(scene, key) {
+  const value = scene.node[key];
+  if (value == null) {
+    return value;
+  }
+  if (!isPlainObject(value)) {
+    throw scene.error(key, 'expected { lineWidth, color } or null');
+  }
+  return new SceneReader(
+    value,
+    joinScenePath(scene.path, key),
+    scene.options,
+  ).fields({
+    lineWidth: sceneField.number(),
+    color: sceneField.color(),
+  });
+}
+
+function writeSceneStroke(stroke, path) {
+  return stroke && { ...stroke, color: colorToJSON(stroke.color, path) };
+}
+
+const borderSideSceneFields = {
+  width: sceneField.number(),
+  color: sceneField.color(),
+  style: sceneField.oneOf(['solid', 'dashed', 'dotted']),
+};
+
+const boxShadowSceneFields = {
+  color: sceneField.color(),
+  offsetX: sceneField.number(),
+  offsetY: sceneField.number(),
+  blur: sceneField.number(),
+  spread: sceneField.number(),
+  inset: sceneField.boolean(),
+};
+
+function getDecorationSceneFields({ border, borderRadius }) {
+  const perSide = borderSides.some((side) => border?.[side] !== undefined);
+  return {
+    backgroundColor: sceneField.color(),
+    border: sceneField.object(
+      perSide
+        ? Object.fromEntries(
+          borderSides.map((side) => [
+            side,
+            sceneField.object(borderSideSceneFields),
+          ]),
+        )
+        : borderSideSceneFields,
+    ),
+    borderRadius: isPlainObject(borderRadius)
+      ? sceneField.object({
+        topLeft: sceneField.number(),
+        topRight: sceneField.number(),
+        bottomRight: sceneField.number(),
+        bottomLeft: sceneField.number(),
+      })
+      : sceneField.number(0),
+    overflow: overflowSceneField,
+  };
+}
+
+function readSceneBoxShadow(scene, key) {
+  const value = scene.node[key];
+  if (value == null) {
+    return value;
+  }
+  const read = (shadow, path) => {
+    if (!isPlainObject(shadow)) {
+      throw new SceneError(
+        path,
+        `expected { ${Object.keys(boxShadowSceneFields).join(', ')} }`,
+      );
+    }
+    return new SceneReader(shadow, path, scene.options).fields(
+      boxShadowSceneFields,
+    );
+  };
+  const path = joinScenePath(scene.path, key);
+  return Array.isArray(value)
+    ? value.map((shadow, i) => read(shadow, joinScenePath(path, i)))
+    : read(value, path);
+}
+
+function writeSceneBoxShadow(scene, boxShadow) {
+  if (boxShadow == null) {
+    return {};
+  }
+  const path = joinScenePath(scene.path, 'boxShadow');
+  const write = (shadow, path) =>
+    new SceneWriter(shadow, path, scene.options).fields(boxShadowSceneFields);
+  return {
+    boxShadow: Array.isArray(boxShadow)
+      ? boxShadow.map((shadow, i) => write(shadow, joinScenePath(path, i)))
+      : write(boxShadow, path),
+  };
+}
+
+function registerDecoratedComponent(type, component, sizeFields = {}) {
+  registerComponent(type, {
+    component,
+    fromJSON(node, scene) {
+      const options = scene.fields(
+        { ...sizeFields, ...getDecorationSceneFields(node) },
+        ['backgroundImage', 'boxShadow', 'padding', 'margin'],
+      );
+      return new component(
+        {
+          ...options,
+          backgroundImage: scene.child('backgroundImage'),
+          boxShadow: readSceneBoxShadow(scene, 'boxShadow'),
+          padding: readScenePadding(scene, 'padding'),
+          margin: readScenePadding(scene, 'margin'),
+        },
+        scene.child(),
+      );
+    },
+    toJSON(c, scene) {
+      return {
+        ...scene.fields(
+          { ...sizeFields, ...getDecorationSceneFields(c) },
+          { ...c, width: c.widthOverride, height: c.heightOverride },
+        ),
+        ...(c.backgroundImage
+          ? scene.child(c.backgroundImage, 'backgroundImage')
+          : {}),
+        ...writeSceneBoxShadow(scene, c.boxShadow),
+        ...(c.padding !== 0 ? { padding: c.padding } : {}),
+        ...(c.margin !== 0 ? { margin: c.margin } : {}),
+        ...scene.child(),
+      };
+    },
+  });
+}
+
+registerDecoratedComponent('DecoratedBox', DecoratedBox);
+registerDecoratedComponent('Container', Container, {
+  width: sceneField.number(),
+  height: sceneField.number(),
+});
+
+const shapeStrokeSceneFields = {
+  color: sceneField.color(),
+  lineWidth: sceneField.number(),
+  dash: sceneField.numbers(),
+  dashOffset: sceneField.number(),
+  cap: sceneField.oneOf(['butt', 'round', 'square']),
+  join: sceneField.oneOf(['miter', 'round', 'bevel']),
+};
+
+function getShapeSceneFields({ fill, stroke }) {
+  return {
+    fill: sceneField.color(fill, true),
+    stroke: sceneField.object(shapeStrokeSceneFields, stroke),
+  };
+}
+
+function readScenePoints(scene, key) {
+  const value = scene.node[key];
+  if (value === undefined) {
+    return value;
+  }
+  if (
+    !Array.isArray(value) ||
+    !value.every(
+      (point) =>
+        Array.isArray(point) &&
+        point.length === 2 &&
+        point.every((n) => typeof n === 'number'),
+    )
+  ) {
+    throw scene.error(key, 'expected an array of [x, y] points');
+  }
+  return value;
+}
+
+registerBuiltinComponent('Path', Path, {
+  fields: {
+    d: sceneField.string(),
+    viewBox: sceneField.object({
+      x: sceneField.number(),
+      y: sceneField.number(),
+      width: sceneField.number(),
+      height: sceneField.number(),
+    }),
+    width: sceneField.number(),
+    height: sceneField.number(),
+    ...getShapeSceneFields({ fill: 'black', stroke: null }),
+    fillRule: sceneField.oneOf(['nonzero', 'evenodd'], 'nonzero'),
+  },
+  values: (c) => ({ ...c, width: c.widthOverride, height: c.heightOverride }),
+});
+registerBuiltinComponent('Line', Line, {
+  fields: {
+    x1: sceneField.number(0),
+    y1: sceneField.number(0),
+    x2: sceneField.number(0),
+    y2: sceneField.number(0),
+    stroke: sceneField.object(shapeStrokeSceneFields),
+  },
+});
+[
+  ['Polyline', Polyline, {}],
+  ['Polygon', Polygon, { fill: 'black', stroke: null }],
+].forEach(([type, component, defaults]) => {
+  const fields = getShapeSceneFields(defaults);
+  registerComponent(type, {
+    component,
+    fromJSON(node, scene) {
+      return new component({
+        ...scene.fields(fields, ['points']),
+        points: readScenePoints(scene, 'points'),
+      });
+    },
+    toJSON(c, scene) {
+      return { points: c.points, ...scene.fields(fields) };
+    },
+  });
+});
+registerBuiltinComponent('Ellipse', Ellipse, {
+  fields: {
+    width: sceneField.number(10),
+    height: sceneField.number(10),
+    ...getShapeSceneFields({ fill: 'black', stroke: null }),
+  },
+  values: (c) => ({ ...c, width: c.widthOverride, height: c.heightOverride }),
+});
+registerBuiltinComponent('Arrow', Arrow, {
+  fields: {
+    x1: sceneField.number(0),
+    y1: sceneField.number(0),
+    x2: sceneField.number(0),
+    y2: sceneField.number(0),
+    startHead: sceneField.oneOf(arrowHeads, 'none'),
+    endHead: sceneField.oneOf(arrowHeads, 'triangle'),
+    headSize: sceneField.number(10),
+    stroke: sceneField.object(shapeStrokeSceneFields),
+  },
+});
+registerBuiltinComponent('Divider', Divider, {
+  fields: {
+    direction: sceneField.oneOf(['horizontal', 'vertical'], 'horizontal'),
+    length: sceneField.number(),
+    space: sceneField.number(),
+    indent: sceneField.number(0),
+    endIndent: sceneField.number(0),
+    stroke: sceneField.object(shapeStrokeSceneFields),
+  },
+});
+registerBuiltinComponent('QRCode', QRCode, {
+  fields: {
+    text: sceneField.string(''),
+    mode: sceneField.oneOf(
+      ['auto', 'numeric', 'alphanumeric', 'byte', 'kanji'],
+      'auto',
+    ),
+    ecLevel: sceneField.oneOf(qrEcLevels, 'M'),
+    version: sceneField.number(),
+    mask: sceneField.number(),
+    size: sceneField.number(),
+    quietZone: sceneField.number(4),
+    color: sceneField.color('black'),
+    backgroundColor: sceneField.color('white', true),
+    moduleRadius: sceneField.number(0),
+  },
+  child: 'child',
+});
+registerBuiltinComponent('Barcode', Barcode, {
+  fields: {
+    data: sceneField.string(''),
+    format: sceneField.oneOf(Object.keys(barcodeFormats), 'code128'),
+    moduleWidth: sceneField.number(),
+    barHeight: sceneField.number(50),
+    quietZone: sceneField.number(10),
+    showText: sceneField.boolean(true),
+    textSize: sceneField.number(12),
+    fontFamily: sceneField.strings('monospace'),
+    color: sceneField.color('black'),
+    backgroundColor: sceneField.color('white', true),
+  },
+});
+
+registerComponent('Table', {
+  component: Table,
+  fromJSON(node, scene) {
+    const fields = {
+      alignment: sceneField.oneOf(['left', 'center', 'right'], 'left'),
+      verticalAlignment: sceneField.oneOf(['top', 'center', 'bottom'], 'top'),
+    };
+    const options = scene.fields(fields, [
+      'columns',
+      'cellPadding',
+      'border',
+      'gridlines',
+    ]);
+    const columns = node.columns ?? [];
+    if (!Array.isArray(columns)) {
+      throw scene.error('columns', 'expected an array of column widths');
+    }
+    columns.forEach((column, i) => {
+      try {
+        parseTableColumn(column);
+      } catch (e) {
+        throw scene.error('columns', `[${i}] ${e.message}`);
+      }
+    });
+    options.columns = columns;
+    options.cellPadding = readScenePadding(scene, 'cellPadding');
+    ['border', 'gridlines'].forEach((key) => {
+      if (key in node) {
+        options[key] = readSceneStroke(scene, key);
+      }
+    });
+    return new Table(options, ...scene.children());
+  },
+  toJSON(c, scene) {
+    return {
+      ...(c.columns.length ? { columns: c.columns } : {}),
+      ...(c.cellPadding ? { cellPadding: c.cellPadding } : {}),
+      ...scene.fields({
+        alignment: sceneField.oneOf(['left', 'center', 'right'], 'left'),
+        verticalAlignment: sceneField.oneOf(['top', 'center', 'bottom'], 'top'),
+      }),
+      border: writeSceneStroke(c.border, joinScenePath(scene.path, 'border')),
+      gridlines: writeSceneStroke(
+        c.gridlines,
+        joinScenePath(scene.path, 'gridlines'),
+      ),
+      ...scene.children(),
+    };
+  },
+});
+registerBuiltinComponent('TableRow', TableRow, {
+  fields: { backgroundColor: sceneField.color() },
+  child: 'children',
+});
+
+const tableCellSceneFields = {
+  colSpan: sceneField.number(1),
+  rowSpan: sceneField.number(1),
+  alignment: sceneField.oneOf(['left', 'center', 'right']),
+  verticalAlignment: sceneField.oneOf(['top', 'center', 'bottom']),
+  backgroundColor: sceneField.color(),
+};
+
+registerComponent('TableCell', {
+  component: TableCell,
+  fromJSON(node, scene) {
+    const options = scene.fields(tableCellSceneFields, ['padding']);
+    options.padding = readScenePadding(scene, 'padding');
+    return new TableCell(options, scene.child());
+  },
+  toJSON(c, scene) {
+    return {
+      ...scene.fields(tableCellSceneFields),
+      ...(c.padding != null ? { padding: c.padding } : {}),
+      ...scene.child(),
+    };
+  },
+});
+
+const textStrokeSceneField = sceneField.object({
+  lineWidth: sceneField.number(),
+  color: sceneField.color(),
+});
+
+const textShadowSceneField = sceneField.object({
+  color: sceneField.color(),
+  offsetX: sceneField.number(),
+  offsetY: sceneField.number(),
+  blur: sceneField.number(),
+});
+
+const textDecorationSceneField = (defaultValue) =>
+  sceneField.oneOf(
+    ['none', 'underline', 'lineThrough', 'overline'],
+    defaultValue,
+  );
+
+const textSceneFields = {
+  variant: sceneField.string('body'),
+  color: sceneField.color(),
+  size: sceneField.number(),
+  weight: sceneField.string(),
+  lineHeight: sceneField.number(),
+  fontFamily: sceneField.strings(),
+  fontStyle: sceneField.oneOf(['normal', 'italic', 'oblique']),
+  textAlign: sceneField.oneOf(['left', 'center', 'right', 'justify'], 'left'),
+  letterSpacing: sceneField.number(),
+  wordSpacing: sceneField.number(0),
+  decoration: textDecorationSceneField('none'),
+  decorationColor: sceneField.color(),
+  decorationThickness: sceneField.number(),
+  stroke: textStrokeSceneField,
+  shadow: textShadowSceneField,
+  textWrap: sceneField.oneOf(['wrap', 'nowrap'], 'nowrap'),
+  maxLines: sceneField.number(),
+  overflow: sceneField.oneOf(['visible', 'ellipsis'], 'ellipsis'),
+  wordBreak: sceneField.oneOf(['normal', 'break-all', 'keep-all'], 'normal'),
+  hyphens: sceneField.oneOf(['none', 'manual', 'auto'], 'manual'),
+};
+
+registerComponent('Text', {
+  component: Text,
+  fromJSON(node, scene) {
+    const content = scene.value('content', sceneField.string(''));
+    return new Text(content, scene.fields(textSceneFields, ['content']));
+  },
+  toJSON(c, scene) {
+    return {
+      content: c.content,
+      ...scene.fields(textSceneFields),
+    };
+  },
+});
+
+const themeTextStyleSceneFields = {
+  color: sceneField.color(),
+  size: sceneField.number(),
+  weight: sceneField.string(),
+  lineHeight: sceneField.number(),
+  fontFamily: sceneField.strings(),
+  fontStyle: sceneField.oneOf(['normal', 'italic', 'oblique']),
+  letterSpacing: sceneField.number(),
+};
+
+const themeSceneFields = {
+  typography: sceneField.object(themeTextStyleSceneFields),
+  colors: sceneField.color(),
+  spacing: sceneField.number(),
+  radii: sceneField.number(),
+};
+
+function readSceneRecord(scene, key, field) {
+  const value = scene.node[key];
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!isPlainObject(value)) {
+    throw scene.error(key, 'expected an object');
+  }
+  const reader = new SceneReader(
+    value,
+    joinScenePath(scene.path, key),
+    scene.options,
+  );
+  return Object.fromEntries(
+    Object.keys(value).map((name) => [name, reader.value(name, field)]),
+  );
+}
+
+function writeSceneRecord(scene, record, key, field) {
+  if (record == null) {
+    return {};
+  }
+  const fields = Object.fromEntries(
+    Object.keys(record).map((name) => [name, field]),
+  );
+  return {
+    [key]: new SceneWriter(
+      record,
+      joinScenePath(scene.path, key),
+      scene.options,
+    ).fields(fields),
+  };
+}
+
+registerComponent('Theme', {
+  component: Theme,
+  fromJSON(node, scene) {
+    scene.fields({}, Object.keys(themeSceneFields));
+    const options = {};
+    Object.entries(themeSceneFields).forEach(([key, field]) => {
+      options[key] = readSceneRecord(scene, key, field);
+    });
+    return new Theme(options, scene.child());
+  },
+  toJSON(c, scene) {
+    const result = {};
+    Object.entries(themeSceneFields).forEach(([key, field]) => {
+      Object.assign(result, writeSceneRecord(scene, c[key], key, field));
+    });
+    return { ...result, ...scene.child() };
+  },
+});
+
+const textSpanSceneFields = {
+  color: sceneField.color(),
+  size: sceneField.number(),
+  weight: sceneField.string(),
+  fontFamily: sceneField.strings(),
+  fontStyle: sceneField.oneOf(['normal', 'italic', 'oblique']),
+  letterSpacing: sceneField.number(),
+  wordSpacing: sceneField.number(),
+  backgroundColor: sceneField.color(),
+  decoration: textDecorationSceneField(),
+  decorationColor: sceneField.color(),
+  decorationThickness: sceneField.number(),
+  stroke: textStrokeSceneField,
+  shadow: textShadowSceneField,
+};
+
+function readSceneSpans(scene, key) {
+  const spans = scene.node[key] ?? [];
+  if (!Array.isArray(spans)) {
+    throw scene.error(key, 'expected an array of spans');
+  }
+  const path = joinScenePath(scene.path, key);
+  return spans.map((span, i) => {
+    const spanPath = joinScenePath(path, i);
+    if (typeof span === 'string' || Number.isFinite(span)) {
+      return String(span);
+    }
+    if (!isPlainObject(span)) {
+      throw new SceneError(spanPath, 'expected a string or a span object');
+    }
+    const reader = new SceneReader(span, spanPath, scene.options);
+    if ('widget' in span) {
+      const { alignment } = reader.fields(
+        {
+          alignment: sceneField.oneOf(['baseline', 'middle', 'top', 'bottom']),
+        },
+        ['widget'],
+      );
+      return new WidgetSpan({ alignment }, reader.child('widget'));
+    }
+    const style = reader.fields(textSpanSceneFields, ['text', 'spans']);
+    const text = reader.value('text', sceneField.string(''));
+    return new TextSpan(text, style, ...readSceneSpans(reader, 'spans'));
+  });
+}
+
+function writeSceneSpans(scene, spans, path) {
+  return spans.map((span, i) => {
+    const spanPath = joinScenePath(path, i);
+    if (typeof span === 'string') {
+      return span;
+    }
+    if (span instanceof WidgetSpan) {
+      return {
+        widget: writeSceneNode(
+          span.child,
+          joinScenePath(spanPath, 'widget'),
+          scene.options,
+        ),
+        ...(span.alignment !== 'baseline' ? { alignment: span.alignment } : {}),
+      };
+    }
+    const writer = new SceneWriter(span, spanPath, scene.options);
+    return {
+      ...(span.text ? { text: span.text } : {}),
+      ...writer.fields(textSpanSceneFields),
+      ...(span.children.length
+        ? {
+          spans: writeSceneSpans(
+            scene,
+            span.children,
+            joinScenePath(spanPath, 'spans'),
+          ),
+        }
+        : {}),
+    };
+  });
+}
+
+const richTextSceneFields = {
+  color: sceneField.color('black'),
+  size: sceneField.number(10),
+  weight: sceneField.string('normal'),
+  fontFamily: sceneField.strings('sans-serif'),
+  fontStyle: sceneField.oneOf(['normal', 'italic', 'oblique'], 'normal'),
+  lineHeight: sceneField.number(),
+  textWrap: sceneField.oneOf(['wrap', 'nowrap'], 'wrap'),
+  maxLines: sceneField.number(),
+  overflow: sceneField.oneOf(['visible', 'ellipsis'], 'ellipsis'),
+  wordBreak: sceneField.oneOf(['normal', 'break-all', 'keep-all'], 'normal'),
+  hyphens: sceneField.oneOf(['none', 'manual', 'auto'], 'manual'),
+};
+
+registerComponent('RichText', {
+  component: RichText,
+  fromJSON(node, scene) {
+    const options = scene.fields(richTextSceneFields, ['spans']);
+    return new RichText(options, ...readSceneSpans(scene, 'spans'));
+  },
+  toJSON(c, scene) {
+    return {
+      ...scene.fields(richTextSceneFields),
+      spans: writeSceneSpans(
+        scene,
+        c.spans,
+        joinScenePath(scene.path, 'spans'),
+      ),
+    };
+  },
+});
+
+const imageSceneFields = {
+  mode: sceneField.oneOf(
+    [
+      'fixed',
+      'widthFix',
+      'heightFix',
+      'fill',
+      'contain',
+      'cover',
+      'none',
+      'scaleDown',
+    ],
+    'fixed',
+  ),
+  width: sceneField.number(),
+  height: sceneField.number(),
+  alignment: sceneField.oneOf(['left', 'center', 'right'], 'center'),
+  verticalAlignment: sceneField.oneOf(['top', 'center', 'bottom'], 'center'),
+};
+
+registerComponent('CanvasImage', {
+  component: CanvasImage,
+  fromJSON(node, scene) {
+    const options = scene.fields(imageSceneFields, [
+      'src',
+      'slice',
+      'placeholder',
+      'fallback',
+    ]);
+    return new CanvasImage(scene.image('src'), {
+      ...options,
+      slice: readScenePadding(scene, 'slice'),
+      placeholder: scene.child('placeholder'),
+      fallback: scene.child('fallback'),
+    });
+  },
+  toJSON(c, scene) {
+    return {
+      ...scene.image(c.src),
+      ...scene.fields(imageSceneFields, {
+        ...c,
+        width: c.widthOverride,
+        height: c.heightOverride,
+      }),
+      ...(c.slice != null ? { slice: c.slice } : {}),
+      ...scene.child(c.placeholder, 'placeholder'),
+      ...scene.child(c.fallback, 'fallback'),
+    };
+  },
+});
+
+function getTouchPoint(e) {
+  const touch = e.changedTouches?.[0] ?? e.touches?.[0] ?? e.detail ?? e;
+  return [touch.x ?? touch.clientX, touch.y ?? touch.clientY];
+}
+
+export class PointerDispatcher {
+  root;
+  tapSlop;
+
+  _down;
+
+  constructor(root, { tapSlop = 10 } = {}) {
+    this.root = root;
+    this.tapSlop = tapSlop;
+  }
+  static new(root, { tapSlop = 10 } = {}) {
+    return new PointerDispatcher(...arguments);
+  }
+
+  dispatch(type, x, y, nativeEvent) {
+    const path = this.root.hitTest(x, y);
+    const event = {
+      type,
+      x,
+      y,
+      path,
+      target: path[path.length - 1],
+      currentTarget: undefined,
+      nativeEvent,
+      stopped: false,
+      stopPropagation() {
+        this.stopped = true;
+      },
+    };
+    for (let i = path.length - 1; i >= 0 && !event.stopped; i--) {
+      const handler = path[i].handlers[type];
+      if (handler) {
+        event.currentTarget = path[i];
+        handler.call(path[i], event);
+      }
+    }
+    return event;
+  }
+
+  pointerDown(x, y, nativeEvent) {
+    this._down = { x, y };
+    return this.dispatch('pointerDown', x, y, nativeEvent);
+  }
+
+  pointerMove(x, y, nativeEvent) {
+    if (
+      this._down &&
+      Math.hypot(x - this._down.x, y - this._down.y) > this.tapSlop
+    ) {
+      this._down = undefined;
+    }
+    return this.dispatch('pointerMove', x, y, nativeEvent);
+  }
+
+  pointerUp(x, y, nativeEvent) {
+    const down = this._down;
+    this._down = undefined;
+    if (down && Math.hypot(x - down.x, y - down.y) <= this.tapSlop) {
+      return this.dispatch('tap', x, y, nativeEvent);
+    }
+  }
+
+  pointerCancel() {
+    this._down = undefined;
+  }
+
+  touchStart(e) {
+    return this.pointerDown(...getTouchPoint(e), e);
+  }
+
+  touchMove(e) {
+    return this.pointerMove(...getTouchPoint(e), e);
+  }
+
+  touchEnd(e) {
+    return this.pointerUp(...getTouchPoint(e), e);
+  }
+
+  touchCancel() {
+    this.pointerCancel();
+  }
+
+  attach(canvas) {
+    const toCanvasPoint = (e) => {
+      const rect = canvas.getBoundingClientRect();
+      return [
+        ((e.clientX - rect.left) * canvas.width) / rect.width,
+        ((e.clientY - rect.top) * canvas.height) / rect.height,
+      ];
+    };
+    const listeners = {
+      pointerdown: (e) => this.pointerDown(...toCanvasPoint(e), e),
+      pointermove: (e) => this.pointerMove(...toCanvasPoint(e), e),
+      pointerup: (e) => this.pointerUp(...toCanvasPoint(e), e),
+      pointercancel: () => this.pointerCancel(),
+    };
+    Object.entries(listeners).forEach(([type, listener]) => {
+      canvas.addEventListener(type, listener);
+    });
+    return () => {
+      Object.entries(listeners).forEach(([type, listener]) => {
+        canvas.removeEventListener(type, listener);
+      });
+    };
+  }
+}
+
+function cubicBezier(x1, y1, x2, y2) {
+  const sample = (a1, a2, t) =>
+    3 * a1 * t * (1 - t) ** 2 + 3 * a2 * t ** 2 * (1 - t) + t ** 3;
+  return (x) => {
+    if (x <= 0 || x >= 1) {
+      return x <= 0 ? 0 : 1;
+    }
+    let low = 0;
+    let high = 1;
+    let t = x;
+    for (let i = 0; i < 30; i++) {
+      const value = sample(x1, x2, t);
+      if (Math.abs(value - x) < 1e-7) break;
+      if (value < x) {
+        low = t;
+      } else {
+        high = t;
+      }
+      t = (low + high) / 2;
+    }
+    return sample(y1, y2, t);
+  };
+}
+
+export const Curves = {
+  linear: (t) => t,
+  ease: cubicBezier(0.25, 0.1, 0.25, 1),
+  easeIn: cubicBezier(0.42, 0, 1, 1),
+  easeOut: cubicBezier(0, 0, 0.58, 1),
+  easeInOut: cubicBezier(0.42, 0, 0.58, 1),
+  cubicBezier,
+};
+
+function getCurve(curve) {
+  if (typeof curve === 'function') {
+    return curve;
+  }
+  if (curve === 'cubicBezier' || !Curves[curve]) {
+    throw new Error(`unknown curve "${curve}"`);
+  }
+  return Curves[curve];
+}
+
+// The CSS named colors.
+const namedColors = {
+  aliceblue: 'f0f8ff',
+  antiquewhite: 'faebd7',
+  aqua: '00ffff',
+  aquamarine: '7fffd4',
+  azure: 'f0ffff',
+  beige: 'f5f5dc',
+  bisque: 'ffe4c4',
+  black: '000000',
+  blanchedalmond: 'ffebcd',
+  blue: '0000ff',
+  blueviolet: '8a2be2',
+  brown: 'a52a2a',
+  burlywood: 'deb887',
+  cadetblue: '5f9ea0',
+  chartreuse: '7fff00',
+  chocolate: 'd2691e',
+  coral: 'ff7f50',
+  cornflowerblue: '6495ed',
+  cornsilk: 'fff8dc',
+  crimson: 'dc143c',
+  cyan: '00ffff',
+  darkblue: '00008b',
+  darkcyan: '008b8b',
+  darkgoldenrod: 'b8860b',
+  darkgray: 'a9a9a9',
+  darkgreen: '006400',
+  darkgrey: 'a9a9a9',
+  darkkhaki: 'bdb76b',
+  darkmagenta: '8b008b',
+  darkolivegreen: '556b2f',
+  darkorange: 'ff8c00',
+  darkorchid: '9932cc',
+  darkred: '8b0000',
+  darksalmon: 'e9967a',
+  darkseagreen: '8fbc8f',
+  darkslateblue: '483d8b',
+  darkslategray: '2f4f4f',
+  darkslategrey: '2f4f4f',
+  darkturquoise: '00ced1',
+  darkviolet: '9400d3',
+  deeppink: 'ff1493',
+  deepskyblue: '00bfff',
+  dimgray: '696969',
+  dimgrey: '696969',
+  dodgerblue: '1e90ff',
+  firebrick: 'b22222',
+  floralwhite: 'fffaf0',
+  forestgreen: '228b22',
+  fuchsia: 'ff00ff',
+  gainsboro: 'dcdcdc',
+  ghostwhite: 'f8f8ff',
+  gold: 'ffd700',
+  goldenrod: 'daa520',
+  gray: '808080',
+  green: '008000',
+  greenyellow: 'adff2f',
+  grey: '808080',
+  honeydew: 'f0fff0',
+  hotpink: 'ff69b4',
+  indianred: 'cd5c5c',
+  indigo: '4b0082',
+  ivory: 'fffff0',
+  khaki: 'f0e68c',
+  lavender: 'e6e6fa',
+  lavenderblush: 'fff0f5',
+  lawngreen: '7cfc00',
+  lemonchiffon: 'fffacd',
+  lightblue: 'add8e6',
+  lightcoral: 'f08080',
+  lightcyan: 'e0ffff',
+  lightgoldenrodyellow: 'fafad2',
+  lightgray: 'd3d3d3',
+  lightgreen: '90ee90',
+  lightgrey: 'd3d3d3',
+  lightpink: 'ffb6c1',
+  lightsalmon: 'ffa07a',
+  lightseagreen: '20b2aa',
+  lightskyblue: '87cefa',
+  lightslategray: '778899',
+  lightslategrey: '778899',
+  lightsteelblue: 'b0c4de',
+  lightyellow: 'ffffe0',
+  lime: '00ff00',
+  limegreen: '32cd32',
+  linen: 'faf0e6',
+  magenta: 'ff00ff',
+  maroon: '800000',
+  mediumaquamarine: '66cdaa',
+  mediumblue: '0000cd',
+  mediumorchid: 'ba55d3',
+  mediumpurple: '9370db',
+  mediumseagreen: '3cb371',
+  mediumslateblue: '7b68ee',
+  mediumspringgreen: '00fa9a',
+  mediumturquoise: '48d1cc',
+  mediumvioletred: 'c71585',
+  midnightblue: '191970',
+  mintcream: 'f5fffa',
+  mistyrose: 'ffe4e1',
+  moccasin: 'ffe4b5',
+  navajowhite: 'ffdead',
+  navy: '000080',
+  oldlace: 'fdf5e6',
+  olive: '808000',
+  olivedrab: '6b8e23',
+  orange: 'ffa500',
+  orangered: 'ff4500',
+  orchid: 'da70d6',
+  palegoldenrod: 'eee8aa',
+  palegreen: '98fb98',
+  paleturquoise: 'afeeee',
+  palevioletred: 'db7093',
+  papayawhip: 'ffefd5',
+  peachpuff: 'ffdab9',
+  peru: 'cd853f',
+  pink: 'ffc0cb',
+  plum: 'dda0dd',
+  powderblue: 'b0e0e6',
+  purple: '800080',
+  rebeccapurple: '663399',
+  red: 'ff0000',
+  rosybrown: 'bc8f8f',
+  royalblue: '4169e1',
+  saddlebrown: '8b4513',
+  salmon: 'fa8072',
+  sandybrown: 'f4a460',
+  seagreen: '2e8b57',
+  seashell: 'fff5ee',
+  sienna: 'a0522d',
+  silver: 'c0c0c0',
+  skyblue: '87ceeb',
+  slateblue: '6a5acd',
+  slategray: '708090',
+  slategrey: '708090',
+  snow: 'fffafa',
+  springgreen: '00ff7f',
+  steelblue: '4682b4',
+  tan: 'd2b48c',
+  teal: '008080',
+  thistle: 'd8bfd8',
+  tomato: 'ff6347',
+  turquoise: '40e0d0',
+  violet: 'ee82ee',
+  wheat: 'f5deb3',
+  white: 'ffffff',
+  whitesmoke: 'f5f5f5',
+  yellow: 'ffff00',
+  yellowgreen: '9acd32',
+};
+
+function hslToRgb(h, s, l) {
+  const k = (n) => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  return [0, 8, 4].map(
+    (n) => (l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1))) * 255,
+  );
+}
+
+function parseColor(color) {
+  const text = String(color).trim().toLowerCase();
+  if (text === 'transparent') {
+    return [0, 0, 0, 0];
+  }
+  const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(
+    Object.hasOwn(namedColors, text) ? `#${namedColors[text]}` : text,
+  )?.[1];
+  if (hex) {
+    const digits =
+      hex.length <= 4
+        ? [...hex].map((digit) => digit + digit)
+        : hex.match(/../g);
+    const [r, g, b, a = 255] = digits.map((digit) => parseInt(digit, 16));
+    return [r, g, b, a / 255];
+  }
+  const args = /^rgba?\(([^)]*)\)$/.exec(text)?.[1].split(/[\s,/]+/);
+  if (args && (args.length === 3 || args.length === 4)) {
+    const [r, g, b, a = 1] = args.map((arg, i) =>
+      arg.endsWith('%')
+        ? (parseFloat(arg) / 100) * (i < 3 ? 255 : 1)
+        : parseFloat(arg),
+    );
+    if (![r, g, b, a].some(Number.isNaN)) {
+      return [r, g, b, a];
+    }
+  }
+  const hsl = /^hsla?\(([^)]*)\)$/.exec(text)?.[1].split(/[\s,/]+/);
+  if (hsl && (hsl.length === 3 || hsl.length === 4)) {
+    const [, hue, unit = 'deg'] = /^(-?[\d.]+)(deg|turn)?$/.exec(hsl[0]) ?? [];
+    const h = parseFloat(hue) * (unit === 'turn' ? 360 : 1);
+    const [s, l] = hsl.slice(1, 3).map((arg) =>
+      arg.endsWith('%') ? parseFloat(arg) / 100 : NaN,
+    );
+    const a = hsl[3]?.endsWith('%')
+      ? parseFloat(hsl[3]) / 100
+      : parseFloat(hsl[3] ?? 1);
+    if (![h, s, l, a].some(Number.isNaN)) {
+      return [...hslToRgb(((h % 360) + 360) % 360, s, l), a];
+    }
+  }
+  throw new Error(`unsupported color "${color}"`);
+}
+
+function lerpNumber(from, to, t) {
+  return from + (to - from) * t;
+}
+
+function lerpColor(from, to, t, theme) {
+  [from, to] = [from, to].map((color) => resolveThemeColor(theme, color));
+  for (const color of [from, to]) {
+    if (typeof color !== 'string') {
+      throw new Error(`cannot tween the color ${color}`);
+    }
+  }
+  const [r1, g1, b1, a1] = parseColor(from);
+  const [r2, g2, b2, a2] = parseColor(to);
+  const a = Math.min(1, Math.max(0, lerpNumber(a1, a2, t)));
+  const channel = (c1, c2) =>
+    a
+      ? Math.round(
+        Math.min(255, Math.max(0, lerpNumber(c1 * a1, c2 * a2, t) / a)),
+      )
+      : 0;
+  const rgb = [channel(r1, r2), channel(g1, g2), channel(b1, b2)];
+  return `rgba(${rgb.join(', ')}, ${+a.toFixed(3)})`;
+}
+
+function hasColorStops(color) {
+  return Array.isArray(color?.colorStops);
+}
+
+function lerpGradient(from, to, t, theme) {
+  const stops = (gradient, other) =>
+    hasColorStops(gradient)
+      ? gradient.colorStops
+      : other.colorStops.map(({ offset }) => ({ offset, color: gradient }));
+  const fromStops = stops(from, to);
+  const toStops = stops(to, from);
+  if (fromStops.length !== toStops.length) {
+    throw new Error(
+      'gradients need the same number of color stops to be tweened',
+    );
+  }
+  // The type and geometry of the gradient switch halfway, like any other
+  // value that cannot be interpolated.
+  const gradient = [t < 0.5 ? from : to, from, to].find(hasColorStops);
+  return Object.assign(Object.create(Object.getPrototypeOf(gradient)), {
+    ...gradient,
+    colorStops: fromStops.map((stop, i) => ({
+      offset: lerpNumber(stop.offset, toStops[i].offset, t),
+      color: lerpColor(stop.color, toStops[i].color, t, theme),
+    })),
+  });
+}
+
+export class Tween {
+  from;
+  to;
+
+  constructor(from, to) {
+    this.from = from;
+    this.to = to;
+  }
+  static new(from, to) {
+    return new Tween(...arguments);
+  }
+
+  at(t, theme = defaultTheme) {
+    return this.lerp(this.from, this.to, t, theme);
+  }
+
+  lerp(from, to, t, theme = defaultTheme) {
+    if (typeof from === 'number' && typeof to === 'number') {
+      return lerpNumber(from, to, t);
+    }
+    if (from && to && typeof from === 'object' && typeof to === 'object') {
+      return Object.fromEntries(
+        Object.keys(to).map((key) => [
+          key,
+          this.lerp(from[key], to[key], t, theme),
+        ]),
+      );
+    }
+    throw new Error(`cannot tween from ${from} to ${to}`);
+  }
+}
+
+export class ColorTween extends Tween {
+  constructor(from, to) {
+    super(from, to);
+  }
+  static new(from, to) {
+    return new ColorTween(...arguments);
+  }
+
+  lerp(from, to, t, theme = defaultTheme) {
+    [from, to] = [from, to].map((color) => resolveThemeColor(theme, color));
+    if (hasColorStops(from) || hasColorStops(to)) {
+      return lerpGradient(from, to, t, theme);
+    }
+    return lerpColor(from, to, t, theme);
+  }
+}
+
+let frameScheduler = {
+  requestFrame(callback) {
+    if (typeof requestAnimationFrame === 'undefined') {
+      throw new Error(
+        'no frame scheduler is available, set one with setFrameScheduler',
+      );
+    }
+    return requestAnimationFrame(callback);
+  },
+  cancelFrame(id) {
+    cancelAnimationFrame(id);
+  },
+};
+
+export function setFrameScheduler(scheduler) {
+  frameScheduler = scheduler;
+}
+
+export class ManualClock {
+  now;
+
+  _callbacks = new Map();
+  _nextId = 1;
+
+  constructor({ now = 0 } = {}) {
+    this.now = now;
+  }
+  static new({ now = 0 } = {}) {
+    return new ManualClock(...arguments);
+  }
+
+  get pendingFrames() {
+    return this._callbacks.size;
+  }
+
+  requestFrame(callback) {
+    const id = this._nextId++;
+    this._callbacks.set(id, callback);
+    return id;
+  }
+
+  cancelFrame(id) {
+    this._callbacks.delete(id);
+  }
+
+  advance(ms = 1000 / 60) {
+    this.now += ms;
+    const callbacks = [...this._callbacks.values()];
+    this._callbacks.clear();
+    callbacks.forEach((callback) => callback(this.now));
+    return this;
+  }
+}
+
+export class AnimationController {
+  duration;
+  curve;
+  repeat;
+  reverse;
+  value = 0;
+  progress = 0;
+  status = 'idle';
+
+  _curve;
+  _startTime;
+  _listeners = [];
+
+  constructor({
+    duration = 300,
+    curve = 'linear',
+    repeat = 0,
+    reverse = false,
+  } = {}) {
+    if (!(duration >= 0)) {
+      throw new Error(`invalid animation duration ${duration}`);
+    }
+    if (!(repeat >= 0)) {
+      throw new Error(`invalid animation repeat count ${repeat}`);
+    }
+    this.duration = duration;
+    this.curve = curve;
+    this.repeat = repeat;
+    this.reverse = reverse;
+    this._curve = getCurve(curve);
+    this.value = this._curve(0);
+  }
+  static new({
+    duration = 300,
+    curve = 'linear',
+    repeat = 0,
+    reverse = false,
+  } = {}) {
+    return new AnimationController(...arguments);
+  }
+
+  get isRunning() {
+    return this.status === 'running';
+  }
+
+  start() {
+    this.status = 'running';
+    this._startTime = undefined;
+    return this;
+  }
+
+  stop() {
+    if (this.isRunning) {
+      this.status = 'idle';
+    }
+    return this;
+  }
+
+  reset() {
+    this.status = 'idle';
+    this._setProgress(0);
+    return this;
+  }
+
+  tick(time) {
+    if (!this.isRunning) return;
+    this._startTime ??= time;
+    const elapsed = Math.max(0, time - this._startTime);
+    const cycles = this.repeat + 1;
+    let cycle =
+      this.duration > 0 ? Math.floor(elapsed / this.duration) : cycles;
+    let progress;
+    if (cycle >= cycles) {
+      cycle = Math.min(cycle, cycles) - 1;
+      progress = 1;
+      this.status = 'completed';
+    } else {
+      progress = (elapsed - cycle * this.duration) / this.duration;
+    }
+    const backwards = this.reverse && cycle % 2 === 1;
+    this._setProgress(backwards ? 1 - progress : progress);
+  }
+
+  _setProgress(progress) {
+    this.progress = progress;
+    this.value = this._curve(progress);
+    this._listeners.forEach((listener) => listener(this.value, this));
+  }
+
+  addListener(listener) {
+    this._listeners.push(listener);
+    return () => {
+      this._listeners = this._listeners.filter((l) => l !== listener);
+    };
+  }
+
+  animate(component, tweens) {
+    const apply = (value) => {
+      const theme = Theme.of(component);
+      component.set(
+        tweens instanceof Tween
+          ? tweens.at(value, theme)
+          : Object.fromEntries(
+            Object.entries(tweens).map(([key, tween]) => [
+              key,
+              tween.at(value, theme),
+            ]),
+          ),
+      );
+    };
+    apply(this.value);
+    return this.addListener(apply);
+  }
+}
+
+export class Animator {
+  component;
+  ctx;
+  width;
+  height;
+  controllers;
+  scheduler;
+  clear;
+  frames = 0;
+
+  _frame;
+
+  constructor(
+    component,
+    {
+      ctx,
+      width = ctx?.canvas?.width ?? ctx?.width,
+      height = ctx?.canvas?.height ?? ctx?.height,
+      controllers = [],
+      scheduler = frameScheduler,
+      clear = true,
+    },
+  ) {
+    if (width == null || height == null) {
+      throw new Error('the size of the animated canvas is unknown');
+    }
+    this.component = component;
+    this.ctx = ctx;
+    this.width = width;
+    this.height = height;
+    this.controllers = controllers;
+    this.scheduler = scheduler;
+    this.clear = clear;
+  }
+  static new(
+    component,
+    { ctx, width, height, controllers = [], scheduler, clear = true },
+  ) {
+    return new Animator(...arguments);
+  }
+
+  get isRunning() {
+    return this._frame != null;
+  }
+
+  start() {
+    if (!this.isRunning) {
+      this._requestFrame();
+    }
+    return this;
+  }
+
+  stop() {
+    if (this.isRunning) {
+      this.scheduler.cancelFrame(this._frame);
+      this._frame = undefined;
+    }
+    return this;
+  }
+
+  _requestFrame() {
+    this._frame = this.scheduler.requestFrame((time) => {
+      this._frame = undefined;
+      this.renderFrame(time);
+      if (this.controllers.some((controller) => controller.isRunning)) {
+        this._requestFrame();
+      }
+    });
+  }
+
+  renderFrame(time) {
+    this.controllers.forEach((controller) => controller.tick(time));
+    if (this.clear) {
+      this.ctx.clearRect(0, 0, this.width, this.height);
+    }
+    this.component.draw(getDrawInstance(this.width, this.height), this.ctx);
+    this.frames++;
+  }
+}